@@ -1,49 +1,125 @@
+const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
+const { Pool } = require('pg');
 const winston = require('winston');
+const { isLanMode, getDataDir, applyLanDefaults } = require('./lan');
 
 /**
- * Database configuration using Supabase client
- * This is more reliable than direct PostgreSQL connections
+ * Database configuration
+ *
+ * Two clients are exposed:
+ * - `supabase`: the Supabase REST client used by most controllers
+ * - `query()`/`transaction()`/`getClient()`: a pooled PostgreSQL connection
+ *   (DATABASE_URL) for controllers and services that run raw SQL
+ *
+ * In LAN mode (see config/lan.js) both are backed by an embedded PostgreSQL
+ * datastore, and `supabase` is a compatible client that runs the same
+ * queries as SQL, so no outside service is needed.
  */
 
-// Create Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL || 'https://umimlfbroonvypoxjfze.supabase.co',
-  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY,
-  {
-    auth: {
-      autoRefreshToken: false,
-      persistSession: false
+if (isLanMode()) {
+  applyLanDefaults();
+}
+
+/**
+ * Create the Supabase client (or its embedded stand-in in LAN mode)
+ */
+function createSupabaseClient() {
+  if (isLanMode()) {
+    return require('./embedded/restClient').createRestClient({ query });
+  }
+
+  if (!process.env.SUPABASE_URL) {
+    const err = new Error('SUPABASE_URL is not configured (set it in .env, or start the server with --lan for offline mode)');
+    err.code = 'DB_NOT_CONFIGURED';
+    throw err;
+  }
+
+  return createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
     }
+  );
+}
+
+const supabase = createSupabaseClient();
+
+// PostgreSQL pool, created on first use so that requiring this module
+// never opens a connection by itself
+let pool = null;
+
+/**
+ * Get (or lazily create) the PostgreSQL connection pool
+ * @returns {pg.Pool} Connection pool
+ */
+function getPool() {
+  if (pool) {
+    return pool;
   }
-);
 
-// Export Supabase client directly for controllers to use
+  if (isLanMode()) {
+    const { EmbeddedPool } = require('./embedded/datastore');
+    pool = new EmbeddedPool(process.env.LAN_DATABASE_PATH || path.join(getDataDir(), 'pgdata'));
+    return pool;
+  }
 
-// Supabase client handles connection management automatically
-// No need for pool event listeners
+  if (!process.env.DATABASE_URL) {
+    const err = new Error('DATABASE_URL is not configured');
+    err.code = 'DB_NOT_CONFIGURED';
+    throw err;
+  }
+
+  pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    max: parseInt(process.env.DB_POOL_MAX) || 10,
+    idleTimeoutMillis: parseInt(process.env.DB_IDLE_TIMEOUT) || 30000,
+    connectionTimeoutMillis: parseInt(process.env.DB_CONNECTION_TIMEOUT) || 5000,
+    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+  });
+
+  // An idle client erroring (e.g. the server restarting) must not crash the process
+  pool.on('error', (err) => {
+    winston.error('Unexpected PostgreSQL pool error:', err.message);
+    recordError();
+  });
+
+  return pool;
+}
 
 /**
- * Execute a query with proper error handling (compatibility layer)
+ * Report query timing to the monitoring service
+ * (required lazily: services/monitoring requires this module)
+ */
+function recordTiming(text, duration) {
+  require('../services/monitoring').recordDatabaseQuery(text, duration);
+}
+
+function recordError() {
+  require('../services/monitoring').recordDatabaseError();
+}
+
+/**
+ * Run a query on a pool or client, recording its duration
+ * @param {pg.Pool|pg.PoolClient} executor - Pool or checked-out client
  * @param {string} text - SQL query text
  * @param {Array} params - Query parameters
  * @returns {Promise<Object>} Query result
  */
-async function query(text, params) {
+async function timedQuery(executor, text, params) {
   const start = Date.now();
   try {
-    // Simple compatibility for basic queries
-    if (text.includes('SELECT NOW()')) {
-      return {
-        rows: [{ now: new Date().toISOString() }],
-        rowCount: 1
-      };
-    }
-
-    // For other queries, return empty results (controllers use Supabase directly now)
-    winston.debug(`Query executed: ${text.substring(0, 50)}... (compatibility mode)`);
-    return { rows: [], rowCount: 0 };
+    const result = await executor.query(text, params);
+    const duration = Date.now() - start;
+    recordTiming(text, duration);
+    winston.debug(`Query executed in ${duration}ms: ${text.substring(0, 50)}...`);
+    return result;
   } catch (err) {
+    recordError();
     winston.error(`Query error: ${err.message}`, {
       query: text,
       params: params,
@@ -54,45 +130,87 @@ async function query(text, params) {
 }
 
 /**
- * Execute a transaction with multiple queries (compatibility)
+ * Wrap a checked-out client so its queries are timed as well
+ * @param {pg.PoolClient} client - Checked-out client
+ * @returns {Object} Client with timed query() and release()
+ */
+function wrapClient(client) {
+  return {
+    query: (text, params) => timedQuery(client, text, params),
+    release: (err) => client.release(err)
+  };
+}
+
+/**
+ * Execute a query with proper error handling
+ * @param {string} text - SQL query text
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Object>} Query result
+ */
+async function query(text, params) {
+  return timedQuery(getPool(), text, params);
+}
+
+/**
+ * Execute a transaction with multiple queries
+ * The callback receives a client; the transaction is committed when the
+ * callback resolves and rolled back when it throws.
  * @param {Function} callback - Function that receives client and executes queries
  * @returns {Promise} Transaction result
  */
 async function transaction(callback) {
-  // Supabase handles transactions automatically, so just execute the callback
+  const client = await getClient();
   try {
-    return await callback({ query });
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
   } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      winston.error('Transaction rollback failed:', rollbackErr.message);
+    }
     winston.error('Transaction failed:', err);
     throw err;
+  } finally {
+    client.release();
   }
 }
 
 /**
- * Get a client from the pool for manual transaction management (compatibility)
- * @returns {Promise<pg.Client>} Database client
+ * Get a client from the pool for manual transaction management
+ * Callers must call release() when done.
+ * @returns {Promise<Object>} Database client
  */
 async function getClient() {
-  // Return a compatibility object
-  return {
-    query,
-    release: () => {}
-  };
+  const client = await getPool().connect();
+  return wrapClient(client);
 }
 
 /**
  * Test database connection
+ * Uses PostgreSQL when DATABASE_URL is set, otherwise the Supabase client.
+ * In LAN mode this also brings the embedded datastore's schema up to date.
  * @returns {Promise<boolean>} Connection status
  */
 async function testConnection() {
   try {
-    // Test Supabase connection by trying to select from users table
-    const { data, error } = await supabase
-      .from('users')
-      .select('count', { count: 'exact', head: true });
+    if (isLanMode()) {
+      await require('../scripts/migrate').migrateUp();
+      supabase.resetSchema();
+      await query('SELECT NOW()');
+    } else if (process.env.DATABASE_URL) {
+      await query('SELECT NOW()');
+    } else {
+      // Test Supabase connection by trying to select from users table
+      const { error } = await supabase
+        .from('users')
+        .select('count', { count: 'exact', head: true });
 
-    if (error) {
-      throw error;
+      if (error) {
+        throw error;
+      }
     }
 
     winston.info('Database connection successful');
@@ -104,10 +222,23 @@ async function testConnection() {
 }
 
 /**
- * Close database connections (compatibility)
+ * Quote a value for a PostgREST or()/filter() string, so user input containing
+ * reserved characters (, . : ( ) ") stays one value instead of adding conditions
+ * @param {*} value
+ * @returns {string} e.g. "some \"value\""
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Close database connections
  */
 async function close() {
-  // Supabase handles connection cleanup automatically
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
   winston.info('Database connections closed');
 }
 
@@ -116,6 +247,10 @@ module.exports = {
   query,
   transaction,
   getClient,
+  // pg.Pool-style alias used by controllers that do `pool.connect()`
+  connect: getClient,
   testConnection,
-  close
+  close,
+  isLanMode,
+  quoteFilterValue
 };
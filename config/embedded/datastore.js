@@ -0,0 +1,95 @@
+const { PGlite } = require('@electric-sql/pglite');
+const { uuid_ossp } = require('@electric-sql/pglite/contrib/uuid_ossp');
+const { pgcrypto } = require('@electric-sql/pglite/contrib/pgcrypto');
+
+/**
+ * Embedded PostgreSQL datastore for LAN/offline mode
+ *
+ * Runs PostgreSQL in-process (PGlite) and exposes the subset of the pg.Pool
+ * API that config/database.js uses: query(), connect() and end(). PGlite has
+ * a single connection, so a checked-out client holds it exclusively until
+ * release(); that keeps BEGIN ... COMMIT blocks from interleaving.
+ */
+class EmbeddedPool {
+  /**
+   * @param {string} dataDir - Data directory, or 'memory://' for a throwaway database
+   */
+  constructor(dataDir) {
+    this.db = new PGlite(dataDir, {
+      extensions: { uuid_ossp, pgcrypto }
+    });
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait for exclusive use of the connection
+   * @returns {Promise<Function>} Call to give the connection back
+   */
+  acquire() {
+    let release;
+    const held = new Promise(resolve => {
+      release = resolve;
+    });
+    const previous = this.queue;
+    this.queue = previous.then(() => held);
+    return previous.then(() => release);
+  }
+
+  /**
+   * Run SQL and shape the result like pg's
+   * Parameterless SQL may contain several statements (migrations); the
+   * last statement's result is returned.
+   */
+  async run(text, params) {
+    let result;
+    if (params && params.length > 0) {
+      result = await this.db.query(text, params);
+    } else {
+      const results = await this.db.exec(text);
+      result = results[results.length - 1] || { rows: [], fields: [] };
+    }
+
+    return {
+      rows: result.rows,
+      rowCount: result.affectedRows || result.rows.length,
+      fields: result.fields
+    };
+  }
+
+  async query(text, params) {
+    const release = await this.acquire();
+    try {
+      return await this.run(text, params);
+    } finally {
+      release();
+    }
+  }
+
+  async connect() {
+    const release = await this.acquire();
+    let released = false;
+    return {
+      query: (text, params) => this.run(text, params),
+      release: () => {
+        if (!released) {
+          released = true;
+          release();
+        }
+      }
+    };
+  }
+
+  // pg.Pool emits 'error' for idle clients; an in-process database has none
+  on() {}
+
+  async end() {
+    const release = await this.acquire();
+    try {
+      await this.db.close();
+    } finally {
+      release();
+    }
+  }
+}
+
+module.exports = { EmbeddedPool };
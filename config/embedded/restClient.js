@@ -0,0 +1,804 @@
+/**
+ * Supabase-compatible query client backed by plain SQL
+ *
+ * Implements the part of the supabase-js / PostgREST query builder that the
+ * controllers use (select with embedded relations, insert/update/upsert/delete,
+ * filters, or() logic strings, ordering, ranges, counts and single()) by
+ * compiling each request to one SQL statement. Used by LAN mode so every
+ * controller runs unchanged against the embedded datastore.
+ *
+ * Like supabase-js, awaiting a query never throws: it resolves to
+ * { data, error, count, status }.
+ */
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+  cs: '@>',
+  cd: '<@',
+  ov: '&&'
+};
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function restError(code, message, details = null) {
+  return { code, message, details, hint: null };
+}
+
+/**
+ * Split on commas that are not inside parentheses or double quotes
+ * (a backslash inside quotes escapes the next character)
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let escaped = false;
+  let current = '';
+
+  for (const char of text) {
+    if (escaped) {
+      escaped = false;
+    } else if (quoted && char === '\\') {
+      escaped = true;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && char === '(') {
+      depth++;
+    } else if (!quoted && char === ')') {
+      depth--;
+    } else if (!quoted && depth === 0 && char === ',') {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+}
+
+/**
+ * Strip PostgREST double quotes; inside them \" and \\ stand for " and \
+ */
+function unquote(value) {
+  return value.length >= 2 && value.startsWith('"') && value.endsWith('"')
+    ? value.slice(1, -1).replace(/\\(.)/g, '$1')
+    : value;
+}
+
+/**
+ * Parse a PostgREST select string, e.g.
+ * "id, users!inner(username), toybox_ratings(rating)"
+ */
+function parseSelect(text) {
+  return splitTopLevel(text.replace(/\s+/g, ' ')).map(part => {
+    const embed = /^(?:([\w]+):)?([\w]+)((?:![\w]+)*)\s*\((.*)\)$/s.exec(part);
+    if (embed) {
+      const [, alias, table, modifiers, inner] = embed;
+      const flags = modifiers.split('!').filter(Boolean);
+      return {
+        type: 'embed',
+        table,
+        alias: alias || table,
+        inner: flags.includes('inner'),
+        hint: flags.find(flag => flag !== 'inner' && flag !== 'left') || null,
+        items: parseSelect(inner)
+      };
+    }
+
+    if (part === '*') {
+      return { type: 'star' };
+    }
+
+    const column = /^(?:([\w]+):)?(.+)$/.exec(part);
+    return { type: 'column', alias: column[1] || null, name: column[2].trim() };
+  });
+}
+
+/**
+ * Parse one "column.operator.value" expression from an or()/filter() string
+ */
+function parseCondition(text) {
+  const match = /^([^.]+)\.(not\.)?(\w+)\.(.*)$/s.exec(text);
+  if (!match) {
+    throw restError('PGRST100', `Failed to parse filter "${text}"`);
+  }
+  const [, column, not, operator, rawValue] = match;
+  return {
+    type: 'condition',
+    column,
+    operator,
+    negate: Boolean(not),
+    value: parseFilterValue(operator, rawValue)
+  };
+}
+
+// The only values PostgreSQL accepts after IS
+const IS_VALUES = { null: 'NULL', true: 'TRUE', false: 'FALSE', unknown: 'UNKNOWN' };
+
+function parseFilterValue(operator, rawValue) {
+  if (operator === 'in') {
+    const list = rawValue.replace(/^\(/, '').replace(/\)$/, '');
+    return list ? splitTopLevel(list).map(unquote) : [];
+  }
+  if (operator === 'is') {
+    return rawValue === 'null' ? null : rawValue === 'true' ? true : rawValue === 'false' ? false : rawValue;
+  }
+  if (operator === 'cs' || operator === 'cd' || operator === 'ov') {
+    return rawValue.replace(/^[({]/, '').replace(/[)}]$/, '').split(',').map(unquote);
+  }
+  return unquote(rawValue);
+}
+
+/**
+ * Parse a PostgREST logic tree, e.g. "and(a.eq.1,b.eq.2),c.is.null"
+ */
+function parseLogic(text) {
+  return splitTopLevel(text).map(part => {
+    const group = /^(not\.)?(and|or)\((.*)\)$/s.exec(part);
+    if (group) {
+      return {
+        type: group[2],
+        negate: Boolean(group[1]),
+        items: parseLogic(group[3])
+      };
+    }
+    return parseCondition(part);
+  });
+}
+
+class QueryBuilder {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.selectText = '*';
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.singleMode = null;
+    this.values = null;
+    this.conflictTarget = null;
+    this.ignoreDuplicates = false;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    this.selectText = columns;
+    if (this.action === 'select') {
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict = null, ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.conflictTarget = onConflict;
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  addCondition(column, operator, value, negate = false) {
+    this.filters.push({ type: 'condition', column, operator, value, negate });
+    return this;
+  }
+
+  eq(column, value) { return this.addCondition(column, 'eq', value); }
+  neq(column, value) { return this.addCondition(column, 'neq', value); }
+  gt(column, value) { return this.addCondition(column, 'gt', value); }
+  gte(column, value) { return this.addCondition(column, 'gte', value); }
+  lt(column, value) { return this.addCondition(column, 'lt', value); }
+  lte(column, value) { return this.addCondition(column, 'lte', value); }
+  like(column, pattern) { return this.addCondition(column, 'like', pattern); }
+  ilike(column, pattern) { return this.addCondition(column, 'ilike', pattern); }
+  is(column, value) { return this.addCondition(column, 'is', value); }
+  in(column, values) { return this.addCondition(column, 'in', values); }
+  contains(column, value) { return this.addCondition(column, 'cs', value); }
+  containedBy(column, value) { return this.addCondition(column, 'cd', value); }
+  overlaps(column, value) { return this.addCondition(column, 'ov', value); }
+
+  match(query) {
+    Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  not(column, operator, value) {
+    const parsed = typeof value === 'string' ? parseFilterValue(operator, value) : value;
+    return this.addCondition(column, operator, parsed, true);
+  }
+
+  filter(column, operator, value) {
+    const negate = operator.startsWith('not.');
+    const op = negate ? operator.slice(4) : operator;
+    const parsed = typeof value === 'string' ? parseFilterValue(op, value) : value;
+    return this.addCondition(column, op, parsed, negate);
+  }
+
+  or(logic) {
+    try {
+      this.filters.push({ type: 'or', negate: false, items: parseLogic(logic) });
+    } catch (err) {
+      this.parseError = err;
+    }
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst, foreignTable = null } = {}) {
+    this.orders.push({
+      column: foreignTable ? `${foreignTable}.${column}` : column,
+      ascending,
+      nullsFirst: nullsFirst === undefined ? !ascending : nullsFirst
+    });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+
+  async execute() {
+    try {
+      if (this.parseError) {
+        throw this.parseError;
+      }
+
+      const schema = await this.client.getSchema();
+      if (!schema.columns.has(this.table)) {
+        throw restError('42P01', `relation "public.${this.table}" does not exist`);
+      }
+
+      const compiler = new SqlCompiler(schema, this.table);
+      const { text, params } = compiler.compile(this);
+      const result = await this.client.executor.query(text, params);
+
+      let count = null;
+      if (this.countMode) {
+        const counted = await this.client.executor.query(compiler.countText, params);
+        count = counted.rows[0].count;
+      }
+
+      const returnsRows = this.action === 'select' || this.returning;
+      let data = returnsRows && !this.head ? result.rows.map(row => row.row) : null;
+
+      if (this.singleMode && returnsRows) {
+        if (data.length === 1) {
+          data = data[0];
+        } else if (data.length === 0 && this.singleMode === 'maybe') {
+          data = null;
+        } else {
+          return {
+            data: null,
+            error: restError(
+              'PGRST116',
+              'JSON object requested, multiple (or no) rows returned',
+              `The result contains ${data.length} rows`
+            ),
+            count,
+            status: 406,
+            statusText: 'Not Acceptable'
+          };
+        }
+      }
+
+      const status = this.action === 'insert' || this.action === 'upsert' ? 201 : 200;
+      return { data, error: null, count, status, statusText: status === 201 ? 'Created' : 'OK' };
+    } catch (err) {
+      const error = err.code && err.message && !(err instanceof Error)
+        ? err
+        : restError(err.code || 'EMBEDDED_ERROR', err.message, err.detail || null);
+      return { data: null, error, count: null, status: 400, statusText: 'Bad Request' };
+    }
+  }
+}
+
+/**
+ * Compiles a QueryBuilder into a single SQL statement
+ * Rows are returned as one jsonb column ("row") so values have the same
+ * JSON representation PostgREST would send (ISO timestamps, numbers, ...).
+ */
+class SqlCompiler {
+  constructor(schema, table) {
+    this.schema = schema;
+    this.table = table;
+    this.params = [];
+    this.aliasCount = 0;
+  }
+
+  nextAlias() {
+    return `t${this.aliasCount++}`;
+  }
+
+  param(value) {
+    this.params.push(value);
+    return `$${this.params.length}`;
+  }
+
+  columnType(table, column) {
+    const columns = this.schema.columns.get(table);
+    return columns ? columns.get(column) : undefined;
+  }
+
+  /**
+   * Convert a JS value to a query parameter for the given column
+   */
+  toParam(table, column, value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    const type = this.columnType(table, column);
+    if ((type === 'json' || type === 'jsonb') && typeof value !== 'string') {
+      return JSON.stringify(value);
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return value;
+  }
+
+  /**
+   * SQL for a column reference, including JSON paths like profile_data->>steam_id
+   */
+  columnSql(alias, column) {
+    const [base, ...rest] = column.split(/(->>?)/);
+    let sql = `${alias}.${quoteIdent(base.trim())}`;
+    for (let i = 0; i < rest.length; i += 2) {
+      const key = rest[i + 1].trim();
+      sql += `${rest[i]}${/^\d+$/.test(key) ? key : `'${key.replace(/'/g, "''")}'`}`;
+    }
+    return sql;
+  }
+
+  /**
+   * Find the foreign key joining parent and embedded tables
+   * @returns {Object} { toOne, parentColumn, childColumn }
+   */
+  resolveRelation(parentTable, embed) {
+    const candidates = [];
+    for (const fk of this.schema.foreignKeys) {
+      const matchesHint = !embed.hint || embed.hint === fk.name || embed.hint === fk.column;
+      if (!matchesHint) {
+        continue;
+      }
+      if (fk.table === parentTable && fk.refTable === embed.table) {
+        candidates.push({ toOne: true, parentColumn: fk.column, childColumn: fk.refColumn });
+      } else if (fk.table === embed.table && fk.refTable === parentTable) {
+        candidates.push({ toOne: false, parentColumn: fk.refColumn, childColumn: fk.column });
+      }
+    }
+
+    if (candidates.length === 0) {
+      throw restError('PGRST200', `Could not find a relationship between '${parentTable}' and '${embed.table}'`);
+    }
+    if (candidates.length > 1) {
+      throw restError('PGRST201', `More than one relationship was found for '${parentTable}' and '${embed.table}'`);
+    }
+    return candidates[0];
+  }
+
+  /**
+   * Split filters into those on this table and those on embedded tables
+   */
+  partitionFilters(filters) {
+    const own = [];
+    const embedded = new Map();
+    for (const filter of filters) {
+      const dot = filter.type === 'condition' ? filter.column.indexOf('.') : -1;
+      if (dot > 0 && !filter.column.includes('->')) {
+        const table = filter.column.slice(0, dot);
+        const list = embedded.get(table) || [];
+        list.push({ ...filter, column: filter.column.slice(dot + 1) });
+        embedded.set(table, list);
+      } else {
+        own.push(filter);
+      }
+    }
+    return { own, embedded };
+  }
+
+  conditionSql(table, alias, node) {
+    if (node.type === 'and' || node.type === 'or') {
+      const parts = node.items.map(item => this.conditionSql(table, alias, item));
+      const joined = parts.length ? `(${parts.join(node.type === 'and' ? ' AND ' : ' OR ')})` : 'TRUE';
+      return node.negate ? `NOT ${joined}` : joined;
+    }
+
+    const column = this.columnSql(alias, node.column);
+    const baseColumn = node.column.split('->')[0].trim();
+    let sql;
+
+    if (node.operator === 'is') {
+      const value = IS_VALUES[String(node.value).toLowerCase()];
+      if (!value) {
+        throw restError('PGRST100', `"${node.value}" is not a valid value for the is operator (expected null, true, false or unknown)`);
+      }
+      sql = `${column} IS ${value}`;
+    } else if (node.operator === 'in') {
+      sql = node.value.length === 0
+        ? 'FALSE'
+        : `${column} = ANY(${this.param(node.value)})`;
+    } else if (OPERATORS[node.operator]) {
+      let value = node.value;
+      if (node.operator === 'like' || node.operator === 'ilike') {
+        value = String(value).replace(/\*/g, '%');
+      } else if (!node.column.includes('->')) {
+        value = this.toParam(table, baseColumn, value);
+      }
+      sql = `${column} ${OPERATORS[node.operator]} ${this.param(value)}`;
+    } else {
+      throw restError('PGRST100', `Unsupported filter operator "${node.operator}"`);
+    }
+
+    return node.negate ? `NOT (${sql})` : sql;
+  }
+
+  whereSql(table, alias, filters) {
+    const parts = filters.map(filter => this.conditionSql(table, alias, filter));
+    return parts.length ? parts.join(' AND ') : 'TRUE';
+  }
+
+  /**
+   * jsonb expression for one row of `table` (alias) with the selected items
+   */
+  objectSql(table, alias, items, embeddedFilters, embeddedOrders, innerJoins) {
+    const pairs = [];
+    let star = false;
+
+    for (const item of items) {
+      if (item.type === 'star') {
+        star = true;
+      } else if (item.type === 'column') {
+        if (item.name === 'count' && !this.columnType(table, 'count')) {
+          continue;
+        }
+        const key = item.alias || item.name.split(/->>?/).pop().trim();
+        pairs.push(`'${key}', ${this.columnSql(alias, item.name)}`);
+      } else if (item.type === 'embed') {
+        const embedSql = this.embedSql(
+          table,
+          alias,
+          item,
+          embeddedFilters.get(item.alias) || embeddedFilters.get(item.table) || [],
+          embeddedOrders.get(item.alias) || embeddedOrders.get(item.table) || []
+        );
+        pairs.push(`'${item.alias}', ${embedSql.value}`);
+        if (item.inner) {
+          innerJoins.push(embedSql.exists);
+        }
+      }
+    }
+
+    // jsonb_build_object takes at most 100 arguments
+    const chunks = [];
+    for (let i = 0; i < pairs.length; i += 50) {
+      chunks.push(`jsonb_build_object(${pairs.slice(i, i + 50).join(', ')})`);
+    }
+    if (star) {
+      chunks.unshift(`to_jsonb(${alias}.*)`);
+    }
+    return chunks.length ? chunks.join(' || ') : `'{}'::jsonb`;
+  }
+
+  embedSql(parentTable, parentAlias, embed, filters, orders) {
+    if (!this.schema.columns.has(embed.table)) {
+      throw restError('PGRST200', `Could not find a relationship between '${parentTable}' and '${embed.table}'`);
+    }
+
+    const relation = this.resolveRelation(parentTable, embed);
+    const alias = this.nextAlias();
+    const join = `${alias}.${quoteIdent(relation.childColumn)} = ${parentAlias}.${quoteIdent(relation.parentColumn)}`;
+    const { own, embedded } = this.partitionFilters(filters);
+    const where = `${join} AND ${this.whereSql(embed.table, alias, own)}`;
+    const from = `FROM ${quoteIdent(embed.table)} ${alias}`;
+    const nestedInner = [];
+
+    const countOnly = embed.items.length === 1 && embed.items[0].type === 'column' &&
+      embed.items[0].name === 'count' && !this.columnType(embed.table, 'count');
+
+    let value;
+    if (countOnly) {
+      value = `(SELECT jsonb_build_array(jsonb_build_object('count', COUNT(*))) ${from} WHERE ${where})`;
+    } else {
+      const object = this.objectSql(embed.table, alias, embed.items, embedded, new Map(), nestedInner);
+      const innerWhere = nestedInner.length ? ` AND ${nestedInner.join(' AND ')}` : '';
+      if (relation.toOne) {
+        value = `(SELECT ${object} ${from} WHERE ${where}${innerWhere} LIMIT 1)`;
+      } else {
+        const orderSql = orders.length
+          ? ` ORDER BY ${orders.map(order => this.orderSql(alias, order)).join(', ')}`
+          : '';
+        value = `(SELECT COALESCE(jsonb_agg(${object}${orderSql}), '[]'::jsonb) ${from} WHERE ${where}${innerWhere})`;
+      }
+    }
+
+    return {
+      value,
+      exists: `EXISTS (SELECT 1 ${from} WHERE ${where})`,
+      toOne: relation.toOne,
+      orderValue: (column) => `(SELECT ${this.columnSql(alias, column)} ${from} WHERE ${where} LIMIT 1)`
+    };
+  }
+
+  orderSql(alias, order, columnSql = null) {
+    return `${columnSql || this.columnSql(alias, order.column)} ${order.ascending ? 'ASC' : 'DESC'} NULLS ${order.nullsFirst ? 'FIRST' : 'LAST'}`;
+  }
+
+  /**
+   * Main-table ORDER BY; orders on to-one embeds sort parents by the child
+   * column, orders on to-many embeds sort inside the embedded array
+   */
+  splitOrders(orders) {
+    const own = [];
+    const embedded = new Map();
+    for (const order of orders) {
+      const dot = order.column.indexOf('.');
+      if (dot > 0 && !order.column.includes('->')) {
+        const table = order.column.slice(0, dot);
+        const list = embedded.get(table) || [];
+        list.push({ ...order, column: order.column.slice(dot + 1), table });
+        embedded.set(table, list);
+      } else {
+        own.push(order);
+      }
+    }
+    return { own, embedded };
+  }
+
+  selectSql(builder, alias) {
+    const items = parseSelect(builder.selectText);
+    const { embedded } = this.partitionFilters(builder.filters);
+    const { embedded: embeddedOrders } = this.splitOrders(builder.orders);
+    const innerJoins = [];
+    const object = this.objectSql(this.table, alias, items, embedded, embeddedOrders, innerJoins);
+    return { object, innerJoins, items };
+  }
+
+  compile(builder) {
+    const alias = this.nextAlias();
+    const { own: ownFilters } = this.partitionFilters(builder.filters);
+
+    if (builder.action === 'select') {
+      const { object, innerJoins, items } = this.selectSql(builder, alias);
+      const where = [this.whereSql(this.table, alias, ownFilters), ...innerJoins].join(' AND ');
+
+      const { own: ownOrders, embedded: embeddedOrders } = this.splitOrders(builder.orders);
+      const orderParts = ownOrders.map(order => this.orderSql(alias, order));
+      for (const [table, orders] of embeddedOrders) {
+        const embed = items.find(item => item.type === 'embed' && (item.alias === table || item.table === table));
+        if (!embed) {
+          continue;
+        }
+        const relation = this.resolveRelation(this.table, embed);
+        if (relation.toOne) {
+          const embedSql = this.embedSql(this.table, alias, embed, [], []);
+          orders.forEach(order => orderParts.push(this.orderSql(alias, order, embedSql.orderValue(order.column))));
+        }
+      }
+
+      let text = `SELECT ${object} AS row FROM ${quoteIdent(this.table)} ${alias} WHERE ${where}`;
+      // Counts ignore ordering and paging but share the filters' parameters
+      this.countText = `SELECT COUNT(*)::int AS count FROM (${text}) counted`;
+      if (orderParts.length) {
+        text += ` ORDER BY ${orderParts.join(', ')}`;
+      }
+      if (builder.limitCount !== null) {
+        text += ` LIMIT ${parseInt(builder.limitCount, 10)}`;
+      }
+      if (builder.offsetCount !== null) {
+        text += ` OFFSET ${parseInt(builder.offsetCount, 10)}`;
+      }
+      return { text, params: this.params };
+    }
+
+    const returning = () => {
+      if (!builder.returning) {
+        return '';
+      }
+      const { object } = this.selectSql(builder, alias);
+      return ` RETURNING ${object} AS row`;
+    };
+
+    if (builder.action === 'insert' || builder.action === 'upsert') {
+      const columns = [];
+      builder.values.forEach(row => Object.keys(row).forEach(key => {
+        if (!columns.includes(key)) {
+          columns.push(key);
+        }
+      }));
+
+      const rows = builder.values.map(row => `(${columns.map(column => (
+        row[column] === undefined ? 'DEFAULT' : this.param(this.toParam(this.table, column, row[column]))
+      )).join(', ')})`);
+
+      let text = `INSERT INTO ${quoteIdent(this.table)} AS ${alias} (${columns.map(quoteIdent).join(', ')}) VALUES ${rows.join(', ')}`;
+
+      if (builder.action === 'upsert') {
+        const target = builder.conflictTarget
+          ? builder.conflictTarget.split(',').map(column => column.trim())
+          : this.schema.primaryKeys.get(this.table) || ['id'];
+        const updates = columns.filter(column => !target.includes(column));
+        text += ` ON CONFLICT (${target.map(quoteIdent).join(', ')})`;
+        text += builder.ignoreDuplicates || updates.length === 0
+          ? ' DO NOTHING'
+          : ` DO UPDATE SET ${updates.map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`).join(', ')}`;
+      }
+
+      return { text: text + returning(), params: this.params };
+    }
+
+    if (builder.action === 'update') {
+      const sets = Object.entries(builder.values)
+        .filter(([, value]) => value !== undefined)
+        .map(([column, value]) => `${quoteIdent(column)} = ${this.param(this.toParam(this.table, column, value))}`);
+      const where = this.whereSql(this.table, alias, ownFilters);
+      return {
+        text: `UPDATE ${quoteIdent(this.table)} AS ${alias} SET ${sets.join(', ')} WHERE ${where}${returning()}`,
+        params: this.params
+      };
+    }
+
+    // delete
+    const where = this.whereSql(this.table, alias, ownFilters);
+    return {
+      text: `DELETE FROM ${quoteIdent(this.table)} AS ${alias} WHERE ${where}${returning()}`,
+      params: this.params
+    };
+  }
+
+}
+
+class RestClient {
+  /**
+   * @param {Object} executor - Anything with pg-style query(text, params)
+   */
+  constructor(executor) {
+    this.executor = executor;
+    this.schema = null;
+  }
+
+  from(table) {
+    return new QueryBuilder(this, table);
+  }
+
+  /**
+   * Load (once) the column types, primary keys and foreign keys of the public schema
+   */
+  async getSchema() {
+    if (this.schema) {
+      return this.schema;
+    }
+
+    const [columns, primaryKeys, foreignKeys] = await Promise.all([
+      this.executor.query(`
+        SELECT table_name, column_name, data_type, udt_name
+        FROM information_schema.columns
+        WHERE table_schema = 'public'
+      `),
+      this.executor.query(`
+        SELECT cl.relname AS table_name, att.attname AS column_name
+        FROM pg_index i
+        JOIN pg_class cl ON cl.oid = i.indrelid
+        JOIN pg_namespace n ON n.oid = cl.relnamespace
+        JOIN pg_attribute att ON att.attrelid = i.indrelid AND att.attnum = ANY(i.indkey)
+        WHERE i.indisprimary AND n.nspname = 'public'
+      `),
+      this.executor.query(`
+        SELECT con.conname AS name, cl.relname AS table_name, att.attname AS column_name,
+               ref.relname AS ref_table, ratt.attname AS ref_column
+        FROM pg_constraint con
+        JOIN pg_class cl ON cl.oid = con.conrelid
+        JOIN pg_class ref ON ref.oid = con.confrelid
+        JOIN pg_namespace n ON n.oid = cl.relnamespace
+        JOIN pg_attribute att ON att.attrelid = con.conrelid AND att.attnum = con.conkey[1]
+        JOIN pg_attribute ratt ON ratt.attrelid = con.confrelid AND ratt.attnum = con.confkey[1]
+        WHERE con.contype = 'f' AND n.nspname = 'public'
+      `)
+    ]);
+
+    const schema = {
+      columns: new Map(),
+      primaryKeys: new Map(),
+      foreignKeys: foreignKeys.rows.map(row => ({
+        name: row.name,
+        table: row.table_name,
+        column: row.column_name,
+        refTable: row.ref_table,
+        refColumn: row.ref_column
+      }))
+    };
+
+    for (const row of columns.rows) {
+      if (!schema.columns.has(row.table_name)) {
+        schema.columns.set(row.table_name, new Map());
+      }
+      schema.columns.get(row.table_name).set(row.column_name, row.data_type === 'ARRAY' ? 'array' : row.udt_name);
+    }
+
+    for (const row of primaryKeys.rows) {
+      const list = schema.primaryKeys.get(row.table_name) || [];
+      list.push(row.column_name);
+      schema.primaryKeys.set(row.table_name, list);
+    }
+
+    this.schema = schema;
+    return schema;
+  }
+
+  /**
+   * Forget cached schema information (after migrations)
+   */
+  resetSchema() {
+    this.schema = null;
+  }
+}
+
+/**
+ * Create a Supabase-compatible client over a pg-style executor
+ * @param {Object} executor - { query(text, params) }
+ * @returns {RestClient}
+ */
+function createRestClient(executor) {
+  return new RestClient(executor);
+}
+
+module.exports = {
+  createRestClient,
+  parseSelect,
+  parseLogic
+};
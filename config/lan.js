@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * LAN / offline mode configuration
+ *
+ * Enabled with LAN_MODE=true or `node server.js --lan`. In this mode the
+ * server needs no outside services: data lives in an embedded PostgreSQL
+ * datastore under LAN_DATA_DIR, toybox files on local disk, and secrets
+ * that are not configured are generated once and kept next to the data.
+ */
+
+if (process.argv.includes('--lan')) {
+  process.env.LAN_MODE = 'true';
+}
+
+/**
+ * Whether the server runs in LAN/offline mode
+ * @returns {boolean}
+ */
+function isLanMode() {
+  return process.env.LAN_MODE === 'true';
+}
+
+/**
+ * Directory holding the embedded datastore, toybox files and generated secrets
+ * @returns {string} Absolute path
+ */
+function getDataDir() {
+  return path.resolve(process.env.LAN_DATA_DIR || path.join(__dirname, '..', 'data', 'lan'));
+}
+
+/**
+ * Fill in LAN defaults for settings that would otherwise point at hosted services
+ * Explicitly configured values always win.
+ */
+function applyLanDefaults() {
+  const dataDir = getDataDir();
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  if (!process.env.STORAGE_BACKEND) {
+    process.env.STORAGE_BACKEND = 'local';
+  }
+  if (!process.env.STORAGE_LOCAL_PATH) {
+    process.env.STORAGE_LOCAL_PATH = path.join(dataDir, 'toyboxes');
+  }
+
+  // Tokens must survive restarts, so generate the secret once and persist it
+  if (!process.env.JWT_SECRET) {
+    const secretPath = path.join(dataDir, 'jwt-secret');
+    if (!fs.existsSync(secretPath)) {
+      fs.writeFileSync(secretPath, crypto.randomBytes(48).toString('hex'), { mode: 0o600 });
+    }
+    process.env.JWT_SECRET = fs.readFileSync(secretPath, 'utf8').trim();
+  }
+}
+
+module.exports = {
+  isLanMode,
+  getDataDir,
+  applyLanDefaults
+};
@@ -1,34 +1,41 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { supabase } = require('../config/database');
-const { body, validationResult } = require('express-validator');
+const { supabase, quoteFilterValue } = require('../config/database');
+const { body, param, query, oneOf, validationResult } = require('express-validator');
 const winston = require('winston');
+const { getSuspension, suspensionError } = require('../middleware/auth');
+const authTokenService = require('../services/authTokenService');
+const accountTokenService = require('../services/accountTokenService');
+const { PURPOSES } = require('../services/accountTokenService');
+const { disconnectSessions } = require('../socket');
 
 /**
  * Authentication controller
  */
 
 /**
- * Generate access token
+ * Client details stored with a login
  */
-const generateAccessToken = (userId) => {
-  return jwt.sign(
-    { userId, type: 'access' },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-  );
-};
+const clientInfo = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('user-agent') || null,
+  deviceId: req.body?.device_id || null,
+  deviceName: req.body?.device_name || null
+});
 
 /**
- * Generate refresh token
+ * Optional device the login is made from; device_id matches the one used with /api/v1/sync
  */
-const generateRefreshToken = (userId) => {
-  return jwt.sign(
-    { userId, type: 'refresh' },
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-  );
-};
+const deviceValidation = [
+  body('device_id')
+    .optional()
+    .matches(/^[a-zA-Z0-9\-_]{1,100}$/)
+    .withMessage('Invalid device ID format'),
+  body('device_name')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Device name must be 1-100 characters')
+];
 
 /**
  * User registration validation
@@ -45,7 +52,8 @@ const registerValidation = [
     .withMessage('Valid email required'),
   body('password')
     .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters')
+    .withMessage('Password must be at least 8 characters'),
+  ...deviceValidation
 ];
 
 /**
@@ -71,7 +79,7 @@ const register = async (req, res) => {
     const { data: existingUsers, error: checkError } = await supabase
       .from('users')
       .select('id')
-      .or(`username.eq.${username},email.eq.${email}`);
+      .or(`username.eq.${quoteFilterValue(username)},email.eq.${quoteFilterValue(email)}`);
 
     if (checkError) {
       winston.error('Error checking existing user:', checkError);
@@ -119,15 +127,21 @@ const register = async (req, res) => {
     }
 
     // Generate tokens
-    const accessToken = generateAccessToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+    const { accessToken, refreshToken } = await authTokenService.issue(user.id, clientInfo(req));
 
     winston.info(`User registered: ${username} (${user.id})`);
 
+    // Not awaited: the account works without a verified address, so registration
+    // neither waits for the mail server nor fails when it is down
+    accountTokenService.sendVerification(user).catch(mailError => {
+      winston.error(`Failed to send verification email to user ${user.id}:`, mailError);
+    });
+
     res.status(201).json({
       id: user.id,
       username: user.username,
       email: user.email,
+      email_verified: false,
       created_at: user.created_at,
       token: accessToken,
       refresh_token: refreshToken,
@@ -150,7 +164,8 @@ const register = async (req, res) => {
  */
 const loginValidation = [
   body('username').notEmpty().withMessage('Username required'),
-  body('password').notEmpty().withMessage('Password required')
+  body('password').notEmpty().withMessage('Password required'),
+  ...deviceValidation
 ];
 
 /**
@@ -184,8 +199,8 @@ const login = async (req, res) => {
     console.log('🔍 QUERYING DATABASE for user:', username);
     const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id, username, email, password_hash, is_active')
-      .or(`username.eq.${username},email.eq.${username}`)
+      .select('id, username, email, email_verified, password_hash, is_active, suspended_until')
+      .or(`username.eq.${quoteFilterValue(username)},email.eq.${quoteFilterValue(username)}`)
       .single();
 
     console.log('📊 DATABASE RESULT:', {
@@ -239,6 +254,12 @@ const login = async (req, res) => {
       });
     }
 
+    const suspension = getSuspension(user);
+    if (suspension) {
+      console.log('🚫 USER SUSPENDED:', user.id);
+      return res.status(403).json(suspensionError(suspension));
+    }
+
     // Update last login
     console.log('📅 UPDATING LAST LOGIN for user:', user.id);
     const { error: updateError } = await supabase
@@ -255,8 +276,7 @@ const login = async (req, res) => {
 
     // Generate tokens
     console.log('🎫 GENERATING TOKENS for user:', user.id);
-    const accessToken = generateAccessToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+    const { accessToken, refreshToken } = await authTokenService.issue(user.id, clientInfo(req));
 
     console.log('✅ LOGIN SUCCESSFUL for user:', username);
 
@@ -264,7 +284,8 @@ const login = async (req, res) => {
       user: {
         id: user.id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        email_verified: user.email_verified
       },
       token: accessToken,
       refresh_token: refreshToken,
@@ -305,26 +326,14 @@ const refresh = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(
-      refreshToken,
-      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
-    );
-
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid refresh token'
-        }
-      });
-    }
+    // Rotate the login's refresh token; presenting one that was already rotated away revokes the login
+    const rotated = await authTokenService.rotate(refreshToken, clientInfo(req));
 
     // Check if user still exists and is active
     const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id, username, email, is_active')
-      .eq('id', decoded.userId)
+      .select('id, username, email, email_verified, is_active, suspended_until')
+      .eq('id', rotated.userId)
       .single();
 
     if (userError || !user || !user.is_active) {
@@ -336,9 +345,10 @@ const refresh = async (req, res) => {
       });
     }
 
-    // Generate new tokens
-    const accessToken = generateAccessToken(user.id);
-    const newRefreshToken = generateRefreshToken(user.id);
+    const suspension = getSuspension(user);
+    if (suspension) {
+      return res.status(403).json(suspensionError(suspension));
+    }
 
     winston.debug(`Token refreshed for user: ${user.username} (${user.id})`);
 
@@ -346,19 +356,23 @@ const refresh = async (req, res) => {
       user: {
         id: user.id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        email_verified: user.email_verified
       },
-      token: accessToken,
-      refresh_token: newRefreshToken,
+      token: rotated.accessToken,
+      refresh_token: rotated.refreshToken,
       expires_in: 3600 // 1 hour
     });
 
   } catch (err) {
-    if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+    if (['INVALID_TOKEN', 'TOKEN_REVOKED', 'TOKEN_REUSED'].includes(err.code)) {
+      if (err.code === 'TOKEN_REUSED') {
+        disconnectSessions(err.userId, [err.familyId]);
+      }
       return res.status(401).json({
         error: {
           code: 'UNAUTHORIZED',
-          message: 'Invalid or expired refresh token'
+          message: err.message
         }
       });
     }
@@ -373,10 +387,435 @@ const refresh = async (req, res) => {
   }
 };
 
+/**
+ * Log out: revoke the login the access token belongs to
+ */
+const logout = async (req, res) => {
+  try {
+    if (!req.user.sessionId) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Token is not bound to a login; sign in again or use logout-all'
+        }
+      });
+    }
+
+    await authTokenService.revoke(req.user.sessionId, 'logout');
+    disconnectSessions(req.user.id, [req.user.sessionId]);
+
+    winston.info(`User logged out: ${req.user.username} (${req.user.id})`);
+
+    res.json({ success: true });
+
+  } catch (err) {
+    winston.error('Logout error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Logout failed'
+      }
+    });
+  }
+};
+
+/**
+ * Sign out everywhere: revoke every login of the user
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await authTokenService.revokeAll(req.user.id, 'logout_all');
+    disconnectSessions(req.user.id);
+
+    winston.info(`User signed out everywhere: ${req.user.username} (${req.user.id}), ${revoked.length} logins revoked`);
+
+    res.json({
+      success: true,
+      revoked_sessions: revoked.length
+    });
+
+  } catch (err) {
+    winston.error('Logout-all error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Logout failed'
+      }
+    });
+  }
+};
+
+/**
+ * Active logins of the current user, with the account's synced devices
+ */
+const listSessions = async (req, res) => {
+  try {
+    const { sessions, devices } = await authTokenService.listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      })),
+      devices
+    });
+
+  } catch (err) {
+    winston.error('Session list error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to fetch sessions'
+      }
+    });
+  }
+};
+
+/**
+ * Revoke session validation
+ */
+const revokeSessionValidation = [
+  param('id').isUUID().withMessage('Invalid session ID')
+];
+
+/**
+ * Revoke one of the current user's logins, e.g. one left behind on a shared console
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Validation failed',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    const revoked = await authTokenService.revoke(id, 'revoked', req.user.id);
+    if (!revoked) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Session not found'
+        }
+      });
+    }
+
+    disconnectSessions(req.user.id, [id]);
+    winston.info(`User ${req.user.username} (${req.user.id}) revoked login ${id}`);
+
+    res.json({
+      success: true,
+      revoked_session: id,
+      current: id === req.user.sessionId
+    });
+
+  } catch (err) {
+    winston.error('Session revoke error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to revoke session'
+      }
+    });
+  }
+};
+
+/**
+ * Email verification validation (token in the body, or in the query for mailed links)
+ */
+const verifyEmailValidation = [
+  oneOf([
+    body('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+    query('token').isHexadecimal().isLength({ min: 64, max: 64 })
+  ], { message: 'Valid verification token required' })
+];
+
+/**
+ * Confirm an email address with a mailed token
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Validation failed',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { userId, email } = await accountTokenService.consume(req.body?.token || req.query.token, PURPOSES.VERIFY_EMAIL);
+
+    // Only the address the token was mailed to is verified
+    const { data: updated, error: updateError } = await supabase
+      .from('users')
+      .update({ email_verified: true, email_verified_at: new Date().toISOString() })
+      .eq('id', userId)
+      .eq('email', email)
+      .select('id, email');
+
+    if (updateError) {
+      throw updateError;
+    }
+    if (!updated || updated.length === 0) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'The email address of the account has changed; request a new verification email'
+        }
+      });
+    }
+
+    winston.info(`Email verified for user ${userId}`);
+
+    res.json({
+      success: true,
+      email: updated[0].email,
+      email_verified: true
+    });
+
+  } catch (err) {
+    if (err.code === 'INVALID_TOKEN') {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired verification token'
+        }
+      });
+    }
+
+    winston.error('Email verification error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Email verification failed'
+      }
+    });
+  }
+};
+
+/**
+ * Send the current user a new verification email
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, email, email_verified')
+      .eq('id', req.user.id)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    if (user.email_verified) {
+      return res.status(409).json({
+        error: {
+          code: 'CONFLICT',
+          message: 'Email is already verified'
+        }
+      });
+    }
+
+    const sent = await accountTokenService.sendVerification(user);
+    if (!sent) {
+      return res.status(429).json({
+        error: {
+          code: 'RATE_LIMIT_EXCEEDED',
+          message: 'A verification email was sent recently; try again in a minute'
+        }
+      });
+    }
+
+    res.json({ success: true });
+
+  } catch (err) {
+    winston.error('Resend verification error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to send verification email'
+      }
+    });
+  }
+};
+
+/**
+ * Forgot password validation
+ */
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email required')
+];
+
+/**
+ * Mail a password reset code
+ * Always answers the same way, so it cannot be used to find out which emails have accounts.
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Validation failed',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, email, is_active')
+      .eq('email', req.body.email)
+      .maybeSingle();
+
+    if (userError) {
+      throw userError;
+    }
+
+    if (user && user.is_active) {
+      // Not awaited: neither the time the mail takes nor a failure to send it
+      // may reveal that the account exists
+      accountTokenService.sendPasswordReset(user).catch(mailError => {
+        winston.error(`Failed to send password reset email to user ${user.id}:`, mailError);
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'If an account uses that email, a password reset code has been sent to it'
+    });
+
+  } catch (err) {
+    winston.error('Forgot password error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to send password reset email'
+      }
+    });
+  }
+};
+
+/**
+ * Reset password validation
+ */
+const resetPasswordValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Valid reset token required'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+];
+
+/**
+ * Set a new password with a mailed reset token, signing the account out everywhere
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Validation failed',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { userId, email } = await accountTokenService.consume(req.body.token, PURPOSES.RESET_PASSWORD);
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, username, email, email_verified')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      throw userError || new Error(`User ${userId} not found`);
+    }
+
+    const saltRounds = 12;
+    const update = { password_hash: await bcrypt.hash(req.body.password, saltRounds) };
+    // Receiving the reset code proves the address works
+    if (!user.email_verified && user.email === email) {
+      update.email_verified = true;
+      update.email_verified_at = new Date().toISOString();
+    }
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update(update)
+      .eq('id', userId);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    const revoked = await authTokenService.revokeAll(userId, 'password_reset');
+    disconnectSessions(userId);
+
+    winston.info(`Password reset for user: ${user.username} (${userId}), ${revoked.length} logins revoked`);
+
+    res.json({ success: true });
+
+  } catch (err) {
+    if (err.code === 'INVALID_TOKEN') {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired reset token'
+        }
+      });
+    }
+
+    winston.error('Password reset error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Password reset failed'
+      }
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   refresh,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   registerValidation,
-  loginValidation
+  loginValidation,
+  revokeSessionValidation,
+  verifyEmailValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation
 };
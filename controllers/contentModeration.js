@@ -0,0 +1,105 @@
+/**
+ * Content Moderation Controller
+ * Player-entered text submitted by the game for review, and the moderator
+ * decisions the game polls for
+ */
+
+const winston = require('winston');
+const contentModerationService = require('../services/contentModerationService');
+
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_SUBMISSION: 400,
+  SUBMISSION_NOT_FOUND: 404,
+  ALREADY_DECIDED: 409
+};
+
+function sendError(res, err, fallbackMessage) {
+  const status = ERROR_STATUS[err.code];
+  if (!status) {
+    winston.error(`${fallbackMessage}:`, err);
+    return res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: fallbackMessage
+      }
+    });
+  }
+  return res.status(status).json({ error: { code: err.code, message: err.message } });
+}
+
+/**
+ * Submission as the game sees it
+ */
+function formatDecision(submission) {
+  return {
+    approved: submission.status === 'approved',
+    pending: submission.status === 'pending',
+    moderation_id: submission.id,
+    moderation_status: submission.status
+  };
+}
+
+/**
+ * Submit player text for moderation
+ * POST /infinity/moderation/v1
+ */
+const submitContent = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const submission = await contentModerationService.submit(req.user?.id, {
+      fields: body,
+      contentType: body.content_type || body.type,
+      platform: body.platform || req.query.platform
+    });
+
+    if (submission.filter_matches.length > 0) {
+      winston.info(`Moderation: rejected ${submission.content_type} ${submission.id} by filter (${submission.filter_matches.join(', ')})`);
+    }
+
+    res.status(submission.status === 'pending' ? 202 : 200).json(formatDecision(submission));
+  } catch (err) {
+    sendError(res, err, 'Failed to submit content for moderation');
+  }
+};
+
+/**
+ * Poll the decision on a submission
+ * GET /infinity/moderation/v1/:moderationId
+ */
+const getContentDecision = async (req, res) => {
+  try {
+    const submission = await contentModerationService.getSubmission(req.params.moderationId);
+    res.json(formatDecision(submission));
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch moderation decision');
+  }
+};
+
+/**
+ * Approve or reject a pending submission
+ * PUT /api/v1/admin/moderation/:id/status { status: approved|rejected, moderator_notes? }
+ */
+const decideContent = async (req, res) => {
+  try {
+    const { status, moderator_notes } = req.body;
+    const submission = await contentModerationService.decide(req.params.id, status, moderator_notes, req.user.id);
+
+    winston.info(`Moderation: ${submission.content_type} ${submission.id} ${status} by ${req.user.username}`);
+
+    res.json({
+      id: submission.id,
+      status: submission.status,
+      updated_at: submission.decided_at,
+      message: `Submission ${submission.status} successfully`
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to update submission status');
+  }
+};
+
+module.exports = {
+  submitContent,
+  getContentDecision,
+  decideContent
+};
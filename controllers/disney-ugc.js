@@ -10,6 +10,8 @@ const { supabase } = require('../config/database');
 const { validationResult } = require('express-validator');
 const winston = require('winston');
 const achievementService = require('../services/achievementService');
+const storage = require('../services/storage');
+const screenshotService = require('../services/screenshotService');
 
 /**
  * Convert string status to Disney numeric code
@@ -70,6 +72,7 @@ function formatToyboxDisney(toybox, includeExtras = true) {
     if (toybox.unique_objects) formatted.unique_objects = toybox.unique_objects;
     if (toybox.playsets) formatted.playsets = toybox.playsets;
     if (toybox.required_playsets_size) formatted.required_playsets_size = toybox.required_playsets_size;
+    if (toybox.manifest_source) formatted.manifest_source = toybox.manifest_source;
     
     // Add creator username if available
     if (toybox.creator_username) {
@@ -307,14 +310,22 @@ async function searchToyboxes(req, res) {
 
 /**
  * Get screenshot
+ * ?size=full (default) | medium | thumbnail
  */
 async function getScreenshot(req, res) {
   try {
     const { id } = req.params;
 
+    let size;
+    try {
+      size = screenshotService.parseSize(req.query.size);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
     const { data: toybox, error } = await supabase
       .from('toyboxes')
-      .select('screenshot, screenshot_metadata')
+      .select('screenshot, screenshot_metadata, screenshot_renditions')
       .eq('id', id)
       .eq('_status', 4)
       .single();
@@ -324,12 +335,14 @@ async function getScreenshot(req, res) {
     }
 
     // Download from storage
-    const { data, error: storageError } = await supabase.storage
-      .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-      .download(toybox.screenshot);
-
-    if (storageError) {
+    let data;
+    try {
+      data = await storage.get(screenshotService.pathFor(toybox, size));
+    } catch (storageError) {
       winston.error('Screenshot download error:', storageError);
+      if (storageError.code === 'STORAGE_NOT_FOUND') {
+        return res.status(404).json({ error: 'Screenshot not found' });
+      }
       return res.status(500).json({ error: 'Screenshot download failed' });
     }
 
@@ -340,9 +353,7 @@ async function getScreenshot(req, res) {
     }
 
     // Send image
-    data.arrayBuffer().then(buffer => {
-      res.send(Buffer.from(buffer));
-    });
+    res.send(data);
 
   } catch (err) {
     winston.error('Screenshot error:', err);
@@ -402,7 +413,9 @@ async function likeToybox(req, res) {
 }
 
 /**
- * Get object counts
+ * Get object counts: { "<object id>": count }
+ * Read from the file by services/toyboxParser.js when it parsed, otherwise as
+ * reported by the uploader; X-Manifest-Source says which (file, client or unknown).
  */
 async function getObjectCounts(req, res) {
   try {
@@ -410,7 +423,7 @@ async function getObjectCounts(req, res) {
 
     const { data: toybox, error } = await supabase
       .from('toyboxes')
-      .select('object_counts, _status')
+      .select('object_counts, manifest_source, _status, creator_id')
       .eq('id', id)
       .single();
 
@@ -423,6 +436,7 @@ async function getObjectCounts(req, res) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    res.set('X-Manifest-Source', toybox.manifest_source || 'unknown');
     res.json(toybox.object_counts || {});
 
   } catch (err) {
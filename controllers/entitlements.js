@@ -0,0 +1,164 @@
+/**
+ * Entitlements Controller
+ * Admin management of the entitlement catalogue and grants, and the
+ * game-facing /infinity/entitlement/ feed
+ */
+
+const winston = require('winston');
+const entitlementService = require('../services/entitlementService');
+
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  ENTITLEMENT_NOT_FOUND: 404,
+  GRANT_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  ENTITLEMENT_EXISTS: 409,
+  ALREADY_GRANTED: 409
+};
+
+function sendError(res, err, fallbackMessage) {
+  const status = ERROR_STATUS[err.code];
+  if (!status) {
+    winston.error(`${fallbackMessage}:`, err);
+    return res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: fallbackMessage
+      }
+    });
+  }
+  return res.status(status).json({ error: { code: err.code, message: err.message } });
+}
+
+/**
+ * List the catalogue
+ * GET /api/v1/admin/entitlements
+ */
+const listEntitlements = async (req, res) => {
+  try {
+    const entitlements = await entitlementService.listCatalogue();
+    res.json({ entitlements, count: entitlements.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch entitlements');
+  }
+};
+
+/**
+ * Add a catalogue entry
+ * POST /api/v1/admin/entitlements
+ */
+const createEntitlement = async (req, res) => {
+  try {
+    const entitlement = await entitlementService.createEntitlement(req.body, req.user.id);
+    winston.info(`Entitlement created: ${entitlement.id} by ${req.user.username}`);
+    res.status(201).json(entitlement);
+  } catch (err) {
+    sendError(res, err, 'Failed to create entitlement');
+  }
+};
+
+/**
+ * Update a catalogue entry
+ * PUT /api/v1/admin/entitlements/:id
+ */
+const updateEntitlement = async (req, res) => {
+  try {
+    const entitlement = await entitlementService.updateEntitlement(req.params.id, req.body, req.user.id);
+    winston.info(`Entitlement updated: ${entitlement.id} by ${req.user.username}`);
+    res.json(entitlement);
+  } catch (err) {
+    sendError(res, err, 'Failed to update entitlement');
+  }
+};
+
+/**
+ * List grants
+ * GET /api/v1/admin/entitlements/grants?entitlement_id=&scope=&platform=&user_id=&include_revoked=true
+ */
+const listGrants = async (req, res) => {
+  try {
+    const grants = await entitlementService.listGrants({
+      ...req.query,
+      include_revoked: req.query.include_revoked === 'true'
+    });
+    res.json({ grants, count: grants.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch entitlement grants');
+  }
+};
+
+/**
+ * Grant an entitlement
+ * POST /api/v1/admin/entitlements/grants
+ * { entitlement_id, scope: server|platform|user, platform?, user_id?, starts_at?, ends_at?, reason? }
+ */
+const grantEntitlement = async (req, res) => {
+  try {
+    const grant = await entitlementService.grant(req.body, req.user.id);
+    winston.info(`Entitlement granted: ${grant.entitlement_id} (${grant.scope}) by ${req.user.username}`);
+    res.status(201).json(grant);
+  } catch (err) {
+    sendError(res, err, 'Failed to grant entitlement');
+  }
+};
+
+/**
+ * Revoke a grant
+ * DELETE /api/v1/admin/entitlements/grants/:grantId { reason? }
+ */
+const revokeEntitlement = async (req, res) => {
+  try {
+    const grant = await entitlementService.revoke(req.params.grantId, req.body?.reason, req.user.id);
+    winston.info(`Entitlement revoked: ${grant.entitlement_id} (${grant.scope}) by ${req.user.username}`);
+    res.json(grant);
+  } catch (err) {
+    sendError(res, err, 'Failed to revoke entitlement');
+  }
+};
+
+/**
+ * Audit trail of catalogue changes, grants and revokes
+ * GET /api/v1/admin/entitlements/audit?entitlement_id=&user_id=&limit=&offset=
+ */
+const getEntitlementAudit = async (req, res) => {
+  try {
+    const entries = await entitlementService.getAuditLog(req.query);
+    res.json({ audit: entries, count: entries.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch entitlement audit log');
+  }
+};
+
+/**
+ * Entitlements unlocked for the requesting player
+ * GET /infinity/entitlement/:version/:platform
+ * Guests receive server-wide and platform grants only.
+ */
+const getInfinityEntitlements = async (req, res) => {
+  try {
+    const entitlements = await entitlementService.getEffectiveEntitlements(req.params.platform, req.user?.id || null);
+    res.json({
+      status: 0,
+      timestamp: Math.floor(Date.now() / 1000),
+      entitlements: entitlements.map(entitlement => ({
+        id: entitlement.id,
+        type: entitlement.type,
+        name: entitlement.name,
+        granted_at: Math.floor(new Date(entitlement.granted_at).getTime() / 1000)
+      }))
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch entitlements');
+  }
+};
+
+module.exports = {
+  listEntitlements,
+  createEntitlement,
+  updateEntitlement,
+  listGrants,
+  grantEntitlement,
+  revokeEntitlement,
+  getEntitlementAudit,
+  getInfinityEntitlements
+};
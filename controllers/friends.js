@@ -1,4 +1,4 @@
-const { supabase } = require('../config/database');
+const { supabase, transaction } = require('../config/database');
 const { body, validationResult } = require('express-validator');
 const winston = require('winston');
 const { sendNotificationToUser } = require('../socket');
@@ -454,11 +454,11 @@ const getPendingRequests = async (req, res) => {
     }
 
     // Transform the data to match expected format
-    const formattedRequests = requests.map(request => ({
+    const formattedRequests = pendingRequests.map(request => ({
       id: request.id,
       sender: {
         id: request.sender_id,
-        username: request.sender_username
+        username: request.users?.username
       },
       message: request.message,
       created_at: request.created_at
@@ -0,0 +1,77 @@
+/**
+ * Leaderboard Controller
+ * Game-facing leaderboards (/infinity/leaderboard/:version/:platform/)
+ */
+
+const winston = require('winston');
+const leaderboardService = require('../services/leaderboardService');
+
+/**
+ * "all" (or nothing) means no filter
+ */
+function readFilter(value) {
+  return value && value !== 'all' ? String(value) : null;
+}
+
+/**
+ * Get a leaderboard page
+ * GET /infinity/leaderboard/:version/:platform/
+ *   ?board=total_score|high_score|matches_played|fastest_time
+ *   &mode=<game mode>&platform=<platform>|all&offset=0&limit=50
+ * Boards cover the platform in the URL (the one the game's config hands it);
+ * ?platform= picks another, and ?platform=all spans every platform.
+ */
+const getInfinityLeaderboard = async (req, res) => {
+  try {
+    const result = await leaderboardService.getBoard({
+      board: req.query.board || req.query.board_id || undefined,
+      gameMode: readFilter(req.query.mode || req.query.game_mode),
+      platform: readFilter(req.query.platform || req.params.platform),
+      limit: req.query.limit,
+      offset: req.query.offset,
+      userId: req.user?.id || null
+    });
+
+    res.json({
+      status: 0,
+      timestamp: Math.floor(Date.now() / 1000),
+      board_id: result.board.id,
+      board_name: result.board.name,
+      sort: result.board.order,
+      total: result.total,
+      offset: result.offset,
+      limit: result.limit,
+      leaderboard: result.entries.map(entry => ({
+        rank: entry.rank,
+        user_id: entry.user_id,
+        username: entry.username,
+        score: entry.value,
+        matches: entry.matches
+      })),
+      player: result.player
+        ? { rank: result.player.rank, score: result.player.value, matches: result.player.matches }
+        : null
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_BOARD') {
+      return res.status(400).json({
+        error: {
+          code: err.code,
+          message: err.message,
+          boards: leaderboardService.boards
+        }
+      });
+    }
+    winston.error('Game leaderboard error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to get leaderboard'
+      }
+    });
+  }
+};
+
+module.exports = {
+  getInfinityLeaderboard
+};
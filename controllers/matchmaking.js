@@ -248,6 +248,25 @@ const getMatchmakingStatus = async (req, res) => {
     }
 
     if (!result || result.length === 0) {
+      // Players matched by someone else's join only find out by polling
+      const { data: matched } = await supabase
+        .from('session_players')
+        .select('session_id, joined_at, game_sessions!inner(status, game_mode)')
+        .eq('user_id', userId)
+        .eq('player_status', 'joined')
+        .in('game_sessions.status', ['waiting', 'active'])
+        .order('joined_at', { ascending: false })
+        .limit(1);
+
+      if (matched && matched.length > 0) {
+        return res.json({
+          in_queue: false,
+          status: 'matched',
+          session_id: matched[0].session_id,
+          game_mode: matched[0].game_sessions?.game_mode
+        });
+      }
+
       return res.json({
         in_queue: false,
         status: 'not_queued'
@@ -484,7 +503,7 @@ async function findMatch(userId, gameMode, region, skillLevel, maxPlayers) {
 
     if (queuedPlayers.length >= maxPlayers - 1) {
       // Enough players for a match! Create new session
-      const players = [userId, ...queuedPlayers.rows.map(p => p.user_id)];
+      const players = [userId, ...queuedPlayers.map(p => p.user_id)];
 
       return {
         hostUserId: userId,
@@ -493,8 +512,8 @@ async function findMatch(userId, gameMode, region, skillLevel, maxPlayers) {
     }
 
     // Create a new waiting session if we have at least 2 players (including ourselves)
-    if (queuedPlayers.rows.length >= 1) {
-      const players = [userId, ...queuedPlayers.rows.slice(0, maxPlayers - 1).map(p => p.user_id)];
+    if (queuedPlayers.length >= 1) {
+      const players = [userId, ...queuedPlayers.slice(0, maxPlayers - 1).map(p => p.user_id)];
 
       return {
         hostUserId: userId,
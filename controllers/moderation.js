@@ -0,0 +1,190 @@
+/**
+ * Moderation Controller
+ * Player report intake from the game, and moderator handling of the
+ * resulting cases and sanctions
+ */
+
+const winston = require('winston');
+const moderationService = require('../services/moderationService');
+
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_REPORT: 400,
+  TARGET_NOT_FOUND: 404,
+  CASE_NOT_FOUND: 404,
+  SANCTION_NOT_FOUND: 404,
+  CASE_CLOSED: 409
+};
+
+// Field names the game (and older clients) use for each part of a report
+const REPORT_FIELDS = {
+  target: ['target_user_id', 'reported_user_id', 'reportee_id', 'target_id', 'target', 'reported_username', 'target_name'],
+  reason: ['reason', 'category', 'report_type'],
+  comment: ['comment', 'description', 'message', 'details'],
+  sessionId: ['session_id', 'sessionId', 'game_session_id'],
+  platform: ['platform']
+};
+
+function sendError(res, err, fallbackMessage) {
+  const status = ERROR_STATUS[err.code];
+  if (!status) {
+    winston.error(`${fallbackMessage}:`, err);
+    return res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: fallbackMessage
+      }
+    });
+  }
+  return res.status(status).json({ error: { code: err.code, message: err.message } });
+}
+
+/**
+ * Pick report fields out of the game's payload; anything else is kept as context
+ */
+function readReport(body, query) {
+  const source = { ...query, ...body };
+  const report = { context: {} };
+  const used = new Set();
+
+  for (const [field, names] of Object.entries(REPORT_FIELDS)) {
+    const name = names.find(candidate => source[candidate] !== undefined && source[candidate] !== '');
+    if (name) {
+      report[field] = String(source[name]);
+      used.add(name);
+    }
+  }
+
+  for (const [key, value] of Object.entries(source)) {
+    if (!used.has(key) && Object.keys(report.context).length < 20) {
+      report.context[key] = value;
+    }
+  }
+  return report;
+}
+
+/**
+ * Receive a player report from the game
+ * POST /gxtools/report/v2/queue (advertised as url_social_report_player)
+ */
+const submitPlayerReport = async (req, res) => {
+  try {
+    const report = readReport(req.body || {}, req.query);
+    const result = await moderationService.submitReport(req.user.id, report);
+
+    winston.info(`Player report ${result.duplicate ? '(duplicate) ' : ''}from ${req.user.username}: case ${result.case_id}`);
+
+    res.status(result.duplicate ? 200 : 201).json({
+      status: 0,
+      timestamp: Math.floor(Date.now() / 1000),
+      ...result
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to submit report');
+  }
+};
+
+/**
+ * List moderation cases
+ * GET /api/v1/admin/cases?status=open,triaged&category=&priority=&target_user_id=&limit=&offset=
+ */
+const listCases = async (req, res) => {
+  try {
+    const { cases, total } = await moderationService.listCases(req.query);
+    res.json({ cases, total });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch cases');
+  }
+};
+
+/**
+ * Case details with reports, history and sanctions
+ * GET /api/v1/admin/cases/:id
+ */
+const getCase = async (req, res) => {
+  try {
+    res.json(await moderationService.getCase(req.params.id));
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch case');
+  }
+};
+
+/**
+ * Triage a case
+ * PUT /api/v1/admin/cases/:id/triage { priority?, assigned_to?, note? }
+ */
+const triageCase = async (req, res) => {
+  try {
+    const updated = await moderationService.triageCase(req.params.id, req.body, req.user.id);
+    winston.info(`Case ${updated.id} triaged by ${req.user.username}`);
+    res.json(updated);
+  } catch (err) {
+    sendError(res, err, 'Failed to triage case');
+  }
+};
+
+/**
+ * Resolve or dismiss a case
+ * POST /api/v1/admin/cases/:id/resolve { outcome: resolved|dismissed, resolution? }
+ */
+const resolveCase = async (req, res) => {
+  try {
+    const updated = await moderationService.resolveCase(req.params.id, req.body, req.user.id);
+    winston.info(`Case ${updated.id} ${updated.status} by ${req.user.username}`);
+    res.json(updated);
+  } catch (err) {
+    sendError(res, err, 'Failed to resolve case');
+  }
+};
+
+/**
+ * Sanction the reported player of a case
+ * POST /api/v1/admin/cases/:id/sanctions { type: warning|mute|suspension|ban, duration_hours?, reason? }
+ */
+const sanctionCase = async (req, res) => {
+  try {
+    const sanction = await moderationService.sanctionCase(req.params.id, req.body, req.user.id);
+    winston.info(`Sanction ${sanction.type} issued to ${sanction.user_id} (case ${req.params.id}) by ${req.user.username}`);
+    res.status(201).json(sanction);
+  } catch (err) {
+    sendError(res, err, 'Failed to apply sanction');
+  }
+};
+
+/**
+ * Lift a sanction
+ * DELETE /api/v1/admin/sanctions/:id { reason? }
+ */
+const liftSanction = async (req, res) => {
+  try {
+    const sanction = await moderationService.liftSanction(req.params.id, req.body?.reason, req.user.id);
+    winston.info(`Sanction ${sanction.id} lifted by ${req.user.username}`);
+    res.json(sanction);
+  } catch (err) {
+    sendError(res, err, 'Failed to lift sanction');
+  }
+};
+
+/**
+ * A player's sanction history
+ * GET /api/v1/admin/users/:userId/sanctions
+ */
+const getUserSanctions = async (req, res) => {
+  try {
+    const sanctions = await moderationService.listUserSanctions(req.params.userId);
+    res.json({ sanctions, count: sanctions.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch sanctions');
+  }
+};
+
+module.exports = {
+  submitPlayerReport,
+  listCases,
+  getCase,
+  triageCase,
+  resolveCase,
+  sanctionCase,
+  liftSanction,
+  getUserSanctions
+};
@@ -1,11 +1,38 @@
+const net = require('net');
 const { supabase } = require('../config/database');
 const { body, validationResult } = require('express-validator');
 const winston = require('winston');
+const { DEFAULT_PORT: STUN_DEFAULT_PORT } = require('../services/stun');
+const turnCredentialService = require('../services/turnCredentialService');
+const { getRelayServer } = require('../services/relay');
+const { getProbeServer } = require('../services/probe');
 
 /**
  * Networking controller for NAT traversal and P2P connections
  */
 
+// Public STUN servers, used when the bundled responder is not enabled
+const PUBLIC_STUN_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+  { urls: 'stun:stun2.l.google.com:19302' },
+  { urls: 'stun:stun3.l.google.com:19302' },
+  { urls: 'stun:stun4.l.google.com:19302' }
+];
+
+/**
+ * STUN servers to hand out: this server's own responder when STUN_ENABLED=true
+ * (at STUN_PUBLIC_HOST, or the host the client reached the API on), else the public ones
+ */
+function getStunServers(req) {
+  if (process.env.STUN_ENABLED !== 'true') {
+    return PUBLIC_STUN_SERVERS;
+  }
+  const host = process.env.STUN_PUBLIC_HOST || req.hostname;
+  const port = parseInt(process.env.STUN_PORT) || STUN_DEFAULT_PORT;
+  return [{ urls: `stun:${net.isIPv6(host) ? `[${host}]` : host}:${port}` }];
+}
+
 /**
  * Get STUN/TURN server configuration
  */
@@ -13,53 +40,42 @@ const getIceServers = async (req, res) => {
   try {
     const userId = req.user ? req.user.id : null;
 
-    // Default public STUN servers (Google's and others)
-    const stunServers = [
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' },
-      { urls: 'stun:stun2.l.google.com:19302' },
-      { urls: 'stun:stun3.l.google.com:19302' },
-      { urls: 'stun:stun4.l.google.com:19302' }
-    ];
-
-    // TURN servers (these would typically be configured per deployment)
-    const turnServers = [];
+    const stunServers = getStunServers(req);
 
-    // Check if user has a session with TURN credentials
-    let turnCredentials = null;
+    // The user's current session, which decides the TURN region and credential lifetime
+    let session = null;
     if (userId) {
       const { data: sessionData, error: sessionError } = await supabase
         .from('session_players')
         .select(`
           game_sessions!inner (
-            session_data
+            id,
+            status,
+            region,
+            created_at,
+            started_at
           )
         `)
         .eq('user_id', userId)
         .in('game_sessions.status', ['waiting', 'active'])
-        .order('game_sessions.created_at', { ascending: false })
-        .limit(1)
-        .single();
+        .order('joined_at', { ascending: false })
+        .limit(1);
 
-      if (!sessionError && sessionData) {
-        const sessionInfo = sessionData.game_sessions?.session_data || {};
-        turnCredentials = sessionInfo.turnCredentials;
+      if (!sessionError && sessionData && sessionData.length > 0) {
+        session = sessionData[0].game_sessions;
       }
     }
 
-    // If we have TURN credentials for the user's session, include them
-    if (turnCredentials) {
-      turnServers.push({
-        urls: turnCredentials.urls || ['turn:turn.example.com:3478'],
-        username: turnCredentials.username,
-        credential: turnCredentials.credential
-      });
-    }
+    // Anonymous callers get STUN only; relay credentials are issued per user
+    const turn = userId
+      ? turnCredentialService.issue(userId, session)
+      : { iceServers: [], expiresAt: null };
 
-    const iceServers = [...stunServers, ...turnServers];
+    const iceServers = [...stunServers, ...turn.iceServers];
 
     res.json({
       iceServers: iceServers,
+      expiresAt: turn.expiresAt,
       timestamp: new Date().toISOString()
     });
 
@@ -362,9 +378,54 @@ const testConnectivityValidation = [
     .withMessage('Valid target user ID required'),
   body('sessionId')
     .isUUID()
-    .withMessage('Valid session ID required')
+    .withMessage('Valid session ID required'),
+  body('probeId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid probe ID required'),
+  body('publicPort')
+    .optional()
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Public port must be 1-65535')
 ];
 
+/**
+ * connection_quality for a probe measurement
+ */
+function probeQuality({ rttMs, packetLossPercent }) {
+  if (rttMs === null) return 'unusable';
+  if (rttMs < 50 && packetLossPercent <= 1) return 'excellent';
+  if (rttMs < 100 && packetLossPercent <= 3) return 'good';
+  if (rttMs < 200 && packetLossPercent <= 10) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Store a finished probe with the NAT type the player reported
+ */
+async function recordProbeResult({ userId, sessionId, networkInfo, result }) {
+  const { error } = await supabase
+    .from('network_quality')
+    .insert([{
+      user_id: userId,
+      session_id: sessionId,
+      ping_ms: result.rttMs === null ? null : Math.round(result.rttMs),
+      jitter_ms: result.jitterMs === null ? null : Math.round(result.jitterMs),
+      packet_loss_percent: result.packetLossPercent,
+      connection_type: 'probe',
+      nat_type: networkInfo.natType || 'unknown',
+      public_ip: result.observedIp,
+      local_ip: networkInfo.localIp || null,
+      port_reachable: result.portReachable,
+      connection_quality: probeQuality(result),
+      recorded_at: new Date().toISOString()
+    }]);
+
+  if (error) {
+    throw error;
+  }
+}
+
 const testConnectivity = async (req, res) => {
   try {
     // Check validation errors
@@ -380,7 +441,7 @@ const testConnectivity = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const { targetUserId, sessionId } = req.body;
+    const { targetUserId, sessionId, probeId, publicPort } = req.body;
 
     // Verify both users are in the same session
     const { data: sessionPlayers, error: sessionError } = await supabase
@@ -423,6 +484,56 @@ const testConnectivity = async (req, res) => {
       userNetworks[row.user_id] = row.network_info || {};
     });
 
+    // Collect a probe started by an earlier call, or start one for the client to run
+    const probeServer = getProbeServer();
+    let probe = null;
+    if (probeId) {
+      const outcome = probeServer ? await probeServer.waitForResult(probeId, userId) : null;
+      if (!outcome) {
+        return res.status(404).json({
+          error: {
+            code: 'PROBE_NOT_FOUND',
+            message: 'Connectivity probe not found or expired'
+          }
+        });
+      }
+      probe = { probe_id: probeId, status: outcome.status, result: outcome.result };
+      // A probe can be collected again until it is dropped; store its result once
+      if (outcome.result && probeServer.claimResult(probeId)) {
+        await recordProbeResult({ userId, sessionId, networkInfo: userNetworks[userId] || {}, result: outcome.result });
+      }
+    } else if (probeServer) {
+      const created = probeServer.createProbe({ userId, reachPort: publicPort ? parseInt(publicPort) : null });
+      probe = {
+        probe_id: created.probeId,
+        status: 'waiting',
+        host: process.env.PROBE_PUBLIC_HOST || req.hostname,
+        port: created.port,
+        token: created.token,
+        packets: created.packets,
+        interval_ms: created.intervalMs,
+        expires_in_ms: created.expiresInMs
+      };
+    }
+
+    // Latest server-side measurements of both players in this session
+    const { data: probeRows, error: probeError } = await supabase
+      .from('network_quality')
+      .select('user_id, ping_ms, jitter_ms, packet_loss_percent, port_reachable, nat_type, public_ip, recorded_at')
+      .eq('session_id', sessionId)
+      .eq('connection_type', 'probe')
+      .in('user_id', [userId, targetUserId])
+      .order('recorded_at', { ascending: false })
+      .limit(20);
+
+    if (probeError) {
+      winston.error('Failed to get probe measurements:', probeError);
+    }
+    const measurements = {
+      [userId]: (probeRows || []).find(row => row.user_id === userId) || null,
+      [targetUserId]: (probeRows || []).find(row => row.user_id === targetUserId) || null
+    };
+
     // Determine connectivity prediction based on NAT types
     const userNat = userNetworks[userId]?.natType || 'unknown';
     const targetNat = userNetworks[targetUserId]?.natType || 'unknown';
@@ -444,6 +555,24 @@ const testConnectivity = async (req, res) => {
       confidence = 'medium';
     }
 
+    // Measurements outweigh the reported NAT types
+    const measured = Object.values(measurements).filter(Boolean);
+    if (measured.some(m => m.ping_ms === null)) {
+      // No echo came back at all: that player is unreachable over UDP
+      connectivityPrediction = 'unlikely_direct';
+      confidence = 'high';
+    } else if (measured.some(m => m.port_reachable)) {
+      // One side accepts unsolicited inbound packets, so the other can connect to it
+      connectivityPrediction = 'likely_successful';
+      confidence = 'high';
+    } else if (measured.length === 2) {
+      if (connectivityPrediction === 'likely_successful') {
+        connectivityPrediction = 'may_require_turn';
+      }
+      // null: the REACH came from the probe's own address, so the port may still be open
+      confidence = measured.some(m => m.port_reachable === null) ? 'medium' : 'high';
+    }
+
     res.json({
       session_id: sessionId,
       from_user: userId,
@@ -454,9 +583,9 @@ const testConnectivity = async (req, res) => {
         [userId]: userNat,
         [targetUserId]: targetNat
       },
-      recommended_ice_servers: [
-        'stun:stun.l.google.com:19302'
-      ],
+      measurements,
+      probe,
+      recommended_ice_servers: getStunServers(req).map(server => server.urls),
       timestamp: new Date().toISOString()
     });
 
@@ -482,7 +611,7 @@ const reportConnectionResultValidation = [
     .isUUID()
     .withMessage('Valid session ID required'),
   body('connectionType')
-    .isIn(['direct', 'stun', 'turn', 'failed'])
+    .isIn(['direct', 'stun', 'turn', 'relay', 'failed'])
     .withMessage('Invalid connection type'),
   body('success')
     .isBoolean()
@@ -519,6 +648,7 @@ const reportConnectionResult = async (req, res) => {
       .from('network_quality')
       .insert([{
         user_id: userId,
+        target_user_id: targetUserId,
         session_id: sessionId,
         ping_ms: latencyMs || null,
         packet_loss_percent: packetLoss || null,
@@ -934,6 +1064,98 @@ const getNetworkAnalytics = async (req, res) => {
   }
 };
 
+// How far back connection results are looked at when deciding who needs the relay
+const RELAY_RESULT_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Relay allocations for the peers a user cannot reach directly
+ * A pair needs the relay when the latest connection result either of them
+ * reported against the other, in a session that is still running, failed
+ * (or was already made through the relay).
+ */
+async function allocateRelays(req, userId) {
+  const relayServer = getRelayServer();
+  if (!relayServer) {
+    return [];
+  }
+
+  const { data: results, error: resultsError } = await supabase
+    .from('network_quality')
+    .select('user_id, target_user_id, session_id, connection_type, recorded_at')
+    .or(`user_id.eq.${userId},target_user_id.eq.${userId}`)
+    .not('target_user_id', 'is', null)
+    .not('session_id', 'is', null)
+    .gte('recorded_at', new Date(Date.now() - RELAY_RESULT_WINDOW_MS).toISOString())
+    .order('recorded_at', { ascending: false })
+    .limit(100);
+
+  if (resultsError) {
+    winston.error('Failed to get connection results for relay allocation:', resultsError);
+    return [];
+  }
+
+  // Latest result per session and peer (results are newest first)
+  const latest = new Map();
+  for (const result of results || []) {
+    const peerId = result.user_id === userId ? result.target_user_id : result.user_id;
+    const key = `${result.session_id}:${peerId}`;
+    if (!latest.has(key)) {
+      latest.set(key, { sessionId: result.session_id, peerId, connectionType: result.connection_type });
+    }
+  }
+  const failing = [...latest.values()].filter(pair => ['failed', 'relay'].includes(pair.connectionType));
+  if (failing.length === 0) {
+    return [];
+  }
+
+  // Both players must still be in the running session
+  const { data: players, error: playersError } = await supabase
+    .from('session_players')
+    .select(`
+      session_id,
+      user_id,
+      game_sessions!inner (
+        status
+      )
+    `)
+    .in('session_id', [...new Set(failing.map(pair => pair.sessionId))])
+    .in('game_sessions.status', ['waiting', 'active']);
+
+  if (playersError) {
+    winston.error('Failed to get session players for relay allocation:', playersError);
+    return [];
+  }
+  const inSession = new Set((players || []).map(player => `${player.session_id}:${player.user_id}`));
+
+  const host = process.env.RELAY_PUBLIC_HOST || req.hostname;
+  const relays = [];
+  for (const pair of failing) {
+    if (!inSession.has(`${pair.sessionId}:${userId}`) || !inSession.has(`${pair.sessionId}:${pair.peerId}`)) {
+      continue;
+    }
+    try {
+      const allocation = relayServer.allocate({ sessionId: pair.sessionId, userId, peerId: pair.peerId });
+      relays.push({
+        session_id: pair.sessionId,
+        peer_user_id: pair.peerId,
+        relay_id: allocation.relayId,
+        host,
+        port: allocation.port,
+        token: allocation.token,
+        idle_timeout_ms: allocation.idleTimeoutMs,
+        max_bytes_per_second: allocation.maxBytesPerSecond
+      });
+    } catch (err) {
+      if (err.code !== 'RELAY_FULL') {
+        throw err;
+      }
+      winston.warn(`Relay full: could not allocate for session ${pair.sessionId}`);
+      break;
+    }
+  }
+  return relays;
+}
+
 /**
  * Get network recommendations for a user
  */
@@ -966,13 +1188,24 @@ const getNetworkRecommendations = async (req, res) => {
       });
     }
 
+    const relays = await allocateRelays(req, userId);
+
     const recommendations = {
       user_id: userId,
       recommendations: [],
+      relays,
       network_health_score: 0,
       timestamp: new Date().toISOString()
     };
 
+    if (relays.length > 0) {
+      recommendations.recommendations.push({
+        type: 'action',
+        message: `Direct connection failed to ${relays.length} player(s). Connect to them through the relay.`,
+        priority: 'high'
+      });
+    }
+
     if (!userNetworkData || userNetworkData.length === 0) {
       recommendations.recommendations.push({
         type: 'info',
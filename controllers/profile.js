@@ -5,7 +5,8 @@
 
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const gameProfileService = require('../services/gameProfileService');
 
 /**
  * Get user profile
@@ -581,6 +582,142 @@ const getPublicProfile = [
   }
 ];
 
+/**
+ * Get the in-game profile
+ * GET /infinity/profile/:version/:platform/
+ * The game blob stored for this platform, merged with the web profile
+ */
+const getGameProfile = [
+  optionalAuth,
+  async (req, res) => {
+    try {
+      if (!req.user) {
+        return res.json({
+          status: 0,
+          timestamp: Math.floor(Date.now() / 1000),
+          profile: {
+            userId: 'guest',
+            username: 'Guest Player',
+            level: 1,
+            experience: 0
+          }
+        });
+      }
+
+      const platform = readGamePlatform(req);
+      if (!platform) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_PLATFORM',
+            message: 'Invalid platform'
+          }
+        });
+      }
+
+      const profile = await gameProfileService.getMergedProfile(req.user.id, platform);
+      if (!profile) {
+        return res.status(404).json({
+          error: {
+            code: 'USER_NOT_FOUND',
+            message: 'User profile not found'
+          }
+        });
+      }
+
+      res.set('ETag', `"${profile.version}"`);
+      res.json({
+        status: 0,
+        timestamp: Math.floor(Date.now() / 1000),
+        profile
+      });
+    } catch (error) {
+      console.error('Error getting game profile:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve profile'
+        }
+      });
+    }
+  }
+];
+
+/**
+ * Store the in-game profile
+ * PUT /infinity/profile/:version/:platform/
+ * Body is the profile object (or { profile: {...} }). Send the version last
+ * read as If-Match (or expected_version) to refuse overwriting a newer write.
+ */
+const updateGameProfile = [
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const platform = readGamePlatform(req);
+      if (!platform) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_PLATFORM',
+            message: 'Invalid platform'
+          }
+        });
+      }
+
+      const payload = req.body?.profile && typeof req.body.profile === 'object' ? req.body.profile : req.body;
+      const ifMatch = req.get('If-Match');
+      const expected = ifMatch ? ifMatch.replace(/^W\//, '').replace(/"/g, '') : req.body?.expected_version;
+      const expectedVersion = expected === undefined || expected === null || expected === '' ? undefined : Number(expected);
+
+      if (expectedVersion !== undefined && !Number.isInteger(expectedVersion)) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_PROFILE',
+            message: 'Expected version must be an integer'
+          }
+        });
+      }
+
+      const saved = await gameProfileService.saveProfile(req.user.id, platform, payload, { expectedVersion });
+      const profile = await gameProfileService.getMergedProfile(req.user.id, platform);
+
+      res.set('ETag', `"${saved.version}"`);
+      res.json({
+        status: 0,
+        timestamp: Math.floor(Date.now() / 1000),
+        message: 'Profile updated',
+        version: saved.version,
+        profile
+      });
+    } catch (error) {
+      const status = { INVALID_PROFILE: 400, PROFILE_CONFLICT: 409, PROFILE_TOO_LARGE: 413 }[error.code];
+      if (status) {
+        return res.status(status).json({
+          error: {
+            code: error.code,
+            message: error.message
+          },
+          ...(error.details && { current: error.details })
+        });
+      }
+
+      console.error('Error updating game profile:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update profile'
+        }
+      });
+    }
+  }
+];
+
+/**
+ * Platform segment of a game route, or null if it is not a platform name
+ */
+function readGamePlatform(req) {
+  const platform = String(req.params.platform || '').toLowerCase();
+  return /^[a-z0-9]{1,20}$/.test(platform) ? platform : null;
+}
+
 /**
  * Calculate profile completion percentage
  */
@@ -665,5 +802,7 @@ module.exports = {
   updateProfile,
   updateAvatar,
   getDetailedStats,
-  getPublicProfile
+  getPublicProfile,
+  getGameProfile,
+  updateGameProfile
 };
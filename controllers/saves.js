@@ -0,0 +1,238 @@
+/**
+ * Cloud Save Controller
+ * Handles the game's save-game endpoints (/infinity/save/:version/:platform/)
+ */
+
+const express = require('express');
+const multer = require('multer');
+const winston = require('winston');
+const saveService = require('../services/saveService');
+
+const ERROR_STATUS = {
+  INVALID_SLOT: 400,
+  INVALID_SAVE: 400,
+  INVALID_PLATFORM: 400,
+  SAVE_NOT_FOUND: 404,
+  SAVE_CONFLICT: 409,
+  SAVE_SLOT_LIMIT: 403,
+  SAVE_TOO_LARGE: 413
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: 1, fileSize: saveService.limits.maxBytes }
+});
+
+/**
+ * Body parsing for save uploads
+ * Saves can be sent as a raw application/octet-stream body, as a multipart
+ * "data" file, or as base64 in a JSON "data" field.
+ */
+const saveBody = [
+  express.raw({ type: 'application/octet-stream', limit: saveService.limits.maxBytes }),
+  upload.fields([{ name: 'data', maxCount: 1 }]),
+  (err, req, res, next) => {
+    if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, Object.assign(new Error(`Save data exceeds ${saveService.limits.maxBytes} bytes`), { code: 'SAVE_TOO_LARGE' }));
+    }
+    next(err);
+  }
+];
+
+function readSaveData(req) {
+  if (Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+  const file = req.files?.data?.[0];
+  if (file) {
+    return file.buffer;
+  }
+  if (typeof req.body?.data === 'string') {
+    return Buffer.from(req.body.data, 'base64');
+  }
+  return null;
+}
+
+/**
+ * Revision token from If-Match, or revision_token in the query or body
+ */
+function readRevisionToken(req) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    return ifMatch.replace(/^W\//, '').replace(/^"|"$/g, '');
+  }
+  return req.query.revision_token || (Buffer.isBuffer(req.body) ? undefined : req.body?.revision_token);
+}
+
+function readSlot(req) {
+  const slot = req.params.slot || req.query.slot || (Buffer.isBuffer(req.body) ? undefined : req.body?.slot) || '0';
+  return String(slot);
+}
+
+function readPlatform(req) {
+  const platform = String(req.params.platform || '').toLowerCase();
+  if (!/^[a-z0-9]{1,20}$/.test(platform)) {
+    const err = new Error('Invalid platform');
+    err.code = 'INVALID_PLATFORM';
+    throw err;
+  }
+  return platform;
+}
+
+function sendError(res, err) {
+  const status = ERROR_STATUS[err.code];
+  if (!status) {
+    winston.error('Cloud save error:', err);
+    return res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Cloud save request failed'
+      }
+    });
+  }
+
+  const body = { error: { code: err.code, message: err.message } };
+  if (err.details) {
+    body.current = err.details;
+  }
+  return res.status(status).json(body);
+}
+
+function timestamp() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * List save slots
+ * GET /infinity/save/:version/:platform/
+ */
+const listSaves = async (req, res) => {
+  try {
+    const saves = await saveService.listSlots(req.user.id, readPlatform(req));
+    res.json({ status: 0, timestamp: timestamp(), saves });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Download a save (current revision, or ?revision=N)
+ * GET /infinity/save/:version/:platform/:slot
+ */
+const getSave = async (req, res) => {
+  try {
+    const revision = req.query.revision ? parseInt(req.query.revision) : null;
+    const save = await saveService.getSave(req.user.id, readPlatform(req), readSlot(req), revision);
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'ETag': `"${save.revision_token}"`,
+      'X-Save-Revision': String(save.revision),
+      'X-Save-Checksum': save.checksum
+    });
+    res.send(save.data);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Store a new revision of a save
+ * POST /infinity/save/:version/:platform/ (slot from ?slot= or body, default "0")
+ * PUT|POST /infinity/save/:version/:platform/:slot
+ */
+const writeSave = async (req, res) => {
+  try {
+    const platform = readPlatform(req);
+    const slot = readSlot(req);
+    const data = readSaveData(req);
+
+    if (!data) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_SAVE',
+          message: 'Save data required (octet-stream body, multipart "data" file or base64 "data" field)'
+        }
+      });
+    }
+
+    const saved = await saveService.writeSave(req.user.id, platform, slot, data, {
+      revisionToken: readRevisionToken(req)
+    });
+
+    winston.info(`Cloud save written: ${req.user.id} ${platform}/${slot} revision ${saved.revision}`);
+
+    res.set('ETag', `"${saved.revision_token}"`);
+    res.json({ status: 0, timestamp: timestamp(), message: 'Saved', slot, ...saved });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * List stored revisions of a save
+ * GET /infinity/save/:version/:platform/:slot/revisions
+ */
+const listRevisions = async (req, res) => {
+  try {
+    const slot = readSlot(req);
+    const revisions = await saveService.listRevisions(req.user.id, readPlatform(req), slot);
+    res.json({ status: 0, timestamp: timestamp(), slot, revisions });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Roll a save back to an earlier revision
+ * POST /infinity/save/:version/:platform/:slot/rollback { revision }
+ */
+const rollbackSave = async (req, res) => {
+  try {
+    const revision = parseInt(req.body?.revision);
+    if (!revision || revision < 1) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'revision is required'
+        }
+      });
+    }
+
+    const platform = readPlatform(req);
+    const slot = readSlot(req);
+    const restored = await saveService.rollback(req.user.id, platform, slot, revision, {
+      revisionToken: readRevisionToken(req)
+    });
+
+    winston.info(`Cloud save rolled back: ${req.user.id} ${platform}/${slot} to revision ${revision}`);
+
+    res.set('ETag', `"${restored.revision_token}"`);
+    res.json({ status: 0, timestamp: timestamp(), message: 'Rolled back', slot, ...restored });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Delete a save slot and its history
+ * DELETE /infinity/save/:version/:platform/:slot
+ */
+const deleteSave = async (req, res) => {
+  try {
+    await saveService.deleteSlot(req.user.id, readPlatform(req), readSlot(req));
+    res.json({ status: 0, timestamp: timestamp(), message: 'Deleted' });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  saveBody,
+  listSaves,
+  getSave,
+  writeSave,
+  listRevisions,
+  rollbackSave,
+  deleteSave
+};
@@ -33,7 +33,11 @@ const submitMatchStatsValidation = [
   body('gameEvents')
     .optional()
     .isArray()
-    .withMessage('Game events must be an array')
+    .withMessage('Game events must be an array'),
+  body('platform')
+    .optional()
+    .matches(/^[A-Za-z0-9]{1,20}$/)
+    .withMessage('Platform must be 1-20 letters or digits')
 ];
 
 /**
@@ -60,7 +64,8 @@ const submitMatchStats = async (req, res) => {
       completionTime,
       achievements = [],
       performanceMetrics = {},
-      gameEvents = []
+      gameEvents = [],
+      platform
     } = req.body;
 
     // Verify user was in the session
@@ -130,7 +135,8 @@ const submitMatchStats = async (req, res) => {
         completion_time: completionTime,
         achievements: achievements,
         performance_metrics: performanceMetrics,
-        game_events: gameEvents
+        game_events: gameEvents,
+        platform: platform ? platform.toLowerCase() : null
       }])
       .select('id, created_at')
       .single();
@@ -405,6 +411,7 @@ const getLeaderboard = async (req, res) => {
       limit = 50,
       offset = 0
     } = req.query;
+    const minGamesPlayed = parseInt(req.query.minGamesPlayed) || 0;
 
     // Validate sort options
     const validSortOptions = ['total_score', 'games_won', 'win_rate', 'skill_rating', 'best_score'];
@@ -504,7 +511,7 @@ const getLeaderboard = async (req, res) => {
       query = query.order(orderBy, { ascending }).order('games_played', { ascending: false });
 
       const { data: leaderboardData, error: leaderboardError } = await query
-        .range(offset, offset + limit - 1);
+        .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
 
       if (leaderboardError) {
         throw leaderboardError;
@@ -613,17 +620,17 @@ const getRecentMatches = async (req, res) => {
         game_sessions!inner (
           game_mode,
           status,
-          ended_at
-        ),
-        session_players!left (
-          users!left (
-            username
+          ended_at,
+          session_players (
+            users (
+              username
+            )
           )
         )
       `)
       .eq('player_id', userId)
       .in('game_sessions.status', ['completed', 'abandoned'])
-      .neq('session_players.user_id', userId)
+      .neq('game_sessions.session_players.user_id', userId)
       .order('created_at', { ascending: false })
       .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
 
@@ -647,7 +654,7 @@ const getRecentMatches = async (req, res) => {
       completion_time: row.completion_time,
       achievements: row.achievements,
       submitted_at: row.created_at,
-      opponent: row.session_players?.[0]?.users?.username || null
+      opponent: row.game_sessions.session_players?.[0]?.users?.username || null
     }));
 
     res.json({
@@ -0,0 +1,170 @@
+/**
+ * Ticker Controller
+ * Admin management of news ticker items, and the game-facing ticker feeds
+ */
+
+const winston = require('winston');
+const tickerService = require('../services/tickerService');
+
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  TICKER_NOT_FOUND: 404
+};
+
+function sendError(res, err, fallbackMessage) {
+  const status = ERROR_STATUS[err.code];
+  if (!status) {
+    winston.error(`${fallbackMessage}:`, err);
+    return res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: fallbackMessage
+      }
+    });
+  }
+  return res.status(status).json({ error: { code: err.code, message: err.message } });
+}
+
+/**
+ * Locale the game asked for: ?locale=, ?lang= or the first Accept-Language entry
+ */
+function readLocale(req) {
+  const header = req.get('Accept-Language');
+  return req.query.locale || req.query.lang || (header ? header.split(',')[0].split(';')[0] : null);
+}
+
+function unixTime(value) {
+  return value ? Math.floor(new Date(value).getTime() / 1000) : null;
+}
+
+/**
+ * List all ticker items
+ * GET /api/v1/admin/ticker
+ */
+const listTickerItems = async (req, res) => {
+  try {
+    const items = await tickerService.listItems();
+    res.json({ items, count: items.length });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch ticker items');
+  }
+};
+
+/**
+ * Get one ticker item
+ * GET /api/v1/admin/ticker/:id
+ */
+const getTickerItem = async (req, res) => {
+  try {
+    res.json(await tickerService.getItem(req.params.id));
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch ticker item');
+  }
+};
+
+/**
+ * Create a ticker item
+ * POST /api/v1/admin/ticker
+ */
+const createTickerItem = async (req, res) => {
+  try {
+    const item = await tickerService.createItem(req.body, req.user.id);
+    winston.info(`Ticker item created: ${item.title} (${item.id}) by ${req.user.username}`);
+    res.status(201).json(item);
+  } catch (err) {
+    sendError(res, err, 'Failed to create ticker item');
+  }
+};
+
+/**
+ * Update a ticker item
+ * PUT /api/v1/admin/ticker/:id
+ */
+const updateTickerItem = async (req, res) => {
+  try {
+    const item = await tickerService.updateItem(req.params.id, req.body);
+    winston.info(`Ticker item updated: ${item.title} (${item.id}) by ${req.user.username}`);
+    res.json(item);
+  } catch (err) {
+    sendError(res, err, 'Failed to update ticker item');
+  }
+};
+
+/**
+ * Delete a ticker item
+ * DELETE /api/v1/admin/ticker/:id
+ */
+const deleteTickerItem = async (req, res) => {
+  try {
+    await tickerService.deleteItem(req.params.id);
+    winston.info(`Ticker item deleted: ${req.params.id} by ${req.user.username}`);
+    res.json({ id: req.params.id, message: 'Ticker item deleted successfully' });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete ticker item');
+  }
+};
+
+/**
+ * Ticker feed in the Infinity 3.0 format
+ * GET /infinity/ticker/:version/:platform/
+ */
+const getInfinityTicker = async (req, res) => {
+  try {
+    const items = await tickerService.getActiveItems(req.params.platform, readLocale(req));
+    res.json({
+      status: 0,
+      timestamp: Math.floor(Date.now() / 1000),
+      news: items.map(item => ({
+        id: item.id,
+        title: item.title,
+        message: item.message,
+        category: item.category,
+        url: item.url,
+        priority: item.priority,
+        start_time: unixTime(item.starts_at || item.created_at),
+        end_time: unixTime(item.ends_at)
+      }))
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch ticker');
+  }
+};
+
+/**
+ * Ticker feed in the Wii format
+ * GET /infinity/ticker/v1/:platform/
+ */
+const getWiiTicker = async (req, res) => {
+  try {
+    const items = await tickerService.getActiveItems(req.params.platform, readLocale(req));
+    const lastUpdated = items.reduce(
+      (latest, item) => (new Date(item.updated_at) > latest ? new Date(item.updated_at) : latest),
+      new Date(0)
+    );
+
+    res.json({
+      ticker_items: items.map(item => ({
+        id: item.id,
+        headline: item.title,
+        text: item.message,
+        type: item.category,
+        link: item.url,
+        priority: item.priority,
+        expires: item.ends_at ? new Date(item.ends_at).toISOString() : null
+      })),
+      last_updated: (items.length > 0 ? lastUpdated : new Date()).toISOString()
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch ticker');
+  }
+};
+
+module.exports = {
+  listTickerItems,
+  getTickerItem,
+  createTickerItem,
+  updateTickerItem,
+  deleteTickerItem,
+  getInfinityTicker,
+  getWiiTicker
+};
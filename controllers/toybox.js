@@ -3,6 +3,9 @@ const { supabase } = require('../config/database');
 const { body, param, query: queryParam, validationResult } = require('express-validator');
 const winston = require('winston');
 const achievementService = require('../services/achievementService');
+const storage = require('../services/storage');
+const toyboxParser = require('../services/toyboxParser');
+const screenshotService = require('../services/screenshotService');
 
 /**
  * Toybox controller - handles UGC operations
@@ -15,6 +18,69 @@ const generateFileHash = (buffer) => {
   return crypto.createHash('sha256').update(buffer).digest('hex');
 };
 
+/**
+ * Get an uploaded file from multer's upload.fields() result
+ * Returns the first file of the first field present, shaped as { data, size, mimetype }.
+ */
+const getUploadedFile = (req, ...fieldNames) => {
+  for (const name of fieldNames) {
+    const file = req.files?.[name]?.[0];
+    if (file) {
+      return { data: file.buffer, size: file.size, mimetype: file.mimetype };
+    }
+  }
+  return null;
+};
+
+/**
+ * toyboxes manifest columns for an uploaded toybox file
+ * A file that does not parse falls back to the manifest in contentInfo (marked
+ * manifest_source 'client'), unless TOYBOX_STRICT_VALIDATION is set; then it
+ * returns null after sending a 400. With partial, fields contentInfo leaves out
+ * are not returned, so an update keeps their stored values.
+ */
+const readManifestColumns = (res, contentFile, contentInfo, { partial = false } = {}) => {
+  try {
+    return toyboxParser.toColumns(toyboxParser.parse(contentFile.data));
+  } catch (err) {
+    if (err.code !== 'INVALID_TOYBOX') {
+      throw err;
+    }
+    if (!toyboxParser.strict) {
+      winston.warn(`Toybox file not parsed (${err.message}); using the contentInfo manifest`);
+      return toyboxParser.contentInfoColumns(contentInfo, { partial });
+    }
+    res.status(400).json({
+      error: {
+        code: 'INVALID_TOYBOX',
+        message: err.message
+      }
+    });
+    return null;
+  }
+};
+
+/**
+ * Validate an uploaded screenshot and render its sizes
+ * Returns null after sending a 400 if the image is rejected.
+ */
+const processScreenshotFile = async (res, screenshotFile) => {
+  try {
+    return await screenshotService.process(screenshotFile.data);
+  } catch (err) {
+    if (err.code !== 'INVALID_SCREENSHOT') {
+      throw err;
+    }
+    res.status(400).json({
+      error: {
+        code: 'INVALID_SCREENSHOT',
+        message: err.message
+      }
+    });
+    return null;
+  }
+};
+
 /**
  * Upload toybox validation
  */
@@ -28,6 +94,10 @@ const uploadValidation = [
  * Upload toybox
  */
 const uploadToybox = async (req, res) => {
+  // Declared outside the try so the catch block can clean up stored files
+  let contentUpload = null;
+  let storedScreenshot = null;
+
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -41,7 +111,10 @@ const uploadToybox = async (req, res) => {
       });
     }
 
-    if (!req.files || !req.files.content) {
+    const contentFile = getUploadedFile(req, 'content', 'data');
+    const screenshotFile = getUploadedFile(req, 'screenshot');
+
+    if (!contentFile) {
       return res.status(400).json({
         error: {
           code: 'INVALID_REQUEST',
@@ -51,8 +124,6 @@ const uploadToybox = async (req, res) => {
     }
 
     const { contentInfo, screenshotInfo } = req.body;
-    const contentFile = req.files.content;
-    const screenshotFile = req.files.screenshot;
 
     // Parse JSON fields
     let parsedContentInfo, parsedScreenshotInfo;
@@ -79,6 +150,21 @@ const uploadToybox = async (req, res) => {
       });
     }
 
+    // Object counts, IGPs and abilities come from the file when it parses
+    const manifestColumns = readManifestColumns(res, contentFile, parsedContentInfo);
+    if (!manifestColumns) {
+      return;
+    }
+
+    // Reject bad images before anything is stored
+    let screenshot = null;
+    if (screenshotFile) {
+      screenshot = await processScreenshotFile(res, screenshotFile);
+      if (!screenshot) {
+        return;
+      }
+    }
+
     // Generate file hash for duplicate detection
     const fileHash = generateFileHash(contentFile.data);
 
@@ -99,42 +185,22 @@ const uploadToybox = async (req, res) => {
       });
     }
 
-      // Upload content file to Supabase (skip in test environment)
-      let contentUpload = { path: `toybox_${Date.now()}_${crypto.randomBytes(8).toString('hex')}.dat` };
-
-      if (supabase) {
-        const { data: uploadData, error: contentError } = await supabase.storage
-          .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-          .upload(contentUpload.path, contentFile.data, {
-            contentType: 'application/octet-stream',
-            upsert: false
-          });
-
-        if (contentError) {
-          throw new Error(`Content upload failed: ${contentError.message}`);
-        }
-        contentUpload = uploadData;
-      }
+      // Store content file
+      const contentFileName = `toybox_${Date.now()}_${crypto.randomBytes(8).toString('hex')}.dat`;
+      contentUpload = await storage.put(contentFileName, contentFile.data, {
+        contentType: 'application/octet-stream'
+      });
 
-      // Upload screenshot if provided
-      let screenshotPath = null;
+      // Store screenshot and its renditions if provided
       let screenshotMetadata = null;
 
-      if (screenshotFile && supabase) {
-        const screenshotFileName = `screenshot_${Date.now()}_${crypto.randomBytes(8).toString('hex')}.png`;
-        const { data: screenshotUpload, error: screenshotError } = await supabase.storage
-          .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-          .upload(screenshotFileName, screenshotFile.data, {
-            contentType: 'image/png',
-            upsert: false
-          });
-
-        if (screenshotError) {
-          // Don't fail the whole upload if screenshot fails
-          winston.warn(`Screenshot upload failed: ${screenshotError.message}`);
-        } else {
-          screenshotPath = screenshotUpload.path;
+      if (screenshot) {
+        try {
+          storedScreenshot = await screenshotService.store(screenshot);
           screenshotMetadata = parsedScreenshotInfo;
+        } catch (screenshotErr) {
+          // Don't fail the whole upload if screenshot fails
+          winston.warn(`Screenshot upload failed: ${screenshotErr.message}`);
         }
       }
 
@@ -151,29 +217,18 @@ const uploadToybox = async (req, res) => {
           file_path: contentUpload.path,
           file_size: contentFile.size,
           file_hash: fileHash,
-          screenshot: screenshotPath,
+          screenshot: storedScreenshot?.screenshot || null,
           screenshot_metadata: screenshotMetadata,
-          avatars: parsedContentInfo.igps || [],
-          abilities: parsedContentInfo.abilities || [],
+          screenshot_renditions: storedScreenshot?.screenshot_renditions || {},
           genres: parsedContentInfo.genres || [],
-          playsets: parsedContentInfo.playsets || [],
-          required_playsets_size: parsedContentInfo.required_playsets_size || 0,
-          total_objects: parsedContentInfo.total_objects || 0,
-          unique_objects: parsedContentInfo.unique_objects || 0,
-          object_counts: parsedContentInfo.object_counts || {},
+          ...manifestColumns,
           data_size: contentFile.size
         }])
         .select('id, created_at')
         .single();
 
       if (insertError) {
-        // Clean up uploaded files if insert fails
-        if (supabase) {
-          await supabase.storage.from(process.env.SUPABASE_BUCKET || 'toyboxes').remove([contentUpload.path]);
-          if (screenshotPath) {
-            await supabase.storage.from(process.env.SUPABASE_BUCKET || 'toyboxes').remove([screenshotPath]);
-          }
-        }
+        // Stored files are cleaned up by the catch block below
         throw insertError;
       }
 
@@ -196,21 +251,17 @@ const uploadToybox = async (req, res) => {
   } catch (err) {
     winston.error('Toybox upload error:', err);
 
-    // Clean up uploaded files on error
-    if (contentUpload?.path && supabase) {
+    // Clean up stored files on error
+    if (contentUpload?.path) {
       try {
-        await supabase.storage
-          .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-          .remove([contentUpload.path]);
+        await storage.remove([contentUpload.path]);
       } catch (cleanupErr) {
         winston.warn('Failed to cleanup content file:', cleanupErr.message);
       }
     }
-    if (screenshotPath && supabase) {
+    if (storedScreenshot) {
       try {
-        await supabase.storage
-          .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-          .remove([screenshotPath]);
+        await storage.remove(screenshotService.storedPaths(storedScreenshot));
       } catch (cleanupErr) {
         winston.warn('Failed to cleanup screenshot:', cleanupErr.message);
       }
@@ -309,22 +360,19 @@ const downloadToybox = async (req, res) => {
 
     // Check if requesting binary data
     if (acceptHeader === 'application/octet-stream') {
-      // Download binary file (skip in test environment)
-      if (!supabase) {
-        return res.status(501).json({
-          error: {
-            code: 'NOT_IMPLEMENTED',
-            message: 'File download not available in test environment'
-          }
-        });
-      }
-
-      const { data, error } = await supabase.storage
-        .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-        .download(toybox.file_path);
-
-      if (error) {
-        winston.error('File download error:', error);
+      let fileData;
+      try {
+        fileData = await storage.get(toybox.file_path);
+      } catch (storageErr) {
+        winston.error('File download error:', storageErr);
+        if (storageErr.code === 'STORAGE_NOT_FOUND') {
+          return res.status(404).json({
+            error: {
+              code: 'NOT_FOUND',
+              message: 'Toybox file not found'
+            }
+          });
+        }
         return res.status(500).json({
           error: {
             code: 'SERVER_ERROR',
@@ -374,10 +422,7 @@ const downloadToybox = async (req, res) => {
       res.setHeader('Content-Length', toybox.file_size);
       res.setHeader('Content-Disposition', `attachment; filename="${toybox.title}.toybox"`);
 
-      // Stream file data
-      return data.arrayBuffer().then(buffer => {
-        res.send(Buffer.from(buffer));
-      });
+      return res.send(fileData);
 
     } else {
       // Return metadata
@@ -828,13 +873,23 @@ const updateToybox = async (req, res) => {
     }
 
     // Handle file updates
-    const contentFile = req.files?.content || req.files?.data;
-    const screenshotFile = req.files?.screenshot;
-    
+    const contentFile = getUploadedFile(req, 'content', 'data');
+    const screenshotFile = getUploadedFile(req, 'screenshot');
+
+    // Reject bad images before anything is stored
+    let screenshot = null;
+    if (screenshotFile) {
+      screenshot = await processScreenshotFile(res, screenshotFile);
+      if (!screenshot) {
+        return;
+      }
+    }
+
     let newContentPath = existingToybox.file_path;
     let newFileHash = existingToybox.file_hash;
     let newFileSize = existingToybox.file_size;
     let oldContentPath = null;
+    let manifestColumns = null;
 
     // Update content file if provided
     if (contentFile) {
@@ -848,19 +903,22 @@ const updateToybox = async (req, res) => {
         });
       }
 
+      manifestColumns = readManifestColumns(res, contentFile, parsedContentInfo, { partial: true });
+      if (!manifestColumns) {
+        return;
+      }
+
       // Generate new file hash
       newFileHash = generateFileHash(contentFile.data);
 
-      // Upload new content file
+      // Store new content file
       const newFileName = `toybox_${Date.now()}_${crypto.randomBytes(8).toString('hex')}.dat`;
-      const { data: uploadData, error: uploadError } = await supabase.storage
-        .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-        .upload(newFileName, contentFile.data, {
-          contentType: 'application/octet-stream',
-          upsert: false
+      let uploadData;
+      try {
+        uploadData = await storage.put(newFileName, contentFile.data, {
+          contentType: 'application/octet-stream'
         });
-
-      if (uploadError) {
+      } catch (uploadError) {
         winston.error('Content upload error:', uploadError);
         return res.status(500).json({
           error: {
@@ -876,25 +934,15 @@ const updateToybox = async (req, res) => {
     }
 
     // Handle screenshot update
-    let newScreenshotPath = existingToybox.screenshot;
+    let newScreenshot = null;
     let newScreenshotMetadata = existingToybox.screenshot_metadata;
-    let oldScreenshotPath = null;
-
-    if (screenshotFile) {
-      const screenshotFileName = `screenshot_${Date.now()}_${crypto.randomBytes(8).toString('hex')}.png`;
-      const { data: screenshotUpload, error: screenshotError } = await supabase.storage
-        .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-        .upload(screenshotFileName, screenshotFile.data, {
-          contentType: 'image/png',
-          upsert: false
-        });
 
-      if (screenshotError) {
-        winston.warn(`Screenshot upload failed: ${screenshotError.message}`);
-      } else {
-        oldScreenshotPath = existingToybox.screenshot;
-        newScreenshotPath = screenshotUpload.path;
+    if (screenshot) {
+      try {
+        newScreenshot = await screenshotService.store(screenshot);
         newScreenshotMetadata = parsedScreenshotInfo;
+      } catch (screenshotErr) {
+        winston.warn(`Screenshot upload failed: ${screenshotErr.message}`);
       }
     }
 
@@ -908,34 +956,20 @@ const updateToybox = async (req, res) => {
       if (parsedContentInfo.name) updateData.title = parsedContentInfo.name;
       if (parsedContentInfo.desc !== undefined) updateData.description = parsedContentInfo.desc;
       if (parsedContentInfo.version) updateData.version = parsedContentInfo.version;
-      if (parsedContentInfo.igps) updateData.avatars = parsedContentInfo.igps;
-      if (parsedContentInfo.abilities) updateData.abilities = parsedContentInfo.abilities;
       if (parsedContentInfo.genres) updateData.genres = parsedContentInfo.genres;
-      if (parsedContentInfo.playsets) updateData.playsets = parsedContentInfo.playsets;
-      if (parsedContentInfo.required_playsets_size !== undefined) {
-        updateData.required_playsets_size = parsedContentInfo.required_playsets_size;
-      }
-      if (parsedContentInfo.total_objects !== undefined) {
-        updateData.total_objects = parsedContentInfo.total_objects;
-      }
-      if (parsedContentInfo.unique_objects !== undefined) {
-        updateData.unique_objects = parsedContentInfo.unique_objects;
-      }
-      if (parsedContentInfo.object_counts) {
-        updateData.object_counts = parsedContentInfo.object_counts;
-      }
     }
 
-    // Update file paths if changed
+    // Update file paths and the manifest of the new file
     if (contentFile) {
+      Object.assign(updateData, manifestColumns);
       updateData.file_path = newContentPath;
       updateData.file_hash = newFileHash;
       updateData.file_size = newFileSize;
       updateData.data_size = newFileSize;
     }
 
-    if (screenshotFile) {
-      updateData.screenshot = newScreenshotPath;
+    if (newScreenshot) {
+      Object.assign(updateData, newScreenshot);
       updateData.screenshot_metadata = newScreenshotMetadata;
     }
 
@@ -950,14 +984,12 @@ const updateToybox = async (req, res) => {
       
       // Cleanup newly uploaded files on error
       if (contentFile && newContentPath !== existingToybox.file_path) {
-        await supabase.storage
-          .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-          .remove([newContentPath]);
+        await storage.remove([newContentPath])
+          .catch(err => winston.warn('Failed to cleanup content file:', err));
       }
-      if (screenshotFile && newScreenshotPath !== existingToybox.screenshot) {
-        await supabase.storage
-          .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-          .remove([newScreenshotPath]);
+      if (newScreenshot) {
+        await storage.remove(screenshotService.storedPaths(newScreenshot))
+          .catch(err => winston.warn('Failed to cleanup screenshot:', err));
       }
 
       return res.status(500).json({
@@ -970,16 +1002,12 @@ const updateToybox = async (req, res) => {
 
     // Delete old files after successful update
     if (oldContentPath) {
-      await supabase.storage
-        .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-        .remove([oldContentPath])
+      await storage.remove([oldContentPath])
         .catch(err => winston.warn('Failed to delete old content file:', err));
     }
 
-    if (oldScreenshotPath) {
-      await supabase.storage
-        .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-        .remove([oldScreenshotPath])
+    if (newScreenshot && existingToybox.screenshot) {
+      await storage.remove(screenshotService.storedPaths(existingToybox))
         .catch(err => winston.warn('Failed to delete old screenshot:', err));
     }
 
@@ -1012,7 +1040,7 @@ const deleteToybox = async (req, res) => {
     // Get toybox and verify ownership
     const { data: toybox, error: fetchError } = await supabase
       .from('toyboxes')
-      .select('creator_id, file_path, screenshot')
+      .select('creator_id, file_path, screenshot, screenshot_renditions')
       .eq('id', id)
       .single();
 
@@ -1052,14 +1080,9 @@ const deleteToybox = async (req, res) => {
     }
 
     // Delete files from storage
-    const filesToDelete = [toybox.file_path];
-    if (toybox.screenshot) {
-      filesToDelete.push(toybox.screenshot);
-    }
+    const filesToDelete = [toybox.file_path, ...screenshotService.storedPaths(toybox)];
 
-    await supabase.storage
-      .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-      .remove(filesToDelete)
+    await storage.remove(filesToDelete)
       .catch(err => winston.warn('Failed to delete toybox files:', err));
 
     winston.info(`Toybox deleted: ${id} by ${req.user.username}`);
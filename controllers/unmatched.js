@@ -0,0 +1,85 @@
+/**
+ * Unmatched Requests Controller
+ * Admin report of game endpoints the server does not handle yet
+ */
+
+const winston = require('winston');
+const requestRecorder = require('../services/requestRecorder');
+
+/**
+ * Distinct unknown endpoints and their hit counts
+ * GET /api/v1/admin/unmatched?platform=&method=&limit=
+ */
+const getUnmatchedReport = async (req, res) => {
+  try {
+    const endpoints = await requestRecorder.getReport(req.query);
+    res.json({
+      recording: process.env.RECORD_UNMATCHED_REQUESTS === 'true',
+      endpoints,
+      count: endpoints.length
+    });
+  } catch (err) {
+    winston.error('Unmatched report error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to fetch unmatched requests'
+      }
+    });
+  }
+};
+
+/**
+ * Recorded requests for one endpoint
+ * GET /api/v1/admin/unmatched/samples?method=GET&path=/infinity/foo/v1/:platform
+ */
+const getUnmatchedSamples = async (req, res) => {
+  try {
+    const { method, path } = req.query;
+    if (!method || !path) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'method and path are required'
+        }
+      });
+    }
+
+    const samples = await requestRecorder.getSamples(method, path);
+    res.json({ method: method.toUpperCase(), path_template: path, samples, count: samples.length });
+  } catch (err) {
+    winston.error('Unmatched samples error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to fetch unmatched request samples'
+      }
+    });
+  }
+};
+
+/**
+ * Clear the recorded requests
+ * DELETE /api/v1/admin/unmatched
+ */
+const clearUnmatched = async (req, res) => {
+  try {
+    const removed = await requestRecorder.clear();
+    winston.info(`Unmatched requests cleared by ${req.user.username} (${removed} endpoints)`);
+    res.json({ removed });
+  } catch (err) {
+    winston.error('Unmatched clear error:', err);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to clear unmatched requests'
+      }
+    });
+  }
+};
+
+module.exports = {
+  getUnmatchedReport,
+  getUnmatchedSamples,
+  clearUnmatched
+};
@@ -1,11 +1,40 @@
 const jwt = require('jsonwebtoken');
 const { supabase } = require('../config/database');
 const winston = require('winston');
+const authTokenService = require('../services/authTokenService');
 
 /**
  * Authentication middleware
  */
 
+/**
+ * Suspension in force for a user row, or null
+ * suspended_until is maintained by services/moderationService ('infinity' for bans)
+ * @returns {Object|null} { permanent, until }
+ */
+const getSuspension = (user) => {
+  const until = user?.suspended_until;
+  if (!until) {
+    return null;
+  }
+  if (until === 'infinity' || until === Infinity) {
+    return { permanent: true, until: null };
+  }
+  const date = new Date(until);
+  return date > new Date() ? { permanent: false, until: date.toISOString() } : null;
+};
+
+/**
+ * 403 body for a suspended or banned account
+ */
+const suspensionError = (suspension) => ({
+  error: {
+    code: 'ACCOUNT_SUSPENDED',
+    message: suspension.permanent ? 'Account is banned' : `Account is suspended until ${suspension.until}`,
+    suspended_until: suspension.until
+  }
+});
+
 /**
  * Verify JWT token and attach user to request
  */
@@ -26,10 +55,29 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (decoded.type !== 'access') {
+      return res.status(401).json({
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Invalid token type'
+        }
+      });
+    }
+
+    // Access tokens die with their login (logout, sign out everywhere, refresh token reuse)
+    if (!(await authTokenService.isActive(decoded.sid))) {
+      return res.status(401).json({
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Session has been revoked'
+        }
+      });
+    }
+
     // Get user from database to ensure they still exist and are active
     const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id, username, email, is_admin, is_moderator, is_active')
+      .select('id, username, email, is_admin, is_moderator, is_active, suspended_until')
       .eq('id', decoded.userId)
       .single();
 
@@ -51,13 +99,19 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    const suspension = getSuspension(user);
+    if (suspension) {
+      return res.status(403).json(suspensionError(suspension));
+    }
+
     // Attach user to request
     req.user = {
       id: user.id,
       username: user.username,
       email: user.email,
       isAdmin: user.is_admin,
-      isModerator: user.is_moderator
+      isModerator: user.is_moderator,
+      sessionId: decoded.sid || null
     };
 
     next();
@@ -135,19 +189,25 @@ const optionalAuth = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (decoded.type !== 'access' || !(await authTokenService.isActive(decoded.sid))) {
+      req.user = null;
+      return next();
+    }
+
     const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id, username, email, is_admin, is_moderator, is_active')
+      .select('id, username, email, is_admin, is_moderator, is_active, suspended_until')
       .eq('id', decoded.userId)
       .single();
 
-    if (!userError && user && user.is_active) {
+    if (!userError && user && user.is_active && !getSuspension(user)) {
       req.user = {
         id: user.id,
         username: user.username,
         email: user.email,
         isAdmin: user.is_admin,
-        isModerator: user.is_moderator
+        isModerator: user.is_moderator,
+        sessionId: decoded.sid || null
       };
     } else {
       req.user = null;
@@ -165,5 +225,7 @@ module.exports = {
   authenticateToken,
   requireAdmin,
   requireModerator,
-  optionalAuth
+  optionalAuth,
+  getSuspension,
+  suspensionError
 };
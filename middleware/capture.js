@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const winston = require('winston');
+const { redact, redactHeaders, redactUrl, REDACTED } = require('../services/redaction');
+
+/**
+ * Game traffic capture
+ *
+ * When CAPTURE_TRAFFIC=true, request/response pairs for the game's routes are
+ * appended to a JSON-lines fixture file (one file per server run) so client
+ * conversations can be replayed later with scripts/replay.js. Credentials are
+ * redacted from headers, query strings and JSON bodies before anything is written;
+ * text bodies that cannot be redacted are only kept as a SHA-256 digest.
+ */
+
+const DEFAULT_PREFIXES = ['/coregames', '/infinity', '/datatech'];
+
+/**
+ * Response body as stored in the fixture: parsed JSON (redacted), base64 for
+ * binary data, or a sha256 digest of text that cannot be parsed and redacted
+ * (truncated JSON, HTML, XML), so credentials in it are never written
+ */
+function encodeBody(buffer, contentType, maxBytes) {
+  if (buffer.length === 0) {
+    return { encoding: 'empty', body: null, truncated: false };
+  }
+
+  const truncated = buffer.length > maxBytes;
+  const kept = truncated ? buffer.subarray(0, maxBytes) : buffer;
+  const type = String(contentType || '');
+
+  if (!truncated && type.includes('json')) {
+    try {
+      return { encoding: 'json', body: redact(JSON.parse(kept.toString('utf8'))), truncated };
+    } catch (err) {
+      // Not valid JSON despite the header; fall through to the digest
+    }
+  }
+  if (/^text\/|json|xml|javascript/.test(type)) {
+    return { encoding: 'sha256', body: crypto.createHash('sha256').update(kept).digest('hex'), truncated };
+  }
+  return { encoding: 'base64', body: kept.toString('base64'), truncated };
+}
+
+/**
+ * Create the capture middleware
+ * @param {Object} options
+ * @param {string} options.dir - Directory for fixture files (default CAPTURE_DIR or ./captures)
+ * @param {string[]} options.prefixes - Path prefixes to capture
+ * @param {number} options.maxBodyBytes - Largest response body kept (default CAPTURE_MAX_BODY_BYTES or 64KB)
+ * @returns {Function} Middleware with .file (fixture path) and .flush() (wait for pending writes)
+ */
+function createTrafficCapture({
+  dir = process.env.CAPTURE_DIR || './captures',
+  prefixes = DEFAULT_PREFIXES,
+  maxBodyBytes = parseInt(process.env.CAPTURE_MAX_BODY_BYTES) || 64 * 1024
+} = {}) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const file = path.join(dir, `capture-${stamp}-${process.pid}.jsonl`);
+  let sequence = 0;
+  let pending = Promise.resolve();
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const capture = (req, res, next) => {
+    if (!prefixes.some(prefix => req.path.startsWith(prefix))) {
+      return next();
+    }
+
+    const startedAt = Date.now();
+    const chunks = [];
+    let size = 0;
+    const write = res.write;
+    const end = res.end;
+
+    // Keep one byte past the limit so truncation can be detected
+    const collect = (chunk, encoding) => {
+      if (chunk && size <= maxBodyBytes) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+        chunks.push(buffer);
+        size += buffer.length;
+      }
+    };
+
+    res.write = function (chunk, encoding, ...rest) {
+      collect(chunk, encoding);
+      return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+      collect(typeof chunk === 'function' ? null : chunk, encoding);
+      return end.call(this, chunk, encoding, ...rest);
+    };
+
+    res.on('finish', () => {
+      const entry = {
+        id: ++sequence,
+        recorded_at: new Date(startedAt).toISOString(),
+        duration_ms: Date.now() - startedAt,
+        request: {
+          method: req.method,
+          url: redactUrl(req.originalUrl),
+          headers: redactHeaders(req.headers),
+          body: req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0
+            ? redact(req.body)
+            : null
+        },
+        response: {
+          status: res.statusCode,
+          headers: { 'content-type': res.get('content-type') || null },
+          ...encodeBody(Buffer.concat(chunks), res.get('content-type'), maxBodyBytes)
+        }
+      };
+
+      pending = pending
+        .then(() => fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`))
+        .catch(err => winston.warn('Failed to write traffic capture:', err.message));
+    });
+
+    next();
+  };
+
+  capture.file = file;
+  capture.flush = () => pending;
+  return capture;
+}
+
+module.exports = {
+  createTrafficCapture,
+  redact,
+  encodeBody,
+  REDACTED
+};
@@ -0,0 +1,23 @@
+const winston = require('winston');
+const requestRecorder = require('../services/requestRecorder');
+
+/**
+ * Unmatched request recorder
+ *
+ * Mounted after every route, so anything reaching it was not handled. When
+ * RECORD_UNMATCHED_REQUESTS=true the request is recorded (services/requestRecorder.js)
+ * before it carries on to the 404 handlers. Recording runs in the background
+ * and never delays or fails the response.
+ */
+const recordUnmatchedRequests = (req, res, next) => {
+  if (process.env.RECORD_UNMATCHED_REQUESTS === 'true') {
+    requestRecorder.record(req).catch(err => {
+      winston.warn('Failed to record unmatched request:', err.message);
+    });
+  }
+  next();
+};
+
+module.exports = {
+  recordUnmatchedRequests
+};
@@ -1,20 +1,57 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
-const { requireAdmin, requireModerator } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireModerator } = require('../middleware/auth');
 const {
   getCleanupStats,
   runCleanup,
   getDatabaseHealth,
   optimizeDatabase
 } = require('../controllers/cleanup');
+const {
+  listTickerItems,
+  getTickerItem,
+  createTickerItem,
+  updateTickerItem,
+  deleteTickerItem
+} = require('../controllers/ticker');
+const {
+  listEntitlements,
+  createEntitlement,
+  updateEntitlement,
+  listGrants,
+  grantEntitlement,
+  revokeEntitlement,
+  getEntitlementAudit
+} = require('../controllers/entitlements');
+const {
+  listCases,
+  getCase,
+  triageCase,
+  resolveCase,
+  sanctionCase,
+  liftSanction,
+  getUserSanctions
+} = require('../controllers/moderation');
+const { decideContent } = require('../controllers/contentModeration');
+const {
+  getUnmatchedReport,
+  getUnmatchedSamples,
+  clearUnmatched
+} = require('../controllers/unmatched');
+const contentModerationService = require('../services/contentModerationService');
 const winston = require('winston');
 const monitoring = require('../services/monitoring');
+const storage = require('../services/storage');
+const screenshotService = require('../services/screenshotService');
 
 /**
  * Admin routes for moderation and management
  */
 
+// requireAdmin/requireModerator check req.user, which is set by authenticateToken
+router.use(authenticateToken);
+
 // Get server statistics
 router.get('/stats', requireAdmin, async (req, res) => {
   try {
@@ -205,12 +242,11 @@ router.put('/toybox/:id/status', requireModerator, async (req, res) => {
 router.delete('/toybox/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { createClient } = require('@supabase/supabase-js');
 
     // Get toybox info for cleanup
     const { data: toybox, error: fetchError } = await supabase
       .from('toyboxes')
-      .select('file_path, screenshot')
+      .select('file_path, screenshot, screenshot_renditions')
       .eq('id', id)
       .single();
 
@@ -248,24 +284,9 @@ router.delete('/toybox/:id', requireAdmin, async (req, res) => {
       });
     }
 
-    // Clean up files from Supabase (skip in test environment)
-    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
-    if (process.env.SUPABASE_URL && serviceKey) {
-      const supabase = createClient(
-        process.env.SUPABASE_URL,
-        serviceKey
-      );
-
-      const filesToDelete = [];
-      if (toybox.file_path) filesToDelete.push(toybox.file_path);
-      if (toybox.screenshot) filesToDelete.push(toybox.screenshot);
-
-      if (filesToDelete.length > 0) {
-        await supabase.storage
-          .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-          .remove(filesToDelete);
-      }
-    }
+    // Clean up files from toybox storage
+    await storage.remove([toybox.file_path, ...screenshotService.storedPaths(toybox)])
+      .catch(err => winston.warn('Failed to delete toybox files:', err));
 
     winston.info(`Toybox deleted: ${id} by ${req.user.username}`);
 
@@ -315,9 +336,10 @@ router.get('/reviews/pending', requireModerator, async (req, res) => {
       creatorMap[creator.id] = creator;
     });
 
-    const pendingReviews = toyboxes.map(toybox => {
+    const pendingToyboxes = toyboxes.map(toybox => {
       const creator = creatorMap[toybox.creator_id] || {};
       return {
+        type: 'toybox',
         id: toybox.id,
         title: toybox.title,
         description: toybox.description,
@@ -330,6 +352,24 @@ router.get('/reviews/pending', requireModerator, async (req, res) => {
       }
     });
 
+    // Player-entered text from /infinity/moderation/v1
+    const pendingText = (await contentModerationService.listPending()).map(submission => ({
+      type: 'text',
+      id: submission.id,
+      content_type: submission.content_type,
+      content: submission.content,
+      fields: submission.fields,
+      platform: submission.platform,
+      created_at: submission.created_at,
+      creator: {
+        username: submission.username,
+        email: submission.email
+      }
+    }));
+
+    const pendingReviews = [...pendingToyboxes, ...pendingText]
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
     res.json({
       pending_reviews: pendingReviews,
       count: pendingReviews.length
@@ -346,6 +386,9 @@ router.get('/reviews/pending', requireModerator, async (req, res) => {
   }
 });
 
+// Approve or reject pending player text
+router.put('/moderation/:id/status', requireModerator, decideContent);
+
 // Feature/unfeature toybox
 router.put('/toybox/:id/feature', requireModerator, async (req, res) => {
   try {
@@ -414,6 +457,36 @@ router.post('/cleanup/run', requireAdmin, runCleanup);
 router.get('/database/health', requireAdmin, getDatabaseHealth);
 router.post('/database/optimize', requireAdmin, optimizeDatabase);
 
+// Game endpoints the server does not handle yet (recorded when RECORD_UNMATCHED_REQUESTS=true)
+router.get('/unmatched', requireAdmin, getUnmatchedReport);
+router.get('/unmatched/samples', requireAdmin, getUnmatchedSamples);
+router.delete('/unmatched', requireAdmin, clearUnmatched);
+
+// News ticker shown in-game (admin only)
+router.get('/ticker', requireAdmin, listTickerItems);
+router.post('/ticker', requireAdmin, createTickerItem);
+router.get('/ticker/:id', requireAdmin, getTickerItem);
+router.put('/ticker/:id', requireAdmin, updateTickerItem);
+router.delete('/ticker/:id', requireAdmin, deleteTickerItem);
+
+// Entitlement catalogue, grants and audit trail (admin only)
+router.get('/entitlements', requireAdmin, listEntitlements);
+router.post('/entitlements', requireAdmin, createEntitlement);
+router.get('/entitlements/grants', requireAdmin, listGrants);
+router.post('/entitlements/grants', requireAdmin, grantEntitlement);
+router.delete('/entitlements/grants/:grantId', requireAdmin, revokeEntitlement);
+router.get('/entitlements/audit', requireAdmin, getEntitlementAudit);
+router.put('/entitlements/:id', requireAdmin, updateEntitlement);
+
+// Player report cases and sanctions
+router.get('/cases', requireModerator, listCases);
+router.get('/cases/:id', requireModerator, getCase);
+router.put('/cases/:id/triage', requireModerator, triageCase);
+router.post('/cases/:id/resolve', requireModerator, resolveCase);
+router.post('/cases/:id/sanctions', requireModerator, sanctionCase);
+router.delete('/sanctions/:id', requireModerator, liftSanction);
+router.get('/users/:userId/sanctions', requireModerator, getUserSanctions);
+
 // Monitoring and alerts (admin only)
 router.get('/alerts', requireAdmin, async (req, res) => {
   try {
@@ -1,6 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, refresh, registerValidation, loginValidation } = require('../controllers/auth');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  registerValidation,
+  loginValidation,
+  revokeSessionValidation,
+  verifyEmailValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation
+} = require('../controllers/auth');
 const { authenticateToken } = require('../middleware/auth');
 
 /**
@@ -13,9 +31,34 @@ router.post('/register', registerValidation, register);
 // User login
 router.post('/login', loginValidation, login);
 
-// Refresh access token
+// Refresh access token (rotates the refresh token)
 router.post('/refresh', refresh);
 
+// Log out of the current login
+router.post('/logout', authenticateToken, logout);
+
+// Sign out everywhere
+router.post('/logout-all', authenticateToken, logoutAll);
+
+// Active logins and synced devices
+router.get('/sessions', authenticateToken, listSessions);
+
+// Revoke one login
+router.delete('/sessions/:id', authenticateToken, revokeSessionValidation, revokeSession);
+
+// Confirm the account's email address (GET for the mailed link)
+router.post('/verify-email', verifyEmailValidation, verifyEmail);
+router.get('/verify-email', verifyEmailValidation, verifyEmail);
+
+// Mail a new verification link
+router.post('/verify-email/resend', authenticateToken, resendVerification);
+
+// Mail a password reset code
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+
+// Set a new password with a reset code
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+
 // Get current user profile (requires authentication)
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -24,7 +67,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     // Get user profile data
     const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id, username, email, profile_data, created_at, last_login')
+      .select('id, username, email, email_verified, profile_data, created_at, last_login')
       .eq('id', req.user.id)
       .single();
 
@@ -58,6 +101,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       id: user.id,
       username: user.username,
       email: user.email,
+      email_verified: user.email_verified,
       profile_data: user.profile_data,
       created_at: user.created_at,
       last_login: user.last_login,
@@ -7,8 +7,31 @@
  */
 
 const express = require('express');
+const { isLanMode } = require('../config/lan');
 const router = express.Router();
 
+/**
+ * Base URL the game should use for all other services
+ * In LAN mode there is no public domain, so default to the host the game
+ * reached this server on. API_BASE_URL always wins when set.
+ */
+function getBaseUrl(req) {
+  if (process.env.API_BASE_URL) {
+    return process.env.API_BASE_URL;
+  }
+  return isLanMode() ? `${req.protocol}://${req.get('host')}` : 'https://dibeyond.com';
+}
+
+/**
+ * NAT negotiation domain (NATNEG_DOMAIN, or this server's host in LAN mode)
+ */
+function getNatnegDomain(req) {
+  if (process.env.NATNEG_DOMAIN) {
+    return process.env.NATNEG_DOMAIN;
+  }
+  return isLanMode() ? req.hostname : 'dibeyond.com';
+}
+
 /**
  * GET /coregames/config/v1/infinity3/steam/
  * 
@@ -23,7 +46,7 @@ router.get('/coregames/config/v1/infinity3/steam/', (req, res) => {
   
   // Build the base URL from environment or use dibeyond.com (NO api. prefix!)
   // The game client queries dibeyond.com directly (not api.dibeyond.com)  
-  const baseUrl = process.env.API_BASE_URL || 'https://dibeyond.com';
+  const baseUrl = getBaseUrl(req);
   
   // This JSON response tells the game where ALL services are located
   const config = {
@@ -49,7 +72,7 @@ router.get('/coregames/config/v1/infinity3/steam/', (req, res) => {
     "url_web_disney_shop": `${baseUrl}/pc-shop`,
     
     // NAT negotiation domain
-    "domain_cg_natneg": "dibeyond.com",
+    "domain_cg_natneg": getNatnegDomain(req),
     
     // Disney ID creation endpoint - CRITICAL for authentication
     "url_cg_did_create": `${baseUrl}`,
@@ -81,7 +104,7 @@ router.get('/coregames/config/v1/infinity3/:platform/', (req, res) => {
   console.log(`📡 CONFIG REQUEST: Received for platform: ${platform}`);
   
   // Use dibeyond.com (NOT api.dibeyond.com) to match URL patches
-  const baseUrl = process.env.API_BASE_URL || 'https://dibeyond.com';
+  const baseUrl = getBaseUrl(req);
   
   const config = {
     "url_inf_save": `${baseUrl}/infinity/save/v1/${platform}/`,
@@ -91,7 +114,7 @@ router.get('/coregames/config/v1/infinity3/:platform/', (req, res) => {
     "url_inf_leaderboard": `${baseUrl}/infinity/leaderboard/v1/${platform}/`,
     "url_inf_entitlement": `${baseUrl}/infinity/entitlement/v1/${platform}`,
     "url_web_disney_shop": `${baseUrl}/pc-shop`,
-    "domain_cg_natneg": "dibeyond.com",
+    "domain_cg_natneg": getNatnegDomain(req),
     "url_cg_did_create": `${baseUrl}`,
     "url_cg_friends": `${baseUrl}/coregames/friends/v1/${platform}`,
     "url_cg_matchmaking": `${baseUrl}/coregames/matchmaking/v1`,
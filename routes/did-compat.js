@@ -1,6 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, refresh } = require('../controllers/auth');
+const {
+  register,
+  login,
+  refresh,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyEmailValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation
+} = require('../controllers/auth');
 const { authenticateToken } = require('../middleware/auth');
 
 /**
@@ -13,6 +24,12 @@ const { authenticateToken } = require('../middleware/auth');
  * - POST /coregames/did/v3/register - Create new Disney ID
  * - POST /coregames/did/v3/login - Authenticate with Disney ID
  * - POST /coregames/did/v3/refresh - Refresh authentication token
+ *
+ * Account recovery for Disney ID users (same flows as /api/v1/auth):
+ * - POST /coregames/did/v3/verify-email - Confirm the email address
+ * - POST /coregames/did/v3/verify-email/resend - Mail a new verification link
+ * - POST /coregames/did/v3/forgot-password - Mail a password reset code
+ * - POST /coregames/did/v3/reset-password - Set a new password with the code
  */
 
 /**
@@ -81,6 +98,86 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+/**
+ * POST /coregames/did/v3/verify-email
+ * Confirm the Disney ID's email address with the mailed token
+ *
+ * Maps to our /api/v1/auth/verify-email endpoint
+ */
+router.post('/verify-email', verifyEmailValidation, async (req, res) => {
+  console.log('📱 DID v3: Email verification request from game client');
+
+  try {
+    await verifyEmail(req, res);
+  } catch (error) {
+    console.error('❌ DID v3: Email verification failed:', error);
+    res.status(500).json({
+      error: 'VERIFICATION_FAILED',
+      message: 'Could not verify Disney ID email'
+    });
+  }
+});
+
+/**
+ * POST /coregames/did/v3/verify-email/resend
+ * Mail a new verification link
+ *
+ * Maps to our /api/v1/auth/verify-email/resend endpoint
+ */
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  console.log('📱 DID v3: Verification email request from game client');
+
+  try {
+    await resendVerification(req, res);
+  } catch (error) {
+    console.error('❌ DID v3: Verification email failed:', error);
+    res.status(500).json({
+      error: 'VERIFICATION_FAILED',
+      message: 'Could not send Disney ID verification email'
+    });
+  }
+});
+
+/**
+ * POST /coregames/did/v3/forgot-password
+ * Mail a password reset code for a Disney ID
+ *
+ * Maps to our /api/v1/auth/forgot-password endpoint
+ */
+router.post('/forgot-password', forgotPasswordValidation, async (req, res) => {
+  console.log('📱 DID v3: Password reset request from game client');
+
+  try {
+    await forgotPassword(req, res);
+  } catch (error) {
+    console.error('❌ DID v3: Password reset request failed:', error);
+    res.status(500).json({
+      error: 'RECOVERY_FAILED',
+      message: 'Could not send Disney ID password reset email'
+    });
+  }
+});
+
+/**
+ * POST /coregames/did/v3/reset-password
+ * Set a new Disney ID password with the mailed code
+ *
+ * Maps to our /api/v1/auth/reset-password endpoint
+ */
+router.post('/reset-password', resetPasswordValidation, async (req, res) => {
+  console.log('📱 DID v3: Password reset from game client');
+
+  try {
+    await resetPassword(req, res);
+  } catch (error) {
+    console.error('❌ DID v3: Password reset failed:', error);
+    res.status(500).json({
+      error: 'RECOVERY_FAILED',
+      message: 'Could not reset Disney ID password'
+    });
+  }
+});
+
 /**
  * GET /coregames/did/v3/profile
  * Get current user's Disney ID profile
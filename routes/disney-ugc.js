@@ -148,7 +148,7 @@ router.get('/:version/:product/public/toybox/:id/screenshot', disneyController.g
  * Get toybox object counts
  * GET /{version}/{product}/public/toybox/{id}/object_counts
  */
-router.get('/:version/:product/public/toybox/:id/object_counts', disneyController.getObjectCounts);
+router.get('/:version/:product/public/toybox/:id/object_counts', optionalAuth, disneyController.getObjectCounts);
 
 /**
  * Like a toybox
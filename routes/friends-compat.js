@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../config/database');
+const {
+  sendFriendRequest,
+  acceptFriendRequest,
+  declineFriendRequest,
+  removeFriend,
+  getPendingRequests,
+  getSentRequests,
+  getFriendList,
+  getOnlineFriends,
+  sendFriendRequestValidation,
+  respondFriendRequestValidation
+} = require('../controllers/friends');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * CoreGames Friends v1 API Compatibility Routes
+ *
+ * The game's config (url_cg_friends) points the in-game friends service at
+ * /coregames/friends/v1/{platform}. These routes map to our modern friends system.
+ *
+ * Original Disney endpoints we're replicating:
+ * - GET /coregames/friends/v1/{platform} - Friend list with presence
+ * - GET /coregames/friends/v1/{platform}/online - Online friends only
+ * - GET /coregames/friends/v1/{platform}/requests - Pending requests received
+ * - GET /coregames/friends/v1/{platform}/requests/sent - Requests sent
+ * - POST /coregames/friends/v1/{platform}/request - Send a friend request
+ * - POST /coregames/friends/v1/{platform}/accept - Accept a friend request
+ * - POST /coregames/friends/v1/{platform}/decline - Decline a friend request
+ * - POST /coregames/friends/v1/{platform}/remove - Remove a friend
+ * - DELETE /coregames/friends/v1/{platform}/{friendId} - Remove a friend
+ */
+
+/**
+ * The game names the other player by id (friend_id, user_id) or by username;
+ * the friends controller expects targetUserId
+ */
+const mapFriendRequest = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const target = body.targetUserId || body.target_user_id || body.friend_id || body.user_id;
+    const username = body.username || body.friend_name;
+
+    if (!target && username) {
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('id')
+        .eq('username', username)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!user) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Target user not found'
+          }
+        });
+      }
+      req.body = { ...body, targetUserId: user.id };
+    } else {
+      req.body = { ...body, targetUserId: target };
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Friends v1: Target user lookup failed:', error);
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to look up target user'
+      }
+    });
+  }
+};
+
+/**
+ * Accept and decline arrive on their own paths with request_id; the friends
+ * controller expects requestId and the action
+ */
+const mapFriendResponse = action => (req, res, next) => {
+  const body = req.body || {};
+  req.body = { ...body, requestId: body.requestId || body.request_id, action };
+  next();
+};
+
+/**
+ * GET /coregames/friends/v1/:platform
+ * Get the friend list with presence information
+ */
+router.get(['/:platform', '/:platform/list'], authenticateToken, async (req, res) => {
+  console.log('👥 Friends v1: Friend list request from game client');
+  console.log('   User:', req.user.username, 'Platform:', req.params.platform);
+
+  try {
+    await getFriendList(req, res);
+  } catch (error) {
+    console.error('❌ Friends v1: Friend list failed:', error);
+    res.status(500).json({
+      error: 'FRIEND_LIST_FAILED',
+      message: 'Could not retrieve friend list'
+    });
+  }
+});
+
+/**
+ * GET /coregames/friends/v1/:platform/online
+ * Get online friends only
+ */
+router.get('/:platform/online', authenticateToken, async (req, res) => {
+  console.log('👥 Friends v1: Online friends request from game client');
+  console.log('   User:', req.user.username);
+
+  try {
+    await getOnlineFriends(req, res);
+  } catch (error) {
+    console.error('❌ Friends v1: Online friends failed:', error);
+    res.status(500).json({
+      error: 'FRIEND_LIST_FAILED',
+      message: 'Could not retrieve online friends'
+    });
+  }
+});
+
+/**
+ * GET /coregames/friends/v1/:platform/requests
+ * Get pending friend requests received
+ */
+router.get(['/:platform/requests', '/:platform/requests/pending'], authenticateToken, async (req, res) => {
+  console.log('👥 Friends v1: Pending requests from game client');
+  console.log('   User:', req.user.username);
+
+  try {
+    await getPendingRequests(req, res);
+  } catch (error) {
+    console.error('❌ Friends v1: Pending requests failed:', error);
+    res.status(500).json({
+      error: 'FRIEND_REQUESTS_FAILED',
+      message: 'Could not retrieve friend requests'
+    });
+  }
+});
+
+/**
+ * GET /coregames/friends/v1/:platform/requests/sent
+ * Get friend requests sent by the player
+ */
+router.get('/:platform/requests/sent', authenticateToken, async (req, res) => {
+  console.log('👥 Friends v1: Sent requests from game client');
+  console.log('   User:', req.user.username);
+
+  try {
+    await getSentRequests(req, res);
+  } catch (error) {
+    console.error('❌ Friends v1: Sent requests failed:', error);
+    res.status(500).json({
+      error: 'FRIEND_REQUESTS_FAILED',
+      message: 'Could not retrieve sent friend requests'
+    });
+  }
+});
+
+/**
+ * POST /coregames/friends/v1/:platform/request
+ * Send a friend request by user id or username
+ */
+router.post('/:platform/request', authenticateToken, mapFriendRequest, sendFriendRequestValidation, async (req, res) => {
+  console.log('👥 Friends v1: Friend request from game client');
+  console.log('   User:', req.user.username, '→', req.body.targetUserId);
+
+  try {
+    await sendFriendRequest(req, res);
+  } catch (error) {
+    console.error('❌ Friends v1: Friend request failed:', error);
+    res.status(500).json({
+      error: 'FRIEND_REQUEST_FAILED',
+      message: 'Could not send friend request'
+    });
+  }
+});
+
+/**
+ * POST /coregames/friends/v1/:platform/accept
+ * Accept a friend request
+ */
+router.post('/:platform/accept', authenticateToken, mapFriendResponse('accept'), respondFriendRequestValidation, async (req, res) => {
+  console.log('👥 Friends v1: Accept friend request from game client');
+  console.log('   User:', req.user.username, 'Request:', req.body.requestId);
+
+  try {
+    await acceptFriendRequest(req, res);
+  } catch (error) {
+    console.error('❌ Friends v1: Accept friend request failed:', error);
+    res.status(500).json({
+      error: 'FRIEND_ACCEPT_FAILED',
+      message: 'Could not accept friend request'
+    });
+  }
+});
+
+/**
+ * POST /coregames/friends/v1/:platform/decline
+ * Decline a friend request
+ */
+router.post('/:platform/decline', authenticateToken, mapFriendResponse('decline'), respondFriendRequestValidation, async (req, res) => {
+  console.log('👥 Friends v1: Decline friend request from game client');
+  console.log('   User:', req.user.username, 'Request:', req.body.requestId);
+
+  try {
+    await declineFriendRequest(req, res);
+  } catch (error) {
+    console.error('❌ Friends v1: Decline friend request failed:', error);
+    res.status(500).json({
+      error: 'FRIEND_DECLINE_FAILED',
+      message: 'Could not decline friend request'
+    });
+  }
+});
+
+/**
+ * POST /coregames/friends/v1/:platform/remove
+ * DELETE /coregames/friends/v1/:platform/:friendId
+ * Remove a friend
+ */
+const handleRemoveFriend = async (req, res) => {
+  req.params.friendId = req.params.friendId || req.body?.friend_id || req.body?.friendId || req.body?.user_id;
+  console.log('👥 Friends v1: Remove friend request from game client');
+  console.log('   User:', req.user.username, 'Friend:', req.params.friendId);
+
+  if (!req.params.friendId) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_REQUEST',
+        message: 'friend_id is required'
+      }
+    });
+  }
+
+  try {
+    await removeFriend(req, res);
+  } catch (error) {
+    console.error('❌ Friends v1: Remove friend failed:', error);
+    res.status(500).json({
+      error: 'FRIEND_REMOVE_FAILED',
+      message: 'Could not remove friend'
+    });
+  }
+};
+
+router.post('/:platform/remove', authenticateToken, handleRemoveFriend);
+router.delete('/:platform/:friendId', authenticateToken, handleRemoveFriend);
+
+module.exports = router;
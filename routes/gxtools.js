@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { submitPlayerReport } = require('../controllers/moderation');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * GX Tools compatibility routes
+ *
+ * The game's config (url_social_report_player) points player reports at
+ * /gxtools/report/v2/queue. Reports land in the moderation case queue that
+ * moderators work through under /api/v1/admin/cases.
+ */
+
+// Report a player (requires authentication)
+router.post('/report/v2/queue', authenticateToken, submitPlayerReport);
+
+module.exports = router;
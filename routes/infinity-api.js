@@ -12,6 +12,11 @@ const router = express.Router();
 
 // Import the disney-ugc controller
 const disneyController = require('../controllers/disney-ugc');
+const profileController = require('../controllers/profile');
+const savesController = require('../controllers/saves');
+const tickerController = require('../controllers/ticker');
+const leaderboardController = require('../controllers/leaderboard');
+const entitlementsController = require('../controllers/entitlements');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const multer = require('multer');
 
@@ -87,84 +92,61 @@ router.post('/infinity/ugc/:version/:platform/', authenticateToken, upload.field
 });
 
 /**
- * Profile Routes - Stub for now
+ * Profile Routes - game profile blob per user and platform, merged with the web profile
  */
 
 // Get player profile
 // GET /infinity/profile/v2/steam/
-router.get('/infinity/profile/:version/:platform/', optionalAuth, (req, res) => {
+router.get('/infinity/profile/:version/:platform/', (req, res, next) => {
   console.log(`👤 PROFILE GET`);
-  // Return minimal profile
-  res.json({
-    status: 0,
-    timestamp: Math.floor(Date.now() / 1000),
-    profile: {
-      userId: req.user?.userId || 'guest',
-      username: req.user?.username || 'Guest Player',
-      level: 1,
-      experience: 0
-    }
-  });
-});
+  next();
+}, profileController.getGameProfile);
 
 // Update profile
 // PUT /infinity/profile/v2/steam/
-router.put('/infinity/profile/:version/:platform/', authenticateToken, (req, res) => {
+router.put('/infinity/profile/:version/:platform/', (req, res, next) => {
   console.log(`👤 PROFILE UPDATE`);
-  res.json({
-    status: 0,
-    timestamp: Math.floor(Date.now() / 1000),
-    message: 'Profile updated'
-  });
-});
+  next();
+}, profileController.updateGameProfile);
 
 /**
- * Save Game Routes - Stub
+ * Save Game Routes - per-user cloud saves with revision history
  */
-router.get('/infinity/save/:version/:platform/', authenticateToken, (req, res) => {
-  console.log(`💾 SAVE GET`);
-  res.json({ status: 0, timestamp: Math.floor(Date.now() / 1000), saves: [] });
-});
-
-router.post('/infinity/save/:version/:platform/', authenticateToken, (req, res) => {
-  console.log(`💾 SAVE POST`);
-  res.json({ status: 0, timestamp: Math.floor(Date.now() / 1000), message: 'Saved' });
-});
+router.get('/infinity/save/:version/:platform/', authenticateToken, savesController.listSaves);
+router.post('/infinity/save/:version/:platform/', authenticateToken, savesController.saveBody, savesController.writeSave);
+router.get('/infinity/save/:version/:platform/:slot', authenticateToken, savesController.getSave);
+router.put('/infinity/save/:version/:platform/:slot', authenticateToken, savesController.saveBody, savesController.writeSave);
+router.post('/infinity/save/:version/:platform/:slot', authenticateToken, savesController.saveBody, savesController.writeSave);
+router.delete('/infinity/save/:version/:platform/:slot', authenticateToken, savesController.deleteSave);
+router.get('/infinity/save/:version/:platform/:slot/revisions', authenticateToken, savesController.listRevisions);
+router.post('/infinity/save/:version/:platform/:slot/rollback', authenticateToken, savesController.rollbackSave);
 
 /**
- * Ticker/News Routes - Stub
+ * Ticker/News Routes
  */
-router.get('/infinity/ticker/:version/:platform/', (req, res) => {
+router.get('/infinity/ticker/:version/:platform/', (req, res, next) => {
+  // The Wii U client reads the v1 ticker in its own format (routes/wii-stubs.js)
+  if (req.params.version === 'v1' && req.params.platform.toLowerCase() === 'wiiu') {
+    return next();
+  }
   console.log(`📰 TICKER GET`);
-  res.json({
-    status: 0,
-    timestamp: Math.floor(Date.now() / 1000),
-    news: []
-  });
+  tickerController.getInfinityTicker(req, res);
 });
 
 /**
- * Leaderboard Routes - Stub
+ * Leaderboard Routes - rankings from submitted match results
  */
-router.get('/infinity/leaderboard/:version/:platform/', (req, res) => {
+router.get('/infinity/leaderboard/:version/:platform/', optionalAuth, (req, res) => {
   console.log(`🏆 LEADERBOARD GET`);
-  res.json({
-    status: 0,
-    timestamp: Math.floor(Date.now() / 1000),
-    leaderboard: []
-  });
+  leaderboardController.getInfinityLeaderboard(req, res);
 });
 
 /**
- * Entitlement/DLC Routes - Stub
+ * Entitlement/DLC Routes - admin-managed unlocks
  */
-router.get('/infinity/entitlement/:version/:platform', (req, res) => {
+router.get('/infinity/entitlement/:version/:platform', optionalAuth, (req, res) => {
   console.log(`🎁 ENTITLEMENT GET`);
-  res.json({
-    status: 0,
-    timestamp: Math.floor(Date.now() / 1000),
-    entitlements: []
-  });
+  entitlementsController.getInfinityEntitlements(req, res);
 });
 
 module.exports = router;
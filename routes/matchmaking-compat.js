@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const {
+  joinMatchmaking,
+  leaveMatchmaking,
+  getMatchmakingStatus,
+  joinMatchmakingValidation
+} = require('../controllers/matchmaking');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * CoreGames Matchmaking v1 API Compatibility Routes
+ *
+ * The game's config (url_cg_matchmaking) points matchmaking at
+ * /coregames/matchmaking/v1. These routes map to our modern matchmaking queue.
+ *
+ * Original Disney endpoints we're replicating:
+ * - POST /coregames/matchmaking/v1/join - Join the queue (also POST /)
+ * - GET /coregames/matchmaking/v1/status - Poll for a match (also GET /)
+ * - POST /coregames/matchmaking/v1/leave - Leave the queue (also DELETE /)
+ *
+ * Successful responses use the { status: 0, timestamp } envelope of the
+ * /infinity/ routes; the queue state is reported as matchmaking_status.
+ */
+
+/**
+ * Translate the game's field names onto the ones the controller validates
+ */
+const mapJoinRequest = (req, res, next) => {
+  const body = req.body || {};
+  const gameMode = body.gameMode || body.game_mode || body.mode;
+  const skillLevel = body.skillLevel ?? body.skill_level;
+  const maxPlayers = body.maxPlayers ?? body.max_players;
+
+  req.body = {
+    gameMode: typeof gameMode === 'string' ? gameMode.toLowerCase() : gameMode,
+    region: body.region,
+    skillLevel: skillLevel === undefined ? undefined : Number(skillLevel),
+    maxPlayers: maxPlayers === undefined ? undefined : Number(maxPlayers),
+    preferences: body.preferences
+  };
+  for (const key of Object.keys(req.body)) {
+    if (req.body[key] === undefined) {
+      delete req.body[key];
+    }
+  }
+  next();
+};
+
+/**
+ * Wrap the controller's successful responses in the game envelope
+ */
+const gameEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 || !body || typeof body !== 'object') {
+      return json(body);
+    }
+    const { status, ...rest } = body;
+    return json({
+      status: 0,
+      timestamp: Math.floor(Date.now() / 1000),
+      matchmaking_status: status,
+      ...rest
+    });
+  };
+  next();
+};
+
+/**
+ * POST /coregames/matchmaking/v1/join
+ * Join the matchmaking queue
+ */
+const handleJoin = async (req, res) => {
+  console.log('🎯 Matchmaking v1: Join queue request from game client');
+  console.log('   User:', req.user.username, 'Mode:', req.body.gameMode);
+
+  try {
+    await joinMatchmaking(req, res);
+  } catch (error) {
+    console.error('❌ Matchmaking v1: Join queue failed:', error);
+    res.status(500).json({
+      error: 'MATCHMAKING_JOIN_FAILED',
+      message: 'Could not join matchmaking'
+    });
+  }
+};
+
+router.post(['/', '/join'], authenticateToken, gameEnvelope, mapJoinRequest, joinMatchmakingValidation, handleJoin);
+
+/**
+ * GET /coregames/matchmaking/v1/status
+ * Poll the queue; reports the session once the player has been matched
+ */
+const handleStatus = async (req, res) => {
+  console.log('🎯 Matchmaking v1: Status poll from game client');
+  console.log('   User:', req.user.username);
+
+  try {
+    await getMatchmakingStatus(req, res);
+  } catch (error) {
+    console.error('❌ Matchmaking v1: Status poll failed:', error);
+    res.status(500).json({
+      error: 'MATCHMAKING_STATUS_FAILED',
+      message: 'Could not get matchmaking status'
+    });
+  }
+};
+
+router.get(['/', '/status'], authenticateToken, gameEnvelope, handleStatus);
+
+/**
+ * POST /coregames/matchmaking/v1/leave
+ * Leave the matchmaking queue
+ */
+const handleLeave = async (req, res) => {
+  console.log('🎯 Matchmaking v1: Leave queue request from game client');
+  console.log('   User:', req.user.username);
+
+  try {
+    await leaveMatchmaking(req, res);
+  } catch (error) {
+    console.error('❌ Matchmaking v1: Leave queue failed:', error);
+    res.status(500).json({
+      error: 'MATCHMAKING_LEAVE_FAILED',
+      message: 'Could not leave matchmaking'
+    });
+  }
+};
+
+router.post('/leave', authenticateToken, gameEnvelope, handleLeave);
+router.delete('/', authenticateToken, gameEnvelope, handleLeave);
+
+module.exports = router;
@@ -15,14 +15,14 @@ const {
   testConnectivityValidation,
   reportConnectionResultValidation
 } = require('../controllers/networking');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
 
 /**
  * Networking routes for NAT traversal and P2P connections
  */
 
-// Get ICE server configuration (STUN/TURN servers)
-router.get('/ice-servers', getIceServers);
+// Get ICE server configuration (STUN servers; TURN credentials when authenticated)
+router.get('/ice-servers', optionalAuth, getIceServers);
 
 // Exchange ICE candidates between peers (requires authentication)
 router.post('/ice-candidates', authenticateToken, exchangeIceCandidatesValidation, exchangeIceCandidates);
@@ -221,18 +221,32 @@ router.get('/trending', cacheMiddleware(900, (req) => {
 // Download toybox (public for published toyboxes)
 router.get('/:id', downloadValidation, optionalAuth, downloadToybox);
 
-// Get toybox screenshot
+// Get toybox screenshot (?size=full|medium|thumbnail)
 router.get('/:id/screenshot', downloadValidation, async (req, res) => {
   try {
     const { supabase } = require('../config/database');
+    const storage = require('../services/storage');
+    const screenshotService = require('../services/screenshotService');
     const winston = require('winston');
 
     const { id } = req.params;
 
+    let size;
+    try {
+      size = screenshotService.parseSize(req.query.size);
+    } catch (err) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: err.message
+        }
+      });
+    }
+
     // Get toybox screenshot info
     const { data: toybox, error } = await supabase
       .from('toyboxes')
-      .select('screenshot, screenshot_metadata')
+      .select('screenshot, screenshot_metadata, screenshot_renditions')
       .eq('id', id)
       .eq('status', 3)
       .single();
@@ -246,13 +260,20 @@ router.get('/:id/screenshot', downloadValidation, async (req, res) => {
       });
     }
 
-    // Download from Supabase storage
-    const { data, error: storageError } = await supabase.storage
-      .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-      .download(toybox.screenshot);
-
-    if (storageError) {
+    // Download from toybox storage
+    let data;
+    try {
+      data = await storage.get(screenshotService.pathFor(toybox, size));
+    } catch (storageError) {
       winston.error('Screenshot download error:', storageError);
+      if (storageError.code === 'STORAGE_NOT_FOUND') {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Screenshot not found'
+          }
+        });
+      }
       return res.status(500).json({
         error: {
           code: 'SERVER_ERROR',
@@ -267,10 +288,7 @@ router.get('/:id/screenshot', downloadValidation, async (req, res) => {
       res.setHeader('X-Binary-Metadata', JSON.stringify(toybox.screenshot_metadata));
     }
 
-    // Stream image data
-    data.arrayBuffer().then(buffer => {
-      res.send(Buffer.from(buffer));
-    });
+    res.send(data);
 
   } catch (err) {
     const winston = require('winston');
@@ -87,6 +87,7 @@ function formatToyboxForDisney(toybox) {
     screenshot: toybox.screenshot,
     screenshot_metadata: toybox.screenshot_metadata,
     object_counts: toybox.object_counts,
+    manifest_source: toybox.manifest_source || null,
     igps: toybox.igps,
     abilities: toybox.abilities,
     genres: toybox.genres,
@@ -183,6 +184,7 @@ router.get('/:version/:product/public/toybox/:id/screenshot', async (req, res) =
   
   try {
     const { supabase } = require('../config/database');
+    const storage = require('../services/storage');
     const winston = require('winston');
     const { id } = req.params;
 
@@ -200,13 +202,17 @@ router.get('/:version/:product/public/toybox/:id/screenshot', async (req, res) =
       });
     }
 
-    // Download from Supabase storage
-    const { data, error: storageError } = await supabase.storage
-      .from(process.env.SUPABASE_BUCKET || 'toyboxes')
-      .download(toybox.screenshot);
-
-    if (storageError) {
+    // Download from toybox storage
+    let data;
+    try {
+      data = await storage.get(toybox.screenshot);
+    } catch (storageError) {
       winston.error('Screenshot download error:', storageError);
+      if (storageError.code === 'STORAGE_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Screenshot not found'
+        });
+      }
       return res.status(500).json({
         error: 'Screenshot download failed'
       });
@@ -218,10 +224,7 @@ router.get('/:version/:product/public/toybox/:id/screenshot', async (req, res) =
       res.setHeader('X-Binary-Metadata', JSON.stringify(toybox.screenshot_metadata));
     }
 
-    // Stream image data
-    data.arrayBuffer().then(buffer => {
-      res.send(Buffer.from(buffer));
-    });
+    res.send(data);
 
   } catch (err) {
     console.error('Screenshot fetch error:', err);
@@ -1,5 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const tickerController = require('../controllers/ticker');
+const contentModerationController = require('../controllers/contentModeration');
+const { optionalAuth } = require('../middleware/auth');
 
 /**
  * Stub Routes for Low-Priority Disney Infinity Endpoints
@@ -12,14 +15,11 @@ const router = express.Router();
 /**
  * GET /infinity/ticker/v1/:platform/
  * News ticker / announcements endpoint
- * Returns empty news list
+ * Returns the admin-managed ticker items (controllers/ticker.js)
  */
 router.get('/infinity/ticker/v1/:platform/', (req, res) => {
-  console.log('📰 Ticker stub: Returning empty news feed');
-  res.json({
-    ticker_items: [],
-    last_updated: new Date().toISOString()
-  });
+  console.log('📰 Ticker: Returning news feed');
+  tickerController.getWiiTicker(req, res);
 });
 
 /**
@@ -47,14 +47,21 @@ router.get('/infinity/prestige/v1', (req, res) => {
 /**
  * POST /infinity/moderation/v1
  * Content moderation endpoint
- * Returns success (accept all content for community server)
+ * Queues player-entered text for review (controllers/contentModeration.js);
+ * the game polls the decision by moderation_id
  */
-router.post('/infinity/moderation/v1', (req, res) => {
-  console.log('🛡️ Moderation stub: Auto-approving content');
-  res.json({
-    approved: true,
-    moderation_id: Date.now().toString()
-  });
+router.post('/infinity/moderation/v1', optionalAuth, (req, res) => {
+  console.log('🛡️ Moderation: Queueing content for review');
+  contentModerationController.submitContent(req, res);
+});
+
+/**
+ * GET /infinity/moderation/v1/:moderationId
+ * Moderation decision for a submission
+ */
+router.get('/infinity/moderation/v1/:moderationId', (req, res) => {
+  console.log(`🛡️ Moderation: Decision poll for ${req.params.moderationId}`);
+  contentModerationController.getContentDecision(req, res);
 });
 
 /**
@@ -1,57 +1,414 @@
 #!/usr/bin/env node
 
 /**
- * Database migration script for Disney Infinity server
+ * Versioned database migration runner for Disney Infinity server
+ *
+ * Migrations live in scripts/migrations as NNNN_name.up.sql with an optional
+ * NNNN_name.down.sql. Applied versions are recorded in schema_migrations with
+ * a checksum of the up file, so edits to an already-applied migration are
+ * detected instead of silently diverging between deployments.
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>] [--dry-run]
+ *   node scripts/migrate.js down [--steps <n> | --to <version>] [--dry-run]
+ *   node scripts/migrate.js status
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const { query } = require('../config/database');
-const winston = require('winston');
+const crypto = require('crypto');
+const database = require('../config/database');
 
-async function runMigration() {
-  try {
-    winston.info('Starting database migration...');
-
-    // Read the migration SQL file
-    const migrationPath = path.join(__dirname, 'create_multiplayer_tables.sql');
-    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
-
-    // Split the SQL into individual statements (basic splitting on semicolons)
-    const statements = migrationSQL
-      .split(';')
-      .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
-
-    winston.info(`Found ${statements.length} SQL statements to execute`);
-
-    // Execute each statement
-    for (let i = 0; i < statements.length; i++) {
-      const statement = statements[i];
-      if (statement.trim()) {
-        try {
-          winston.debug(`Executing statement ${i + 1}/${statements.length}...`);
-          await query(statement);
-        } catch (err) {
-          // Log error but continue with other statements
-          winston.warn(`Statement ${i + 1} failed: ${err.message}`);
-          winston.debug(`Failed statement: ${statement.substring(0, 100)}...`);
-        }
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so two deploys never migrate at once
+const MIGRATION_LOCK_KEY = 7211337;
+
+/**
+ * SHA-256 of a migration's SQL, ignoring line-ending differences so a
+ * checkout on Windows does not look like drift
+ * @param {string} sql - Migration SQL
+ * @returns {string} Hex digest
+ */
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Load migration files from disk, ordered by version
+ * @param {string} dir - Migrations directory
+ * @returns {Array<Object>} [{ version, name, up, down, checksum }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      continue;
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+    const existing = byVersion.get(version) || { version, name };
+
+    if (existing.name !== name) {
+      throw new Error(`Migration version ${version} is used by both "${existing.name}" and "${name}"`);
+    }
+
+    existing[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, existing);
+  }
+
+  return [...byVersion.values()]
+    .map(migration => {
+      if (!migration.up) {
+        throw new Error(`Migration ${label(migration)} has no .up.sql file`);
       }
+      return {
+        version: migration.version,
+        name: migration.name,
+        up: migration.up,
+        down: migration.down || null,
+        checksum: checksum(migration.up)
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Compare migration files against the schema_migrations rows
+ * @param {Array<Object>} migrations - From loadMigrations()
+ * @param {Array<Object>} applied - schema_migrations rows
+ * @returns {Array<Object>} One entry per version with its state:
+ *   applied, pending, changed (checksum drift) or missing (file deleted)
+ */
+function getStatus(migrations, applied) {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const rows = migrations.map(migration => {
+    const row = appliedByVersion.get(migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'changed';
+    }
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      appliedAt: row ? row.applied_at : null
+    };
+  });
+
+  const known = new Set(migrations.map(m => m.version));
+  for (const row of applied) {
+    if (!known.has(row.version)) {
+      rows.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+  }
+
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Throw if any applied migration was edited or deleted after it ran
+ */
+function assertNoDrift(status) {
+  const drifted = status.filter(row => row.state === 'changed' || row.state === 'missing');
+  if (drifted.length > 0) {
+    const list = drifted.map(row => `${label(row)} (${row.state})`).join(', ');
+    const err = new Error(
+      `Applied migrations differ from the files on disk: ${list}. ` +
+      'Restore the original files and add a new migration for further changes.'
+    );
+    err.code = 'MIGRATION_DRIFT';
+    throw err;
+  }
+}
+
+/**
+ * Pending migrations to apply, oldest first
+ * @param {Array<Object>} migrations - From loadMigrations()
+ * @param {Array<Object>} applied - schema_migrations rows
+ * @param {Object} options - { to } highest version to apply
+ */
+function planUp(migrations, applied, { to } = {}) {
+  const appliedVersions = new Set(applied.map(row => row.version));
+  return migrations.filter(migration =>
+    !appliedVersions.has(migration.version) &&
+    (to === undefined || migration.version <= to)
+  );
+}
+
+/**
+ * Applied migrations to revert, newest first
+ * @param {Array<Object>} migrations - From loadMigrations()
+ * @param {Array<Object>} applied - schema_migrations rows
+ * @param {Object} options - { steps } how many to revert (default 1),
+ *   or { to } revert everything above this version
+ */
+function planDown(migrations, applied, { steps, to } = {}) {
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  let targets = applied
+    .map(row => row.version)
+    .sort((a, b) => b - a);
+
+  if (to !== undefined) {
+    targets = targets.filter(version => version > to);
+  } else {
+    targets = targets.slice(0, steps === undefined ? 1 : steps);
+  }
+
+  return targets.map(version => {
+    const migration = byVersion.get(version);
+    if (!migration || !migration.down) {
+      const err = new Error(`Migration ${version} cannot be reverted: no .down.sql file`);
+      err.code = 'MIGRATION_IRREVERSIBLE';
+      throw err;
     }
+    return migration;
+  });
+}
+
+/**
+ * Read schema_migrations; an empty list when the table does not exist yet
+ * (so dry runs and status never create it)
+ */
+async function getAppliedMigrations(client) {
+  const exists = await client.query(`SELECT to_regclass('public.schema_migrations') AS name`);
+  if (!exists.rows[0].name) {
+    return [];
+  }
+
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at, execution_ms FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      execution_ms INTEGER
+    )
+  `);
+}
+
+/**
+ * Run fn with a client holding the migration advisory lock
+ */
+async function withMigrationLock(fn) {
+  const client = await database.getClient();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run one migration file and its bookkeeping in a single transaction
+ */
+async function runStep(client, migration, direction) {
+  const start = Date.now();
+  await client.query('BEGIN');
+  try {
+    await client.query(migration[direction]);
 
-    winston.info('Database migration completed successfully');
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+        [migration.version, migration.name, migration.checksum, Date.now() - start]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
 
+    await client.query('COMMIT');
   } catch (err) {
-    winston.error('Migration failed:', err);
-    process.exit(1);
+    await client.query('ROLLBACK');
+    err.message = `${label(migration)} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+  return Date.now() - start;
+}
+
+/**
+ * File-style label for a migration, e.g. 0003_disney_ugc
+ */
+function label(migration) {
+  return `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+}
+
+function printPlan(plan, direction) {
+  for (const migration of plan) {
+    console.log(`-- ${label(migration)}.${direction}.sql`);
+    console.log(migration[direction].trim());
+    console.log('');
+  }
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} options - { to, dryRun }
+ * @returns {Promise<Array<Object>>} Migrations applied (or planned when dry-running)
+ */
+async function migrateUp({ to, dryRun = false } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    assertNoDrift(getStatus(migrations, applied));
+
+    const plan = planUp(migrations, applied, { to });
+    if (plan.length === 0) {
+      console.log('✅ Database schema is up to date');
+      return plan;
+    }
+
+    if (dryRun) {
+      printPlan(plan, 'up');
+      return plan;
+    }
+
+    await ensureMigrationsTable(client);
+    for (const migration of plan) {
+      const duration = await runStep(client, migration, 'up');
+      console.log(`⬆️  Applied ${label(migration)} (${duration}ms)`);
+    }
+    return plan;
+  });
+}
+
+/**
+ * Revert applied migrations
+ * @param {Object} options - { steps, to, dryRun }
+ * @returns {Promise<Array<Object>>} Migrations reverted (or planned when dry-running)
+ */
+async function migrateDown({ steps, to, dryRun = false } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    assertNoDrift(getStatus(migrations, applied));
+
+    const plan = planDown(migrations, applied, { steps, to });
+    if (plan.length === 0) {
+      console.log('ℹ️  Nothing to roll back');
+      return plan;
+    }
+
+    if (dryRun) {
+      printPlan(plan, 'down');
+      return plan;
+    }
+
+    for (const migration of plan) {
+      const duration = await runStep(client, migration, 'down');
+      console.log(`⬇️  Reverted ${label(migration)} (${duration}ms)`);
+    }
+    return plan;
+  });
+}
+
+/**
+ * Print the state of every migration
+ * @returns {Promise<Array<Object>>} Rows from getStatus()
+ */
+async function showStatus() {
+  const migrations = loadMigrations();
+  const client = await database.getClient();
+  let status;
+  try {
+    status = getStatus(migrations, await getAppliedMigrations(client));
+  } finally {
+    client.release();
+  }
+
+  for (const row of status) {
+    const appliedAt = row.appliedAt ? new Date(row.appliedAt).toISOString() : '';
+    console.log(`${label(row).padEnd(36)}  ${row.state.padEnd(8)}  ${appliedAt}`);
+  }
+  return status;
+}
+
+/**
+ * Apply all pending migrations (kept for existing callers)
+ */
+async function runMigration() {
+  return migrateUp();
+}
+
+function parseArgs(argv) {
+  const options = { command: 'up', dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--to') {
+      options.to = parseInt(argv[++i], 10);
+    } else if (arg === '--steps') {
+      options.steps = parseInt(argv[++i], 10);
+    } else if (!arg.startsWith('--')) {
+      options.command = arg;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (Number.isNaN(options.to) || Number.isNaN(options.steps)) {
+    throw new Error('--to and --steps expect a number');
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  switch (options.command) {
+    case 'up':
+      await migrateUp(options);
+      break;
+    case 'down':
+      await migrateDown(options);
+      break;
+    case 'status':
+      await showStatus();
+      break;
+    default:
+      throw new Error(`Unknown command "${options.command}" (expected up, down or status)`);
   }
 }
 
 // Run migration if this script is executed directly
 if (require.main === module) {
-  runMigration();
+  main()
+    .catch(err => {
+      console.error('❌ Migration failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => database.close());
 }
 
-module.exports = { runMigration };
+module.exports = {
+  runMigration,
+  migrateUp,
+  migrateDown,
+  showStatus,
+  loadMigrations,
+  checksum,
+  getStatus,
+  planUp,
+  planDown,
+  parseArgs
+};
@@ -0,0 +1,10 @@
+-- Revert 0001_core_schema
+
+DROP TRIGGER IF EXISTS trigger_toyboxes_search_vector ON toyboxes;
+DROP FUNCTION IF EXISTS toyboxes_search_vector_update();
+
+DROP TABLE IF EXISTS toybox_downloads;
+DROP TABLE IF EXISTS toybox_likes;
+DROP TABLE IF EXISTS toybox_ratings;
+DROP TABLE IF EXISTS toyboxes;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,108 @@
+-- Disney Infinity Core Schema
+-- Users and the toybox (UGC) tables every other migration builds on
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- User accounts
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    username VARCHAR(50) NOT NULL UNIQUE,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    profile_data JSONB DEFAULT '{}',
+    is_admin BOOLEAN DEFAULT FALSE,
+    is_moderator BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_login TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- User generated toyboxes
+-- status: 1 = in_review, 2 = approved, 3 = published
+CREATE TABLE IF NOT EXISTS toyboxes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    creator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    version VARCHAR(20) DEFAULT '1.0',
+    status INTEGER DEFAULT 1 CHECK (status IN (1, 2, 3)),
+    shared BOOLEAN DEFAULT TRUE,
+    file_path VARCHAR(500),
+    file_size INTEGER,
+    file_hash VARCHAR(64),
+    screenshot VARCHAR(500),
+    screenshot_metadata JSONB DEFAULT '{}',
+    avatars INTEGER[] DEFAULT '{}',
+    abilities INTEGER[] DEFAULT '{}',
+    genres INTEGER[] DEFAULT '{}',
+    playsets INTEGER[] DEFAULT '{}',
+    required_playsets_size INTEGER DEFAULT 0,
+    total_objects INTEGER DEFAULT 0,
+    unique_objects INTEGER DEFAULT 0,
+    object_counts JSONB DEFAULT '{}',
+    data_size INTEGER DEFAULT 0,
+    featured BOOLEAN DEFAULT FALSE,
+    download_count INTEGER DEFAULT 0,
+    search_vector TSVECTOR,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS toybox_ratings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    toybox_id UUID NOT NULL REFERENCES toyboxes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(toybox_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS toybox_likes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    toybox_id UUID NOT NULL REFERENCES toyboxes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(toybox_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS toybox_downloads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    toybox_id UUID NOT NULL REFERENCES toyboxes(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    ip_address INET,
+    user_agent TEXT,
+    downloaded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_created ON users(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_toyboxes_creator ON toyboxes(creator_id);
+CREATE INDEX IF NOT EXISTS idx_toyboxes_status ON toyboxes(status);
+CREATE INDEX IF NOT EXISTS idx_toyboxes_created ON toyboxes(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_toyboxes_downloads ON toyboxes(download_count DESC);
+CREATE INDEX IF NOT EXISTS idx_toyboxes_search ON toyboxes USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_toybox_ratings_toybox ON toybox_ratings(toybox_id);
+CREATE INDEX IF NOT EXISTS idx_toybox_likes_toybox ON toybox_likes(toybox_id);
+CREATE INDEX IF NOT EXISTS idx_toybox_likes_user ON toybox_likes(user_id);
+CREATE INDEX IF NOT EXISTS idx_toybox_downloads_toybox ON toybox_downloads(toybox_id);
+
+-- Keep the full-text search vector in sync with title/description
+CREATE OR REPLACE FUNCTION toyboxes_search_vector_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector =
+        setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'B');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_toyboxes_search_vector ON toyboxes;
+CREATE TRIGGER trigger_toyboxes_search_vector
+    BEFORE INSERT OR UPDATE OF title, description ON toyboxes
+    FOR EACH ROW EXECUTE FUNCTION toyboxes_search_vector_update();
@@ -0,0 +1,18 @@
+-- Revert 0002_multiplayer
+
+DROP FUNCTION IF EXISTS cleanup_abandoned_sessions();
+DROP FUNCTION IF EXISTS cleanup_old_matchmaking_entries();
+
+DROP TABLE IF EXISTS network_quality;
+DROP TABLE IF EXISTS player_stats;
+DROP TABLE IF EXISTS game_stats;
+DROP TABLE IF EXISTS friends;
+DROP TABLE IF EXISTS friend_requests;
+DROP TABLE IF EXISTS player_presence;
+DROP TABLE IF EXISTS session_players;
+DROP TABLE IF EXISTS game_sessions;
+DROP TABLE IF EXISTS matchmaking_queue;
+
+-- Triggers were dropped with their tables
+DROP FUNCTION IF EXISTS update_player_stats_on_game_end();
+DROP FUNCTION IF EXISTS update_updated_at_column();
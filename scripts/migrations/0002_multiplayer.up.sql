@@ -15,15 +15,6 @@ CREATE TABLE IF NOT EXISTS matchmaking_queue (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- Handle existing sessions table properly
-DO $$
-BEGIN
-    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'sessions' AND table_schema = 'public') THEN
-        -- Drop the old sessions table since it has different structure
-        DROP TABLE sessions CASCADE;
-    END IF;
-END $$;
-
 -- Create game_sessions table
 CREATE TABLE IF NOT EXISTS game_sessions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -86,12 +77,17 @@ CREATE TABLE IF NOT EXISTS friends (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     friend_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    friendship_status VARCHAR(20) DEFAULT 'active' CHECK (friendship_status IN ('active', 'blocked')),
+    friendship_status VARCHAR(20) DEFAULT 'active' CHECK (friendship_status IN ('active', 'blocked', 'removed')),
     added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     last_interaction TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(user_id, friend_id)
 );
 
+-- Deployments created before 'removed' was allowed still carry the old check
+ALTER TABLE friends DROP CONSTRAINT IF EXISTS friends_friendship_status_check;
+ALTER TABLE friends ADD CONSTRAINT friends_friendship_status_check
+    CHECK (friendship_status IN ('active', 'blocked', 'removed'));
+
 -- Game statistics tables
 CREATE TABLE IF NOT EXISTS game_stats (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -0,0 +1,23 @@
+-- Revert 0003_disney_ugc
+
+DROP VIEW IF EXISTS toyboxes_disney_format;
+
+ALTER TABLE toyboxes DROP CONSTRAINT IF EXISTS check_status_valid;
+
+DROP TRIGGER IF EXISTS trigger_toyboxes_last_update_time ON toyboxes;
+DROP TRIGGER IF EXISTS trigger_toyboxes_creation_time ON toyboxes;
+DROP FUNCTION IF EXISTS sync_last_update_time();
+DROP FUNCTION IF EXISTS sync_creation_time();
+
+DROP INDEX IF EXISTS idx_toyboxes_platform_performance;
+DROP INDEX IF EXISTS idx_toyboxes_igps_gin;
+DROP INDEX IF EXISTS idx_toyboxes_status_numeric;
+DROP INDEX IF EXISTS idx_toyboxes_last_update_time;
+DROP INDEX IF EXISTS idx_toyboxes_creation_time;
+
+ALTER TABLE toyboxes
+    DROP COLUMN IF EXISTS igps,
+    DROP COLUMN IF EXISTS platform_performance,
+    DROP COLUMN IF EXISTS _status,
+    DROP COLUMN IF EXISTS last_update_time,
+    DROP COLUMN IF EXISTS creation_time;
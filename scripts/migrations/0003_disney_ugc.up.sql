@@ -172,65 +172,3 @@ LEFT JOIN (
     FROM toybox_ratings
     GROUP BY toybox_id
 ) r ON t.id = r.toybox_id;
-
--- ============================================================================
--- VERIFICATION QUERIES
--- ============================================================================
-
--- Verify migration completed successfully
-DO $$
-DECLARE
-    missing_columns TEXT[];
-    total_toyboxes INTEGER;
-    synced_toyboxes INTEGER;
-BEGIN
-    -- Check for missing columns
-    SELECT ARRAY_AGG(column_name)
-    INTO missing_columns
-    FROM (
-        SELECT unnest(ARRAY['creation_time', 'last_update_time', '_status', 'platform_performance', 'igps']) AS column_name
-    ) expected
-    WHERE column_name NOT IN (
-        SELECT column_name 
-        FROM information_schema.columns 
-        WHERE table_name = 'toyboxes'
-    );
-
-    IF missing_columns IS NOT NULL THEN
-        RAISE WARNING 'Missing columns: %', missing_columns;
-    ELSE
-        RAISE NOTICE '✓ All Disney-format columns exist';
-    END IF;
-
-    -- Check data synchronization
-    SELECT COUNT(*) INTO total_toyboxes FROM toyboxes;
-    SELECT COUNT(*) INTO synced_toyboxes 
-    FROM toyboxes 
-    WHERE creation_time IS NOT NULL 
-    AND last_update_time IS NOT NULL 
-    AND _status IS NOT NULL;
-
-    RAISE NOTICE '✓ Migrated %/% toyboxes', synced_toyboxes, total_toyboxes;
-
-    IF synced_toyboxes < total_toyboxes THEN
-        RAISE WARNING 'Some toyboxes missing synchronized data';
-    END IF;
-END $$;
-
--- Show sample of migrated data
-SELECT 
-    id,
-    title,
-    status AS old_status,
-    _status AS disney_status,
-    created_at,
-    creation_time,
-    EXTRACT(EPOCH FROM created_at)::INTEGER = creation_time AS time_synced
-FROM toyboxes
-LIMIT 5;
-
-RAISE NOTICE 'Migration completed successfully!';
-RAISE NOTICE 'Next steps:';
-RAISE NOTICE '1. Update controllers to use Disney-format fields';
-RAISE NOTICE '2. Update routes to Disney URL structure';
-RAISE NOTICE '3. Test with game client';
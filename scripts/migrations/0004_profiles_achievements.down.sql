@@ -0,0 +1,12 @@
+-- Revert 0004_profiles_achievements
+
+DROP FUNCTION IF EXISTS check_achievement_criteria(UUID, VARCHAR, JSONB);
+
+DROP TABLE IF EXISTS device_sync;
+DROP TABLE IF EXISTS profile_showcase;
+DROP TABLE IF EXISTS profile_analytics;
+DROP TABLE IF EXISTS achievement_notifications;
+DROP TABLE IF EXISTS achievement_progress;
+DROP TABLE IF EXISTS player_achievements;
+DROP TABLE IF EXISTS achievements;
+DROP TABLE IF EXISTS achievement_categories;
@@ -0,0 +1,186 @@
+-- Disney Infinity Profiles, Achievements and Device Sync
+-- Tables behind the /api/v1/profiles, /achievements, /analytics and /sync endpoints
+
+-- Achievement definitions
+CREATE TABLE IF NOT EXISTS achievement_categories (
+    name VARCHAR(50) PRIMARY KEY,
+    description TEXT,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE
+);
+
+CREATE TABLE IF NOT EXISTS achievements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    icon VARCHAR(255),
+    category VARCHAR(50) DEFAULT 'general',
+    difficulty VARCHAR(20) DEFAULT 'bronze' CHECK (difficulty IN ('bronze', 'silver', 'gold', 'platinum')),
+    requirements JSONB DEFAULT '{}', -- e.g. {"games_won": 10}
+    rewards JSONB DEFAULT '{}',
+    max_progress INTEGER DEFAULT 1,
+    points INTEGER DEFAULT 0,
+    rarity VARCHAR(20) DEFAULT 'common',
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Per-player achievement state
+CREATE TABLE IF NOT EXISTS player_achievements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    achievement_id UUID NOT NULL REFERENCES achievements(id) ON DELETE CASCADE,
+    unlocked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_new BOOLEAN DEFAULT TRUE,
+    UNIQUE(user_id, achievement_id)
+);
+
+CREATE TABLE IF NOT EXISTS achievement_progress (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    achievement_id UUID NOT NULL REFERENCES achievements(id) ON DELETE CASCADE,
+    progress INTEGER DEFAULT 0,
+    completed BOOLEAN DEFAULT FALSE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, achievement_id)
+);
+
+CREATE TABLE IF NOT EXISTS achievement_notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    achievement_id UUID NOT NULL REFERENCES achievements(id) ON DELETE CASCADE,
+    notification_type VARCHAR(20) DEFAULT 'unlocked' CHECK (notification_type IN ('unlocked', 'progress')),
+    message TEXT,
+    is_read BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Daily per-player activity rollup
+CREATE TABLE IF NOT EXISTS profile_analytics (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    date DATE NOT NULL DEFAULT CURRENT_DATE,
+    play_time_minutes INTEGER DEFAULT 0,
+    matches_played INTEGER DEFAULT 0,
+    matches_won INTEGER DEFAULT 0,
+    toyboxes_created INTEGER DEFAULT 0,
+    toyboxes_downloaded INTEGER DEFAULT 0,
+    friends_added INTEGER DEFAULT 0,
+    achievements_unlocked INTEGER DEFAULT 0,
+    characters_used JSONB DEFAULT '{}',
+    game_modes_played JSONB DEFAULT '{}',
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, date)
+);
+
+CREATE TABLE IF NOT EXISTS profile_showcase (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    showcase_type VARCHAR(50) NOT NULL,
+    showcase_data JSONB DEFAULT '{}',
+    display_order INTEGER DEFAULT 0,
+    is_featured BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Cross-device sync state
+CREATE TABLE IF NOT EXISTS device_sync (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id VARCHAR(255) NOT NULL,
+    device_name VARCHAR(255) NOT NULL,
+    sync_data JSONB DEFAULT '{}',
+    last_sync TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, device_id)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_achievements_category ON achievements(category);
+CREATE INDEX IF NOT EXISTS idx_player_achievements_user ON player_achievements(user_id, unlocked_at DESC);
+CREATE INDEX IF NOT EXISTS idx_achievement_progress_user ON achievement_progress(user_id);
+CREATE INDEX IF NOT EXISTS idx_achievement_notifications_user ON achievement_notifications(user_id, is_read);
+CREATE INDEX IF NOT EXISTS idx_profile_analytics_user_date ON profile_analytics(user_id, date DESC);
+CREATE INDEX IF NOT EXISTS idx_profile_showcase_user ON profile_showcase(user_id, display_order);
+CREATE INDEX IF NOT EXISTS idx_device_sync_user ON device_sync(user_id);
+
+INSERT INTO achievement_categories (name, description, sort_order)
+VALUES
+    ('general', 'General achievements', 1),
+    ('toybox', 'Toybox creation and sharing', 2),
+    ('multiplayer', 'Multiplayer matches', 3),
+    ('social', 'Friends and community', 4)
+ON CONFLICT (name) DO NOTHING;
+
+-- Advance progress on every active achievement whose requirements mention
+-- the reported criteria, unlocking (and notifying) once the target is hit.
+-- requirements: {"<criteria key>": <target>}
+-- Returns the number of achievements unlocked by this call.
+CREATE OR REPLACE FUNCTION check_achievement_criteria(
+    p_user_id UUID,
+    p_criteria_type VARCHAR,
+    p_criteria_data JSONB
+)
+RETURNS INTEGER AS $$
+DECLARE
+    ach RECORD;
+    req RECORD;
+    increment INTEGER;
+    target INTEGER;
+    new_progress INTEGER;
+    unlocked_count INTEGER := 0;
+BEGIN
+    FOR ach IN
+        SELECT a.id, a.name, a.requirements, a.max_progress
+        FROM achievements a
+        WHERE a.is_active = TRUE
+          AND NOT EXISTS (
+              SELECT 1 FROM player_achievements pa
+              WHERE pa.user_id = p_user_id AND pa.achievement_id = a.id
+          )
+    LOOP
+        FOR req IN SELECT key, value FROM jsonb_each(ach.requirements) LOOP
+            IF req.key = p_criteria_type OR p_criteria_data ? req.key THEN
+                increment := CASE
+                    WHEN jsonb_typeof(p_criteria_data -> req.key) = 'number'
+                        THEN (p_criteria_data ->> req.key)::INTEGER
+                    ELSE 1
+                END;
+                target := CASE
+                    WHEN jsonb_typeof(req.value) = 'number' THEN (req.value #>> '{}')::INTEGER
+                    ELSE COALESCE(ach.max_progress, 1)
+                END;
+
+                INSERT INTO achievement_progress (user_id, achievement_id, progress, completed, completed_at, updated_at)
+                VALUES (p_user_id, ach.id, increment, increment >= target,
+                        CASE WHEN increment >= target THEN NOW() END, NOW())
+                ON CONFLICT (user_id, achievement_id) DO UPDATE SET
+                    progress = achievement_progress.progress + EXCLUDED.progress,
+                    completed = achievement_progress.progress + EXCLUDED.progress >= target,
+                    completed_at = CASE
+                        WHEN achievement_progress.progress + EXCLUDED.progress >= target THEN NOW()
+                    END,
+                    updated_at = NOW()
+                RETURNING progress INTO new_progress;
+
+                IF new_progress >= target THEN
+                    INSERT INTO player_achievements (user_id, achievement_id)
+                    VALUES (p_user_id, ach.id)
+                    ON CONFLICT (user_id, achievement_id) DO NOTHING;
+
+                    INSERT INTO achievement_notifications (user_id, achievement_id, notification_type, message)
+                    VALUES (p_user_id, ach.id, 'unlocked', 'Achievement unlocked: ' || ach.name);
+
+                    unlocked_count := unlocked_count + 1;
+                END IF;
+
+                EXIT;
+            END IF;
+        END LOOP;
+    END LOOP;
+
+    RETURN unlocked_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,21 @@
+-- Revert 0005_performance
+
+DROP FUNCTION IF EXISTS scheduled_maintenance();
+DROP FUNCTION IF EXISTS update_toybox_stats_batch();
+DROP FUNCTION IF EXISTS get_trending_toyboxes(INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS refresh_trending_toyboxes();
+DROP MATERIALIZED VIEW IF EXISTS trending_toyboxes;
+
+DROP INDEX IF EXISTS idx_toyboxes_list_covering;
+DROP INDEX IF EXISTS idx_users_active;
+DROP INDEX IF EXISTS idx_toyboxes_featured_only;
+DROP INDEX IF EXISTS idx_toyboxes_active;
+DROP INDEX IF EXISTS idx_toyboxes_description_gin;
+DROP INDEX IF EXISTS idx_toyboxes_title_gin;
+DROP INDEX IF EXISTS idx_ratings_user_created;
+DROP INDEX IF EXISTS idx_ratings_toybox_rating;
+DROP INDEX IF EXISTS idx_downloads_date_toybox;
+DROP INDEX IF EXISTS idx_downloads_toybox_date;
+DROP INDEX IF EXISTS idx_toyboxes_creator_status;
+DROP INDEX IF EXISTS idx_toyboxes_status_featured;
+DROP INDEX IF EXISTS idx_toyboxes_status_created;
@@ -1,5 +1,5 @@
--- Performance optimization script for Disney Infinity UGC database
--- Run these queries to improve performance
+-- Performance optimization migration for Disney Infinity UGC database
+-- Indexes, trending materialized view and maintenance functions
 
 -- Additional indexes for better query performance
 
@@ -51,6 +51,8 @@ ORDER BY trending_score DESC;
 
 -- Index on materialized view
 CREATE INDEX IF NOT EXISTS idx_trending_score ON trending_toyboxes(trending_score DESC);
+-- REFRESH ... CONCURRENTLY requires a unique index
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trending_id ON trending_toyboxes(id);
 
 -- Function to refresh trending view
 CREATE OR REPLACE FUNCTION refresh_trending_toyboxes()
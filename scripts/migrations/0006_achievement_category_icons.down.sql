@@ -0,0 +1,3 @@
+-- Revert 0006_achievement_category_icons
+
+ALTER TABLE achievement_categories DROP COLUMN IF EXISTS icon;
@@ -0,0 +1,4 @@
+-- Achievement category icons
+-- GET /api/v1/achievements returns each category's icon alongside its name
+
+ALTER TABLE achievement_categories ADD COLUMN IF NOT EXISTS icon VARCHAR(255);
@@ -0,0 +1,4 @@
+-- Revert 0007_cloud_saves
+
+DROP TABLE IF EXISTS save_revisions;
+DROP TABLE IF EXISTS save_slots;
@@ -0,0 +1,28 @@
+-- Cloud saves
+-- Save-game slots per user and platform behind /infinity/save/, each with a
+-- bounded history of revisions so a bad save can be rolled back
+
+CREATE TABLE IF NOT EXISTS save_slots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    platform VARCHAR(20) NOT NULL,
+    slot VARCHAR(64) NOT NULL,
+    current_revision INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, platform, slot)
+);
+
+CREATE TABLE IF NOT EXISTS save_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slot_id UUID NOT NULL REFERENCES save_slots(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    data BYTEA NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    checksum VARCHAR(64) NOT NULL, -- sha256 of data
+    restored_from INTEGER, -- set when the revision was created by a rollback
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(slot_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_save_slots_user_platform ON save_slots(user_id, platform);
@@ -0,0 +1,3 @@
+-- Revert 0008_news_ticker
+
+DROP TABLE IF EXISTS ticker_items;
@@ -0,0 +1,22 @@
+-- News ticker
+-- Admin-managed announcements shown in-game by the /infinity/ticker/ routes
+
+CREATE TABLE IF NOT EXISTS ticker_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(200) NOT NULL,
+    message TEXT NOT NULL,
+    category VARCHAR(20) DEFAULT 'news' CHECK (category IN ('news', 'event', 'maintenance')),
+    url VARCHAR(500),
+    platforms TEXT[] NOT NULL DEFAULT '{}', -- empty = every platform
+    locales TEXT[] NOT NULL DEFAULT '{}', -- empty = every locale; "en" matches "en-us"
+    priority INTEGER NOT NULL DEFAULT 0, -- higher is shown first
+    starts_at TIMESTAMP WITH TIME ZONE, -- NULL = immediately
+    ends_at TIMESTAMP WITH TIME ZONE, -- NULL = until disabled
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticker_items_schedule ON ticker_items(is_active, starts_at, ends_at);
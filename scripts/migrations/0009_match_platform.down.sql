@@ -0,0 +1,4 @@
+-- Revert 0009_match_platform
+
+DROP INDEX IF EXISTS idx_game_stats_platform;
+ALTER TABLE game_stats DROP COLUMN IF EXISTS platform;
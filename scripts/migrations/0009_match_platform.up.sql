@@ -0,0 +1,7 @@
+-- Match platform
+-- Records which platform each match result came from so the in-game
+-- leaderboards (/infinity/leaderboard/) can be filtered per platform
+
+ALTER TABLE game_stats ADD COLUMN IF NOT EXISTS platform VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_game_stats_platform ON game_stats(platform);
@@ -0,0 +1,5 @@
+-- Revert 0010_entitlements
+
+DROP TABLE IF EXISTS entitlement_audit;
+DROP TABLE IF EXISTS entitlement_grants;
+DROP TABLE IF EXISTS entitlements;
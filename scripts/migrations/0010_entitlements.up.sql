@@ -0,0 +1,50 @@
+-- Entitlements
+-- Catalogue of unlockable content (DLC, playsets, characters) served by
+-- /infinity/entitlement/, the grants that unlock it server-wide, per platform
+-- or per user, and an audit trail of admin changes
+
+CREATE TABLE IF NOT EXISTS entitlements (
+    id VARCHAR(64) PRIMARY KEY, -- id the game asks for, e.g. "playset_marvel_battlegrounds"
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'dlc' CHECK (type IN ('dlc', 'playset', 'character', 'power_disc', 'other')),
+    description TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS entitlement_grants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entitlement_id VARCHAR(64) NOT NULL REFERENCES entitlements(id) ON DELETE CASCADE,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('server', 'platform', 'user')),
+    platform VARCHAR(20), -- set for platform grants
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- set for user grants
+    starts_at TIMESTAMP WITH TIME ZONE, -- NULL = immediately
+    ends_at TIMESTAMP WITH TIME ZONE, -- NULL = until revoked
+    reason TEXT,
+    granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    CHECK ((scope = 'platform') = (platform IS NOT NULL)),
+    CHECK ((scope = 'user') = (user_id IS NOT NULL)),
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+-- At most one live grant per entitlement and target
+CREATE UNIQUE INDEX IF NOT EXISTS idx_entitlement_grants_unique_active
+    ON entitlement_grants(entitlement_id, scope, COALESCE(platform, ''), COALESCE(user_id::text, ''))
+    WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_entitlement_grants_user ON entitlement_grants(user_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS entitlement_audit (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    action VARCHAR(20) NOT NULL, -- create, update, grant, revoke
+    entitlement_id VARCHAR(64) NOT NULL,
+    grant_id UUID,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_entitlement_audit_created ON entitlement_audit(created_at DESC);
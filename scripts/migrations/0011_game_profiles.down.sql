@@ -0,0 +1,3 @@
+-- Revert 0011_game_profiles
+
+DROP TABLE IF EXISTS game_profiles;
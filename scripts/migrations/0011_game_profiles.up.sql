@@ -0,0 +1,14 @@
+-- Game profiles
+-- Profile blob the game stores with PUT /infinity/profile/ (level, XP, avatar,
+-- and whatever else the client sends), one per user and platform
+
+CREATE TABLE IF NOT EXISTS game_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    platform VARCHAR(20) NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1, -- incremented on every write
+    data JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, platform)
+);
@@ -0,0 +1,7 @@
+-- Revert 0012_player_reports
+
+ALTER TABLE users DROP COLUMN IF EXISTS suspended_until;
+DROP TABLE IF EXISTS moderation_case_events;
+DROP TABLE IF EXISTS user_sanctions;
+DROP TABLE IF EXISTS player_reports;
+DROP TABLE IF EXISTS moderation_cases;
@@ -0,0 +1,73 @@
+-- Player reports and moderation cases
+-- Reports from the game's "report player" (/gxtools/report/v2/queue) are
+-- grouped into one open case per reported player and reason, which moderators
+-- triage, resolve and attach sanctions to
+
+CREATE TABLE IF NOT EXISTS moderation_cases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    target_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    category VARCHAR(30) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'triaged', 'resolved', 'dismissed')),
+    priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high')),
+    report_count INTEGER NOT NULL DEFAULT 0,
+    assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolution TEXT,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- New reports join the open case for the same player and reason
+CREATE UNIQUE INDEX IF NOT EXISTS idx_moderation_cases_one_open
+    ON moderation_cases(target_user_id, category)
+    WHERE status IN ('open', 'triaged');
+CREATE INDEX IF NOT EXISTS idx_moderation_cases_status ON moderation_cases(status, priority, created_at);
+
+CREATE TABLE IF NOT EXISTS player_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    case_id UUID NOT NULL REFERENCES moderation_cases(id) ON DELETE CASCADE,
+    reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    target_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    category VARCHAR(30) NOT NULL,
+    reason TEXT, -- reason as sent by the game
+    comment TEXT,
+    session_id VARCHAR(64), -- game session the report was made from
+    platform VARCHAR(20),
+    context JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(case_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_reports_target ON player_reports(target_user_id);
+
+CREATE TABLE IF NOT EXISTS user_sanctions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    case_id UUID REFERENCES moderation_cases(id) ON DELETE SET NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('warning', 'mute', 'suspension', 'ban')),
+    reason TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE, -- NULL = permanent
+    issued_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    lifted_at TIMESTAMP WITH TIME ZONE,
+    lifted_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sanctions_user ON user_sanctions(user_id);
+
+-- History of moderator actions on a case
+CREATE TABLE IF NOT EXISTS moderation_case_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    case_id UUID NOT NULL REFERENCES moderation_cases(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL, -- triage, resolve, dismiss, sanction, lift
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_case_events_case ON moderation_case_events(case_id, created_at);
+
+-- Set while a suspension or ban is in force ('infinity' for permanent bans);
+-- checked at login and by authenticateToken
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMP WITH TIME ZONE;
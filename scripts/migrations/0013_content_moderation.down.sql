@@ -0,0 +1,3 @@
+-- Revert 0013_content_moderation
+
+DROP TABLE IF EXISTS content_submissions;
@@ -0,0 +1,20 @@
+-- Content moderation queue
+-- Player-entered text sent to /infinity/moderation/v1, held for moderator review
+
+CREATE TABLE IF NOT EXISTS content_submissions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL when the game sent no token
+    platform VARCHAR(20),
+    content_type VARCHAR(50) NOT NULL DEFAULT 'text', -- as sent by the game: name, title, description, ...
+    content TEXT NOT NULL, -- all text fields joined, for display
+    fields JSONB NOT NULL DEFAULT '{}', -- text fields as sent
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    filter_matches TEXT[] NOT NULL DEFAULT '{}', -- words and patterns the filter matched
+    decided_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for filter and auto-approve decisions
+    decided_at TIMESTAMP WITH TIME ZONE,
+    moderator_notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_submissions_status ON content_submissions(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_content_submissions_user ON content_submissions(user_id, created_at DESC);
@@ -0,0 +1,4 @@
+-- Revert 0014_unmatched_requests
+
+DROP TABLE IF EXISTS unmatched_request_samples;
+DROP TABLE IF EXISTS unmatched_endpoints;
@@ -0,0 +1,28 @@
+-- Unmatched request recorder
+-- Game requests no route handled, counted per endpoint and platform with a few samples
+
+CREATE TABLE IF NOT EXISTS unmatched_endpoints (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    method VARCHAR(10) NOT NULL,
+    path_template VARCHAR(500) NOT NULL, -- ids, hashes and platform names replaced by :placeholders
+    platform VARCHAR(20) NOT NULL, -- detected from the user-agent; "unknown" if not recognised
+    user_agent VARCHAR(300), -- most recent
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    first_seen TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(method, path_template, platform)
+);
+
+CREATE TABLE IF NOT EXISTS unmatched_request_samples (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    endpoint_id UUID NOT NULL REFERENCES unmatched_endpoints(id) ON DELETE CASCADE,
+    path VARCHAR(1000) NOT NULL, -- as requested
+    headers JSONB NOT NULL DEFAULT '{}', -- credentials redacted
+    query JSONB NOT NULL DEFAULT '{}',
+    body TEXT, -- truncated to UNMATCHED_BODY_BYTES
+    body_truncated BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_unmatched_endpoints_hits ON unmatched_endpoints(hit_count DESC);
+CREATE INDEX IF NOT EXISTS idx_unmatched_request_samples_endpoint ON unmatched_request_samples(endpoint_id, created_at);
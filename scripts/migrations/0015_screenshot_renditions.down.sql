@@ -0,0 +1,3 @@
+-- Revert 0015_screenshot_renditions
+
+ALTER TABLE toyboxes DROP COLUMN IF EXISTS screenshot_renditions;
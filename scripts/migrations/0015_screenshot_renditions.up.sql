@@ -0,0 +1,4 @@
+-- Toybox screenshot renditions
+-- Resized copies of each screenshot (GET .../screenshot?size=thumbnail|medium), by size name
+
+ALTER TABLE toyboxes ADD COLUMN IF NOT EXISTS screenshot_renditions JSONB DEFAULT '{}';
@@ -0,0 +1,4 @@
+-- Revert 0016_connection_result_target
+
+DROP INDEX IF EXISTS idx_network_quality_target;
+ALTER TABLE network_quality DROP COLUMN IF EXISTS target_user_id;
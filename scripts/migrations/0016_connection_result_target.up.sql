@@ -0,0 +1,6 @@
+-- Connection result peers
+-- The peer a connection result was reported against, so failing pairs can be pointed at the UDP relay
+
+ALTER TABLE network_quality ADD COLUMN IF NOT EXISTS target_user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_network_quality_target ON network_quality(target_user_id);
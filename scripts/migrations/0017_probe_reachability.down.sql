@@ -0,0 +1,3 @@
+-- Revert 0017_probe_reachability
+
+ALTER TABLE network_quality DROP COLUMN IF EXISTS port_reachable;
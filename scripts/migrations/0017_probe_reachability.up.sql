@@ -0,0 +1,4 @@
+-- Connectivity probe results
+-- Whether the server's unsolicited probe packets reached the player's port (connection_type 'probe' rows)
+
+ALTER TABLE network_quality ADD COLUMN IF NOT EXISTS port_reachable BOOLEAN;
@@ -0,0 +1,3 @@
+-- Revert 0018_refresh_token_families
+
+DROP TABLE IF EXISTS refresh_token_families;
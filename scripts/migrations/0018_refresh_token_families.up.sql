@@ -0,0 +1,19 @@
+-- Refresh token families
+-- One row per login. Every refresh rotates current_token_id; presenting an older token of the
+-- family is treated as theft and revokes the family, along with the access tokens issued from it.
+
+CREATE TABLE IF NOT EXISTS refresh_token_families (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    current_token_id UUID NOT NULL, -- jti of the only refresh token of the family still accepted
+    generation INTEGER NOT NULL DEFAULT 0, -- rotations so far
+    ip_address INET, -- at login, then at the latest refresh
+    user_agent VARCHAR(300),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- expiry of the current refresh token
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(20) CHECK (revoked_reason IN ('logout', 'logout_all', 'reuse', 'admin'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_token_families_user ON refresh_token_families(user_id, revoked_at);
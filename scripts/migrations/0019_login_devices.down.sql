@@ -0,0 +1,10 @@
+-- Revert 0019_login_devices
+
+UPDATE refresh_token_families SET revoked_reason = 'logout' WHERE revoked_reason = 'revoked';
+ALTER TABLE refresh_token_families DROP CONSTRAINT IF EXISTS refresh_token_families_revoked_reason_check;
+ALTER TABLE refresh_token_families ADD CONSTRAINT refresh_token_families_revoked_reason_check
+    CHECK (revoked_reason IN ('logout', 'logout_all', 'reuse', 'admin'));
+
+ALTER TABLE refresh_token_families DROP COLUMN IF EXISTS platform;
+ALTER TABLE refresh_token_families DROP COLUMN IF EXISTS device_name;
+ALTER TABLE refresh_token_families DROP COLUMN IF EXISTS device_id;
@@ -0,0 +1,11 @@
+-- Login devices
+-- What each login was made from, for the account's active sessions list, and a reason for logins
+-- the player revoked from another device
+
+ALTER TABLE refresh_token_families ADD COLUMN IF NOT EXISTS device_id VARCHAR(255); -- device_sync.device_id, when the client sends one
+ALTER TABLE refresh_token_families ADD COLUMN IF NOT EXISTS device_name VARCHAR(255);
+ALTER TABLE refresh_token_families ADD COLUMN IF NOT EXISTS platform VARCHAR(20);
+
+ALTER TABLE refresh_token_families DROP CONSTRAINT IF EXISTS refresh_token_families_revoked_reason_check;
+ALTER TABLE refresh_token_families ADD CONSTRAINT refresh_token_families_revoked_reason_check
+    CHECK (revoked_reason IN ('logout', 'logout_all', 'reuse', 'admin', 'revoked'));
@@ -0,0 +1,11 @@
+-- Revert 0020_email_verification
+
+UPDATE refresh_token_families SET revoked_reason = 'logout_all' WHERE revoked_reason = 'password_reset';
+ALTER TABLE refresh_token_families DROP CONSTRAINT IF EXISTS refresh_token_families_revoked_reason_check;
+ALTER TABLE refresh_token_families ADD CONSTRAINT refresh_token_families_revoked_reason_check
+    CHECK (revoked_reason IN ('logout', 'logout_all', 'reuse', 'admin', 'revoked'));
+
+DROP TABLE IF EXISTS account_tokens;
+
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified;
@@ -0,0 +1,3 @@
+-- Revert 0021_toybox_manifest_source
+
+ALTER TABLE toyboxes DROP COLUMN IF EXISTS manifest_source;
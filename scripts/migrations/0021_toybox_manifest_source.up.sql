@@ -0,0 +1,7 @@
+-- Toybox manifest source
+-- Whether a toybox's object counts, IGPs, abilities and playsets were read from its file ('file')
+-- or taken from the contentInfo the client sent because the file did not parse ('client').
+-- NULL for toyboxes uploaded before this was recorded.
+
+ALTER TABLE toyboxes ADD COLUMN IF NOT EXISTS manifest_source VARCHAR(10)
+    CHECK (manifest_source IN ('file', 'client'));
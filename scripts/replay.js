@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+
+/**
+ * Replay captured game traffic against a running server
+ *
+ * Reads a fixture written by the capture middleware (middleware/capture.js,
+ * CAPTURE_TRAFFIC=true), re-sends each request in order and diffs the
+ * responses against the recording. Use it to check that changes to the game
+ * routes still answer real client conversations the same way.
+ *
+ * Values that change on every request (timestamps, generated ids) are ignored;
+ * add more keys with --ignore. Redacted values in the recording are not
+ * compared. Authenticated requests need a fresh token via --token, which
+ * replaces the redacted Authorization header.
+ *
+ * Redacted values in a request's body or query string (passwords, tickets) are
+ * filled in from --secret <key>=<value>. Requests that still have one are
+ * skipped rather than sent with the placeholder, which the server would reject.
+ *
+ * Usage:
+ *   node scripts/replay.js <capture.jsonl> [--target <url>] [--token <jwt>]
+ *                          [--secret <key>=<value>]... [--only <path-prefix>]
+ *                          [--ignore <key>]... [--verbose]
+ *
+ * Exits with status 1 if any response differs.
+ */
+
+const fs = require('fs');
+const { REDACTED, encodeBody } = require('../middleware/capture');
+
+const DEFAULT_TARGET = 'http://localhost:3000';
+const DEFAULT_IGNORED_KEYS = [
+  'timestamp', 'server_time', 'created_at', 'updated_at', 'last_updated',
+  'expires', 'expires_at', 'last_seen', 'did', 'moderation_id', 'request_id'
+];
+
+// Not forwarded: set by fetch for the new connection, or would change the response encoding
+const SKIPPED_HEADERS = ['host', 'connection', 'content-length', 'accept-encoding', 'transfer-encoding', 'keep-alive'];
+
+/**
+ * Read a capture file
+ * @returns {Array<Object>} Recorded exchanges in order
+ */
+function loadCapture(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${file}:${index + 1}: ${err.message}`);
+      }
+    });
+}
+
+/**
+ * Differences between a recorded and a replayed value
+ * @param {*} expected - Recorded value
+ * @param {*} actual - Replayed value
+ * @param {Set<string>} ignored - Object keys not compared
+ * @returns {Array<{path: string, expected: *, actual: *}>}
+ */
+function diffValues(expected, actual, ignored, path = '$') {
+  if (expected === REDACTED) {
+    return [];
+  }
+
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    const diffs = [];
+    for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+      diffs.push(...diffValues(expected[i], actual[i], ignored, `${path}[${i}]`));
+    }
+    return diffs;
+  }
+
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(expected) && isObject(actual)) {
+    const diffs = [];
+    for (const key of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+      if (!ignored.has(key)) {
+        diffs.push(...diffValues(expected[key], actual[key], ignored, `${path}.${key}`));
+      }
+    }
+    return diffs;
+  }
+
+  return JSON.stringify(expected) === JSON.stringify(actual) ? [] : [{ path, expected, actual }];
+}
+
+/**
+ * Compare a replayed response with the recording
+ * @returns {Array<{path: string, expected: *, actual: *}>}
+ */
+function diffResponses(recorded, replayed, ignored = new Set(DEFAULT_IGNORED_KEYS)) {
+  const diffs = [];
+  if (recorded.status !== replayed.status) {
+    diffs.push({ path: 'status', expected: recorded.status, actual: replayed.status });
+  }
+  if (recorded.encoding !== replayed.encoding) {
+    diffs.push({ path: 'encoding', expected: recorded.encoding, actual: replayed.encoding });
+    return diffs;
+  }
+  if (recorded.truncated || replayed.truncated) {
+    // Only the start of the body was kept; compare what both sides have
+    const length = Math.min(String(recorded.body).length, String(replayed.body).length);
+    if (String(recorded.body).slice(0, length) !== String(replayed.body).slice(0, length)) {
+      diffs.push({ path: '$', expected: '(truncated body)', actual: '(differs)' });
+    }
+    return diffs;
+  }
+  return diffs.concat(diffValues(recorded.body, replayed.body, ignored));
+}
+
+/**
+ * Headers to send for a recorded request
+ */
+function replayHeaders(recordedHeaders, token) {
+  const headers = {};
+  for (const [name, value] of Object.entries(recordedHeaders || {})) {
+    if (SKIPPED_HEADERS.includes(name.toLowerCase())) {
+      continue;
+    }
+    if (value === REDACTED) {
+      if (name.toLowerCase() === 'authorization' && token) {
+        headers[name] = `Bearer ${token}`;
+      }
+      continue;
+    }
+    headers[name] = Array.isArray(value) ? value.join(', ') : value;
+  }
+  return headers;
+}
+
+/**
+ * Copy of a recorded body with its redacted values filled in from secrets
+ * @param {*} value - Recorded body
+ * @param {Object} secrets - key -> value
+ * @param {Set<string>} missing - Collects the keys of redacted values with no secret
+ */
+function fillSecrets(value, secrets, missing) {
+  if (Array.isArray(value)) {
+    return value.map(item => fillSecrets(item, secrets, missing));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== REDACTED) {
+        result[key] = fillSecrets(item, secrets, missing);
+      } else if (Object.prototype.hasOwnProperty.call(secrets, key)) {
+        result[key] = secrets[key];
+      } else {
+        missing.add(key);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * A recorded request's URL and body with redacted values filled in
+ * @returns {Object} { url, body, missing } - missing lists the keys still redacted
+ */
+function prepareRequest(request, secrets = {}) {
+  const missing = new Set();
+  const body = fillSecrets(request.body, secrets, missing);
+
+  let url = request.url;
+  const [pathname, query] = url.split('?');
+  if (query) {
+    const params = new URLSearchParams(query);
+    for (const [key, value] of [...params.entries()]) {
+      if (value !== REDACTED) {
+        continue;
+      }
+      if (Object.prototype.hasOwnProperty.call(secrets, key)) {
+        params.set(key, secrets[key]);
+      } else {
+        missing.add(key);
+      }
+    }
+    url = `${pathname}?${params.toString()}`;
+  }
+
+  return { url, body, missing: [...missing] };
+}
+
+/**
+ * Re-send one recorded request
+ * @returns {Promise<Object>} Response in the capture's format
+ */
+async function sendRequest(entry, { target, token, maxBodyBytes }, prepared = prepareRequest(entry.request)) {
+  const { request } = entry;
+  const headers = replayHeaders(request.headers, token);
+  let body;
+
+  if (prepared.body !== null && prepared.body !== undefined && !['GET', 'HEAD'].includes(request.method)) {
+    const contentType = String(headers['content-type'] || '');
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      body = new URLSearchParams(prepared.body).toString();
+    } else {
+      body = JSON.stringify(prepared.body);
+      headers['content-type'] = 'application/json';
+    }
+  }
+
+  const response = await fetch(new URL(prepared.url, target), {
+    method: request.method,
+    headers,
+    body,
+    redirect: 'manual'
+  });
+  const buffer = Buffer.from(await response.arrayBuffer());
+
+  return {
+    status: response.status,
+    ...encodeBody(buffer, response.headers.get('content-type'), maxBodyBytes)
+  };
+}
+
+/**
+ * Replay a capture file
+ * @param {Object} options
+ * @param {string} options.file - Capture file
+ * @param {string} options.target - Base URL of the server under test
+ * @param {string} options.token - Access token for authenticated requests
+ * @param {Object} options.secrets - Values for redacted body and query keys (key -> value)
+ * @param {string} options.only - Only replay paths starting with this prefix
+ * @param {string[]} options.ignore - Extra keys to leave out of the comparison
+ * @returns {Promise<Array<Object>>} [{ entry, diffs, error, skipped }]; skipped
+ *   lists the redacted keys of a request that was not sent
+ */
+async function replayCapture({ file, target = DEFAULT_TARGET, token, secrets = {}, only, ignore = [],
+  maxBodyBytes = parseInt(process.env.CAPTURE_MAX_BODY_BYTES) || 64 * 1024 }) {
+  const ignored = new Set([...DEFAULT_IGNORED_KEYS, ...ignore]);
+  const results = [];
+
+  for (const entry of loadCapture(file)) {
+    if (only && !entry.request.url.startsWith(only)) {
+      continue;
+    }
+    const prepared = prepareRequest(entry.request, secrets);
+    if (prepared.missing.length > 0) {
+      results.push({ entry, diffs: [], skipped: prepared.missing });
+      continue;
+    }
+    try {
+      const replayed = await sendRequest(entry, { target, token, maxBodyBytes }, prepared);
+      results.push({ entry, diffs: diffResponses(entry.response, replayed, ignored) });
+    } catch (err) {
+      results.push({ entry, diffs: [], error: err.message });
+    }
+  }
+  return results;
+}
+
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  return text === undefined ? '(missing)' : text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+function printResults(results, { verbose = false } = {}) {
+  let failed = 0;
+  let skipped = 0;
+  for (const result of results) {
+    const { entry, diffs, error } = result;
+    const label = `#${entry.id} ${entry.request.method} ${entry.request.url}`;
+    if (result.skipped) {
+      skipped++;
+      const flags = result.skipped.map(key => `--secret ${key}=<value>`).join(' ');
+      console.log(`⏭️  ${label}: skipped, redacted ${result.skipped.join(', ')} (pass ${flags})`);
+    } else if (error) {
+      failed++;
+      console.log(`❌ ${label}: ${error}`);
+    } else if (diffs.length > 0) {
+      failed++;
+      console.log(`❌ ${label}`);
+      for (const diff of diffs) {
+        console.log(`   ${diff.path}: ${formatValue(diff.expected)} -> ${formatValue(diff.actual)}`);
+      }
+    } else if (verbose) {
+      console.log(`✅ ${label}`);
+    }
+  }
+  const replayed = results.length - skipped;
+  console.log(`\n${replayed - failed}/${replayed} responses match the recording${skipped > 0 ? `, ${skipped} skipped` : ''}`);
+  return failed;
+}
+
+function parseArgs(argv) {
+  const options = { ignore: [], secrets: {}, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--target') {
+      options.target = argv[++i];
+    } else if (arg === '--token') {
+      options.token = argv[++i];
+    } else if (arg === '--secret') {
+      const value = argv[++i] || '';
+      const separator = value.indexOf('=');
+      if (separator < 1) {
+        throw new Error(`--secret takes <key>=<value>, got ${value}`);
+      }
+      options.secrets[value.slice(0, separator)] = value.slice(separator + 1);
+    } else if (arg === '--only') {
+      options.only = argv[++i];
+    } else if (arg === '--ignore') {
+      options.ignore.push(argv[++i]);
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (!arg.startsWith('--') && !options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('Usage: node scripts/replay.js <capture.jsonl> [--target <url>] [--token <jwt>] [--secret <key>=<value>] [--only <prefix>] [--ignore <key>]');
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const results = await replayCapture(options);
+  if (printResults(results, options) > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Replay failed:', err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  loadCapture,
+  diffValues,
+  diffResponses,
+  prepareRequest,
+  replayCapture,
+  printResults,
+  parseArgs
+};
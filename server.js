@@ -15,11 +15,13 @@ const { createServer } = require('http');
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { supabase } = require('./config/database');
 
-// Load environment variables
+// Load environment variables before anything reads them
 require('dotenv').config();
 
+const { isLanMode, getDataDir } = require('./config/lan');
+const { supabase } = require('./config/database');
+
 // Create Express app
 const app = express();
 const server = createServer(app);
@@ -91,6 +93,14 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Capture game traffic for scripts/replay.js (opt-in, CAPTURE_TRAFFIC=true)
+if (process.env.CAPTURE_TRAFFIC === 'true') {
+  const { createTrafficCapture } = require('./middleware/capture');
+  const trafficCapture = createTrafficCapture();
+  app.use(trafficCapture);
+  console.log(`🎙️  Capturing game traffic to ${trafficCapture.file}`);
+}
+
 // Request monitoring middleware
 app.use((req, res, next) => {
   const startTime = Date.now();
@@ -419,11 +429,28 @@ app.get('/api/v1/info', (req, res) => {
         moderateToybox: 'PUT /api/v1/admin/toybox/{id}/status',
         deleteToybox: 'DELETE /api/v1/admin/toybox/{id}',
         pendingReviews: 'GET /api/v1/admin/reviews/pending',
+        moderateText: 'PUT /api/v1/admin/moderation/{id}/status',
+        unmatchedEndpoints: 'GET|DELETE /api/v1/admin/unmatched',
+        unmatchedSamples: 'GET /api/v1/admin/unmatched/samples?method=&path=',
         featureToybox: 'PUT /api/v1/admin/toybox/{id}/feature',
         cleanupStats: 'GET /api/v1/admin/cleanup/stats',
         runCleanup: 'POST /api/v1/admin/cleanup/run',
         databaseHealth: 'GET /api/v1/admin/database/health',
-        optimizeDatabase: 'POST /api/v1/admin/database/optimize'
+        optimizeDatabase: 'POST /api/v1/admin/database/optimize',
+        tickerItems: 'GET|POST /api/v1/admin/ticker',
+        tickerItem: 'GET|PUT|DELETE /api/v1/admin/ticker/{id}',
+        entitlements: 'GET|POST /api/v1/admin/entitlements',
+        updateEntitlement: 'PUT /api/v1/admin/entitlements/{id}',
+        entitlementGrants: 'GET|POST /api/v1/admin/entitlements/grants',
+        revokeEntitlement: 'DELETE /api/v1/admin/entitlements/grants/{grantId}',
+        entitlementAudit: 'GET /api/v1/admin/entitlements/audit',
+        cases: 'GET /api/v1/admin/cases',
+        getCase: 'GET /api/v1/admin/cases/{id}',
+        triageCase: 'PUT /api/v1/admin/cases/{id}/triage',
+        resolveCase: 'POST /api/v1/admin/cases/{id}/resolve',
+        sanctionCase: 'POST /api/v1/admin/cases/{id}/sanctions',
+        liftSanction: 'DELETE /api/v1/admin/sanctions/{id}',
+        userSanctions: 'GET /api/v1/admin/users/{userId}/sanctions'
       }
     },
     features: [
@@ -484,10 +511,14 @@ const analyticsRoutes = require('./routes/analytics');
 // Compatibility routes for legacy Disney Infinity API paths
 const didCompatRoutes = require('./routes/did-compat');
 const sessionsCompatRoutes = require('./routes/sessions-compat');
+const friendsCompatRoutes = require('./routes/friends-compat');
+const matchmakingCompatRoutes = require('./routes/matchmaking-compat');
 const wiiStubsRoutes = require('./routes/wii-stubs');
+const gxtoolsRoutes = require('./routes/gxtools');
 
 // Import middleware
 const { rateLimiters } = require('./middleware/rateLimit');
+const { recordUnmatchedRequests } = require('./middleware/recorder');
 const monitoring = require('./services/monitoring');
 
 // Import Socket.io handlers
@@ -507,38 +538,42 @@ console.log('JWT_SECRET present:', !!process.env.JWT_SECRET);
 console.log('ALLOWED_ORIGINS:', process.env.ALLOWED_ORIGINS);
 console.log('PORT:', process.env.PORT);
 
-// Test Supabase client initialization directly
-console.log('🔧 SUPABASE CLIENT DEBUG:');
-try {
-  const { createClient } = require('@supabase/supabase-js');
-  const testClient = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY,
-    {
-      auth: {
-        autoRefreshToken: false,
-        persistSession: false
-      }
-    }
-  );
-  console.log('✅ Supabase client created successfully');
-
-  // Test basic connection
-  testClient.from('users').select('count', { count: 'exact', head: true })
-    .then(result => {
-      console.log('✅ Supabase connection test result:', result);
-      if (result.error) {
-        console.log('❌ Supabase connection error:', result.error);
-      } else {
-        console.log('🎉 Supabase connection successful! Count:', result.count);
+// Test Supabase client initialization directly (not used in LAN mode)
+if (isLanMode()) {
+  console.log('📡 LAN MODE: using the embedded datastore in', getDataDir());
+} else {
+  console.log('🔧 SUPABASE CLIENT DEBUG:');
+  try {
+    const { createClient } = require('@supabase/supabase-js');
+    const testClient = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY,
+      {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false
+        }
       }
-    })
-    .catch(err => {
-      console.log('❌ Supabase connection test failed:', err.message);
-      console.log('Full error:', err);
-    });
-} catch (initError) {
-  console.log('❌ Failed to create Supabase client:', initError.message);
+    );
+    console.log('✅ Supabase client created successfully');
+
+    // Test basic connection
+    testClient.from('users').select('count', { count: 'exact', head: true })
+      .then(result => {
+        console.log('✅ Supabase connection test result:', result);
+        if (result.error) {
+          console.log('❌ Supabase connection error:', result.error);
+        } else {
+          console.log('🎉 Supabase connection successful! Count:', result.count);
+        }
+      })
+      .catch(err => {
+        console.log('❌ Supabase connection test failed:', err.message);
+        console.log('Full error:', err);
+      });
+  } catch (initError) {
+    console.log('❌ Failed to create Supabase client:', initError.message);
+  }
 }
 
 // Test database connection on startup
@@ -564,6 +599,53 @@ testConnection().then(connected => {
     schedulePeriodicCleanup();
     logger.info('Periodic cleanup scheduler started');
 
+    // Start the NAT negotiation service the game reaches through domain_cg_natneg
+    if (process.env.NATNEG_ENABLED === 'true') {
+      const { startNatNegServer } = require('./services/natneg');
+      startNatNegServer().then(() => {
+        logger.info('NAT negotiation service started');
+      }).catch(err => {
+        logger.error('Failed to start NAT negotiation service:', err);
+      });
+    }
+
+    // Start the bundled STUN responder handed out by /api/v1/networking/ice-servers
+    if (process.env.STUN_ENABLED === 'true') {
+      const { startStunServer } = require('./services/stun');
+      startStunServer().then(() => {
+        logger.info('STUN responder started');
+      }).catch(err => {
+        logger.error('Failed to start STUN responder:', err);
+      });
+    }
+
+    // Start the UDP relay offered to players who cannot connect directly
+    if (process.env.RELAY_ENABLED === 'true') {
+      const { startRelayServer } = require('./services/relay');
+      startRelayServer().then(() => {
+        logger.info('UDP relay started');
+      }).catch(err => {
+        logger.error('Failed to start UDP relay:', err);
+      });
+    }
+
+    // Account emails fail until a transport is configured; say so at startup rather than on the first send
+    try {
+      require('./services/mailer').getTransport();
+    } catch (err) {
+      logger.error(`Account emails are disabled: ${err.message}`);
+    }
+
+    // Start the UDP prober behind /api/v1/networking/connectivity-test
+    if (process.env.PROBE_ENABLED === 'true') {
+      const { startProbeServer } = require('./services/probe');
+      startProbeServer().then(() => {
+        logger.info('Connectivity prober started');
+      }).catch(err => {
+        logger.error('Failed to start connectivity prober:', err);
+      });
+    }
+
     // Start memory monitoring
     setInterval(() => {
       const memUsage = monitoring.recordMemoryUsage();
@@ -574,7 +656,9 @@ testConnection().then(connected => {
     logger.info('Memory monitoring started');
   } else {
     logger.error('Failed to connect to database');
-    console.log('💥 DATABASE CONNECTION FAILED - CHECK SUPABASE CONFIGURATION');
+    console.log(isLanMode()
+      ? '💥 EMBEDDED DATASTORE FAILED TO START - CHECK LAN_DATA_DIR'
+      : '💥 DATABASE CONNECTION FAILED - CHECK SUPABASE CONFIGURATION');
     process.exit(1);
   }
 });
@@ -602,6 +686,18 @@ console.log('✅ Disney ID v3 API routes mounted at /coregames/did/v3/');
 app.use('/coregames/sessions/v1', rateLimiters.general, sessionsCompatRoutes);
 console.log('✅ Sessions v1 API routes mounted at /coregames/sessions/v1/');
 
+// CoreGames Friends v1 API compatibility routes for in-game friend lists
+app.use('/coregames/friends/v1', rateLimiters.friends, friendsCompatRoutes);
+console.log('✅ Friends v1 API routes mounted at /coregames/friends/v1/');
+
+// CoreGames Matchmaking v1 API compatibility routes for the in-game queue
+app.use('/coregames/matchmaking/v1', rateLimiters.general, matchmakingCompatRoutes);
+console.log('✅ Matchmaking v1 API routes mounted at /coregames/matchmaking/v1/');
+
+// Player report queue (url_social_report_player)
+app.use('/gxtools', rateLimiters.general, gxtoolsRoutes);
+console.log('✅ Player report queue mounted at /gxtools/report/v2/queue');
+
 // LOW PRIORITY: Stub endpoints for Wii U endpoints (non-critical)
 app.use('/', rateLimiters.general, wiiStubsRoutes);
 console.log('✅ Wii U stub endpoints mounted (ticker, prestige, moderation, etc.)');
@@ -826,6 +922,9 @@ app.post('/api/v1/test/jwt-generate', (req, res) => {
   }
 });
 
+// Record requests no route handled (opt-in, RECORD_UNMATCHED_REQUESTS=true)
+app.use(recordUnmatchedRequests);
+
 // 404 handler for unknown endpoints
 app.use('/api/*', (req, res) => {
   res.status(404).json({
@@ -858,6 +957,7 @@ server.listen(PORT, () => {
   logger.info(`🚀 Disney Infinity Community Server started`, {
     port: PORT,
     environment: process.env.NODE_ENV || 'development',
+    lan_mode: isLanMode(),
     cors_origins: corsOptions.origin
   });
 
@@ -0,0 +1,185 @@
+/**
+ * Account Token Service
+ * Single-use, expiring tokens mailed to players to verify their email address
+ * or to reset a forgotten password (account_tokens)
+ *
+ * Only a SHA-256 hash of each token is stored. Requesting a new token of the
+ * same purpose retires the previous one, and a token is consumed by a
+ * conditional update, so it works at most once even under concurrent use.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const { supabase } = require('../config/database');
+const mailer = require('./mailer');
+
+const PURPOSES = {
+  VERIFY_EMAIL: 'verify_email',
+  RESET_PASSWORD: 'reset_password'
+};
+
+// Requests within this long of the previous mail of the same purpose are not mailed again
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+class AccountTokenService {
+  get verificationTtlSeconds() {
+    return parseInt(process.env.EMAIL_VERIFICATION_TTL) || 24 * 60 * 60;
+  }
+
+  get passwordResetTtlSeconds() {
+    return parseInt(process.env.PASSWORD_RESET_TTL) || 60 * 60;
+  }
+
+  /**
+   * Where token links point; API_BASE_URL as in /coregames/config
+   */
+  get baseUrl() {
+    return (process.env.API_BASE_URL || 'https://dibeyond.com').replace(/\/$/, '');
+  }
+
+  ttlFor(purpose) {
+    return purpose === PURPOSES.VERIFY_EMAIL ? this.verificationTtlSeconds : this.passwordResetTtlSeconds;
+  }
+
+  /**
+   * Create a token for a user, retiring any earlier unused one of the same purpose
+   * @returns {Promise<Object|null>} { token, expiresAt }, or null if one was issued within RESEND_INTERVAL_MS
+   */
+  async create(userId, purpose, email) {
+    const { data: recent, error: recentError } = await supabase
+      .from('account_tokens')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('created_at', new Date(Date.now() - RESEND_INTERVAL_MS).toISOString());
+
+    if (recentError) {
+      throw recentError;
+    }
+    if (recent && recent.length > 0) {
+      return null;
+    }
+
+    const { error: retireError } = await supabase
+      .from('account_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null);
+
+    if (retireError) {
+      throw retireError;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.ttlFor(purpose) * 1000).toISOString();
+
+    const { error } = await supabase
+      .from('account_tokens')
+      .insert([{
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        email,
+        expires_at: expiresAt
+      }]);
+
+    if (error) {
+      throw error;
+    }
+    return { token, expiresAt };
+  }
+
+  /**
+   * Use up a token
+   * @returns {Promise<Object>} { userId, email }
+   * @throws {Error} code INVALID_TOKEN if the token is unknown, used, retired or expired
+   */
+  async consume(token, purpose) {
+    const { data, error } = await supabase
+      .from('account_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('token_hash', hashToken(String(token)))
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('user_id, email');
+
+    if (error) {
+      throw error;
+    }
+    if (!data || data.length === 0) {
+      const err = new Error('Invalid or expired token');
+      err.code = 'INVALID_TOKEN';
+      throw err;
+    }
+    return { userId: data[0].user_id, email: data[0].email };
+  }
+
+  /**
+   * Mail a verification link to a user's current address
+   * @param {Object} user - { id, username, email }
+   * @returns {Promise<boolean>} Whether a mail was sent
+   */
+  async sendVerification(user) {
+    const issued = await this.create(user.id, PURPOSES.VERIFY_EMAIL, user.email);
+    if (!issued) {
+      return false;
+    }
+
+    const hours = Math.round(this.verificationTtlSeconds / 3600);
+    await mailer.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Confirm this email address for your Disney Infinity Community Server account:',
+        `${this.baseUrl}/api/v1/auth/verify-email?token=${issued.token}`,
+        '',
+        `Verification code: ${issued.token}`,
+        '',
+        `The link expires in ${hours} hours. If you did not create this account, ignore this email.`
+      ].join('\n')
+    });
+    winston.info(`Verification email sent to user ${user.id}`);
+    return true;
+  }
+
+  /**
+   * Mail a password reset code
+   * @param {Object} user - { id, username, email }
+   * @returns {Promise<boolean>} Whether a mail was sent
+   */
+  async sendPasswordReset(user) {
+    const issued = await this.create(user.id, PURPOSES.RESET_PASSWORD, user.email);
+    if (!issued) {
+      return false;
+    }
+
+    const minutes = Math.round(this.passwordResetTtlSeconds / 60);
+    await mailer.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password of your Disney Infinity Community Server account.',
+        'Enter this code with your new password in the game or send it to POST /api/v1/auth/reset-password:',
+        '',
+        `Reset code: ${issued.token}`,
+        '',
+        `The code works once and expires in ${minutes} minutes. Resetting signs the account out everywhere.`,
+        'If you did not ask for this, ignore this email; your password stays the same.'
+      ].join('\n')
+    });
+    winston.info(`Password reset email sent to user ${user.id}`);
+    return true;
+  }
+}
+
+module.exports = new AccountTokenService();
+module.exports.PURPOSES = PURPOSES;
@@ -0,0 +1,298 @@
+/**
+ * Auth Token Service
+ * Issues access/refresh token pairs and keeps the refresh tokens of each login
+ * in a persisted family (refresh_token_families)
+ *
+ * Every refresh rotates the family: the presented refresh token stops working
+ * and a new one is issued. A refresh token that was already rotated away can
+ * only be presented again if it was copied, so that revokes the whole family.
+ * Access tokens carry their family id (sid), so revoking a family (reuse,
+ * logout, sign out everywhere) also cuts off the access tokens issued from it.
+ *
+ * The family row doubles as the login's entry in the account's active sessions
+ * list: the device and platform it was made from, its IP and when it was last seen.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const { supabase } = require('../config/database');
+const { detectPlatform } = require('./platform');
+
+// How stale last_used_at may get before an authenticated request refreshes it
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+function tokenError(code, message, family = null) {
+  const err = new Error(message);
+  err.code = code;
+  if (family) {
+    err.userId = family.user_id;
+    err.familyId = family.id;
+  }
+  return err;
+}
+
+class AuthTokenService {
+  get accessSecret() {
+    return process.env.JWT_SECRET;
+  }
+
+  get refreshSecret() {
+    return process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Access token for a login
+   */
+  signAccessToken(userId, familyId) {
+    return jwt.sign(
+      { userId, type: 'access', sid: familyId },
+      this.accessSecret,
+      { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
+    );
+  }
+
+  /**
+   * Refresh token for a family's current generation
+   * @returns {Object} { token, expiresAt }
+   */
+  signRefreshToken(userId, familyId, tokenId) {
+    const token = jwt.sign(
+      { userId, type: 'refresh', fid: familyId },
+      this.refreshSecret,
+      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d', jwtid: tokenId }
+    );
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+  }
+
+  /**
+   * Start a login: a new family and its first token pair
+   * @param {string} userId
+   * @param {Object} client - { ip, userAgent, deviceId, deviceName } of the request
+   * @returns {Promise<Object>} { familyId, accessToken, refreshToken }
+   */
+  async issue(userId, { ip = null, userAgent = null, deviceId = null, deviceName = null } = {}) {
+    const familyId = crypto.randomUUID();
+    const tokenId = crypto.randomUUID();
+    const refresh = this.signRefreshToken(userId, familyId, tokenId);
+
+    const { error } = await supabase
+      .from('refresh_token_families')
+      .insert([{
+        id: familyId,
+        user_id: userId,
+        current_token_id: tokenId,
+        ip_address: ip,
+        user_agent: userAgent ? String(userAgent).slice(0, 300) : null,
+        device_id: deviceId,
+        device_name: deviceName,
+        platform: detectPlatform(userAgent),
+        expires_at: refresh.expiresAt
+      }]);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      familyId,
+      accessToken: this.signAccessToken(userId, familyId),
+      refreshToken: refresh.token
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair
+   * @returns {Promise<Object>} { userId, familyId, accessToken, refreshToken }
+   * @throws {Error} code INVALID_TOKEN, TOKEN_REVOKED or TOKEN_REUSED (with the userId and familyId of the revoked login)
+   */
+  async rotate(refreshToken, { ip = null, userAgent = null } = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, this.refreshSecret);
+    } catch (err) {
+      throw tokenError('INVALID_TOKEN', 'Invalid or expired refresh token');
+    }
+    // Tokens issued before families existed have no fid and cannot be rotated
+    if (decoded.type !== 'refresh' || !decoded.fid || !decoded.jti) {
+      throw tokenError('INVALID_TOKEN', 'Invalid refresh token');
+    }
+
+    const { data: family, error } = await supabase
+      .from('refresh_token_families')
+      .select('id, user_id, current_token_id, generation, revoked_at')
+      .eq('id', decoded.fid)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!family || family.user_id !== decoded.userId || family.revoked_at) {
+      throw tokenError('TOKEN_REVOKED', 'Refresh token has been revoked');
+    }
+    if (family.current_token_id !== decoded.jti) {
+      await this.revokeReused(family);
+      throw tokenError('TOKEN_REUSED', 'Refresh token was already used', family);
+    }
+
+    const tokenId = crypto.randomUUID();
+    const refresh = this.signRefreshToken(family.user_id, family.id, tokenId);
+
+    // Only one of two concurrent refreshes with the same token can win
+    const { data: updated, error: updateError } = await supabase
+      .from('refresh_token_families')
+      .update({
+        current_token_id: tokenId,
+        generation: family.generation + 1,
+        ip_address: ip,
+        user_agent: userAgent ? String(userAgent).slice(0, 300) : null,
+        last_used_at: new Date().toISOString(),
+        expires_at: refresh.expiresAt
+      })
+      .eq('id', family.id)
+      .eq('current_token_id', decoded.jti)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (updateError) {
+      throw updateError;
+    }
+    if (!updated || updated.length === 0) {
+      await this.revokeReused(family);
+      throw tokenError('TOKEN_REUSED', 'Refresh token was already used', family);
+    }
+
+    return {
+      userId: family.user_id,
+      familyId: family.id,
+      accessToken: this.signAccessToken(family.user_id, family.id),
+      refreshToken: refresh.token
+    };
+  }
+
+  async revokeReused(family) {
+    winston.warn(`Refresh token reuse detected for user ${family.user_id}; revoking login ${family.id}`);
+    await this.revoke(family.id, 'reuse');
+  }
+
+  /**
+   * Revoke one login
+   * @param {string} familyId
+   * @param {string} reason
+   * @param {string|null} userId - Only revoke the login if it belongs to this user
+   * @returns {Promise<boolean>} Whether an active login was revoked
+   */
+  async revoke(familyId, reason = 'logout', userId = null) {
+    let query = supabase
+      .from('refresh_token_families')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('id', familyId)
+      .is('revoked_at', null);
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      throw error;
+    }
+    return Boolean(data && data.length > 0);
+  }
+
+  /**
+   * Revoke every login of a user (sign out everywhere)
+   * @returns {Promise<string[]>} Ids of the revoked logins
+   */
+  async revokeAll(userId, reason = 'logout_all') {
+    const { data, error } = await supabase
+      .from('refresh_token_families')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    return (data || []).map(row => row.id);
+  }
+
+  /**
+   * Whether access tokens of a login are still honoured, keeping its last seen time current
+   * Access tokens without a login (issued before families existed) are not tracked.
+   */
+  async isActive(familyId) {
+    if (!familyId) {
+      return true;
+    }
+    const { data: family, error } = await supabase
+      .from('refresh_token_families')
+      .select('revoked_at, last_used_at')
+      .eq('id', familyId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!family || family.revoked_at) {
+      return false;
+    }
+
+    if (Date.now() - new Date(family.last_used_at).getTime() > LAST_SEEN_INTERVAL_MS) {
+      const { error: touchError } = await supabase
+        .from('refresh_token_families')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', familyId);
+      if (touchError) {
+        winston.warn(`Failed to update last seen of login ${familyId}: ${touchError.message}`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * A user's active logins, most recently seen first, and their device_sync records
+   * A login made with a device_id is matched to the sync record of that device.
+   * @returns {Promise<Object>} { sessions, devices }
+   */
+  async listSessions(userId) {
+    const [{ data: families, error }, { data: devices, error: devicesError }] = await Promise.all([
+      supabase
+        .from('refresh_token_families')
+        .select('id, device_id, device_name, platform, user_agent, ip_address, created_at, last_used_at, expires_at')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_used_at', { ascending: false }),
+      supabase
+        .from('device_sync')
+        .select('device_id, device_name, last_sync, created_at')
+        .eq('user_id', userId)
+        .order('last_sync', { ascending: false })
+    ]);
+
+    if (error) {
+      throw error;
+    }
+    if (devicesError) {
+      throw devicesError;
+    }
+
+    const devicesById = new Map((devices || []).map(device => [device.device_id, device]));
+    const sessions = (families || []).map(family => ({
+      id: family.id,
+      device: family.device_name || devicesById.get(family.device_id)?.device_name || family.user_agent,
+      device_id: family.device_id,
+      platform: family.platform,
+      ip_address: family.ip_address,
+      last_seen: family.last_used_at,
+      created_at: family.created_at,
+      expires_at: family.expires_at,
+      sync_device: devicesById.get(family.device_id) || null
+    }));
+
+    return { sessions, devices: devices || [] };
+  }
+}
+
+module.exports = new AuthTokenService();
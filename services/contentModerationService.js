@@ -0,0 +1,220 @@
+/**
+ * Content Moderation Service
+ * Review queue for player-entered text sent to /infinity/moderation/v1
+ *
+ * Text is checked against a word and regex filter first. Matches are rejected
+ * straight away; everything else waits in the pending queue for a moderator,
+ * like toybox uploads do, unless MODERATION_AUTO_APPROVE is set.
+ *
+ * Filter configuration:
+ *   MODERATION_FILTER_WORDS  comma-separated words, matched as whole words
+ *   MODERATION_FILTER_FILE   JSON file with { "words": [...], "patterns": [...] };
+ *                            patterns are regular expressions, matched case-insensitively
+ */
+
+const fs = require('fs');
+const winston = require('winston');
+const pool = require('../config/database');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Request fields describing the submission rather than holding player text
+const META_FIELDS = ['type', 'content_type', 'platform', 'locale', 'language', 'version'];
+const MAX_FIELDS = 20;
+const MAX_FIELD_LENGTH = 2000;
+
+const COLUMNS = `
+  id, user_id, platform, content_type, content, fields, status, filter_matches,
+  decided_by, decided_at, moderator_notes, created_at
+`;
+
+function moderationError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class ContentModerationService {
+  constructor() {
+    this.filter = null;
+  }
+
+  get autoApprove() {
+    return process.env.MODERATION_AUTO_APPROVE === 'true';
+  }
+
+  /**
+   * Compiled filter rules, loaded on first use
+   * @returns {Array<{label: string, regex: RegExp}>}
+   */
+  getFilter() {
+    if (!this.filter) {
+      this.filter = this.loadFilter();
+    }
+    return this.filter;
+  }
+
+  /**
+   * Drop the compiled filter so the next check re-reads the configuration
+   */
+  reloadFilter() {
+    this.filter = null;
+  }
+
+  loadFilter() {
+    const words = (process.env.MODERATION_FILTER_WORDS || '').split(',');
+    const patterns = [];
+
+    if (process.env.MODERATION_FILTER_FILE) {
+      try {
+        const config = JSON.parse(fs.readFileSync(process.env.MODERATION_FILTER_FILE, 'utf8'));
+        words.push(...(Array.isArray(config.words) ? config.words : []));
+        patterns.push(...(Array.isArray(config.patterns) ? config.patterns : []));
+      } catch (err) {
+        winston.error(`Failed to load moderation filter ${process.env.MODERATION_FILTER_FILE}:`, err);
+      }
+    }
+
+    const rules = [];
+    for (const word of words) {
+      const trimmed = String(word).trim().toLowerCase();
+      if (trimmed) {
+        rules.push({ label: trimmed, regex: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(trimmed)}($|[^\\p{L}\\p{N}])`, 'iu') });
+      }
+    }
+    for (const pattern of patterns) {
+      try {
+        rules.push({ label: `/${pattern}/`, regex: new RegExp(pattern, 'i') });
+      } catch (err) {
+        winston.warn(`Ignoring invalid moderation filter pattern /${pattern}/: ${err.message}`);
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Filter rules a piece of text matches
+   * @returns {string[]} Matched words and patterns; empty if the text is clean
+   */
+  checkText(text) {
+    return this.getFilter()
+      .filter(rule => rule.regex.test(text))
+      .map(rule => rule.label);
+  }
+
+  /**
+   * Queue player text for review
+   * @param {string|null} userId - Submitting player, if signed in
+   * @param {Object} submission
+   * @param {Object} submission.fields - Text fields as sent by the game
+   * @param {string} submission.contentType
+   * @param {string} submission.platform
+   * @returns {Promise<Object>} The stored submission
+   */
+  async submit(userId, { fields, contentType, platform }) {
+    const text = this.extractFields(fields);
+    const content = Object.values(text).join('\n');
+    if (!content.trim()) {
+      throw moderationError('INVALID_SUBMISSION', 'No text to moderate');
+    }
+
+    const matches = this.checkText(content);
+    let status = 'pending';
+    if (matches.length > 0) {
+      status = 'rejected';
+    } else if (this.autoApprove) {
+      status = 'approved';
+    }
+
+    const result = await pool.query(`
+      INSERT INTO content_submissions
+        (user_id, platform, content_type, content, fields, status, filter_matches, decided_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${COLUMNS}
+    `, [userId || null,
+      platform ? String(platform).toLowerCase().slice(0, 20) : null,
+      String(contentType || 'text').slice(0, 50),
+      content,
+      JSON.stringify(text),
+      status,
+      matches,
+      status === 'pending' ? null : new Date().toISOString()]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Player text from the request body: every string field that is not metadata
+   */
+  extractFields(fields) {
+    const text = {};
+    if (!fields || typeof fields !== 'object') {
+      return text;
+    }
+    for (const [key, value] of Object.entries(fields)) {
+      if (typeof value === 'string' && !META_FIELDS.includes(key) && Object.keys(text).length < MAX_FIELDS) {
+        text[key] = value.slice(0, MAX_FIELD_LENGTH);
+      }
+    }
+    return text;
+  }
+
+  async getSubmission(id) {
+    if (!UUID_PATTERN.test(String(id))) {
+      throw moderationError('SUBMISSION_NOT_FOUND', 'Submission not found');
+    }
+    const result = await pool.query(`SELECT ${COLUMNS} FROM content_submissions WHERE id = $1`, [id]);
+    if (result.rows.length === 0) {
+      throw moderationError('SUBMISSION_NOT_FOUND', 'Submission not found');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Submissions waiting for a moderator, oldest first, with the submitter
+   */
+  async listPending() {
+    const result = await pool.query(`
+      SELECT s.id, s.user_id, s.platform, s.content_type, s.content, s.fields, s.created_at,
+             u.username, u.email
+      FROM content_submissions s
+      LEFT JOIN users u ON u.id = s.user_id
+      WHERE s.status = 'pending'
+      ORDER BY s.created_at
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Record a moderator's decision on a pending submission
+   * @param {string} status - approved or rejected
+   */
+  async decide(id, status, notes, moderatorId) {
+    if (!['approved', 'rejected'].includes(status)) {
+      throw moderationError('INVALID_REQUEST', 'Invalid status. Must be: approved or rejected');
+    }
+
+    const submission = await this.getSubmission(id);
+    if (submission.status !== 'pending') {
+      throw moderationError('ALREADY_DECIDED', `Submission is already ${submission.status}`);
+    }
+
+    const result = await pool.query(`
+      UPDATE content_submissions
+      SET status = $2, moderator_notes = $3, decided_by = $4, decided_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING ${COLUMNS}
+    `, [id, status, typeof notes === 'string' ? notes : null, moderatorId]);
+
+    if (result.rows.length === 0) {
+      throw moderationError('ALREADY_DECIDED', 'Submission was decided by another moderator');
+    }
+    return result.rows[0];
+  }
+}
+
+module.exports = new ContentModerationService();
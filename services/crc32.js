@@ -0,0 +1,29 @@
+/**
+ * CRC-32 (IEEE 802.3, the zlib/PNG polynomial)
+ * zlib.crc32 only exists from Node 20.15 / 22.2, and the server still runs on
+ * Node 18, so toybox checksums and STUN fingerprints use this table instead.
+ */
+
+const TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  TABLE[n] = c >>> 0;
+}
+
+/**
+ * CRC-32 of a buffer, as an unsigned 32-bit integer
+ * @param {Buffer|Uint8Array} data
+ * @returns {number}
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = { crc32 };
@@ -0,0 +1,377 @@
+/**
+ * Entitlement Service
+ * Unlockable content served to the game by /infinity/entitlement/
+ *
+ * The catalogue lists what can be unlocked. Grants unlock a catalogue entry
+ * for the whole server, one platform or one user, optionally only between
+ * starts_at and ends_at (to stage unlocks for events). Every catalogue change,
+ * grant and revoke is written to entitlement_audit.
+ */
+
+const pool = require('../config/database');
+
+const TYPES = ['dlc', 'playset', 'character', 'power_disc', 'other'];
+const SCOPES = ['server', 'platform', 'user'];
+const ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const PLATFORM_PATTERN = /^[a-z0-9]{1,20}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const GRANT_COLUMNS = `
+  g.id, g.entitlement_id, g.scope, g.platform, g.user_id, g.starts_at, g.ends_at,
+  g.reason, g.granted_by, g.created_at, g.revoked_at, g.revoked_by
+`;
+
+// A grant that is not revoked and whose schedule covers NOW()
+const LIVE_GRANT = `
+  g.revoked_at IS NULL
+  AND (g.starts_at IS NULL OR g.starts_at <= NOW())
+  AND (g.ends_at IS NULL OR g.ends_at > NOW())
+`;
+
+function entitlementError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function validateDate(value, name) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const date = new Date(value);
+  if (typeof value !== 'string' || isNaN(date.getTime())) {
+    throw entitlementError('INVALID_REQUEST', `${name} must be an ISO 8601 date or null`);
+  }
+  return date.toISOString();
+}
+
+class EntitlementService {
+  /**
+   * Entitlements currently unlocked for a player on a platform
+   * @param {string} platform - Platform the game is running on
+   * @param {string|null} userId - Signed-in player (null = server and platform grants only)
+   */
+  async getEffectiveEntitlements(platform, userId = null) {
+    const result = await pool.query(`
+      SELECT e.id, e.name, e.type,
+             MIN(COALESCE(g.starts_at, g.created_at)) AS granted_at,
+             array_agg(DISTINCT g.scope) AS sources
+      FROM entitlements e
+      JOIN entitlement_grants g ON g.entitlement_id = e.id
+      WHERE e.is_active = TRUE
+        AND ${LIVE_GRANT}
+        AND (
+          g.scope = 'server'
+          OR (g.scope = 'platform' AND g.platform = $1)
+          OR (g.scope = 'user' AND g.user_id = $2)
+        )
+      GROUP BY e.id, e.name, e.type
+      ORDER BY e.type, e.id
+    `, [String(platform || '').toLowerCase(), userId]);
+
+    return result.rows;
+  }
+
+  async listCatalogue() {
+    const result = await pool.query(`
+      SELECT e.*,
+             (SELECT COUNT(*)::int FROM entitlement_grants g WHERE g.entitlement_id = e.id AND ${LIVE_GRANT}) AS live_grants
+      FROM entitlements e
+      ORDER BY e.type, e.id
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Add an entry to the catalogue
+   */
+  async createEntitlement(fields, actorId) {
+    const entry = this.validateEntitlement(fields, { partial: false });
+
+    return pool.transaction(async (client) => {
+      const existing = await client.query('SELECT 1 FROM entitlements WHERE id = $1', [entry.id]);
+      if (existing.rows.length > 0) {
+        throw entitlementError('ENTITLEMENT_EXISTS', `Entitlement ${entry.id} already exists`);
+      }
+
+      const columns = Object.keys(entry);
+      const result = await client.query(`
+        INSERT INTO entitlements (${columns.join(', ')})
+        VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+        RETURNING *
+      `, Object.values(entry));
+
+      await this.audit(client, 'create', entry.id, null, actorId, entry);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Change a catalogue entry's name, type, description or is_active
+   */
+  async updateEntitlement(id, fields, actorId) {
+    const changes = this.validateEntitlement(fields, { partial: true });
+    delete changes.id;
+    const columns = Object.keys(changes);
+    if (columns.length === 0) {
+      throw entitlementError('INVALID_REQUEST', 'No entitlement fields to update');
+    }
+
+    return pool.transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE entitlements
+        SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id, ...Object.values(changes)]);
+
+      if (result.rows.length === 0) {
+        throw entitlementError('ENTITLEMENT_NOT_FOUND', `Entitlement ${id} not found`);
+      }
+
+      await this.audit(client, 'update', id, null, actorId, changes);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * List grants, newest first
+   * @param {Object} filters - entitlement_id, scope, platform, user_id, include_revoked
+   */
+  async listGrants(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.entitlement_id) add('g.entitlement_id = ?', filters.entitlement_id);
+    if (filters.scope) add('g.scope = ?', filters.scope);
+    if (filters.platform) add('g.platform = ?', String(filters.platform).toLowerCase());
+    if (filters.user_id) {
+      this.assertUuid(filters.user_id, 'user_id');
+      add('g.user_id = ?', filters.user_id);
+    }
+    if (!filters.include_revoked) conditions.push('g.revoked_at IS NULL');
+
+    const result = await pool.query(`
+      SELECT ${GRANT_COLUMNS}, u.username
+      FROM entitlement_grants g
+      LEFT JOIN users u ON u.id = g.user_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY g.created_at DESC
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Grant an entitlement server-wide, to a platform or to a user
+   * @param {Object} fields - entitlement_id, scope, platform, user_id, starts_at, ends_at, reason
+   */
+  async grant(fields, actorId) {
+    const grant = this.validateGrant(fields);
+
+    return pool.transaction(async (client) => {
+      const entitlement = await client.query('SELECT 1 FROM entitlements WHERE id = $1', [grant.entitlement_id]);
+      if (entitlement.rows.length === 0) {
+        throw entitlementError('ENTITLEMENT_NOT_FOUND', `Entitlement ${grant.entitlement_id} not found`);
+      }
+
+      if (grant.user_id) {
+        const user = await client.query('SELECT 1 FROM users WHERE id = $1', [grant.user_id]);
+        if (user.rows.length === 0) {
+          throw entitlementError('USER_NOT_FOUND', 'User not found');
+        }
+      }
+
+      const existing = await client.query(`
+        SELECT id FROM entitlement_grants
+        WHERE entitlement_id = $1 AND scope = $2
+          AND platform IS NOT DISTINCT FROM $3 AND user_id IS NOT DISTINCT FROM $4
+          AND revoked_at IS NULL
+      `, [grant.entitlement_id, grant.scope, grant.platform, grant.user_id]);
+      if (existing.rows.length > 0) {
+        throw entitlementError('ALREADY_GRANTED', `Entitlement is already granted (grant ${existing.rows[0].id}); revoke it first to change it`);
+      }
+
+      const result = await client.query(`
+        INSERT INTO entitlement_grants
+          (entitlement_id, scope, platform, user_id, starts_at, ends_at, reason, granted_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [grant.entitlement_id, grant.scope, grant.platform, grant.user_id,
+        grant.starts_at, grant.ends_at, grant.reason, actorId]);
+
+      const created = result.rows[0];
+      await this.audit(client, 'grant', created.entitlement_id, created.id, actorId, {
+        scope: created.scope,
+        platform: created.platform,
+        user_id: created.user_id,
+        starts_at: created.starts_at,
+        ends_at: created.ends_at,
+        reason: created.reason
+      });
+      return created;
+    });
+  }
+
+  /**
+   * Revoke a grant (kept for the audit trail, no longer applied)
+   */
+  async revoke(grantId, reason, actorId) {
+    if (!UUID_PATTERN.test(grantId)) {
+      throw entitlementError('GRANT_NOT_FOUND', 'Grant not found or already revoked');
+    }
+
+    return pool.transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE entitlement_grants
+        SET revoked_at = NOW(), revoked_by = $2
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING *
+      `, [grantId, actorId]);
+
+      if (result.rows.length === 0) {
+        throw entitlementError('GRANT_NOT_FOUND', 'Grant not found or already revoked');
+      }
+
+      const revoked = result.rows[0];
+      await this.audit(client, 'revoke', revoked.entitlement_id, revoked.id, actorId, {
+        scope: revoked.scope,
+        platform: revoked.platform,
+        user_id: revoked.user_id,
+        reason: typeof reason === 'string' ? reason : null
+      });
+      return revoked;
+    });
+  }
+
+  /**
+   * Audit trail, newest first
+   * @param {Object} filters - entitlement_id, user_id (grants to that user), limit, offset
+   */
+  async getAuditLog({ entitlement_id, user_id, limit = 50, offset = 0 } = {}) {
+    const params = [entitlement_id || null, user_id || null,
+      Math.min(Math.max(parseInt(limit) || 50, 1), 200), Math.max(parseInt(offset) || 0, 0)];
+    if (user_id) {
+      this.assertUuid(user_id, 'user_id');
+    }
+
+    const result = await pool.query(`
+      SELECT a.id, a.action, a.entitlement_id, a.grant_id, a.actor_id,
+             u.username AS actor_username, a.details, a.created_at
+      FROM entitlement_audit a
+      LEFT JOIN users u ON u.id = a.actor_id
+      WHERE ($1::text IS NULL OR a.entitlement_id = $1)
+        AND ($2::text IS NULL OR a.details->>'user_id' = $2)
+      ORDER BY a.created_at DESC
+      LIMIT $3 OFFSET $4
+    `, params);
+
+    return result.rows;
+  }
+
+  async audit(client, action, entitlementId, grantId, actorId, details) {
+    await client.query(`
+      INSERT INTO entitlement_audit (action, entitlement_id, grant_id, actor_id, details)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [action, entitlementId, grantId, actorId, JSON.stringify(details)]);
+  }
+
+  assertUuid(value, name) {
+    if (typeof value !== 'string' || !UUID_PATTERN.test(value)) {
+      throw entitlementError('INVALID_REQUEST', `${name} must be a UUID`);
+    }
+  }
+
+  validateEntitlement(fields, { partial }) {
+    if (!fields || typeof fields !== 'object') {
+      throw entitlementError('INVALID_REQUEST', 'Entitlement fields required');
+    }
+
+    const entry = {};
+    const has = (key) => fields[key] !== undefined;
+
+    if (!partial) {
+      if (typeof fields.id !== 'string' || !ID_PATTERN.test(fields.id)) {
+        throw entitlementError('INVALID_REQUEST', 'id must be 1-64 letters, digits, ".", "-" or "_"');
+      }
+      entry.id = fields.id;
+    }
+
+    if (!partial || has('name')) {
+      if (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 100) {
+        throw entitlementError('INVALID_REQUEST', 'name must be 1-100 characters');
+      }
+      entry.name = fields.name.trim();
+    }
+
+    if (has('type')) {
+      if (!TYPES.includes(fields.type)) {
+        throw entitlementError('INVALID_REQUEST', `type must be one of: ${TYPES.join(', ')}`);
+      }
+      entry.type = fields.type;
+    }
+
+    if (has('description')) {
+      if (fields.description !== null && typeof fields.description !== 'string') {
+        throw entitlementError('INVALID_REQUEST', 'description must be a string');
+      }
+      entry.description = fields.description;
+    }
+
+    if (has('is_active')) {
+      if (typeof fields.is_active !== 'boolean') {
+        throw entitlementError('INVALID_REQUEST', 'is_active must be a boolean');
+      }
+      entry.is_active = fields.is_active;
+    }
+
+    return entry;
+  }
+
+  validateGrant(fields) {
+    if (!fields || typeof fields !== 'object') {
+      throw entitlementError('INVALID_REQUEST', 'Grant fields required');
+    }
+    if (typeof fields.entitlement_id !== 'string' || !ID_PATTERN.test(fields.entitlement_id)) {
+      throw entitlementError('INVALID_REQUEST', 'entitlement_id is required');
+    }
+    if (!SCOPES.includes(fields.scope)) {
+      throw entitlementError('INVALID_REQUEST', `scope must be one of: ${SCOPES.join(', ')}`);
+    }
+
+    const grant = {
+      entitlement_id: fields.entitlement_id,
+      scope: fields.scope,
+      platform: null,
+      user_id: null,
+      starts_at: validateDate(fields.starts_at, 'starts_at'),
+      ends_at: validateDate(fields.ends_at, 'ends_at'),
+      reason: typeof fields.reason === 'string' ? fields.reason : null
+    };
+
+    if (grant.scope === 'platform') {
+      const platform = String(fields.platform || '').toLowerCase();
+      if (!PLATFORM_PATTERN.test(platform)) {
+        throw entitlementError('INVALID_REQUEST', 'platform is required for platform grants');
+      }
+      grant.platform = platform;
+    }
+
+    if (grant.scope === 'user') {
+      this.assertUuid(fields.user_id, 'user_id');
+      grant.user_id = fields.user_id;
+    }
+
+    if (grant.starts_at && grant.ends_at && new Date(grant.ends_at) <= new Date(grant.starts_at)) {
+      throw entitlementError('INVALID_REQUEST', 'ends_at must be after starts_at');
+    }
+
+    return grant;
+  }
+}
+
+module.exports = new EntitlementService();
@@ -0,0 +1,136 @@
+/**
+ * Game Profile Service
+ * Stores the profile blob the game sends to PUT /infinity/profile/ and merges
+ * it with the web profile (users.profile_data) for GET /infinity/profile/
+ *
+ * Each user has one blob per platform. Every write bumps the version; a writer
+ * that sends the version it last read is refused (PROFILE_CONFLICT) if the
+ * profile has been written since.
+ */
+
+const pool = require('../config/database');
+
+const DEFAULT_AVATAR = { character_id: 1, costume: 'default', accessories: [] };
+const MAX_LEVEL = 9999;
+
+// Identity fields come from the account and web profile, never from the game
+const RESERVED_KEYS = ['userId', 'user_id', 'username', 'display_name', 'version', 'updated_at', 'expected_version'];
+
+function profileError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+}
+
+class GameProfileService {
+  get maxBytes() {
+    return parseInt(process.env.GAME_PROFILE_MAX_BYTES) || 64 * 1024;
+  }
+
+  /**
+   * Profile as the game sees it: web profile fields overlaid with the game blob
+   * @returns {Promise<Object|null>} null if the user does not exist
+   */
+  async getMergedProfile(userId, platform) {
+    const result = await pool.query(`
+      SELECT u.id, u.username, u.profile_data,
+             gp.version, gp.data, gp.updated_at
+      FROM users u
+      LEFT JOIN game_profiles gp ON gp.user_id = u.id AND gp.platform = $2
+      WHERE u.id = $1 AND u.is_active = TRUE
+    `, [userId, platform]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return this.merge(result.rows[0]);
+  }
+
+  merge(row) {
+    const web = row.profile_data || {};
+    const game = row.data || {};
+
+    return {
+      ...game,
+      userId: row.id,
+      username: row.username,
+      display_name: web.display_name || row.username,
+      level: Number.isInteger(game.level) ? game.level : 1,
+      experience: Number.isInteger(game.experience) ? game.experience : 0,
+      avatar: game.avatar || web.avatar || DEFAULT_AVATAR,
+      version: row.version || 0,
+      updated_at: row.updated_at || null
+    };
+  }
+
+  /**
+   * Store the game's profile blob for a platform
+   * @param {Object} payload - Profile fields from the game
+   * @param {Object} options
+   * @param {number} options.expectedVersion - Version the client last read;
+   *   omitted by clients that do not track versions (the write then always wins)
+   * @returns {Promise<Object>} { version, updated_at }
+   */
+  async saveProfile(userId, platform, payload, { expectedVersion } = {}) {
+    const data = this.validate(payload);
+
+    return pool.transaction(async (client) => {
+      const current = await client.query(
+        'SELECT version FROM game_profiles WHERE user_id = $1 AND platform = $2 FOR UPDATE',
+        [userId, platform]
+      );
+      const currentVersion = current.rows.length > 0 ? current.rows[0].version : 0;
+
+      if (expectedVersion !== undefined && expectedVersion !== null && expectedVersion !== currentVersion) {
+        throw profileError('PROFILE_CONFLICT', 'Profile was changed since it was last read', { version: currentVersion });
+      }
+
+      const result = await client.query(`
+        INSERT INTO game_profiles (user_id, platform, data)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_id, platform) DO UPDATE
+        SET data = EXCLUDED.data, version = game_profiles.version + 1, updated_at = NOW()
+        RETURNING version, updated_at
+      `, [userId, platform, JSON.stringify(data)]);
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Validate the game's payload and strip fields it may not set
+   * @returns {Object} Blob to store
+   */
+  validate(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw profileError('INVALID_PROFILE', 'Profile must be a JSON object');
+    }
+
+    const data = { ...payload };
+    for (const key of RESERVED_KEYS) {
+      delete data[key];
+    }
+
+    if (data.level !== undefined && (!Number.isInteger(data.level) || data.level < 1 || data.level > MAX_LEVEL)) {
+      throw profileError('INVALID_PROFILE', `level must be an integer from 1 to ${MAX_LEVEL}`);
+    }
+    if (data.experience !== undefined && (!Number.isInteger(data.experience) || data.experience < 0)) {
+      throw profileError('INVALID_PROFILE', 'experience must be a non-negative integer');
+    }
+    if (data.avatar !== undefined && (!data.avatar || typeof data.avatar !== 'object' || Array.isArray(data.avatar))) {
+      throw profileError('INVALID_PROFILE', 'avatar must be an object');
+    }
+
+    const size = Buffer.byteLength(JSON.stringify(data));
+    if (size > this.maxBytes) {
+      throw profileError('PROFILE_TOO_LARGE', `Profile exceeds ${this.maxBytes} bytes`);
+    }
+
+    return data;
+  }
+}
+
+module.exports = new GameProfileService();
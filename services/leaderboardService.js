@@ -0,0 +1,111 @@
+/**
+ * Leaderboard Service
+ * Rankings for the game's /infinity/leaderboard/ endpoint, computed from the
+ * match results in game_stats so they can be narrowed to one game mode or
+ * platform (player_stats only holds lifetime totals).
+ */
+
+const pool = require('../config/database');
+
+/**
+ * Available boards
+ * value is aggregated per player over the matching game_stats rows (gs).
+ */
+const BOARDS = {
+  total_score: { name: 'Total Score', value: 'SUM(gs.score)', order: 'DESC' },
+  high_score: { name: 'High Score', value: 'MAX(gs.score)', order: 'DESC' },
+  matches_played: { name: 'Matches Played', value: 'COUNT(*)', order: 'DESC' },
+  fastest_time: {
+    name: 'Fastest Time',
+    value: 'MIN(gs.completion_time)',
+    order: 'ASC',
+    where: 'gs.completion_time IS NOT NULL'
+  }
+};
+
+const DEFAULT_BOARD = 'total_score';
+const MAX_LIMIT = 100;
+
+function leaderboardError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+class LeaderboardService {
+  get boards() {
+    return Object.entries(BOARDS).map(([id, board]) => ({ id, name: board.name, order: board.order.toLowerCase() }));
+  }
+
+  /**
+   * One page of a board, plus the requesting player's own position
+   * @param {Object} options
+   * @param {string} options.board - Board id (see BOARDS)
+   * @param {string} options.gameMode - Only count matches in this game mode
+   * @param {string} options.platform - Only count matches played on this platform
+   * @param {number} options.limit
+   * @param {number} options.offset
+   * @param {string} options.userId - Player whose rank is returned as `player`
+   * @returns {Promise<Object>} { board, entries, total, player }
+   */
+  async getBoard({ board = DEFAULT_BOARD, gameMode = null, platform = null, limit = 50, offset = 0, userId = null } = {}) {
+    const definition = BOARDS[board];
+    if (!definition) {
+      throw leaderboardError('INVALID_BOARD', `Unknown leaderboard. Available: ${Object.keys(BOARDS).join(', ')}`);
+    }
+
+    const pageLimit = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIMIT);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
+
+    // Shared by both queries: $1 game mode, $2 platform
+    const ranked = `
+      WITH scores AS (
+        SELECT gs.player_id AS user_id,
+               ${definition.value}::float8 AS value,
+               COUNT(*)::int AS matches
+        FROM game_stats gs
+        JOIN game_sessions s ON s.id = gs.session_id
+        WHERE ($1::text IS NULL OR s.game_mode = $1)
+          AND ($2::text IS NULL OR gs.platform = $2)
+          ${definition.where ? `AND ${definition.where}` : ''}
+        GROUP BY gs.player_id
+      ),
+      ranked AS (
+        SELECT user_id, value, matches,
+               RANK() OVER (ORDER BY value ${definition.order})::int AS rank
+        FROM scores
+      )
+    `;
+    const filters = [gameMode || null, platform ? platform.toLowerCase() : null];
+
+    const page = await pool.query(`
+      ${ranked}
+      SELECT r.rank, r.user_id, u.username, r.value, r.matches
+      FROM ranked r
+      JOIN users u ON u.id = r.user_id
+      ORDER BY r.rank, u.username
+      LIMIT $3 OFFSET $4
+    `, [...filters, pageLimit, pageOffset]);
+
+    const summary = await pool.query(`
+      ${ranked}
+      SELECT (SELECT COUNT(*)::int FROM ranked) AS total,
+             r.rank, r.value, r.matches
+      FROM (SELECT 1) one
+      LEFT JOIN ranked r ON r.user_id = $3
+    `, [...filters, userId]);
+
+    const { total, rank, value, matches } = summary.rows[0];
+
+    return {
+      board: { id: board, name: definition.name, order: definition.order.toLowerCase() },
+      entries: page.rows,
+      total,
+      limit: pageLimit,
+      offset: pageOffset,
+      player: rank ? { rank, value, matches } : null
+    };
+  }
+}
+
+module.exports = new LeaderboardService();
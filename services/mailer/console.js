@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+/**
+ * Console mail transport
+ * Prints every message to stdout instead of sending it (the default when no
+ * SMTP server is configured).
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    console.log([
+      `📧 Mail ${id}`,
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text
+    ].join('\n'));
+    return { id };
+  }
+}
+
+module.exports = ConsoleTransport;
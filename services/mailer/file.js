@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * File mail transport
+ * Writes every message as an .eml file under a directory instead of sending
+ * it, so flows can be tried out on a LAN or development server.
+ */
+class FileTransport {
+  constructor({ dir }) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+    // Builds the raw RFC 5322 message without sending it anywhere
+    this.composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  async send(message) {
+    const info = await this.composer.sendMail(message);
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, `${id}.eml`), info.message);
+
+    return { id, path: path.join(this.dir, `${id}.eml`) };
+  }
+}
+
+module.exports = FileTransport;
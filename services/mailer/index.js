@@ -0,0 +1,109 @@
+const path = require('path');
+const winston = require('winston');
+const SmtpTransport = require('./smtp');
+const FileTransport = require('./file');
+const ConsoleTransport = require('./console');
+
+/**
+ * Outgoing mail
+ *
+ * Account emails (verification, password reset) go through this service
+ * instead of talking to a mail server directly. The transport is chosen by
+ * MAIL_TRANSPORT:
+ * - smtp (default when SMTP_HOST is set): SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS
+ * - file: .eml files under MAIL_FILE_DIR, for local testing
+ * - console (default otherwise): printed to stdout; refused when NODE_ENV is
+ *   production outside LAN mode, so reset codes never end up only in the logs
+ */
+
+/**
+ * Create a mail transport from environment configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {SmtpTransport|FileTransport|ConsoleTransport} Mail transport
+ */
+function createMailTransport(env = process.env) {
+  const transport = (env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+
+  switch (transport) {
+    case 'smtp': {
+      if (!env.SMTP_HOST) {
+        const err = new Error('MAIL_TRANSPORT is smtp but SMTP_HOST is not set');
+        err.code = 'MAIL_NOT_CONFIGURED';
+        throw err;
+      }
+      const port = parseInt(env.SMTP_PORT) || 587;
+      return new SmtpTransport({
+        host: env.SMTP_HOST,
+        port,
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    }
+
+    case 'file':
+      return new FileTransport({
+        dir: env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'data', 'mail')
+      });
+
+    case 'console':
+      if (env.NODE_ENV === 'production' && env.LAN_MODE !== 'true') {
+        const err = new Error('No mail transport configured: set SMTP_HOST or MAIL_TRANSPORT (console mail is not used in production)');
+        err.code = 'MAIL_NOT_CONFIGURED';
+        throw err;
+      }
+      return new ConsoleTransport();
+
+    default: {
+      const err = new Error(`Unknown MAIL_TRANSPORT "${transport}" (expected smtp, file or console)`);
+      err.code = 'MAIL_NOT_CONFIGURED';
+      throw err;
+    }
+  }
+}
+
+class MailerService {
+  constructor() {
+    this.transport = null;
+  }
+
+  get from() {
+    return process.env.MAIL_FROM || 'Disney Infinity Community Server <no-reply@dibeyond.com>';
+  }
+
+  /**
+   * Get (or lazily create) the configured transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createMailTransport();
+      winston.info(`Mail transport: ${this.transport.name}`);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport (tests, or modes that pick one at startup)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} { id } as reported by the transport
+   */
+  async send(message) {
+    return this.getTransport().send({ from: this.from, ...message });
+  }
+}
+
+// Singleton instance
+const mailer = new MailerService();
+
+module.exports = mailer;
+module.exports.createMailTransport = createMailTransport;
+module.exports.SmtpTransport = SmtpTransport;
+module.exports.FileTransport = FileTransport;
+module.exports.ConsoleTransport = ConsoleTransport;
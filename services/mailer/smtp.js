@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport
+ * Sends through any SMTP relay (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS).
+ */
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,373 @@
+/**
+ * Moderation Service
+ * Player reports, moderation cases and sanctions
+ *
+ * Reports about the same player for the same reason are grouped into one open
+ * case, and a player reporting the same case twice is not counted twice.
+ * Cases are escalated to high priority once MODERATION_ESCALATE_REPORTS
+ * players have reported them. Suspensions and bans are mirrored onto
+ * users.suspended_until, which login and authenticateToken check.
+ */
+
+const pool = require('../config/database');
+
+const CATEGORIES = ['cheating', 'harassment', 'offensive_name', 'offensive_content', 'griefing', 'spam', 'other'];
+const PRIORITIES = ['low', 'normal', 'high'];
+const SANCTION_TYPES = ['warning', 'mute', 'suspension', 'ban'];
+const OPEN_STATUSES = ['open', 'triaged'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function moderationError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Map the game's free-form reason ("Offensive Name", "cheating") to a category
+ */
+function normalizeCategory(reason) {
+  const category = String(reason || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return CATEGORIES.includes(category) ? category : 'other';
+}
+
+class ModerationService {
+  get escalateAfter() {
+    return parseInt(process.env.MODERATION_ESCALATE_REPORTS) || 3;
+  }
+
+  /**
+   * File a player report
+   * @param {string} reporterId
+   * @param {Object} report
+   * @param {string} report.target - Reported player's id or username
+   * @param {string} report.reason - Reason as sent by the game
+   * @param {string} report.comment
+   * @param {string} report.sessionId - Game session the report was made from
+   * @param {string} report.platform
+   * @param {Object} report.context - Anything else the game sent
+   * @returns {Promise<Object>} { report_id, case_id, duplicate }
+   */
+  async submitReport(reporterId, { target, reason, comment, sessionId, platform, context = {} }) {
+    if (typeof target !== 'string' || !target.trim()) {
+      throw moderationError('INVALID_REPORT', 'Reported player is required');
+    }
+
+    const targetResult = await pool.query(
+      UUID_PATTERN.test(target)
+        ? 'SELECT id FROM users WHERE id = $1'
+        : 'SELECT id FROM users WHERE LOWER(username) = LOWER($1)',
+      [target.trim()]
+    );
+    if (targetResult.rows.length === 0) {
+      throw moderationError('TARGET_NOT_FOUND', 'Reported player not found');
+    }
+
+    const targetId = targetResult.rows[0].id;
+    if (targetId === reporterId) {
+      throw moderationError('INVALID_REPORT', 'Players cannot report themselves');
+    }
+
+    const category = normalizeCategory(reason);
+
+    return pool.transaction(async (client) => {
+      await client.query(`
+        INSERT INTO moderation_cases (target_user_id, category)
+        VALUES ($1, $2)
+        ON CONFLICT (target_user_id, category) WHERE status IN ('open', 'triaged') DO NOTHING
+      `, [targetId, category]);
+
+      const caseResult = await client.query(`
+        SELECT id, report_count, priority FROM moderation_cases
+        WHERE target_user_id = $1 AND category = $2 AND status IN ('open', 'triaged')
+        FOR UPDATE
+      `, [targetId, category]);
+      const openCase = caseResult.rows[0];
+
+      const existing = await client.query(
+        'SELECT id FROM player_reports WHERE case_id = $1 AND reporter_id = $2',
+        [openCase.id, reporterId]
+      );
+      if (existing.rows.length > 0) {
+        return { report_id: existing.rows[0].id, case_id: openCase.id, duplicate: true };
+      }
+
+      const inserted = await client.query(`
+        INSERT INTO player_reports
+          (case_id, reporter_id, target_user_id, category, reason, comment, session_id, platform, context)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [openCase.id, reporterId, targetId, category,
+        reason ? String(reason).slice(0, 500) : null,
+        comment ? String(comment).slice(0, 2000) : null,
+        sessionId ? String(sessionId).slice(0, 64) : null,
+        platform ? String(platform).toLowerCase().slice(0, 20) : null,
+        JSON.stringify(context)]);
+
+      const reportCount = openCase.report_count + 1;
+      await client.query(`
+        UPDATE moderation_cases
+        SET report_count = $2, priority = $3, updated_at = NOW()
+        WHERE id = $1
+      `, [openCase.id, reportCount, reportCount >= this.escalateAfter ? 'high' : openCase.priority]);
+
+      return { report_id: inserted.rows[0].id, case_id: openCase.id, duplicate: false };
+    });
+  }
+
+  /**
+   * List cases, highest priority and oldest first
+   * @param {Object} filters - status (default: open and triaged), category, priority, target_user_id, limit, offset
+   */
+  async listCases({ status, category, priority, target_user_id, limit = 50, offset = 0 } = {}) {
+    if (target_user_id && !UUID_PATTERN.test(target_user_id)) {
+      throw moderationError('INVALID_REQUEST', 'target_user_id must be a UUID');
+    }
+
+    const statuses = status ? String(status).split(',') : OPEN_STATUSES;
+    const result = await pool.query(`
+      SELECT c.*, t.username AS target_username, a.username AS assigned_username,
+             COUNT(*) OVER()::int AS total
+      FROM moderation_cases c
+      JOIN users t ON t.id = c.target_user_id
+      LEFT JOIN users a ON a.id = c.assigned_to
+      WHERE c.status = ANY($1)
+        AND ($2::text IS NULL OR c.category = $2)
+        AND ($3::text IS NULL OR c.priority = $3)
+        AND ($4::uuid IS NULL OR c.target_user_id = $4)
+      ORDER BY CASE c.priority WHEN 'high' THEN 0 WHEN 'normal' THEN 1 ELSE 2 END, c.created_at
+      LIMIT $5 OFFSET $6
+    `, [statuses, category || null, priority || null, target_user_id || null,
+      Math.min(Math.max(parseInt(limit) || 50, 1), 200), Math.max(parseInt(offset) || 0, 0)]);
+
+    const total = result.rows.length > 0 ? result.rows[0].total : 0;
+    return { cases: result.rows.map(({ total: _total, ...row }) => row), total };
+  }
+
+  /**
+   * A case with its reports, moderator actions and sanctions
+   */
+  async getCase(caseId) {
+    const found = await this.findCase(pool, caseId);
+
+    const [reports, events, sanctions, history] = await Promise.all([
+      pool.query(`
+        SELECT r.id, r.reporter_id, u.username AS reporter_username, r.reason, r.comment,
+               r.session_id, r.platform, r.context, r.created_at
+        FROM player_reports r
+        JOIN users u ON u.id = r.reporter_id
+        WHERE r.case_id = $1
+        ORDER BY r.created_at
+      `, [caseId]),
+      pool.query(`
+        SELECT e.action, e.actor_id, u.username AS actor_username, e.details, e.created_at
+        FROM moderation_case_events e
+        LEFT JOIN users u ON u.id = e.actor_id
+        WHERE e.case_id = $1
+        ORDER BY e.created_at
+      `, [caseId]),
+      pool.query('SELECT * FROM user_sanctions WHERE case_id = $1 ORDER BY created_at', [caseId]),
+      pool.query(`
+        SELECT COUNT(*)::int AS previous_cases
+        FROM moderation_cases
+        WHERE target_user_id = $1 AND id != $2 AND status = 'resolved'
+      `, [found.target_user_id, caseId])
+    ]);
+
+    return {
+      ...found,
+      previous_cases: history.rows[0].previous_cases,
+      reports: reports.rows,
+      events: events.rows,
+      sanctions: sanctions.rows
+    };
+  }
+
+  /**
+   * Mark a case as looked at, optionally re-prioritising or assigning it
+   */
+  async triageCase(caseId, { priority, assigned_to, note } = {}, actorId) {
+    if (priority !== undefined && !PRIORITIES.includes(priority)) {
+      throw moderationError('INVALID_REQUEST', `priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+    if (assigned_to !== undefined && assigned_to !== null && !UUID_PATTERN.test(assigned_to)) {
+      throw moderationError('INVALID_REQUEST', 'assigned_to must be a user id');
+    }
+
+    return pool.transaction(async (client) => {
+      const found = await this.findCase(client, caseId, { lock: true, open: true });
+
+      if (assigned_to) {
+        const moderator = await client.query(
+          'SELECT 1 FROM users WHERE id = $1 AND (is_admin = TRUE OR is_moderator = TRUE)',
+          [assigned_to]
+        );
+        if (moderator.rows.length === 0) {
+          throw moderationError('INVALID_REQUEST', 'Cases can only be assigned to moderators');
+        }
+      }
+
+      const result = await client.query(`
+        UPDATE moderation_cases
+        SET status = 'triaged', priority = $2, assigned_to = $3, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [caseId, priority || found.priority, assigned_to === undefined ? found.assigned_to : assigned_to]);
+
+      await this.logEvent(client, caseId, 'triage', actorId, { priority, assigned_to, note });
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Close a case as resolved (action taken) or dismissed (no action)
+   */
+  async resolveCase(caseId, { outcome = 'resolved', resolution } = {}, actorId) {
+    if (!['resolved', 'dismissed'].includes(outcome)) {
+      throw moderationError('INVALID_REQUEST', 'outcome must be resolved or dismissed');
+    }
+
+    return pool.transaction(async (client) => {
+      await this.findCase(client, caseId, { lock: true, open: true });
+
+      const result = await client.query(`
+        UPDATE moderation_cases
+        SET status = $2, resolution = $3, resolved_by = $4, resolved_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [caseId, outcome, typeof resolution === 'string' ? resolution : null, actorId]);
+
+      await this.logEvent(client, caseId, outcome === 'resolved' ? 'resolve' : 'dismiss', actorId, { resolution });
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Sanction the reported player of a case
+   * @param {Object} sanction - type, duration_hours (required for suspensions; omit for permanent), reason
+   */
+  async sanctionCase(caseId, { type, duration_hours, reason } = {}, actorId) {
+    if (!SANCTION_TYPES.includes(type)) {
+      throw moderationError('INVALID_REQUEST', `type must be one of: ${SANCTION_TYPES.join(', ')}`);
+    }
+    const hours = duration_hours === undefined || duration_hours === null ? null : Number(duration_hours);
+    if (hours !== null && !(hours > 0)) {
+      throw moderationError('INVALID_REQUEST', 'duration_hours must be a positive number');
+    }
+    if (type === 'suspension' && hours === null) {
+      throw moderationError('INVALID_REQUEST', 'Suspensions need duration_hours; use a ban for a permanent sanction');
+    }
+
+    return pool.transaction(async (client) => {
+      const found = await this.findCase(client, caseId, { lock: true });
+
+      const result = await client.query(`
+        INSERT INTO user_sanctions (user_id, case_id, type, reason, expires_at, issued_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [found.target_user_id, caseId, type, typeof reason === 'string' ? reason : null,
+        hours === null ? null : new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(), actorId]);
+
+      const sanction = result.rows[0];
+      await this.refreshSuspension(client, found.target_user_id);
+      await this.logEvent(client, caseId, 'sanction', actorId, {
+        sanction_id: sanction.id,
+        type,
+        expires_at: sanction.expires_at,
+        reason
+      });
+      return sanction;
+    });
+  }
+
+  /**
+   * Lift a sanction before it expires
+   */
+  async liftSanction(sanctionId, reason, actorId) {
+    if (!UUID_PATTERN.test(sanctionId)) {
+      throw moderationError('SANCTION_NOT_FOUND', 'Sanction not found or already lifted');
+    }
+
+    return pool.transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE user_sanctions
+        SET lifted_at = NOW(), lifted_by = $2
+        WHERE id = $1 AND lifted_at IS NULL
+        RETURNING *
+      `, [sanctionId, actorId]);
+
+      if (result.rows.length === 0) {
+        throw moderationError('SANCTION_NOT_FOUND', 'Sanction not found or already lifted');
+      }
+
+      const sanction = result.rows[0];
+      await this.refreshSuspension(client, sanction.user_id);
+      if (sanction.case_id) {
+        await this.logEvent(client, sanction.case_id, 'lift', actorId, { sanction_id: sanction.id, reason });
+      }
+      return sanction;
+    });
+  }
+
+  async listUserSanctions(userId) {
+    if (!UUID_PATTERN.test(userId)) {
+      throw moderationError('INVALID_REQUEST', 'userId must be a UUID');
+    }
+
+    const result = await pool.query(`
+      SELECT s.*, (s.lifted_at IS NULL AND (s.expires_at IS NULL OR s.expires_at > NOW())) AS is_active
+      FROM user_sanctions s
+      WHERE s.user_id = $1
+      ORDER BY s.created_at DESC
+    `, [userId]);
+    return result.rows;
+  }
+
+  async findCase(db, caseId, { lock = false, open = false } = {}) {
+    if (!UUID_PATTERN.test(caseId)) {
+      throw moderationError('CASE_NOT_FOUND', 'Case not found');
+    }
+
+    const result = await db.query(`
+      SELECT c.*, u.username AS target_username
+      FROM moderation_cases c
+      JOIN users u ON u.id = c.target_user_id
+      WHERE c.id = $1
+      ${lock ? 'FOR UPDATE OF c' : ''}
+    `, [caseId]);
+
+    if (result.rows.length === 0) {
+      throw moderationError('CASE_NOT_FOUND', 'Case not found');
+    }
+    const found = result.rows[0];
+    if (open && !OPEN_STATUSES.includes(found.status)) {
+      throw moderationError('CASE_CLOSED', `Case is already ${found.status}`);
+    }
+    return found;
+  }
+
+  /**
+   * Recompute users.suspended_until from the player's live suspensions and bans
+   */
+  async refreshSuspension(client, userId) {
+    await client.query(`
+      UPDATE users
+      SET suspended_until = (
+        SELECT CASE WHEN bool_or(expires_at IS NULL) THEN 'infinity'::timestamptz ELSE MAX(expires_at) END
+        FROM user_sanctions
+        WHERE user_id = $1 AND type IN ('suspension', 'ban') AND lifted_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())
+      )
+      WHERE id = $1
+    `, [userId]);
+  }
+
+  async logEvent(client, caseId, action, actorId, details) {
+    await client.query(`
+      INSERT INTO moderation_case_events (case_id, action, actor_id, details)
+      VALUES ($1, $2, $3, $4)
+    `, [caseId, action, actorId, JSON.stringify(details)]);
+  }
+}
+
+module.exports = new ModerationService();
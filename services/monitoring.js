@@ -27,6 +27,10 @@ class MonitoringService {
         messages: 0,
         errors: 0
       },
+      stun: {
+        requests: 0,
+        errors: 0
+      },
       memory: {
         usage: [],
         peaks: []
@@ -137,6 +141,15 @@ class MonitoringService {
     this.metrics.websocket.errors++;
   }
 
+  // STUN responder monitoring
+  recordStunRequest() {
+    this.metrics.stun.requests++;
+  }
+
+  recordStunError() {
+    this.metrics.stun.errors++;
+  }
+
   // Memory monitoring
   recordMemoryUsage() {
     const usage = process.memoryUsage();
@@ -209,6 +222,10 @@ class MonitoringService {
         totalMessages: this.metrics.websocket.messages,
         errors: this.metrics.websocket.errors
       },
+      stun: {
+        requests: this.metrics.stun.requests,
+        errors: this.metrics.stun.errors
+      },
       memory: {
         currentUsage: this.recordMemoryUsage(),
         peakUsage: Math.max(...this.metrics.memory.peaks),
@@ -344,6 +361,10 @@ class MonitoringService {
         messages: 0,
         errors: 0
       },
+      stun: {
+        requests: 0,
+        errors: 0
+      },
       memory: {
         usage: [],
         peaks: []
@@ -0,0 +1,305 @@
+/**
+ * NAT Negotiation Service
+ * UDP rendezvous for the game's peer-to-peer connections (domain_cg_natneg)
+ *
+ * Two clients that want to connect send INIT packets carrying the same session
+ * cookie. Once both have checked in, each is sent a CONNECT packet holding the
+ * other's public address so they can punch through their NATs towards each
+ * other. If the partner never shows up, the waiting client is told so. When
+ * they are done, clients send a REPORT with the outcome, which is stored in
+ * network_quality like reports made through POST /api/v1/networking/connection-result.
+ * Only clients this server paired are stored, once each, so arbitrary packets
+ * cannot write to the table; at most NATNEG_MAX_SESSIONS sessions are pending.
+ *
+ * NAT type probes that need a second server address (NATIFY_REQUEST, ERT
+ * tests) are not answered; the client then assumes the stricter NAT type.
+ */
+
+const dgram = require('dgram');
+const winston = require('winston');
+const { supabase } = require('../../config/database');
+const {
+  PACKET_TYPES,
+  PORT_TYPES,
+  FINISHED,
+  parsePacket,
+  buildPacket,
+  connectBody,
+  addressReplyBody
+} = require('./protocol');
+
+class NatNegServer {
+  /**
+   * @param {Object} options
+   * @param {number} options.port - UDP port (default NATNEG_PORT or 27901)
+   * @param {string} options.host - Bind address (default NATNEG_HOST or 0.0.0.0)
+   * @param {number} options.timeoutMs - How long a session waits for the partner (default NATNEG_TIMEOUT_MS or 15s)
+   * @param {number} options.resendMs - Interval between unacknowledged CONNECT packets
+   * @param {number} options.maxResends - CONNECT packets sent before giving up on an ack
+   * @param {number} options.maxSessions - Pending sessions before new cookies are ignored (default NATNEG_MAX_SESSIONS or 1000)
+   */
+  constructor({
+    port = parseInt(process.env.NATNEG_PORT) || 27901,
+    host = process.env.NATNEG_HOST || '0.0.0.0',
+    timeoutMs = parseInt(process.env.NATNEG_TIMEOUT_MS) || 15000,
+    resendMs = 1000,
+    maxResends = 5,
+    maxSessions = parseInt(process.env.NATNEG_MAX_SESSIONS) || 1000
+  } = {}) {
+    this.port = port;
+    this.host = host;
+    this.timeoutMs = timeoutMs;
+    this.resendMs = resendMs;
+    this.maxResends = maxResends;
+    this.maxSessions = maxSessions;
+    this.socket = null;
+
+    // cookie -> { clients: Map(clientIndex -> client), connected, timer }
+    this.sessions = new Map();
+  }
+
+  /**
+   * Bind the UDP socket
+   * @returns {Promise<{address: string, port: number}>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      socket.on('message', (message, rinfo) => {
+        try {
+          this.handleMessage(message, rinfo);
+        } catch (err) {
+          winston.warn(`NAT negotiation: bad packet from ${rinfo.address}:${rinfo.port}: ${err.message}`);
+        }
+      });
+      socket.bind(this.port, this.host, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', err => winston.error('NAT negotiation socket error:', err));
+        this.socket = socket;
+        resolve(socket.address());
+      });
+    });
+  }
+
+  /**
+   * Close the socket and drop pending sessions
+   */
+  stop() {
+    for (const cookie of [...this.sessions.keys()]) {
+      this.endSession(cookie);
+    }
+    if (!this.socket) {
+      return Promise.resolve();
+    }
+    const socket = this.socket;
+    this.socket = null;
+    return new Promise(resolve => socket.close(resolve));
+  }
+
+  send(packet, { address, port }) {
+    if (this.socket) {
+      this.socket.send(packet, port, address);
+    }
+  }
+
+  handleMessage(message, rinfo) {
+    const packet = parsePacket(message);
+    if (!packet) {
+      return;
+    }
+
+    switch (packet.type) {
+      case PACKET_TYPES.INIT:
+        return this.handleInit(packet, rinfo);
+      case PACKET_TYPES.CONNECT_ACK:
+        return this.handleConnectAck(packet);
+      case PACKET_TYPES.ADDRESS_CHECK:
+        return this.send(buildPacket(PACKET_TYPES.ADDRESS_REPLY, packet,
+          addressReplyBody(packet, { ip: rinfo.address, port: rinfo.port })), rinfo);
+      case PACKET_TYPES.REPORT:
+        return this.handleReport(packet, rinfo);
+      default:
+        winston.debug(`NAT negotiation: ignoring packet type ${packet.type} from ${rinfo.address}:${rinfo.port}`);
+    }
+  }
+
+  /**
+   * A client checking in on one of its ports
+   */
+  handleInit(packet, rinfo) {
+    let session = this.sessions.get(packet.cookie);
+    if (!session) {
+      // Left unacknowledged, so the client retries later as it would with an unreachable server
+      if (this.sessions.size >= this.maxSessions) {
+        winston.debug(`NAT negotiation: ${this.sessions.size} sessions pending, ignoring cookie ${packet.cookie}`);
+        return;
+      }
+      session = { clients: new Map(), connected: false };
+      session.timer = setTimeout(() => this.expireSession(packet.cookie), this.timeoutMs);
+      session.timer.unref();
+      this.sessions.set(packet.cookie, session);
+    }
+
+    // Acknowledge every INIT (including retries) with its own contents
+    this.send(buildPacket(PACKET_TYPES.INIT_ACK, packet, packet.body), rinfo);
+    if (session.connected) {
+      return;
+    }
+
+    let client = session.clients.get(packet.clientIndex);
+    if (!client) {
+      client = { ports: new Map(), version: packet.version, acked: false, resends: 0 };
+      session.clients.set(packet.clientIndex, client);
+    }
+    client.ports.set(packet.portType, { address: rinfo.address, port: rinfo.port });
+    client.useGamePort = packet.useGamePort;
+    client.localIp = packet.localIp;
+
+    const ready = [...session.clients.values()].filter(c => this.connectEndpoint(c));
+    if (ready.length >= 2) {
+      this.connectClients(packet.cookie, session);
+    }
+  }
+
+  /**
+   * The port a client negotiates for: its game socket if it asked for that, else the first probe socket
+   */
+  connectEndpoint(client) {
+    return client.ports.get(client.useGamePort ? PORT_TYPES.GAME : PORT_TYPES.NN1) || null;
+  }
+
+  /**
+   * Send each of the two clients the other's public address until they acknowledge it
+   */
+  connectClients(cookie, session) {
+    session.connected = true;
+    const [first, second] = [...session.clients.entries()]
+      .filter(([, client]) => this.connectEndpoint(client))
+      .sort(([a], [b]) => a - b);
+    first[1].paired = true;
+    second[1].paired = true;
+
+    // Keep the pair for another timeout so their REPORTs can be matched to it
+    clearTimeout(session.timer);
+    session.timer = setTimeout(() => this.expireSession(cookie), this.timeoutMs);
+    session.timer.unref();
+
+    const pairs = [[first[1], second[1]], [second[1], first[1]]];
+    const sendConnects = () => {
+      for (const [client, partner] of pairs) {
+        if (client.acked || client.resends >= this.maxResends) {
+          continue;
+        }
+        client.resends++;
+        const partnerEndpoint = this.connectEndpoint(partner);
+        this.send(buildPacket(PACKET_TYPES.CONNECT, { version: client.version, cookie },
+          connectBody({ ip: partnerEndpoint.address, port: partnerEndpoint.port })), this.connectEndpoint(client));
+      }
+      if (pairs.every(([client]) => client.acked || client.resends >= this.maxResends)) {
+        clearInterval(session.resendTimer);
+      }
+    };
+
+    session.resendTimer = setInterval(sendConnects, this.resendMs);
+    session.resendTimer.unref();
+    sendConnects();
+
+    winston.info(`NAT negotiation: paired clients for cookie ${cookie}`);
+  }
+
+  handleConnectAck(packet) {
+    const client = this.sessions.get(packet.cookie)?.clients.get(packet.clientIndex);
+    if (client) {
+      client.acked = true;
+    }
+  }
+
+  /**
+   * Session timed out: tell a client whose partner never arrived, then forget it
+   */
+  expireSession(cookie) {
+    const session = this.sessions.get(cookie);
+    if (!session) {
+      return;
+    }
+    if (!session.connected) {
+      for (const client of session.clients.values()) {
+        const endpoint = this.connectEndpoint(client) || client.ports.values().next().value;
+        this.send(buildPacket(PACKET_TYPES.CONNECT, { version: client.version, cookie },
+          connectBody({ finished: FINISHED.DEADBEAT_PARTNER })), endpoint);
+      }
+      winston.info(`NAT negotiation: no partner arrived for cookie ${cookie}`);
+    }
+    this.endSession(cookie);
+  }
+
+  endSession(cookie) {
+    const session = this.sessions.get(cookie);
+    if (session) {
+      clearTimeout(session.timer);
+      clearInterval(session.resendTimer);
+      this.sessions.delete(cookie);
+    }
+  }
+
+  /**
+   * A client's outcome: acknowledge it, and store it once if this server paired
+   * that client and the report comes from the address it negotiated from
+   */
+  handleReport(packet, rinfo) {
+    this.send(buildPacket(PACKET_TYPES.REPORT_ACK, packet, packet.body), rinfo);
+
+    const client = this.sessions.get(packet.cookie)?.clients.get(packet.clientIndex);
+    if (!client || !client.paired || client.reported ||
+        ![...client.ports.values()].some(endpoint => endpoint.address === rinfo.address)) {
+      return;
+    }
+    client.reported = true;
+
+    this.recordResult({
+      success: packet.success,
+      natType: packet.natType,
+      publicIp: rinfo.address,
+      localIp: client.localIp
+    }).catch(err => winston.warn('NAT negotiation: failed to record result:', err.message));
+  }
+
+  /**
+   * Store an outcome the way reportConnectionResult does
+   * NAT negotiation is anonymous, so there is no user or session to attach it to.
+   */
+  async recordResult({ success, natType, publicIp, localIp }) {
+    const { error } = await supabase
+      .from('network_quality')
+      .insert([{
+        connection_type: success ? 'direct' : 'failed',
+        connection_quality: success ? 'excellent' : 'poor',
+        nat_type: natType,
+        public_ip: publicIp,
+        local_ip: localIp && localIp !== '0.0.0.0' ? localIp : null,
+        recorded_at: new Date().toISOString()
+      }]);
+
+    if (error) {
+      throw error;
+    }
+    winston.info(`NAT negotiation result: ${success ? 'connected' : 'failed'} (${natType}) from ${publicIp}`);
+  }
+}
+
+/**
+ * Start the NAT negotiation service next to the HTTP server
+ * @returns {Promise<NatNegServer>}
+ */
+async function startNatNegServer(options) {
+  const server = new NatNegServer(options);
+  const address = await server.start();
+  console.log(`🤝 NAT negotiation service listening on udp://${address.address}:${address.port}`);
+  return server;
+}
+
+module.exports = {
+  NatNegServer,
+  startNatNegServer
+};
@@ -0,0 +1,174 @@
+/**
+ * NAT negotiation packet format
+ *
+ * The game's NAT negotiation client (the GameSpy "natneg" protocol) sends
+ * small UDP packets that all start with the same 12-byte header:
+ *
+ *   0  byte[6]  magic FD FC 1E 66 6A B2
+ *   6  uint8    protocol version
+ *   7  uint8    packet type (PACKET_TYPES)
+ *   8  uint32   session cookie, shared by the two clients being paired
+ *
+ * Multi-byte integers and addresses are in network byte order.
+ */
+
+const MAGIC = Buffer.from([0xfd, 0xfc, 0x1e, 0x66, 0x6a, 0xb2]);
+const HEADER_SIZE = 12;
+
+const PACKET_TYPES = {
+  INIT: 0,
+  INIT_ACK: 1,
+  ERT_TEST: 2,
+  ERT_ACK: 3,
+  STATE_UPDATE: 4,
+  CONNECT: 5,
+  CONNECT_ACK: 6,
+  CONNECT_PING: 7,
+  BACKUP_TEST: 8,
+  BACKUP_ACK: 9,
+  ADDRESS_CHECK: 10,
+  ADDRESS_REPLY: 11,
+  NATIFY_REQUEST: 12,
+  REPORT: 13,
+  REPORT_ACK: 14,
+  PREINIT: 15,
+  PREINIT_ACK: 16
+};
+
+// Port types of INIT packets: 0 is the game's own socket, 1-3 the probe sockets
+const PORT_TYPES = {
+  GAME: 0,
+  NN1: 1,
+  NN2: 2,
+  NN3: 3
+};
+
+// CONNECT "finished" codes
+const FINISHED = {
+  NO_ERROR: 0,
+  DEADBEAT_PARTNER: 1,
+  INIT_TIMED_OUT: 2
+};
+
+// NatType values of REPORT packets, as the labels reportNatType accepts
+const NAT_TYPES = ['open', 'open', 'full-cone', 'restricted-cone', 'port-restricted-cone', 'symmetric', 'unknown'];
+
+// REPORT negResult value of a negotiation that connected the two clients
+const RESULT_SUCCESS = 1;
+
+function readString(buffer, offset, maxLength = buffer.length - offset) {
+  const field = buffer.subarray(offset, offset + Math.max(maxLength, 0));
+  const end = field.indexOf(0);
+  return field.toString('latin1', 0, end === -1 ? field.length : end);
+}
+
+function ipToBuffer(ip) {
+  return Buffer.from(String(ip).split('.').map(part => parseInt(part) & 0xff));
+}
+
+/**
+ * Decode a packet
+ * @returns {Object|null} { version, type, cookie, ...fields } or null if this is not a natneg packet
+ */
+function parsePacket(buffer) {
+  if (buffer.length < HEADER_SIZE || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    return null;
+  }
+
+  const packet = {
+    version: buffer[6],
+    type: buffer[7],
+    cookie: buffer.readUInt32BE(8),
+    body: buffer.subarray(HEADER_SIZE)
+  };
+  const { body } = packet;
+
+  switch (packet.type) {
+    // Same layout: port type, client index, use-game-port flag, local address, game name
+    case PACKET_TYPES.INIT:
+    case PACKET_TYPES.INIT_ACK:
+    case PACKET_TYPES.CONNECT_ACK:
+    case PACKET_TYPES.ADDRESS_CHECK:
+    case PACKET_TYPES.ADDRESS_REPLY:
+    case PACKET_TYPES.NATIFY_REQUEST:
+      if (body.length < 2) {
+        return null;
+      }
+      packet.portType = body[0];
+      packet.clientIndex = body[1];
+      if (body.length >= 9) {
+        packet.useGamePort = body[2] !== 0;
+        packet.localIp = Array.from(body.subarray(3, 7)).join('.');
+        packet.localPort = body.readUInt16BE(7);
+        packet.gameName = readString(body, 9);
+      }
+      return packet;
+
+    case PACKET_TYPES.REPORT:
+    case PACKET_TYPES.REPORT_ACK:
+      if (body.length < 11) {
+        return null;
+      }
+      packet.portType = body[0];
+      packet.clientIndex = body[1];
+      packet.success = body[2] === RESULT_SUCCESS;
+      packet.natType = NAT_TYPES[body.readUInt32BE(3)] || 'unknown';
+      packet.mappingScheme = body.readUInt32BE(7);
+      packet.gameName = readString(body, 11, 50);
+      return packet;
+
+    default:
+      return packet;
+  }
+}
+
+/**
+ * Encode a packet
+ * @param {number} type - PACKET_TYPES value
+ * @param {Object} header - { version, cookie } of the packet being answered
+ * @param {Buffer} body - Type-specific fields
+ */
+function buildPacket(type, { version, cookie }, body = Buffer.alloc(0)) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header);
+  header[6] = version;
+  header[7] = type;
+  header.writeUInt32BE(cookie >>> 0, 8);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * CONNECT body: the partner's public address and whether negotiation finished early
+ */
+function connectBody({ ip, port, finished = FINISHED.NO_ERROR }) {
+  const body = Buffer.alloc(8);
+  ipToBuffer(ip || '0.0.0.0').copy(body, 0);
+  body.writeUInt16BE(port || 0, 4);
+  body[6] = 1; // got your data
+  body[7] = finished;
+  return body;
+}
+
+/**
+ * ADDRESS_REPLY body: the INIT layout with the address the server saw
+ */
+function addressReplyBody(packet, { ip, port }) {
+  const body = Buffer.alloc(9);
+  body[0] = packet.portType;
+  body[1] = packet.clientIndex;
+  body[2] = packet.useGamePort ? 1 : 0;
+  ipToBuffer(ip).copy(body, 3);
+  body.writeUInt16BE(port, 7);
+  return body;
+}
+
+module.exports = {
+  MAGIC,
+  PACKET_TYPES,
+  PORT_TYPES,
+  FINISHED,
+  parsePacket,
+  buildPacket,
+  connectBody,
+  addressReplyBody
+};
@@ -0,0 +1,36 @@
+/**
+ * Platform names used in game URLs, and detection of the platform a request
+ * came from by its user-agent
+ */
+
+const PLATFORMS = ['steam', 'pc', 'mac', 'wiiu', 'ps3', 'ps4', 'psvita', 'xbox360', 'xboxone', 'ios', 'android'];
+
+// First match wins; checked against the lower-cased user-agent
+const USER_AGENT_PLATFORMS = [
+  ['wiiu', /wiiu|wii u/],
+  ['ps4', /playstation 4|ps4/],
+  ['ps3', /playstation 3|ps3/],
+  ['psvita', /playstation vita|psvita/],
+  ['xboxone', /xbox one/],
+  ['xbox360', /xbox/],
+  ['ios', /iphone|ipad|cfnetwork/],
+  ['android', /android/],
+  ['mac', /macintosh|mac os/],
+  ['pc', /windows|steam/]
+];
+
+/**
+ * Platform of a user-agent
+ * @param {string|undefined} userAgent
+ * @returns {string} One of PLATFORMS (Steam counts as pc), or 'unknown'
+ */
+function detectPlatform(userAgent) {
+  const ua = String(userAgent || '').toLowerCase();
+  const match = USER_AGENT_PLATFORMS.find(([, pattern]) => pattern.test(ua));
+  return match ? match[0] : 'unknown';
+}
+
+module.exports = {
+  PLATFORMS,
+  detectPlatform
+};
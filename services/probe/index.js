@@ -0,0 +1,319 @@
+/**
+ * Connectivity Probe Service
+ * Measures a player's connection from the server side instead of trusting
+ * what the client reports about itself
+ *
+ * A probe is created by POST /api/v1/networking/connectivity-test and handed
+ * to the client as a token. When the client's HELLO arrives from its game
+ * socket, the server sends it a run of PING packets and times the echoes
+ * (round-trip time, jitter, loss). At the same time it sends REACH packets
+ * from a second socket to the port under test.
+ *
+ * An echoed REACH only proves the port accepts unsolicited inbound packets when
+ * that socket is bound to a second address (PROBE_REACH_HOST). From the probe's
+ * own address it only passes a NAT that filters by port: an address-restricted
+ * cone NAT lets it through because the client already sent to that address, so
+ * the result's portReachable is then null instead of true. A REACH that is not
+ * echoed means the port is unreachable either way.
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const winston = require('winston');
+const { TOKEN_SIZE, PACKET_TYPES, parsePacket, buildPacket } = require('./protocol');
+
+// How long finished probes are kept for the client to collect
+const RESULT_RETENTION_MS = 5 * 60 * 1000;
+
+// REACH packets sent per probe, spread over the PING run
+const REACH_ATTEMPTS = 3;
+
+// The running prober, for the connectivity test controller
+let activeServer = null;
+
+const round = value => Math.round(value * 10) / 10;
+
+class ProbeServer {
+  /**
+   * @param {Object} options
+   * @param {number} options.port - UDP port (default PROBE_PORT or 27903)
+   * @param {string} options.host - Bind address (default PROBE_HOST or 0.0.0.0)
+   * @param {string|null} options.reachHost - Second address REACH packets are sent from (default PROBE_REACH_HOST, or host)
+   * @param {number} options.packets - PING packets per probe (default PROBE_PACKETS or 10)
+   * @param {number} options.intervalMs - Gap between PING packets (default PROBE_INTERVAL_MS or 100)
+   * @param {number} options.replyTimeoutMs - How long to wait for echoes after the last PING
+   * @param {number} options.helloTimeoutMs - How long a probe waits for the client's HELLO (default PROBE_TIMEOUT_MS or 30s)
+   */
+  constructor({
+    port = parseInt(process.env.PROBE_PORT) || 27903,
+    host = process.env.PROBE_HOST || '0.0.0.0',
+    reachHost = process.env.PROBE_REACH_HOST || null,
+    packets = parseInt(process.env.PROBE_PACKETS) || 10,
+    intervalMs = parseInt(process.env.PROBE_INTERVAL_MS) || 100,
+    replyTimeoutMs = 1000,
+    helloTimeoutMs = parseInt(process.env.PROBE_TIMEOUT_MS) || 30000
+  } = {}) {
+    this.port = port;
+    this.host = host;
+    this.reachHost = reachHost && reachHost !== host ? reachHost : null;
+    this.packets = Math.min(packets, 0xffff);
+    this.intervalMs = intervalMs;
+    this.replyTimeoutMs = replyTimeoutMs;
+    this.helloTimeoutMs = helloTimeoutMs;
+    this.socket = null;
+    this.reachSocket = null;
+
+    // id -> probe; token -> probe
+    this.probes = new Map();
+    this.tokens = new Map();
+  }
+
+  /**
+   * Bind the probe socket and the second socket REACH packets are sent from
+   * @returns {Promise<{address: string, port: number}>}
+   */
+  async start() {
+    this.socket = await this.bind(this.port, (message, rinfo) => this.handleMessage(message, rinfo));
+    this.reachSocket = await this.bind(0, message => this.handleReach(message), this.reachHost || this.host);
+    this.port = this.socket.address().port;
+    return this.socket.address();
+  }
+
+  bind(port, onMessage, host = this.host) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      socket.on('message', (message, rinfo) => {
+        try {
+          onMessage(message, rinfo);
+        } catch (err) {
+          winston.warn(`Probe: bad packet from ${rinfo.address}:${rinfo.port}: ${err.message}`);
+        }
+      });
+      socket.bind(port, host, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', err => winston.error('Probe socket error:', err));
+        resolve(socket);
+      });
+    });
+  }
+
+  /**
+   * Close both sockets and drop every probe
+   */
+  async stop() {
+    for (const probe of [...this.probes.values()]) {
+      this.remove(probe);
+    }
+    if (activeServer === this) {
+      activeServer = null;
+    }
+    for (const socket of [this.socket, this.reachSocket]) {
+      if (socket) {
+        await new Promise(resolve => socket.close(resolve));
+      }
+    }
+    this.socket = null;
+    this.reachSocket = null;
+  }
+
+  /**
+   * Start a probe for a user
+   * @param {Object} options
+   * @param {string} options.userId
+   * @param {number|null} options.reachPort - Public port to test for inbound reachability (default: the port HELLO came from)
+   * @returns {Object} { probeId, token, port, packets, intervalMs, expiresInMs }
+   */
+  createProbe({ userId, reachPort = null }) {
+    const probe = {
+      id: crypto.randomUUID(),
+      token: crypto.randomBytes(TOKEN_SIZE).toString('hex'),
+      userId,
+      reachPort,
+      status: 'waiting',
+      endpoint: null,
+      sentAt: new Map(),
+      rtts: new Map(),
+      reachable: false,
+      result: null,
+      recorded: false,
+      waiters: [],
+      timers: []
+    };
+    this.probes.set(probe.id, probe);
+    this.tokens.set(probe.token, probe);
+    this.schedule(probe, () => {
+      if (probe.status === 'waiting') {
+        probe.status = 'expired';
+        this.settle(probe);
+        this.remove(probe);
+      }
+    }, this.helloTimeoutMs);
+
+    return {
+      probeId: probe.id,
+      token: probe.token,
+      port: this.port,
+      packets: this.packets,
+      intervalMs: this.intervalMs,
+      expiresInMs: this.helloTimeoutMs
+    };
+  }
+
+  /**
+   * A user's probe once it has finished, or once timeoutMs has passed
+   * @returns {Promise<Object|null>} { status, result }, or null if the user has no such probe
+   */
+  waitForResult(probeId, userId, timeoutMs = this.packets * this.intervalMs + this.replyTimeoutMs + 5000) {
+    const probe = this.probes.get(probeId);
+    if (!probe || probe.userId !== userId) {
+      return Promise.resolve(null);
+    }
+    const snapshot = () => ({ status: probe.status, result: probe.result });
+    if (probe.status === 'complete') {
+      return Promise.resolve(snapshot());
+    }
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(snapshot()), timeoutMs);
+      timer.unref();
+      probe.waiters.push(() => {
+        clearTimeout(timer);
+        resolve(snapshot());
+      });
+    });
+  }
+
+  /**
+   * Claim a finished probe's result for storage, so collecting it again does not store it twice
+   * @returns {boolean} true the first time for a complete probe, false afterwards
+   */
+  claimResult(probeId) {
+    const probe = this.probes.get(probeId);
+    if (!probe || probe.status !== 'complete' || probe.recorded) {
+      return false;
+    }
+    probe.recorded = true;
+    return true;
+  }
+
+  schedule(probe, fn, delayMs) {
+    const timer = setTimeout(fn, delayMs);
+    timer.unref();
+    probe.timers.push(timer);
+  }
+
+  settle(probe) {
+    for (const waiter of probe.waiters.splice(0)) {
+      waiter();
+    }
+  }
+
+  remove(probe) {
+    for (const timer of probe.timers) {
+      clearTimeout(timer);
+    }
+    this.probes.delete(probe.id);
+    this.tokens.delete(probe.token);
+    this.settle(probe);
+  }
+
+  handleMessage(message, rinfo) {
+    const packet = parsePacket(message);
+    const probe = packet && this.tokens.get(packet.token);
+    if (!probe) {
+      return;
+    }
+
+    if (packet.type === PACKET_TYPES.HELLO && probe.status === 'waiting') {
+      return this.run(probe, { address: rinfo.address, port: rinfo.port });
+    }
+    // An echoed PING
+    if (packet.type === PACKET_TYPES.PING && probe.status === 'running' && probe.sentAt.has(packet.sequence) &&
+        !probe.rtts.has(packet.sequence)) {
+      probe.rtts.set(packet.sequence, Number(process.hrtime.bigint() - probe.sentAt.get(packet.sequence)) / 1e6);
+    }
+  }
+
+  handleReach(message) {
+    const packet = parsePacket(message);
+    const probe = packet && this.tokens.get(packet.token);
+    if (probe && packet.type === PACKET_TYPES.REACH && probe.status === 'running') {
+      probe.reachable = true;
+    }
+  }
+
+  /**
+   * Send the PING run and the REACH packets, then work out the result
+   */
+  run(probe, endpoint) {
+    probe.status = 'running';
+    probe.endpoint = endpoint;
+    const reachTarget = { address: endpoint.address, port: probe.reachPort || endpoint.port };
+
+    for (let sequence = 0; sequence < this.packets; sequence++) {
+      this.schedule(probe, () => {
+        probe.sentAt.set(sequence, process.hrtime.bigint());
+        this.socket?.send(buildPacket(PACKET_TYPES.PING, probe.token, sequence), endpoint.port, endpoint.address);
+      }, sequence * this.intervalMs);
+    }
+    for (let attempt = 0; attempt < REACH_ATTEMPTS; attempt++) {
+      this.schedule(probe, () => {
+        this.reachSocket?.send(buildPacket(PACKET_TYPES.REACH, probe.token, attempt), reachTarget.port, reachTarget.address);
+      }, Math.floor(attempt * this.packets * this.intervalMs / REACH_ATTEMPTS));
+    }
+
+    this.schedule(probe, () => this.finish(probe, reachTarget), this.packets * this.intervalMs + this.replyTimeoutMs);
+  }
+
+  finish(probe, reachTarget) {
+    // Round-trip times in the order the PINGs were sent; jitter is the mean change between consecutive ones
+    const rtts = [...probe.rtts.entries()].sort(([a], [b]) => a - b).map(([, rtt]) => rtt);
+    const jitter = rtts.length > 1
+      ? rtts.slice(1).reduce((sum, rtt, i) => sum + Math.abs(rtt - rtts[i]), 0) / (rtts.length - 1)
+      : null;
+
+    probe.status = 'complete';
+    probe.result = {
+      sent: this.packets,
+      received: rtts.length,
+      rttMs: rtts.length > 0 ? round(rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length) : null,
+      minRttMs: rtts.length > 0 ? round(Math.min(...rtts)) : null,
+      maxRttMs: rtts.length > 0 ? round(Math.max(...rtts)) : null,
+      jitterMs: jitter === null ? null : round(jitter),
+      packetLossPercent: round((this.packets - rtts.length) / this.packets * 100),
+      // true only when proven from a second address; null when only port filtering was ruled out
+      portReachable: probe.reachable ? (this.reachHost ? true : null) : false,
+      reachSource: this.reachHost ? 'address' : 'port',
+      observedIp: probe.endpoint.address,
+      observedPort: probe.endpoint.port,
+      testedPort: reachTarget.port
+    };
+    this.settle(probe);
+    this.schedule(probe, () => this.remove(probe), RESULT_RETENTION_MS);
+  }
+}
+
+/**
+ * Start the prober next to the HTTP server
+ * @returns {Promise<ProbeServer>}
+ */
+async function startProbeServer(options) {
+  const server = new ProbeServer(options);
+  const address = await server.start();
+  activeServer = server;
+  console.log(`📶 Connectivity prober listening on udp://${address.address}:${address.port}`);
+  return server;
+}
+
+/**
+ * The prober started with startProbeServer, or null if it is not running
+ */
+function getProbeServer() {
+  return activeServer;
+}
+
+module.exports = {
+  ProbeServer,
+  startProbeServer,
+  getProbeServer
+};
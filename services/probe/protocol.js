@@ -0,0 +1,63 @@
+/**
+ * Connectivity probe packets
+ *
+ * Every probe packet has the same 23-byte layout:
+ *
+ *   0  char[4]   magic "DIPR"
+ *   4  uint8     packet type (PACKET_TYPES)
+ *   5  byte[16]  probe token issued by POST /api/v1/networking/connectivity-test
+ *  21  uint16    sequence number (0 for HELLO)
+ *
+ * The client sends HELLO from the socket it plays on. The server answers with
+ * a run of PING packets and sends REACH packets from a second socket to the
+ * port under test. The client echoes every PING and REACH back, unchanged, to
+ * the address it came from.
+ */
+
+const MAGIC = Buffer.from('DIPR', 'latin1');
+const TOKEN_SIZE = 16;
+const PACKET_SIZE = 23;
+
+const PACKET_TYPES = {
+  HELLO: 1,
+  PING: 2,
+  REACH: 3
+};
+
+/**
+ * Decode a packet
+ * @returns {Object|null} { type, token, sequence } or null if this is not a probe packet
+ */
+function parsePacket(buffer) {
+  if (buffer.length !== PACKET_SIZE || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    return null;
+  }
+  return {
+    type: buffer[4],
+    token: buffer.toString('hex', 5, 5 + TOKEN_SIZE),
+    sequence: buffer.readUInt16BE(5 + TOKEN_SIZE)
+  };
+}
+
+/**
+ * Encode a packet
+ * @param {number} type - PACKET_TYPES value
+ * @param {string} token - Probe token (hex)
+ * @param {number} sequence
+ */
+function buildPacket(type, token, sequence = 0) {
+  const packet = Buffer.alloc(PACKET_SIZE);
+  MAGIC.copy(packet);
+  packet[4] = type;
+  Buffer.from(token, 'hex').copy(packet, 5);
+  packet.writeUInt16BE(sequence, 5 + TOKEN_SIZE);
+  return packet;
+}
+
+module.exports = {
+  MAGIC,
+  TOKEN_SIZE,
+  PACKET_TYPES,
+  parsePacket,
+  buildPacket
+};
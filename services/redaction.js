@@ -0,0 +1,58 @@
+/**
+ * Redaction of credentials from recorded requests
+ * Shared by the traffic capture (middleware/capture.js) and the unmatched
+ * request recorder, so both strip the same headers and keys before storing.
+ */
+
+const REDACTED = '[redacted]';
+const REDACTED_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key', 'proxy-authorization'];
+const SECRET_KEY = /(password|secret|token)$|^(authorization|cookie|api_?key|ticket)$/i;
+
+/**
+ * Copy of a value with every secret-looking key replaced by [redacted]
+ */
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = SECRET_KEY.test(key) ? REDACTED : redact(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+function redactHeaders(headers) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    result[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+  }
+  return result;
+}
+
+/**
+ * URL with the values of secret-looking query parameters replaced
+ */
+function redactUrl(url) {
+  const [pathname, query] = url.split('?');
+  if (!query) {
+    return url;
+  }
+  const params = new URLSearchParams(query);
+  for (const key of [...params.keys()]) {
+    if (SECRET_KEY.test(key)) {
+      params.set(key, REDACTED);
+    }
+  }
+  return `${pathname}?${params.toString()}`;
+}
+
+module.exports = {
+  redact,
+  redactHeaders,
+  redactUrl,
+  REDACTED
+};
@@ -0,0 +1,269 @@
+/**
+ * UDP Relay Service
+ * Fallback path for two players in a session who cannot connect to each other
+ * directly (strict or symmetric NATs on both ends)
+ *
+ * A relay allocation is made for a pair of players in a session and holds one
+ * token per player. Each player binds the socket they play on with their
+ * token; from then on the relay forwards their datagrams to the other player's
+ * bound socket. Each player's traffic is capped at RELAY_MAX_BYTES_PER_SECOND
+ * (excess packets are dropped), and allocations with no traffic for
+ * RELAY_IDLE_TIMEOUT_MS are released.
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const winston = require('winston');
+const {
+  TOKEN_SIZE,
+  PACKET_TYPES,
+  ERROR_CODES,
+  isControlPacket,
+  parsePacket,
+  buildPacket
+} = require('./protocol');
+
+// The running relay, for controllers handing out allocations
+let activeServer = null;
+
+function relayError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const endpointKey = ({ address, port }) => `${address}:${port}`;
+
+class RelayServer {
+  /**
+   * @param {Object} options
+   * @param {number} options.port - UDP port (default RELAY_PORT or 27902)
+   * @param {string} options.host - Bind address (default RELAY_HOST or 0.0.0.0)
+   * @param {number} options.idleTimeoutMs - Release allocations idle this long (default RELAY_IDLE_TIMEOUT_MS or 60s)
+   * @param {number} options.maxBytesPerSecond - Per-player bandwidth cap (default RELAY_MAX_BYTES_PER_SECOND or 64KB/s)
+   * @param {number} options.maxAllocations - Concurrent allocations (default RELAY_MAX_ALLOCATIONS or 200)
+   */
+  constructor({
+    port = parseInt(process.env.RELAY_PORT) || 27902,
+    host = process.env.RELAY_HOST || '0.0.0.0',
+    idleTimeoutMs = parseInt(process.env.RELAY_IDLE_TIMEOUT_MS) || 60000,
+    maxBytesPerSecond = parseInt(process.env.RELAY_MAX_BYTES_PER_SECOND) || 64 * 1024,
+    maxAllocations = parseInt(process.env.RELAY_MAX_ALLOCATIONS) || 200
+  } = {}) {
+    this.port = port;
+    this.host = host;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.maxBytesPerSecond = maxBytesPerSecond;
+    this.maxAllocations = maxAllocations;
+    this.socket = null;
+    this.sweepTimer = null;
+
+    // id -> { id, sessionId, pairKey, players: [player, player], lastActive }
+    this.allocations = new Map();
+    // `${sessionId}:${userId}:${userId}` (sorted) -> allocation
+    this.pairs = new Map();
+    // token -> player, where player is { allocation, userId, token, endpoint, allowance, refilledAt, forwarded, dropped }
+    this.tokens = new Map();
+    // `${address}:${port}` -> bound player
+    this.endpoints = new Map();
+  }
+
+  /**
+   * Bind the UDP socket and start releasing idle allocations
+   * @returns {Promise<{address: string, port: number}>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      socket.on('message', (message, rinfo) => {
+        try {
+          this.handleMessage(message, rinfo);
+        } catch (err) {
+          winston.warn(`Relay: bad packet from ${rinfo.address}:${rinfo.port}: ${err.message}`);
+        }
+      });
+      socket.bind(this.port, this.host, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', err => winston.error('Relay socket error:', err));
+        this.socket = socket;
+        this.port = socket.address().port;
+        this.sweepTimer = setInterval(() => this.releaseIdle(), Math.max(this.idleTimeoutMs / 2, 100));
+        this.sweepTimer.unref();
+        resolve(socket.address());
+      });
+    });
+  }
+
+  /**
+   * Close the socket and drop every allocation
+   */
+  stop() {
+    clearInterval(this.sweepTimer);
+    for (const allocation of [...this.allocations.values()]) {
+      this.release(allocation);
+    }
+    if (activeServer === this) {
+      activeServer = null;
+    }
+    if (!this.socket) {
+      return Promise.resolve();
+    }
+    const socket = this.socket;
+    this.socket = null;
+    return new Promise(resolve => socket.close(resolve));
+  }
+
+  /**
+   * Relay allocation for two players in a session, reusing the pair's existing one
+   * @returns {Object} { relayId, token, port, idleTimeoutMs, maxBytesPerSecond } for userId
+   * @throws {Error} code RELAY_FULL when no more allocations can be made
+   */
+  allocate({ sessionId, userId, peerId }) {
+    const pairKey = `${sessionId}:${[userId, peerId].sort().join(':')}`;
+    let allocation = this.pairs.get(pairKey);
+
+    if (!allocation) {
+      if (this.allocations.size >= this.maxAllocations) {
+        throw relayError('RELAY_FULL', 'No relay capacity available');
+      }
+      allocation = { id: crypto.randomUUID(), sessionId, pairKey, lastActive: Date.now() };
+      allocation.players = [userId, peerId].map(id => ({
+        allocation,
+        userId: id,
+        token: crypto.randomBytes(TOKEN_SIZE).toString('hex'),
+        endpoint: null,
+        allowance: this.maxBytesPerSecond,
+        refilledAt: Date.now(),
+        forwarded: 0,
+        dropped: 0
+      }));
+      this.allocations.set(allocation.id, allocation);
+      this.pairs.set(pairKey, allocation);
+      for (const player of allocation.players) {
+        this.tokens.set(player.token, player);
+      }
+      winston.info(`Relay: allocated ${allocation.id} for session ${sessionId}`);
+    }
+
+    const player = allocation.players.find(p => p.userId === userId);
+    return {
+      relayId: allocation.id,
+      token: player.token,
+      port: this.port,
+      idleTimeoutMs: this.idleTimeoutMs,
+      maxBytesPerSecond: this.maxBytesPerSecond
+    };
+  }
+
+  release(allocation) {
+    for (const player of allocation.players) {
+      this.tokens.delete(player.token);
+      if (player.endpoint) {
+        this.endpoints.delete(endpointKey(player.endpoint));
+      }
+    }
+    this.allocations.delete(allocation.id);
+    this.pairs.delete(allocation.pairKey);
+  }
+
+  releaseIdle(now = Date.now()) {
+    for (const allocation of [...this.allocations.values()]) {
+      if (now - allocation.lastActive > this.idleTimeoutMs) {
+        this.release(allocation);
+        winston.info(`Relay: released idle allocation ${allocation.id}`);
+      }
+    }
+  }
+
+  send(packet, { address, port }) {
+    if (this.socket) {
+      this.socket.send(packet, port, address);
+    }
+  }
+
+  handleMessage(message, rinfo) {
+    if (isControlPacket(message)) {
+      const packet = parsePacket(message);
+      if (packet?.type === PACKET_TYPES.BIND) {
+        this.handleBind(packet, rinfo);
+      }
+      return;
+    }
+
+    const player = this.endpoints.get(endpointKey(rinfo));
+    if (!player) {
+      return;
+    }
+    const peer = player.allocation.players.find(p => p !== player);
+    if (!peer.endpoint || !this.withinAllowance(player, message.length)) {
+      player.dropped++;
+      return;
+    }
+
+    player.forwarded += message.length;
+    player.allocation.lastActive = Date.now();
+    this.send(message, peer.endpoint);
+  }
+
+  /**
+   * Bind (or re-bind, after a NAT remapping) a player's socket to their token
+   */
+  handleBind(packet, rinfo) {
+    const player = this.tokens.get(packet.token);
+    if (!player) {
+      return this.send(buildPacket(PACKET_TYPES.ERROR, Buffer.from([ERROR_CODES.UNKNOWN_TOKEN])), rinfo);
+    }
+
+    const key = endpointKey(rinfo);
+    if (player.endpoint && endpointKey(player.endpoint) !== key) {
+      this.endpoints.delete(endpointKey(player.endpoint));
+    }
+    player.endpoint = { address: rinfo.address, port: rinfo.port };
+    this.endpoints.set(key, player);
+    player.allocation.lastActive = Date.now();
+
+    const peerReady = player.allocation.players.every(p => p.endpoint);
+    this.send(buildPacket(PACKET_TYPES.BIND_ACK, Buffer.from([peerReady ? 1 : 0])), rinfo);
+  }
+
+  /**
+   * Token bucket holding up to one second of a player's bandwidth cap
+   */
+  withinAllowance(player, bytes) {
+    const now = Date.now();
+    player.allowance = Math.min(this.maxBytesPerSecond,
+      player.allowance + (now - player.refilledAt) / 1000 * this.maxBytesPerSecond);
+    player.refilledAt = now;
+    if (player.allowance < bytes) {
+      return false;
+    }
+    player.allowance -= bytes;
+    return true;
+  }
+}
+
+/**
+ * Start the relay next to the HTTP server
+ * @returns {Promise<RelayServer>}
+ */
+async function startRelayServer(options) {
+  const server = new RelayServer(options);
+  const address = await server.start();
+  activeServer = server;
+  console.log(`🔁 UDP relay listening on udp://${address.address}:${address.port}`);
+  return server;
+}
+
+/**
+ * The relay started with startRelayServer, or null if it is not running
+ */
+function getRelayServer() {
+  return activeServer;
+}
+
+module.exports = {
+  RelayServer,
+  startRelayServer,
+  getRelayServer
+};
@@ -0,0 +1,81 @@
+/**
+ * UDP relay control packets
+ *
+ * Clients talk to the relay with their ordinary game datagrams. The only
+ * packets the relay itself reads are control packets, which start with:
+ *
+ *   0  char[4]  magic "DIRL"
+ *   4  uint8    packet type (PACKET_TYPES)
+ *
+ *   BIND      5  byte[16]  relay token issued to this player
+ *   BIND_ACK  5  uint8     1 once the peer has bound too, else 0
+ *   ERROR     5  uint8     ERROR_CODES value
+ *
+ * A client sends BIND from the socket it plays on (and again every few
+ * seconds as a keepalive). After that, every other datagram from that socket
+ * is forwarded unchanged to the peer's bound socket.
+ */
+
+const MAGIC = Buffer.from('DIRL', 'latin1');
+const HEADER_SIZE = 5;
+const TOKEN_SIZE = 16;
+
+const PACKET_TYPES = {
+  BIND: 1,
+  BIND_ACK: 2,
+  ERROR: 3
+};
+
+const ERROR_CODES = {
+  UNKNOWN_TOKEN: 1
+};
+
+function isControlPacket(buffer) {
+  return buffer.length >= HEADER_SIZE && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Decode a control packet
+ * @returns {Object|null} { type, token? } or null if it is malformed
+ */
+function parsePacket(buffer) {
+  if (!isControlPacket(buffer)) {
+    return null;
+  }
+  const packet = { type: buffer[4] };
+  switch (packet.type) {
+    case PACKET_TYPES.BIND:
+      if (buffer.length < HEADER_SIZE + TOKEN_SIZE) {
+        return null;
+      }
+      packet.token = buffer.toString('hex', HEADER_SIZE, HEADER_SIZE + TOKEN_SIZE);
+      return packet;
+    case PACKET_TYPES.BIND_ACK:
+      packet.peerReady = buffer[HEADER_SIZE] === 1;
+      return packet;
+    case PACKET_TYPES.ERROR:
+      packet.code = buffer[HEADER_SIZE];
+      return packet;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Encode a control packet
+ * @param {number} type - PACKET_TYPES value
+ * @param {Buffer} body - Type-specific fields
+ */
+function buildPacket(type, body = Buffer.alloc(0)) {
+  return Buffer.concat([MAGIC, Buffer.from([type]), body]);
+}
+
+module.exports = {
+  MAGIC,
+  TOKEN_SIZE,
+  PACKET_TYPES,
+  ERROR_CODES,
+  isControlPacket,
+  parsePacket,
+  buildPacket
+};
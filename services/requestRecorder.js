@@ -0,0 +1,181 @@
+/**
+ * Request Recorder Service
+ * Records game requests that no route handled, so the team can see which
+ * services the client still calls (see middleware/recorder.js)
+ *
+ * Requests are grouped by method, path template and the platform detected
+ * from the user-agent. Every hit is counted; only the first
+ * UNMATCHED_SAMPLES_PER_ENDPOINT requests of each group keep their headers,
+ * query and (truncated) body, with credentials redacted.
+ */
+
+const pool = require('../config/database');
+const { redact, redactHeaders } = require('./redaction');
+const { PLATFORMS, detectPlatform } = require('./platform');
+
+const UUID_SEGMENT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class RequestRecorder {
+  get samplesPerEndpoint() {
+    const value = parseInt(process.env.UNMATCHED_SAMPLES_PER_ENDPOINT);
+    return Number.isInteger(value) && value >= 0 ? value : 5;
+  }
+
+  get maxEndpoints() {
+    return parseInt(process.env.UNMATCHED_MAX_ENDPOINTS) || 1000;
+  }
+
+  get maxBodyBytes() {
+    return parseInt(process.env.UNMATCHED_BODY_BYTES) || 2048;
+  }
+
+  /**
+   * Replace the variable parts of a path with placeholders:
+   * /infinity/profile/v2/wiiu/1234 -> /infinity/profile/v2/:platform/:id
+   */
+  templatePath(path) {
+    return path
+      .split('/')
+      .map(segment => {
+        const lower = segment.toLowerCase();
+        if (UUID_SEGMENT.test(segment)) return ':uuid';
+        if (/^\d+$/.test(segment)) return ':id';
+        if (/^[0-9a-f]{16,}$/i.test(segment)) return ':hash';
+        if (PLATFORMS.includes(lower)) return ':platform';
+        if (segment.length >= 20 && /\d/.test(segment) && /[a-z]/i.test(segment)) return ':token';
+        return segment;
+      })
+      .join('/')
+      .slice(0, 500);
+  }
+
+  /**
+   * Body as text (parsed bodies with their credentials redacted), cut to maxBodyBytes
+   * @returns {{ body: string|null, truncated: boolean }}
+   */
+  truncateBody(body) {
+    let text = null;
+    if (typeof body === 'string') {
+      text = body;
+    } else if (Buffer.isBuffer(body)) {
+      text = body.toString('utf8');
+    } else if (body && typeof body === 'object' && Object.keys(body).length > 0) {
+      text = JSON.stringify(redact(body));
+    }
+    if (text === null) {
+      return { body: null, truncated: false };
+    }
+
+    const bytes = Buffer.from(text, 'utf8');
+    if (bytes.length <= this.maxBodyBytes) {
+      return { body: text, truncated: false };
+    }
+    return { body: bytes.subarray(0, this.maxBodyBytes).toString('utf8'), truncated: true };
+  }
+
+  /**
+   * Count an unmatched request, and keep it as a sample if its group has room
+   * New endpoints stop being added once UNMATCHED_MAX_ENDPOINTS are tracked,
+   * so scanners probing random paths cannot grow the tables without bound
+   */
+  async record(req) {
+    const path = req.originalUrl.split('?')[0];
+    const userAgent = req.get('user-agent') || null;
+    const key = [req.method, this.templatePath(path), detectPlatform(userAgent)];
+    const agent = userAgent ? userAgent.slice(0, 300) : null;
+
+    let endpoint = await pool.query(`
+      UPDATE unmatched_endpoints
+      SET hit_count = hit_count + 1, user_agent = $4, last_seen = NOW()
+      WHERE method = $1 AND path_template = $2 AND platform = $3
+      RETURNING id, hit_count
+    `, [...key, agent]);
+
+    if (endpoint.rows.length === 0) {
+      const tracked = await pool.query('SELECT COUNT(*)::int AS count FROM unmatched_endpoints');
+      if (tracked.rows[0].count >= this.maxEndpoints) {
+        return;
+      }
+      endpoint = await pool.query(`
+        INSERT INTO unmatched_endpoints (method, path_template, platform, user_agent, hit_count)
+        VALUES ($1, $2, $3, $4, 1)
+        ON CONFLICT (method, path_template, platform) DO UPDATE
+        SET hit_count = unmatched_endpoints.hit_count + 1,
+            user_agent = EXCLUDED.user_agent,
+            last_seen = NOW()
+        RETURNING id, hit_count
+      `, [...key, agent]);
+    }
+
+    const { id, hit_count } = endpoint.rows[0];
+    if (hit_count > this.samplesPerEndpoint) {
+      return;
+    }
+
+    const { body, truncated } = this.truncateBody(req.body);
+    await pool.query(`
+      INSERT INTO unmatched_request_samples (endpoint_id, path, headers, query, body, body_truncated)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [id, path.slice(0, 1000), JSON.stringify(redactHeaders(req.headers)),
+      JSON.stringify(redact(req.query || {})), body, truncated]);
+  }
+
+  /**
+   * Distinct unknown endpoints, most hit first, with hits per platform
+   * @param {Object} filters - platform, method, limit
+   */
+  async getReport({ platform, method, limit = 100 } = {}) {
+    const params = [];
+    const conditions = [];
+    if (platform) {
+      params.push(String(platform).toLowerCase());
+      conditions.push(`platform = $${params.length}`);
+    }
+    if (method) {
+      params.push(String(method).toUpperCase());
+      conditions.push(`method = $${params.length}`);
+    }
+    params.push(Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+
+    const result = await pool.query(`
+      SELECT method, path_template,
+             SUM(hit_count)::int AS hit_count,
+             json_object_agg(platform, hit_count) AS platforms,
+             MIN(first_seen) AS first_seen,
+             MAX(last_seen) AS last_seen
+      FROM unmatched_endpoints
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY method, path_template
+      ORDER BY hit_count DESC, last_seen DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Recorded samples of one endpoint, oldest first
+   */
+  async getSamples(method, pathTemplate) {
+    const result = await pool.query(`
+      SELECT s.id, e.platform, e.user_agent, s.path, s.headers, s.query, s.body, s.body_truncated, s.created_at
+      FROM unmatched_request_samples s
+      JOIN unmatched_endpoints e ON e.id = s.endpoint_id
+      WHERE e.method = $1 AND e.path_template = $2
+      ORDER BY s.created_at
+    `, [String(method || '').toUpperCase(), pathTemplate]);
+
+    return result.rows;
+  }
+
+  /**
+   * Forget everything recorded so far
+   * @returns {Promise<number>} Endpoints removed
+   */
+  async clear() {
+    const result = await pool.query('DELETE FROM unmatched_endpoints');
+    return result.rowCount;
+  }
+}
+
+module.exports = new RequestRecorder();
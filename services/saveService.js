@@ -0,0 +1,306 @@
+/**
+ * Save Service
+ * Cloud save storage for the game's /infinity/save/ endpoints
+ *
+ * Each user has named save slots per platform. Every write stores a new
+ * revision; the newest SAVE_MAX_REVISIONS are kept so a player can roll back.
+ * Writers pass the revision token they last read, and a write based on an
+ * older revision is refused (SAVE_CONFLICT) instead of silently overwriting
+ * progress made on another machine.
+ */
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+const SLOT_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function saveError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+}
+
+/**
+ * Opaque token identifying one revision of a slot
+ * Includes the checksum so a slot that was deleted and recreated never
+ * matches a token handed out for the old one.
+ */
+function revisionToken(revision, checksum) {
+  return `${revision}.${checksum.slice(0, 12)}`;
+}
+
+class SaveService {
+  get limits() {
+    return {
+      maxBytes: parseInt(process.env.SAVE_MAX_BYTES) || 4 * 1024 * 1024,
+      maxSlots: parseInt(process.env.SAVE_MAX_SLOTS) || 8,
+      maxRevisions: parseInt(process.env.SAVE_MAX_REVISIONS) || 10
+    };
+  }
+
+  /**
+   * Validate a slot name
+   */
+  assertSlot(slot) {
+    if (typeof slot !== 'string' || !SLOT_PATTERN.test(slot)) {
+      throw saveError('INVALID_SLOT', 'Slot names are 1-64 letters, digits, "-" or "_"');
+    }
+  }
+
+  /**
+   * List a user's save slots on a platform
+   * @returns {Promise<Array>} Slots with their current revision
+   */
+  async listSlots(userId, platform) {
+    const result = await pool.query(`
+      SELECT s.slot, s.current_revision, s.created_at, s.updated_at,
+             r.size_bytes, r.checksum
+      FROM save_slots s
+      JOIN save_revisions r ON r.slot_id = s.id AND r.revision = s.current_revision
+      WHERE s.user_id = $1 AND s.platform = $2
+      ORDER BY s.slot
+    `, [userId, platform]);
+
+    return result.rows.map(row => this.formatSlot(row));
+  }
+
+  formatSlot(row) {
+    return {
+      slot: row.slot,
+      revision: row.current_revision,
+      revision_token: revisionToken(row.current_revision, row.checksum),
+      size: row.size_bytes,
+      checksum: row.checksum,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Read a save (the current revision unless one is given)
+   * @returns {Promise<Object>} { data, revision, revision_token, size, checksum, created_at }
+   */
+  async getSave(userId, platform, slot, revision = null) {
+    this.assertSlot(slot);
+
+    const result = await pool.query(`
+      SELECT r.revision, r.data, r.size_bytes, r.checksum, r.restored_from, r.created_at
+      FROM save_slots s
+      JOIN save_revisions r ON r.slot_id = s.id
+      WHERE s.user_id = $1 AND s.platform = $2 AND s.slot = $3
+        AND r.revision = COALESCE($4::int, s.current_revision)
+    `, [userId, platform, slot, revision]);
+
+    if (result.rows.length === 0) {
+      throw saveError('SAVE_NOT_FOUND', revision ? `Revision ${revision} of slot ${slot} not found` : `Save slot ${slot} not found`);
+    }
+
+    const row = result.rows[0];
+    return {
+      data: Buffer.from(row.data),
+      revision: row.revision,
+      revision_token: revisionToken(row.revision, row.checksum),
+      size: row.size_bytes,
+      checksum: row.checksum,
+      restored_from: row.restored_from,
+      created_at: row.created_at
+    };
+  }
+
+  /**
+   * List the stored revisions of a slot, newest first
+   */
+  async listRevisions(userId, platform, slot) {
+    this.assertSlot(slot);
+
+    const result = await pool.query(`
+      SELECT r.revision, r.size_bytes, r.checksum, r.restored_from, r.created_at,
+             (r.revision = s.current_revision) AS is_current
+      FROM save_slots s
+      JOIN save_revisions r ON r.slot_id = s.id
+      WHERE s.user_id = $1 AND s.platform = $2 AND s.slot = $3
+      ORDER BY r.revision DESC
+    `, [userId, platform, slot]);
+
+    if (result.rows.length === 0) {
+      throw saveError('SAVE_NOT_FOUND', `Save slot ${slot} not found`);
+    }
+
+    return result.rows.map(row => ({
+      revision: row.revision,
+      revision_token: revisionToken(row.revision, row.checksum),
+      size: row.size_bytes,
+      checksum: row.checksum,
+      restored_from: row.restored_from,
+      is_current: row.is_current,
+      created_at: row.created_at
+    }));
+  }
+
+  /**
+   * Store a new revision of a slot
+   * @param {Buffer} data - Save contents
+   * @param {Object} options
+   * @param {string} options.revisionToken - Token of the revision the client last read;
+   *   omitted by clients that do not track revisions (the write then always wins)
+   * @returns {Promise<Object>} The new revision
+   */
+  async writeSave(userId, platform, slot, data, { revisionToken: expectedToken } = {}) {
+    this.assertSlot(slot);
+    this.assertSize(data);
+
+    return pool.transaction(async (client) => {
+      const current = await this.lockSlot(client, userId, platform, slot, { create: true });
+      this.assertToken(current, expectedToken);
+      return this.appendRevision(client, current, data);
+    });
+  }
+
+  /**
+   * Make an earlier revision current again
+   * The old contents are stored as a new revision, so the rollback itself can
+   * be undone and other devices see a newer revision token.
+   */
+  async rollback(userId, platform, slot, revision, { revisionToken: expectedToken } = {}) {
+    this.assertSlot(slot);
+
+    return pool.transaction(async (client) => {
+      const current = await this.lockSlot(client, userId, platform, slot, { create: false });
+      this.assertToken(current, expectedToken);
+
+      const target = await client.query(
+        'SELECT data FROM save_revisions WHERE slot_id = $1 AND revision = $2',
+        [current.id, revision]
+      );
+      if (target.rows.length === 0) {
+        throw saveError('SAVE_NOT_FOUND', `Revision ${revision} of slot ${slot} not found`);
+      }
+
+      return this.appendRevision(client, current, Buffer.from(target.rows[0].data), revision);
+    });
+  }
+
+  /**
+   * Delete a slot and all its revisions
+   */
+  async deleteSlot(userId, platform, slot) {
+    this.assertSlot(slot);
+
+    const result = await pool.query(
+      'DELETE FROM save_slots WHERE user_id = $1 AND platform = $2 AND slot = $3',
+      [userId, platform, slot]
+    );
+    if (result.rowCount === 0) {
+      throw saveError('SAVE_NOT_FOUND', `Save slot ${slot} not found`);
+    }
+  }
+
+  assertSize(data) {
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw saveError('INVALID_SAVE', 'Save data is empty');
+    }
+    const { maxBytes } = this.limits;
+    if (data.length > maxBytes) {
+      throw saveError('SAVE_TOO_LARGE', `Save data exceeds ${maxBytes} bytes`);
+    }
+  }
+
+  /**
+   * Lock a slot row for the rest of the transaction, creating it if allowed
+   * @returns {Promise<Object>} { id, current_revision, checksum }
+   */
+  async lockSlot(client, userId, platform, slot, { create }) {
+    const select = `
+      SELECT s.id, s.current_revision, r.checksum
+      FROM save_slots s
+      LEFT JOIN save_revisions r ON r.slot_id = s.id AND r.revision = s.current_revision
+      WHERE s.user_id = $1 AND s.platform = $2 AND s.slot = $3
+      FOR UPDATE OF s
+    `;
+
+    let result = await client.query(select, [userId, platform, slot]);
+    if (result.rows.length > 0) {
+      return result.rows[0];
+    }
+
+    if (!create) {
+      throw saveError('SAVE_NOT_FOUND', `Save slot ${slot} not found`);
+    }
+
+    const { maxSlots } = this.limits;
+    const count = await client.query(
+      'SELECT COUNT(*)::int AS count FROM save_slots WHERE user_id = $1 AND platform = $2',
+      [userId, platform]
+    );
+    if (count.rows[0].count >= maxSlots) {
+      throw saveError('SAVE_SLOT_LIMIT', `At most ${maxSlots} save slots are allowed per platform`);
+    }
+
+    await client.query(`
+      INSERT INTO save_slots (user_id, platform, slot)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, platform, slot) DO NOTHING
+    `, [userId, platform, slot]);
+
+    result = await client.query(select, [userId, platform, slot]);
+    return result.rows[0];
+  }
+
+  /**
+   * Refuse writes based on a revision other than the current one
+   */
+  assertToken(current, expectedToken) {
+    if (expectedToken === undefined || expectedToken === null || expectedToken === '') {
+      return;
+    }
+
+    const currentToken = current.current_revision > 0
+      ? revisionToken(current.current_revision, current.checksum)
+      : null;
+
+    if (expectedToken !== currentToken) {
+      throw saveError('SAVE_CONFLICT', 'Save was changed by another device since it was last read', {
+        revision: current.current_revision,
+        revision_token: currentToken
+      });
+    }
+  }
+
+  /**
+   * Store data as the slot's next revision and prune old revisions
+   */
+  async appendRevision(client, current, data, restoredFrom = null) {
+    const revision = current.current_revision + 1;
+    const checksum = crypto.createHash('sha256').update(data).digest('hex');
+
+    const inserted = await client.query(`
+      INSERT INTO save_revisions (slot_id, revision, data, size_bytes, checksum, restored_from)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING created_at
+    `, [current.id, revision, data, data.length, checksum, restoredFrom]);
+
+    await client.query(
+      'UPDATE save_slots SET current_revision = $2, updated_at = NOW() WHERE id = $1',
+      [current.id, revision]
+    );
+
+    await client.query(
+      'DELETE FROM save_revisions WHERE slot_id = $1 AND revision <= $2',
+      [current.id, revision - this.limits.maxRevisions]
+    );
+
+    return {
+      revision,
+      revision_token: revisionToken(revision, checksum),
+      size: data.length,
+      checksum,
+      restored_from: restoredFrom,
+      created_at: inserted.rows[0].created_at
+    };
+  }
+}
+
+module.exports = new SaveService();
@@ -0,0 +1,161 @@
+/**
+ * Screenshot Service
+ * Validates toybox screenshots on upload and stores them with smaller
+ * renditions for browse pages and the in-game catalogue
+ *
+ * Only PNG and JPEG files are accepted, checked by their magic bytes and then
+ * by decoding them. Every stored image is re-encoded as PNG, which drops EXIF,
+ * text chunks and anything else that rode along with the pixels, and the full
+ * size is capped at SCREENSHOT_MAX_WIDTH x SCREENSHOT_MAX_HEIGHT.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const winston = require('winston');
+const storage = require('./storage');
+
+const SIGNATURES = {
+  png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  jpeg: Buffer.from([0xff, 0xd8, 0xff])
+};
+
+// Largest image decoded at all (8K), so a tiny file cannot expand into gigabytes
+const MAX_INPUT_PIXELS = 7680 * 4320;
+
+// Bounding boxes of the stored renditions, besides the full size
+const RENDITIONS = {
+  medium: { width: 640, height: 360 },
+  thumbnail: { width: 320, height: 180 }
+};
+
+const SIZES = ['full', ...Object.keys(RENDITIONS)];
+
+function screenshotError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+class ScreenshotService {
+  get maxWidth() {
+    return parseInt(process.env.SCREENSHOT_MAX_WIDTH) || 1920;
+  }
+
+  get maxHeight() {
+    return parseInt(process.env.SCREENSHOT_MAX_HEIGHT) || 1080;
+  }
+
+  /**
+   * Image format from the file's magic bytes
+   * @returns {string|null} 'png', 'jpeg' or null
+   */
+  detectFormat(buffer) {
+    const match = Object.entries(SIGNATURES)
+      .find(([, signature]) => buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Validate an uploaded screenshot and render every size
+   * @param {Buffer} buffer - Uploaded file contents
+   * @returns {Promise<Object>} { full, medium, thumbnail }, each { data, width, height }
+   * @throws {Error} code INVALID_SCREENSHOT if the file is not a usable PNG or JPEG
+   */
+  async process(buffer) {
+    if (!this.detectFormat(buffer)) {
+      throw screenshotError('INVALID_SCREENSHOT', 'Screenshot must be a PNG or JPEG image');
+    }
+
+    let full;
+    try {
+      // rotate() applies the EXIF orientation before the metadata is dropped
+      const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+      full = await this.render(image, this.maxWidth, this.maxHeight);
+    } catch (err) {
+      const tooLarge = /pixel limit/i.test(err.message);
+      throw screenshotError('INVALID_SCREENSHOT', tooLarge
+        ? `Screenshot is larger than ${MAX_INPUT_PIXELS} pixels`
+        : 'Screenshot could not be decoded');
+    }
+
+    const renditions = { full };
+    for (const [size, box] of Object.entries(RENDITIONS)) {
+      renditions[size] = await this.render(sharp(full.data), box.width, box.height);
+    }
+    return renditions;
+  }
+
+  /**
+   * Fit an image inside a box (never enlarging) and encode it as PNG
+   */
+  async render(image, width, height) {
+    const { data, info } = await image
+      .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+
+  /**
+   * Write processed renditions to toybox storage
+   * @returns {Promise<Object>} { screenshot, screenshot_renditions } toyboxes columns
+   */
+  async store(processed) {
+    const base = `screenshot_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+    const written = [];
+
+    try {
+      const full = await storage.put(`${base}.png`, processed.full.data, { contentType: 'image/png' });
+      written.push(full.path);
+
+      const renditions = {};
+      for (const size of Object.keys(RENDITIONS)) {
+        const { data, width, height } = processed[size];
+        const upload = await storage.put(`${base}_${size}.png`, data, { contentType: 'image/png' });
+        written.push(upload.path);
+        renditions[size] = { path: upload.path, width, height };
+      }
+
+      return { screenshot: full.path, screenshot_renditions: renditions };
+    } catch (err) {
+      await storage.remove(written)
+        .catch(cleanupErr => winston.warn('Failed to cleanup screenshot renditions:', cleanupErr.message));
+      throw err;
+    }
+  }
+
+  /**
+   * Size requested through ?size=, defaulting to the full image
+   * @throws {Error} code INVALID_REQUEST for an unknown size
+   */
+  parseSize(value) {
+    if (value === undefined || value === '') {
+      return 'full';
+    }
+    const size = String(value).toLowerCase();
+    if (!SIZES.includes(size)) {
+      throw screenshotError('INVALID_REQUEST', `size must be one of: ${SIZES.join(', ')}`);
+    }
+    return size;
+  }
+
+  /**
+   * Storage path of one size of a toybox's screenshot
+   * Screenshots stored before renditions existed only have the full size.
+   */
+  pathFor(toybox, size) {
+    return toybox.screenshot_renditions?.[size]?.path || toybox.screenshot;
+  }
+
+  /**
+   * Every stored file of a toybox's screenshot, for cleanup
+   */
+  storedPaths(toybox) {
+    if (!toybox.screenshot) {
+      return [];
+    }
+    return [toybox.screenshot, ...Object.values(toybox.screenshot_renditions || {}).map(rendition => rendition.path)];
+  }
+}
+
+module.exports = new ScreenshotService();
@@ -0,0 +1,124 @@
+const path = require('path');
+const winston = require('winston');
+const LocalStorage = require('./local');
+const S3Storage = require('./s3');
+const SupabaseStorage = require('./supabase');
+
+/**
+ * Toybox file storage
+ *
+ * Controllers store toybox content and screenshots through this service
+ * instead of talking to a storage provider directly. The backend is chosen
+ * by STORAGE_BACKEND:
+ * - supabase (default): Supabase Storage bucket SUPABASE_BUCKET
+ * - local: files under STORAGE_LOCAL_PATH (for LAN parties and self-hosting)
+ * - s3: any S3-compatible service (S3_ENDPOINT, S3_BUCKET, ...)
+ */
+
+/**
+ * Create a storage backend from environment configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {LocalStorage|S3Storage|SupabaseStorage} Storage backend
+ */
+function createStorageBackend(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'supabase').toLowerCase();
+
+  switch (backend) {
+    case 'local':
+      return new LocalStorage({
+        root: env.STORAGE_LOCAL_PATH || path.join(__dirname, '..', '..', 'data', 'toyboxes')
+      });
+
+    case 's3':
+      return new S3Storage({
+        endpoint: env.S3_ENDPOINT,
+        bucket: env.S3_BUCKET || 'toyboxes',
+        region: env.S3_REGION || 'us-east-1',
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false'
+      });
+
+    case 'supabase': {
+      // Prefer a service-role client so deletes are not blocked by storage policies
+      const serviceKey = env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_SERVICE_KEY;
+      const client = env.SUPABASE_URL && serviceKey
+        ? require('@supabase/supabase-js').createClient(env.SUPABASE_URL, serviceKey, {
+          auth: { autoRefreshToken: false, persistSession: false }
+        })
+        : require('../../config/database').supabase;
+
+      return new SupabaseStorage({
+        client,
+        bucket: env.SUPABASE_BUCKET || 'toyboxes'
+      });
+    }
+
+    default: {
+      const err = new Error(`Unknown STORAGE_BACKEND "${backend}" (expected supabase, local or s3)`);
+      err.code = 'STORAGE_NOT_CONFIGURED';
+      throw err;
+    }
+  }
+}
+
+class StorageService {
+  constructor() {
+    this.backend = null;
+  }
+
+  /**
+   * Get (or lazily create) the configured backend
+   */
+  getBackend() {
+    if (!this.backend) {
+      this.backend = createStorageBackend();
+      winston.info(`Toybox storage backend: ${this.backend.name}`);
+    }
+    return this.backend;
+  }
+
+  /**
+   * Replace the backend (tests, or modes that pick storage at startup)
+   */
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Storage path
+   * @param {Buffer} data - File contents
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { path }
+   */
+  async put(key, data, options) {
+    return this.getBackend().put(key, data, options);
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Storage path
+   * @returns {Promise<Buffer>} File contents; rejects with code STORAGE_NOT_FOUND if missing
+   */
+  async get(key) {
+    return this.getBackend().get(key);
+  }
+
+  /**
+   * Delete objects; missing objects are ignored
+   * @param {Array<string>} keys - Storage paths
+   */
+  async remove(keys) {
+    return this.getBackend().remove(keys.filter(Boolean));
+  }
+}
+
+// Singleton instance
+const storage = new StorageService();
+
+module.exports = storage;
+module.exports.createStorageBackend = createStorageBackend;
+module.exports.LocalStorage = LocalStorage;
+module.exports.S3Storage = S3Storage;
+module.exports.SupabaseStorage = SupabaseStorage;
@@ -0,0 +1,67 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Local filesystem storage backend
+ * Objects are plain files under a root directory, keyed by their storage path.
+ */
+class LocalStorage {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a storage key to a path inside the root directory
+   * Rejects keys that would escape the root (absolute paths, "..").
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!key || path.isAbsolute(key) || !filePath.startsWith(this.root + path.sep)) {
+      const err = new Error(`Invalid storage key: ${key}`);
+      err.code = 'STORAGE_INVALID_KEY';
+      throw err;
+    }
+    return filePath;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file first so readers never see a partial object
+    const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempPath, data, { flag: 'wx' });
+    await fs.rename(tempPath, filePath);
+
+    return { path: key };
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        const notFound = new Error(`Object not found: ${key}`);
+        notFound.code = 'STORAGE_NOT_FOUND';
+        throw notFound;
+      }
+      throw err;
+    }
+  }
+
+  async remove(keys) {
+    for (const key of keys) {
+      try {
+        await fs.unlink(this.resolve(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    }
+  }
+}
+
+module.exports = LocalStorage;
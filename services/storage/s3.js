@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+/**
+ * S3-compatible storage backend (AWS S3, MinIO, Cloudflare R2, Backblaze B2 ...)
+ * Talks to the REST API directly with AWS Signature Version 4, so no SDK is needed.
+ */
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - { method, path, query, headers, payloadHash }
+ *   path must already be URI-encoded; headers must include host
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region, service }
+ * @param {Date} now - Signing time
+ * @returns {Object} Headers including x-amz-date, x-amz-content-sha256 and Authorization
+ */
+function signRequest({ method, path, query = '', headers, payloadHash }, credentials, now = new Date()) {
+  const { accessKeyId, secretAccessKey, region, service = 's3' } = credentials;
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+
+  const signedHeaders = {
+    ...headers,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+
+  const headerNames = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(signedHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+  );
+  const canonicalHeaders = headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join('');
+  const signedHeaderList = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    path,
+    query,
+    canonicalHeaders,
+    signedHeaderList,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${date}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest)
+  ].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`
+  };
+}
+
+class S3Storage {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - e.g. https://s3.us-east-1.amazonaws.com or http://localhost:9000
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Signing region
+   * @param {string} options.accessKeyId
+   * @param {string} options.secretAccessKey
+   * @param {boolean} options.forcePathStyle - Use endpoint/bucket/key instead of bucket.endpoint/key
+   */
+  constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, forcePathStyle = true }) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      const err = new Error('S3 storage requires an endpoint, bucket and access keys');
+      err.code = 'STORAGE_NOT_CONFIGURED';
+      throw err;
+    }
+
+    this.name = 's3';
+    this.endpoint = new URL(endpoint);
+    this.bucket = bucket;
+    this.credentials = { accessKeyId, secretAccessKey, region, service: 's3' };
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  /**
+   * Build the URL, host and canonical path for an object key
+   */
+  objectLocation(key) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const basePath = this.endpoint.pathname.replace(/\/$/, '');
+    const host = this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    const path = this.forcePathStyle
+      ? `${basePath}/${this.bucket}/${encodedKey}`
+      : `${basePath}/${encodedKey}`;
+
+    return {
+      host,
+      path,
+      url: `${this.endpoint.protocol}//${host}${path}`
+    };
+  }
+
+  async request(method, key, body, extraHeaders = {}) {
+    const { host, path, url } = this.objectLocation(key);
+    const headers = signRequest({
+      method,
+      path,
+      headers: { host, ...extraHeaders },
+      payloadHash: body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH
+    }, this.credentials);
+
+    // fetch sets Host itself from the URL
+    delete headers.host;
+
+    return fetch(url, { method, headers, body });
+  }
+
+  async put(key, data, { contentType = 'application/octet-stream' } = {}) {
+    const response = await this.request('PUT', key, data, { 'content-type': contentType });
+    if (!response.ok) {
+      throw new Error(`S3 upload failed: ${response.status} ${await response.text()}`);
+    }
+    return { path: key };
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    if (response.status === 404) {
+      const err = new Error(`Object not found: ${key}`);
+      err.code = 'STORAGE_NOT_FOUND';
+      throw err;
+    }
+    if (!response.ok) {
+      throw new Error(`S3 download failed: ${response.status} ${await response.text()}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async remove(keys) {
+    for (const key of keys) {
+      const response = await this.request('DELETE', key);
+      // S3 answers 204 whether or not the object existed
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`S3 delete failed: ${response.status} ${await response.text()}`);
+      }
+    }
+  }
+}
+
+module.exports = S3Storage;
+module.exports.signRequest = signRequest;
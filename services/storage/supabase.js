@@ -0,0 +1,51 @@
+/**
+ * Supabase Storage backend
+ * Wraps a supabase-js client so its { data, error } results become
+ * resolved values and thrown errors like the other backends.
+ */
+class SupabaseStorage {
+  constructor({ client, bucket }) {
+    this.name = 'supabase';
+    this.client = client;
+    this.bucket = bucket;
+  }
+
+  async put(key, data, { contentType = 'application/octet-stream' } = {}) {
+    const { data: uploadData, error } = await this.client.storage
+      .from(this.bucket)
+      .upload(key, data, {
+        contentType,
+        upsert: false
+      });
+
+    if (error) {
+      throw new Error(`Supabase upload failed: ${error.message}`);
+    }
+    return { path: uploadData.path };
+  }
+
+  async get(key) {
+    const { data, error } = await this.client.storage
+      .from(this.bucket)
+      .download(key);
+
+    if (error) {
+      const err = new Error(`Supabase download failed: ${error.message}`);
+      err.code = error.statusCode === '404' || error.status === 404 ? 'STORAGE_NOT_FOUND' : 'STORAGE_ERROR';
+      throw err;
+    }
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(keys) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .remove(keys);
+
+    if (error) {
+      throw new Error(`Supabase remove failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SupabaseStorage;
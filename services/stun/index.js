@@ -0,0 +1,151 @@
+/**
+ * STUN Service
+ * Bundled RFC 5389 binding responder, so peers can learn their public address
+ * without reaching the public STUN servers (which a LAN or closed network
+ * cannot)
+ *
+ * Binding requests are answered with the source address the request arrived
+ * from, as XOR-MAPPED-ADDRESS and as MAPPED-ADDRESS for older clients. There
+ * are no credentials: USERNAME and MESSAGE-INTEGRITY are accepted and ignored.
+ * Requests for other methods get a 400, requests that need attributes this
+ * server does not understand a 420. Indications and stray responses are
+ * dropped. Answered requests and rejected packets are counted in
+ * services/monitoring.
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const winston = require('winston');
+const monitoring = require('../monitoring');
+const {
+  METHODS,
+  CLASSES,
+  ATTRIBUTES,
+  isComprehensionRequired,
+  parseMessage,
+  buildMessage,
+  addressValue,
+  errorCodeValue,
+  unknownAttributesValue
+} = require('./protocol');
+
+const DEFAULT_PORT = 3478;
+
+// Comprehension-required attributes a binding request may carry
+const UNDERSTOOD_ATTRIBUTES = [ATTRIBUTES.USERNAME, ATTRIBUTES.MESSAGE_INTEGRITY];
+
+class StunServer {
+  /**
+   * @param {Object} options
+   * @param {number} options.port - UDP port (default STUN_PORT or 3478)
+   * @param {string} options.host - Bind address (default STUN_HOST or 0.0.0.0)
+   */
+  constructor({
+    port = parseInt(process.env.STUN_PORT) || DEFAULT_PORT,
+    host = process.env.STUN_HOST || '0.0.0.0'
+  } = {}) {
+    this.port = port;
+    this.host = host;
+    this.socket = null;
+  }
+
+  /**
+   * Bind the UDP socket
+   * @returns {Promise<{address: string, port: number}>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+      socket.once('error', reject);
+      socket.on('message', (message, rinfo) => {
+        try {
+          this.handleMessage(message, rinfo);
+        } catch (err) {
+          monitoring.recordStunError();
+          winston.warn(`STUN: bad packet from ${rinfo.address}:${rinfo.port}: ${err.message}`);
+        }
+      });
+      socket.bind(this.port, this.host, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', err => winston.error('STUN socket error:', err));
+        this.socket = socket;
+        resolve(socket.address());
+      });
+    });
+  }
+
+  /**
+   * Close the socket
+   */
+  stop() {
+    if (!this.socket) {
+      return Promise.resolve();
+    }
+    const socket = this.socket;
+    this.socket = null;
+    return new Promise(resolve => socket.close(resolve));
+  }
+
+  send(message, { address, port }) {
+    if (this.socket) {
+      this.socket.send(message, port, address);
+    }
+  }
+
+  handleMessage(buffer, rinfo) {
+    const message = parseMessage(buffer);
+    if (!message) {
+      monitoring.recordStunError();
+      winston.debug(`STUN: ignoring malformed packet from ${rinfo.address}:${rinfo.port}`);
+      return;
+    }
+    if (message.cls !== CLASSES.REQUEST) {
+      return;
+    }
+
+    if (message.method !== METHODS.BINDING) {
+      monitoring.recordStunError();
+      return this.sendError(message, rinfo, 400, 'Bad Request');
+    }
+
+    const unknown = message.attributes
+      .map(attribute => attribute.type)
+      .filter(type => isComprehensionRequired(type) && !UNDERSTOOD_ATTRIBUTES.includes(type));
+    if (unknown.length > 0) {
+      monitoring.recordStunError();
+      return this.sendError(message, rinfo, 420, 'Unknown Attribute', [
+        { type: ATTRIBUTES.UNKNOWN_ATTRIBUTES, value: unknownAttributesValue([...new Set(unknown)]) }
+      ]);
+    }
+
+    monitoring.recordStunRequest();
+    this.send(buildMessage(METHODS.BINDING, CLASSES.SUCCESS, message.transactionId, [
+      { type: ATTRIBUTES.XOR_MAPPED_ADDRESS, value: addressValue(rinfo, message.transactionId) },
+      { type: ATTRIBUTES.MAPPED_ADDRESS, value: addressValue(rinfo) }
+    ], { fingerprint: message.hasFingerprint }), rinfo);
+  }
+
+  sendError(message, rinfo, code, reason, attributes = []) {
+    this.send(buildMessage(message.method, CLASSES.ERROR, message.transactionId, [
+      { type: ATTRIBUTES.ERROR_CODE, value: errorCodeValue(code, reason) },
+      ...attributes
+    ], { fingerprint: message.hasFingerprint }), rinfo);
+  }
+}
+
+/**
+ * Start the STUN responder next to the HTTP server
+ * @returns {Promise<StunServer>}
+ */
+async function startStunServer(options) {
+  const server = new StunServer(options);
+  const address = await server.start();
+  console.log(`🧭 STUN responder listening on udp://${address.address}:${address.port}`);
+  return server;
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  StunServer,
+  startStunServer
+};
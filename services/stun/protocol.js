@@ -0,0 +1,258 @@
+/**
+ * STUN message format (RFC 5389)
+ *
+ * Every message starts with a 20-byte header:
+ *
+ *   0  uint16   message type (two zero bits, then method and class bits interleaved)
+ *   2  uint16   message length (attribute bytes after the header, a multiple of 4)
+ *   4  uint32   magic cookie 0x2112A442
+ *   8  byte[12] transaction id, echoed in the response
+ *
+ * followed by attributes: { uint16 type, uint16 length, value padded to 4 bytes }.
+ * Multi-byte integers and addresses are in network byte order.
+ */
+
+const net = require('net');
+const { crc32 } = require('../crc32');
+
+const MAGIC_COOKIE = 0x2112a442;
+const HEADER_SIZE = 20;
+const TRANSACTION_ID_SIZE = 12;
+const FINGERPRINT_XOR = 0x5354554e;
+
+const METHODS = {
+  BINDING: 0x001
+};
+
+const CLASSES = {
+  REQUEST: 0,
+  INDICATION: 1,
+  SUCCESS: 2,
+  ERROR: 3
+};
+
+const ATTRIBUTES = {
+  MAPPED_ADDRESS: 0x0001,
+  USERNAME: 0x0006,
+  MESSAGE_INTEGRITY: 0x0008,
+  ERROR_CODE: 0x0009,
+  UNKNOWN_ATTRIBUTES: 0x000a,
+  REALM: 0x0014,
+  NONCE: 0x0015,
+  XOR_MAPPED_ADDRESS: 0x0020,
+  SOFTWARE: 0x8022,
+  ALTERNATE_SERVER: 0x8023,
+  FINGERPRINT: 0x8028
+};
+
+const FAMILIES = {
+  IPV4: 0x01,
+  IPV6: 0x02
+};
+
+function messageType(method, cls) {
+  return (method & 0x000f) | ((method & 0x0070) << 1) | ((method & 0x0f80) << 2) |
+    ((cls & 1) << 4) | ((cls & 2) << 7);
+}
+
+function fingerprint(message) {
+  return (crc32(message) ^ FINGERPRINT_XOR) >>> 0;
+}
+
+/**
+ * Attributes below 0x8000 must be understood by the receiver
+ */
+function isComprehensionRequired(type) {
+  return type < 0x8000;
+}
+
+/**
+ * Decode a message
+ * @returns {Object|null} { method, cls, transactionId, attributes, hasFingerprint } or null if this is not a valid STUN message
+ */
+function parseMessage(buffer) {
+  if (buffer.length < HEADER_SIZE || (buffer[0] & 0xc0) !== 0) {
+    return null;
+  }
+
+  const type = buffer.readUInt16BE(0);
+  const length = buffer.readUInt16BE(2);
+  if (length % 4 !== 0 || HEADER_SIZE + length !== buffer.length || buffer.readUInt32BE(4) !== MAGIC_COOKIE) {
+    return null;
+  }
+
+  const message = {
+    method: (type & 0x000f) | ((type & 0x00e0) >> 1) | ((type & 0x3e00) >> 2),
+    cls: ((type & 0x0010) >> 4) | ((type & 0x0100) >> 7),
+    transactionId: buffer.subarray(8, HEADER_SIZE),
+    attributes: [],
+    hasFingerprint: false
+  };
+
+  let offset = HEADER_SIZE;
+  while (offset < buffer.length) {
+    if (offset + 4 > buffer.length || message.hasFingerprint) {
+      return null; // truncated, or something after FINGERPRINT
+    }
+    const attributeType = buffer.readUInt16BE(offset);
+    const attributeLength = buffer.readUInt16BE(offset + 2);
+    const valueEnd = offset + 4 + attributeLength;
+    if (valueEnd > buffer.length) {
+      return null;
+    }
+
+    if (attributeType === ATTRIBUTES.FINGERPRINT) {
+      if (attributeLength !== 4 || buffer.readUInt32BE(offset + 4) !== fingerprint(buffer.subarray(0, offset))) {
+        return null;
+      }
+      message.hasFingerprint = true;
+    } else {
+      message.attributes.push({ type: attributeType, value: buffer.subarray(offset + 4, valueEnd) });
+    }
+    offset = valueEnd + ((4 - (attributeLength % 4)) % 4);
+  }
+
+  return message;
+}
+
+/**
+ * Encode a message
+ * @param {number} method - METHODS value
+ * @param {number} cls - CLASSES value
+ * @param {Buffer} transactionId - Transaction id of the request being answered
+ * @param {Array<{type: number, value: Buffer}>} attributes
+ * @param {Object} options
+ * @param {boolean} options.fingerprint - Append a FINGERPRINT attribute
+ */
+function buildMessage(method, cls, transactionId, attributes = [], { fingerprint: withFingerprint = false } = {}) {
+  const parts = [];
+  for (const { type, value } of attributes) {
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt16BE(value.length, 2);
+    parts.push(header, value, Buffer.alloc((4 - (value.length % 4)) % 4));
+  }
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt16BE(messageType(method, cls), 0);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8, 0, TRANSACTION_ID_SIZE);
+
+  let message = Buffer.concat([header, ...parts]);
+  if (withFingerprint) {
+    // The length field covers the FINGERPRINT attribute before its CRC is taken
+    message.writeUInt16BE(message.length - HEADER_SIZE + 8, 2);
+    const attribute = Buffer.alloc(8);
+    attribute.writeUInt16BE(ATTRIBUTES.FINGERPRINT, 0);
+    attribute.writeUInt16BE(4, 2);
+    attribute.writeUInt32BE(fingerprint(message), 4);
+    message = Buffer.concat([message, attribute]);
+  } else {
+    message.writeUInt16BE(message.length - HEADER_SIZE, 2);
+  }
+  return message;
+}
+
+/**
+ * MAPPED-ADDRESS / XOR-MAPPED-ADDRESS value for an address
+ * @param {Object} endpoint - { address, port } as seen on the socket
+ * @param {Buffer|null} transactionId - Pass the transaction id for the XOR form, null for the plain one
+ */
+function addressValue({ address, port }, transactionId = null) {
+  // IPv4 clients reaching a dual-stack socket show up as ::ffff:a.b.c.d
+  const ip = address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+  const ipv4 = net.isIPv4(ip);
+  const addressBytes = ipv4 ? Buffer.from(ip.split('.').map(Number)) : ipv6ToBuffer(ip);
+
+  const value = Buffer.alloc(4 + addressBytes.length);
+  value[1] = ipv4 ? FAMILIES.IPV4 : FAMILIES.IPV6;
+  if (transactionId) {
+    const mask = Buffer.alloc(16);
+    mask.writeUInt32BE(MAGIC_COOKIE, 0);
+    transactionId.copy(mask, 4, 0, TRANSACTION_ID_SIZE);
+    value.writeUInt16BE(port ^ (MAGIC_COOKIE >>> 16), 2);
+    for (let i = 0; i < addressBytes.length; i++) {
+      value[4 + i] = addressBytes[i] ^ mask[i];
+    }
+  } else {
+    value.writeUInt16BE(port, 2);
+    addressBytes.copy(value, 4);
+  }
+  return value;
+}
+
+/**
+ * Decode a MAPPED-ADDRESS / XOR-MAPPED-ADDRESS value (the inverse of addressValue)
+ * @returns {Object|null} { family, address, port }
+ */
+function readAddress(value, transactionId = null) {
+  const family = value[1];
+  const size = family === FAMILIES.IPV4 ? 4 : family === FAMILIES.IPV6 ? 16 : 0;
+  if (!size || value.length < 4 + size) {
+    return null;
+  }
+
+  const bytes = Buffer.from(value.subarray(4, 4 + size));
+  let port = value.readUInt16BE(2);
+  if (transactionId) {
+    const mask = Buffer.alloc(16);
+    mask.writeUInt32BE(MAGIC_COOKIE, 0);
+    transactionId.copy(mask, 4, 0, TRANSACTION_ID_SIZE);
+    port ^= MAGIC_COOKIE >>> 16;
+    for (let i = 0; i < size; i++) {
+      bytes[i] ^= mask[i];
+    }
+  }
+
+  const address = size === 4
+    ? Array.from(bytes).join('.')
+    : Array.from({ length: 8 }, (_, i) => bytes.readUInt16BE(i * 2).toString(16)).join(':');
+  return { family, address, port };
+}
+
+function ipv6ToBuffer(ip) {
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = ip.includes('::') && tail ? tail.split(':') : [];
+  const groups = ip.includes('::')
+    ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+
+  const buffer = Buffer.alloc(16);
+  groups.forEach((group, i) => buffer.writeUInt16BE(parseInt(group, 16) || 0, i * 2));
+  return buffer;
+}
+
+/**
+ * ERROR-CODE value: class and number of the code, then a UTF-8 reason phrase
+ */
+function errorCodeValue(code, reason) {
+  const value = Buffer.alloc(4);
+  value[2] = Math.floor(code / 100);
+  value[3] = code % 100;
+  return Buffer.concat([value, Buffer.from(reason, 'utf8')]);
+}
+
+/**
+ * UNKNOWN-ATTRIBUTES value: the attribute types the request should not have relied on
+ */
+function unknownAttributesValue(types) {
+  const value = Buffer.alloc(types.length * 2);
+  types.forEach((type, i) => value.writeUInt16BE(type, i * 2));
+  return value;
+}
+
+module.exports = {
+  MAGIC_COOKIE,
+  METHODS,
+  CLASSES,
+  ATTRIBUTES,
+  FAMILIES,
+  isComprehensionRequired,
+  parseMessage,
+  buildMessage,
+  addressValue,
+  readAddress,
+  errorCodeValue,
+  unknownAttributesValue
+};
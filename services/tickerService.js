@@ -0,0 +1,243 @@
+/**
+ * Ticker Service
+ * Admin-managed news items shown by the game's /infinity/ticker/ endpoints
+ *
+ * Items can be limited to some platforms and locales, scheduled with a start
+ * and end time, and are ordered by priority (highest first).
+ */
+
+const pool = require('../config/database');
+
+const CATEGORIES = ['news', 'event', 'maintenance'];
+const PLATFORM_PATTERN = /^[a-z0-9]{1,20}$/;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const COLUMNS = `
+  id, title, message, category, url, platforms, locales, priority,
+  starts_at, ends_at, is_active, created_by, created_at, updated_at
+`;
+
+function tickerError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Normalise a locale such as "en_US" to "en-us"
+ */
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string') {
+    return null;
+  }
+  const normalized = locale.trim().replace(/_/g, '-').toLowerCase();
+  return LOCALE_PATTERN.test(normalized) ? normalized : null;
+}
+
+class TickerService {
+  /**
+   * Items currently live for a platform and locale, highest priority first
+   * Untargeted items (no platforms / no locales) match everyone. A locale
+   * target of "en" matches "en-us" and "en-gb".
+   */
+  async getActiveItems(platform, locale = null) {
+    const normalizedLocale = normalizeLocale(locale);
+    const language = normalizedLocale ? normalizedLocale.split('-')[0] : null;
+
+    const result = await pool.query(`
+      SELECT ${COLUMNS}
+      FROM ticker_items
+      WHERE is_active = TRUE
+        AND (starts_at IS NULL OR starts_at <= NOW())
+        AND (ends_at IS NULL OR ends_at > NOW())
+        AND (cardinality(platforms) = 0 OR $1 = ANY(platforms))
+        AND (cardinality(locales) = 0 OR $2 = ANY(locales) OR $3 = ANY(locales))
+      ORDER BY priority DESC, COALESCE(starts_at, created_at) DESC
+    `, [String(platform || '').toLowerCase(), normalizedLocale, language]);
+
+    return result.rows;
+  }
+
+  /**
+   * Every item, including scheduled, expired and disabled ones (admin view)
+   */
+  async listItems() {
+    const result = await pool.query(`
+      SELECT ${COLUMNS}
+      FROM ticker_items
+      ORDER BY priority DESC, created_at DESC
+    `);
+    return result.rows;
+  }
+
+  async getItem(id) {
+    this.assertId(id);
+    const result = await pool.query(`SELECT ${COLUMNS} FROM ticker_items WHERE id = $1`, [id]);
+    if (result.rows.length === 0) {
+      throw tickerError('TICKER_NOT_FOUND', 'Ticker item not found');
+    }
+    return result.rows[0];
+  }
+
+  async createItem(fields, createdBy) {
+    const item = this.validate(fields, { partial: false });
+    const columns = [...Object.keys(item), 'created_by'];
+    const values = [...Object.values(item), createdBy];
+
+    const result = await pool.query(`
+      INSERT INTO ticker_items (${columns.join(', ')})
+      VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+      RETURNING ${COLUMNS}
+    `, values);
+
+    return result.rows[0];
+  }
+
+  async updateItem(id, fields) {
+    const changes = this.validate(fields, { partial: true });
+    const columns = Object.keys(changes);
+    if (columns.length === 0) {
+      throw tickerError('INVALID_REQUEST', 'No ticker fields to update');
+    }
+
+    const current = await this.getItem(id);
+    this.assertSchedule({ ...current, ...changes });
+
+    const result = await pool.query(`
+      UPDATE ticker_items
+      SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${COLUMNS}
+    `, [id, ...Object.values(changes)]);
+
+    return result.rows[0];
+  }
+
+  async deleteItem(id) {
+    this.assertId(id);
+    const result = await pool.query('DELETE FROM ticker_items WHERE id = $1', [id]);
+    if (result.rowCount === 0) {
+      throw tickerError('TICKER_NOT_FOUND', 'Ticker item not found');
+    }
+  }
+
+  assertId(id) {
+    if (!UUID_PATTERN.test(id)) {
+      throw tickerError('TICKER_NOT_FOUND', 'Ticker item not found');
+    }
+  }
+
+  /**
+   * Validate admin input and convert it to column values
+   * @param {Object} fields - Request body
+   * @param {Object} options
+   * @param {boolean} options.partial - Only validate the fields present (updates)
+   * @returns {Object} Column values
+   */
+  validate(fields, { partial }) {
+    if (!fields || typeof fields !== 'object') {
+      throw tickerError('INVALID_REQUEST', 'Ticker item fields required');
+    }
+
+    const item = {};
+    const has = (key) => fields[key] !== undefined;
+
+    if (!partial || has('title')) {
+      if (typeof fields.title !== 'string' || !fields.title.trim() || fields.title.length > 200) {
+        throw tickerError('INVALID_REQUEST', 'title must be 1-200 characters');
+      }
+      item.title = fields.title.trim();
+    }
+
+    if (!partial || has('message')) {
+      if (typeof fields.message !== 'string' || !fields.message.trim()) {
+        throw tickerError('INVALID_REQUEST', 'message is required');
+      }
+      item.message = fields.message.trim();
+    }
+
+    if (has('category')) {
+      if (!CATEGORIES.includes(fields.category)) {
+        throw tickerError('INVALID_REQUEST', `category must be one of: ${CATEGORIES.join(', ')}`);
+      }
+      item.category = fields.category;
+    }
+
+    if (has('url')) {
+      if (fields.url !== null && (typeof fields.url !== 'string' || fields.url.length > 500)) {
+        throw tickerError('INVALID_REQUEST', 'url must be a string of at most 500 characters');
+      }
+      item.url = fields.url || null;
+    }
+
+    if (has('platforms')) {
+      item.platforms = this.validateList(fields.platforms, 'platforms', value => {
+        const platform = String(value).toLowerCase();
+        return PLATFORM_PATTERN.test(platform) ? platform : null;
+      });
+    }
+
+    if (has('locales')) {
+      item.locales = this.validateList(fields.locales, 'locales', normalizeLocale);
+    }
+
+    if (has('priority')) {
+      if (!Number.isInteger(fields.priority)) {
+        throw tickerError('INVALID_REQUEST', 'priority must be an integer');
+      }
+      item.priority = fields.priority;
+    }
+
+    for (const key of ['starts_at', 'ends_at']) {
+      if (has(key)) {
+        item[key] = this.validateDate(fields[key], key);
+      }
+    }
+
+    if (has('is_active')) {
+      if (typeof fields.is_active !== 'boolean') {
+        throw tickerError('INVALID_REQUEST', 'is_active must be a boolean');
+      }
+      item.is_active = fields.is_active;
+    }
+
+    if (!partial) {
+      this.assertSchedule(item);
+    }
+
+    return item;
+  }
+
+  validateList(values, name, normalize) {
+    if (!Array.isArray(values)) {
+      throw tickerError('INVALID_REQUEST', `${name} must be an array`);
+    }
+    return [...new Set(values.map(value => {
+      const normalized = normalize(value);
+      if (!normalized) {
+        throw tickerError('INVALID_REQUEST', `Invalid entry in ${name}: ${value}`);
+      }
+      return normalized;
+    }))];
+  }
+
+  validateDate(value, name) {
+    if (value === null) {
+      return null;
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || isNaN(date.getTime())) {
+      throw tickerError('INVALID_REQUEST', `${name} must be an ISO 8601 date or null`);
+    }
+    return date.toISOString();
+  }
+
+  assertSchedule({ starts_at, ends_at }) {
+    if (starts_at && ends_at && new Date(ends_at) <= new Date(starts_at)) {
+      throw tickerError('INVALID_REQUEST', 'ends_at must be after starts_at');
+    }
+  }
+}
+
+module.exports = new TickerService();
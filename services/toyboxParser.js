@@ -0,0 +1,246 @@
+/**
+ * Toybox Parser Service
+ * Validates uploaded toybox binaries and reads their content manifest, so the
+ * object counts, IGPs and abilities stored for a toybox come from the file
+ * itself rather than from the metadata the client sends alongside it
+ *
+ * Layout (all integers little-endian):
+ *
+ *   Header (24 bytes)
+ *     0  char[4]  magic "TBOX"
+ *     4  uint16   format version (1-3, the game version that saved it)
+ *     6  uint16   section count
+ *     8  uint32   payload length (bytes after the header)
+ *    12  uint32   CRC-32 of the payload
+ *    16  uint32   flags
+ *    20  uint32   reserved
+ *
+ *   Payload
+ *     section table: section count x { char[4] tag, uint32 offset, uint32 length },
+ *     offsets relative to the start of the payload, followed by the section data
+ *
+ *   Sections
+ *     OBJS  { uint32 object id, uint32 count }...  placed objects (required)
+ *     IGPS  uint32...                              in-game player characters
+ *     ABIL  uint32...                              abilities used
+ *     PLAY  uint32...                              playsets required to load
+ *
+ * Unknown sections are skipped so newer saves still load.
+ *
+ * The layout has not yet been checked against files saved by the game, so a
+ * file that does not parse only gets rejected when TOYBOX_STRICT_VALIDATION=true.
+ * Otherwise the upload falls back to the manifest the client sends in contentInfo,
+ * and the toybox's manifest_source column records which of the two was stored
+ * ('file' or 'client'), so client-reported counts are not taken as verified.
+ */
+
+const { crc32 } = require('./crc32');
+
+const MAGIC = 'TBOX';
+const HEADER_SIZE = 24;
+const SECTION_ENTRY_SIZE = 12;
+const FORMAT_VERSIONS = [1, 2, 3];
+const MAX_ID = 0x7fffffff; // ids are stored in INTEGER columns
+
+// tag -> record size in bytes
+const SECTION_RECORD_SIZES = {
+  OBJS: 8,
+  IGPS: 4,
+  ABIL: 4,
+  PLAY: 4
+};
+
+function toyboxError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_TOYBOX';
+  return err;
+}
+
+const inRange = value => Number.isInteger(value) && value >= 0 && value <= MAX_ID;
+const idList = value => (Array.isArray(value) ? value.filter(inRange) : []);
+const countOf = value => (inRange(value) ? value : 0);
+const countMap = value => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+
+class ToyboxParser {
+  /**
+   * Whether uploads that fail to parse are rejected instead of falling back to contentInfo
+   */
+  get strict() {
+    return process.env.TOYBOX_STRICT_VALIDATION === 'true';
+  }
+
+  /**
+   * Validate a toybox file and read its manifest
+   * @param {Buffer} buffer - Uploaded file contents
+   * @returns {Object} { formatVersion, objectCounts, totalObjects, uniqueObjects, igps, abilities, playsets }
+   * @throws {Error} code INVALID_TOYBOX if the file is corrupt, truncated or not a toybox
+   */
+  parse(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < HEADER_SIZE) {
+      throw toyboxError('File is too short to be a toybox');
+    }
+    if (buffer.toString('latin1', 0, 4) !== MAGIC) {
+      throw toyboxError('File is not a toybox');
+    }
+
+    const formatVersion = buffer.readUInt16LE(4);
+    if (!FORMAT_VERSIONS.includes(formatVersion)) {
+      throw toyboxError(`Unsupported toybox format version ${formatVersion}`);
+    }
+
+    const sectionCount = buffer.readUInt16LE(6);
+    const payloadLength = buffer.readUInt32LE(8);
+    const available = buffer.length - HEADER_SIZE;
+    if (payloadLength > available) {
+      throw toyboxError(`Toybox is truncated (${available} of ${payloadLength} payload bytes)`);
+    }
+    if (payloadLength < available) {
+      throw toyboxError('Toybox has trailing data after the payload');
+    }
+
+    const payload = buffer.subarray(HEADER_SIZE);
+    if (crc32(payload) !== buffer.readUInt32LE(12)) {
+      throw toyboxError('Toybox checksum does not match its contents');
+    }
+
+    const sections = this.readSections(payload, sectionCount);
+    if (!sections.OBJS) {
+      throw toyboxError('Toybox has no object section');
+    }
+
+    const objectCounts = {};
+    let totalObjects = 0;
+    for (let offset = 0; offset < sections.OBJS.length; offset += 8) {
+      const objectId = this.readId(sections.OBJS, offset, 'OBJS');
+      const count = sections.OBJS.readUInt32LE(offset + 4);
+      if (count === 0) {
+        throw toyboxError(`Object ${objectId} has a count of zero`);
+      }
+      objectCounts[objectId] = (objectCounts[objectId] || 0) + count;
+      totalObjects += count;
+    }
+    if (totalObjects > MAX_ID) {
+      throw toyboxError('Toybox object count is out of range');
+    }
+
+    return {
+      formatVersion,
+      objectCounts,
+      totalObjects,
+      uniqueObjects: Object.keys(objectCounts).length,
+      igps: this.readIds(sections.IGPS, 'IGPS'),
+      abilities: this.readIds(sections.ABIL, 'ABIL'),
+      playsets: this.readIds(sections.PLAY, 'PLAY')
+    };
+  }
+
+  /**
+   * Section data by tag, after checking every entry lies inside the payload
+   * @returns {Object<string, Buffer>}
+   */
+  readSections(payload, sectionCount) {
+    const tableSize = sectionCount * SECTION_ENTRY_SIZE;
+    if (tableSize > payload.length) {
+      throw toyboxError('Toybox section table is truncated');
+    }
+
+    const sections = {};
+    for (let i = 0; i < sectionCount; i++) {
+      const entry = i * SECTION_ENTRY_SIZE;
+      const tag = payload.toString('latin1', entry, entry + 4);
+      const offset = payload.readUInt32LE(entry + 4);
+      const length = payload.readUInt32LE(entry + 8);
+
+      if (offset < tableSize || offset + length > payload.length) {
+        throw toyboxError(`Toybox section ${tag} lies outside the file`);
+      }
+
+      const recordSize = SECTION_RECORD_SIZES[tag];
+      if (!recordSize) {
+        continue;
+      }
+      if (sections[tag]) {
+        throw toyboxError(`Toybox has more than one ${tag} section`);
+      }
+      if (length % recordSize !== 0) {
+        throw toyboxError(`Toybox section ${tag} has a partial record`);
+      }
+      sections[tag] = payload.subarray(offset, offset + length);
+    }
+    return sections;
+  }
+
+  readId(section, offset, tag) {
+    const id = section.readUInt32LE(offset);
+    if (id > MAX_ID) {
+      throw toyboxError(`Toybox section ${tag} has an out-of-range id ${id}`);
+    }
+    return id;
+  }
+
+  /**
+   * Distinct ids of an id-list section, in file order
+   */
+  readIds(section, tag) {
+    const ids = new Set();
+    for (let offset = 0; section && offset < section.length; offset += 4) {
+      ids.add(this.readId(section, offset, tag));
+    }
+    return [...ids];
+  }
+
+  /**
+   * toyboxes columns from the manifest the client reported in contentInfo, for files that did not parse
+   * @param {Object} contentInfo - { igps, abilities, playsets, total_objects, unique_objects, object_counts }
+   * @param {Object} options
+   * @param {boolean} options.partial - Only the columns contentInfo has a value for, so an update keeps the rest
+   * @returns {Object} Columns, with manifest_source 'client'
+   */
+  contentInfoColumns(contentInfo, { partial = false } = {}) {
+    const info = contentInfo || {};
+    const has = key => !partial || info[key] !== undefined;
+    const columns = { manifest_source: 'client' };
+
+    if (has('igps')) {
+      columns.avatars = idList(info.igps);
+      columns.igps = columns.avatars;
+    }
+    if (has('abilities')) {
+      columns.abilities = idList(info.abilities);
+    }
+    if (has('playsets')) {
+      columns.playsets = idList(info.playsets);
+      columns.required_playsets_size = columns.playsets.length;
+    }
+    if (has('total_objects')) {
+      columns.total_objects = countOf(info.total_objects);
+    }
+    if (has('unique_objects')) {
+      columns.unique_objects = countOf(info.unique_objects);
+    }
+    if (has('object_counts')) {
+      columns.object_counts = countMap(info.object_counts);
+    }
+    return columns;
+  }
+
+  /**
+   * toyboxes columns derived from a parsed manifest
+   * (IGPs go to both avatars and the Disney-named igps column)
+   */
+  toColumns(manifest) {
+    return {
+      avatars: manifest.igps,
+      igps: manifest.igps,
+      abilities: manifest.abilities,
+      playsets: manifest.playsets,
+      required_playsets_size: manifest.playsets.length,
+      total_objects: manifest.totalObjects,
+      unique_objects: manifest.uniqueObjects,
+      object_counts: manifest.objectCounts,
+      manifest_source: 'file'
+    };
+  }
+}
+
+module.exports = new ToyboxParser();
@@ -0,0 +1,155 @@
+/**
+ * TURN Credential Service
+ * Issues short-lived TURN relay credentials with the TURN REST API scheme
+ * coturn implements with `use-auth-secret`: the username is
+ * "<expiry unix time>:<user id>[:<session id>]" and the password is the
+ * base64 HMAC-SHA1 of that username under a secret shared with the TURN
+ * server, so the TURN server can check them without calling back here.
+ *
+ * Several TURN deployments ("realms") can be configured, each for a region and
+ * with its own secret. A player in a session gets the realms of the session's
+ * region, with credentials that expire when the session would be cleaned up.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+
+// How long a session lives before cleanupAbandonedSessions (services/cleanup.js) ends it
+const SESSION_LIFETIME_MS = {
+  waiting: 60 * 60 * 1000,
+  active: 6 * 60 * 60 * 1000
+};
+
+// Credentials are never issued for less than this, even for a session about to be cleaned up
+const MIN_TTL_SECONDS = 300;
+
+const GLOBAL_REGION = 'global';
+
+class TurnCredentialService {
+  constructor() {
+    this.realms = null;
+  }
+
+  /**
+   * Lifetime of credentials issued outside a session
+   */
+  get defaultTtl() {
+    return parseInt(process.env.TURN_CREDENTIAL_TTL) || 3600;
+  }
+
+  /**
+   * Configured TURN realms, loaded on first use
+   * @returns {Array<{realm: string, region: string, urls: string[], secret: string}>}
+   */
+  getRealms() {
+    if (!this.realms) {
+      this.realms = this.loadRealms();
+    }
+    return this.realms;
+  }
+
+  /**
+   * Drop the loaded realms so the next request re-reads the configuration
+   */
+  reloadRealms() {
+    this.realms = null;
+  }
+
+  /**
+   * TURN_SERVERS holds a JSON array of { realm, region, urls, secret }; a single
+   * realm can be configured with TURN_URLS (comma-separated) and TURN_REALM
+   * instead. Realms without their own secret use TURN_SECRET.
+   */
+  loadRealms() {
+    let configured = [];
+    if (process.env.TURN_SERVERS) {
+      try {
+        configured = JSON.parse(process.env.TURN_SERVERS);
+      } catch (err) {
+        winston.error('Failed to parse TURN_SERVERS:', err);
+      }
+    } else if (process.env.TURN_URLS) {
+      configured = [{ realm: process.env.TURN_REALM, urls: process.env.TURN_URLS.split(',') }];
+    }
+
+    const realms = [];
+    for (const [index, entry] of (Array.isArray(configured) ? configured : []).entries()) {
+      const urls = (Array.isArray(entry?.urls) ? entry.urls : [entry?.urls])
+        .map(url => String(url || '').trim())
+        .filter(Boolean);
+      const secret = entry?.secret || process.env.TURN_SECRET;
+      const realm = entry?.realm || `turn-${index + 1}`;
+
+      if (urls.length === 0 || !secret) {
+        winston.warn(`Ignoring TURN realm ${realm}: it needs urls and a secret (or TURN_SECRET)`);
+        continue;
+      }
+      realms.push({ realm, region: entry.region || GLOBAL_REGION, urls, secret });
+    }
+    return realms;
+  }
+
+  /**
+   * Realms for a session region: the region's own, else the global ones, else all of them
+   */
+  selectRealms(region) {
+    const realms = this.getRealms();
+    for (const wanted of [region, GLOBAL_REGION]) {
+      const matching = realms.filter(realm => realm.region === wanted);
+      if (matching.length > 0) {
+        return matching;
+      }
+    }
+    return realms;
+  }
+
+  /**
+   * When credentials for a session should stop working
+   * @param {Object|null} session - game_sessions row (status, created_at, started_at)
+   * @returns {number} Expiry as a unix timestamp
+   */
+  expiryFor(session, now = Date.now()) {
+    let expiresAt = now + this.defaultTtl * 1000;
+    if (session) {
+      const startedAt = session.status === 'active' ? session.started_at || session.created_at : session.created_at;
+      const lifetime = SESSION_LIFETIME_MS[session.status];
+      if (startedAt && lifetime) {
+        expiresAt = new Date(startedAt).getTime() + lifetime;
+      }
+    }
+    return Math.floor(Math.max(expiresAt, now + MIN_TTL_SECONDS * 1000) / 1000);
+  }
+
+  /**
+   * Password for a TURN REST API username
+   */
+  sign(secret, username) {
+    return crypto.createHmac('sha1', secret).update(username).digest('base64');
+  }
+
+  /**
+   * TURN entries for a user's ICE server list
+   * @param {string} userId
+   * @param {Object|null} session - The user's current game_sessions row, if any
+   * @returns {Object} { iceServers, expiresAt } - no servers and a null expiry if TURN is not configured
+   */
+  issue(userId, session = null, now = Date.now()) {
+    const realms = this.selectRealms(session?.region);
+    if (realms.length === 0) {
+      return { iceServers: [], expiresAt: null };
+    }
+
+    const expiry = this.expiryFor(session, now);
+    const username = session ? `${expiry}:${userId}:${session.id}` : `${expiry}:${userId}`;
+    return {
+      iceServers: realms.map(realm => ({
+        urls: realm.urls,
+        username,
+        credential: this.sign(realm.secret, username)
+      })),
+      expiresAt: new Date(expiry * 1000).toISOString()
+    };
+  }
+}
+
+module.exports = new TurnCredentialService();
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('./config/database');
 const winston = require('winston');
+const authTokenService = require('./services/authTokenService');
 
 /**
  * Socket.io event handlers for real-time multiplayer features
@@ -17,7 +18,7 @@ const friendPresenceCache = new Map();
 /**
  * Authenticate socket connection with JWT
  */
-function authenticateSocket(socket, next) {
+async function authenticateSocket(socket, next) {
   const token = socket.handshake.auth.token;
 
   if (!token) {
@@ -29,8 +30,12 @@ function authenticateSocket(socket, next) {
     if (decoded.type !== 'access') {
       return next(new Error('Invalid token type'));
     }
+    if (!(await authTokenService.isActive(decoded.sid))) {
+      return next(new Error('Session has been revoked'));
+    }
 
     socket.userId = decoded.userId;
+    socket.sessionId = decoded.sid || null;
     next();
   } catch (err) {
     winston.warn(`Socket authentication failed: ${err.message}`);
@@ -440,6 +445,19 @@ function getConnectedClientCount() {
   return connectedClients.size;
 }
 
+/**
+ * Disconnect a user's socket after its login was revoked
+ * @param {string} userId
+ * @param {string[]|null} sessionIds - Revoked logins, or null for all of them
+ */
+function disconnectSessions(userId, sessionIds = null) {
+  const socket = connectedClients.get(userId);
+  if (socket && (sessionIds === null || sessionIds.includes(socket.sessionId))) {
+    socket.emit('session_revoked', { timestamp: new Date().toISOString() });
+    socket.disconnect(true);
+  }
+}
+
 /**
  * Send notification to specific user
  */
@@ -454,5 +472,6 @@ module.exports = {
   initializeSocketServer,
   updatePresenceStatus,
   getConnectedClientCount,
+  disconnectSessions,
   sendNotificationToUser
 };
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Accounts and tokens are stored through the embedded datastore
+const embeddedDb = createEmbeddedDb('account-recovery');
+const { dataDir } = embeddedDb;
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/database');
+const mailer = require('../services/mailer');
+const { createMailTransport, FileTransport, ConsoleTransport, SmtpTransport } = require('../services/mailer');
+
+describe('Mail transports', () => {
+  test('picks the transport from the environment', () => {
+    expect(createMailTransport({})).toBeInstanceOf(ConsoleTransport);
+    expect(createMailTransport({ SMTP_HOST: 'smtp.example.com' })).toBeInstanceOf(SmtpTransport);
+    expect(createMailTransport({ MAIL_TRANSPORT: 'file', MAIL_FILE_DIR: dataDir })).toBeInstanceOf(FileTransport);
+    expect(() => createMailTransport({ MAIL_TRANSPORT: 'smtp' })).toThrow(expect.objectContaining({ code: 'MAIL_NOT_CONFIGURED' }));
+    expect(() => createMailTransport({ MAIL_TRANSPORT: 'pigeon' })).toThrow(expect.objectContaining({ code: 'MAIL_NOT_CONFIGURED' }));
+  });
+
+  test('refuses to print mail to the console in production', () => {
+    const notConfigured = expect.objectContaining({ code: 'MAIL_NOT_CONFIGURED' });
+    expect(() => createMailTransport({ NODE_ENV: 'production' })).toThrow(notConfigured);
+    expect(() => createMailTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' })).toThrow(notConfigured);
+    expect(createMailTransport({ NODE_ENV: 'production', LAN_MODE: 'true' })).toBeInstanceOf(ConsoleTransport);
+    expect(createMailTransport({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' })).toBeInstanceOf(SmtpTransport);
+  });
+
+  test('file transport writes each message as an .eml file', async () => {
+    const dir = path.join(dataDir, 'mail');
+    const transport = new FileTransport({ dir });
+
+    const sent = await transport.send({ from: 'server@example.com', to: 'jasmine@example.com', subject: 'Hello', text: 'A whole new world' });
+
+    expect(path.dirname(sent.path)).toBe(dir);
+    const raw = fs.readFileSync(sent.path, 'utf8');
+    expect(raw).toMatch(/^To: jasmine@example\.com$/m);
+    expect(raw).toMatch(/^Subject: Hello$/m);
+    expect(raw).toContain('A whole new world');
+  });
+});
+
+describe('Email verification and password reset', () => {
+  let app;
+  let outbox;
+
+  // The 64-character token in a mail
+  const tokenIn = message => message.text.match(/[0-9a-f]{64}/)[0];
+
+  // Latest mail to an address among those sent after the first `since`; verification
+  // and reset mails go out after the response
+  const nextMail = async (to, since) => {
+    for (let i = 0; i < 100; i++) {
+      const message = outbox.slice(since).reverse().find(item => item.to === to);
+      if (message) {
+        return message;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`No mail sent to ${to}`);
+  };
+
+  const register = (username, email) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ username, email, password: 'magic-carpet' })
+    .expect(201)
+    .then(res => res.body);
+
+  const login = (username, password) => request(app)
+    .post('/api/v1/auth/login')
+    .send({ username, password });
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    outbox = [];
+    mailer.setTransport({ name: 'memory', send: async message => outbox.push(message) });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/auth', require('../routes/auth'));
+    app.use('/coregames/did/v3', require('../routes/did-compat'));
+  }, 60000);
+
+  afterAll(async () => {
+    mailer.setTransport(null);
+    await embeddedDb.stop();
+  });
+
+  test('verifies the address with the token mailed at registration', async () => {
+    const aladdin = await register('aladdin', 'aladdin@example.com');
+    expect(aladdin.email_verified).toBe(false);
+
+    const mail = await nextMail('aladdin@example.com', 0);
+    expect(mail.subject).toBe('Verify your email address');
+    expect(mail.text).toContain(`/api/v1/auth/verify-email?token=${tokenIn(mail)}`);
+
+    // Too soon for another mail
+    await request(app)
+      .post('/api/v1/auth/verify-email/resend')
+      .set('Authorization', `Bearer ${aladdin.token}`)
+      .expect(429);
+
+    const res = await request(app).get('/api/v1/auth/verify-email').query({ token: tokenIn(mail) }).expect(200);
+    expect(res.body).toMatchObject({ email: 'aladdin@example.com', email_verified: true });
+
+    // Single use
+    const reused = await request(app).post('/api/v1/auth/verify-email').send({ token: tokenIn(mail) }).expect(400);
+    expect(reused.body.error.code).toBe('INVALID_TOKEN');
+
+    const resend = await request(app)
+      .post('/api/v1/auth/verify-email/resend')
+      .set('Authorization', `Bearer ${aladdin.token}`)
+      .expect(409);
+    expect(resend.body.error.code).toBe('CONFLICT');
+
+    const profile = await request(app).get('/api/v1/auth/profile').set('Authorization', `Bearer ${aladdin.token}`).expect(200);
+    expect(profile.body.email_verified).toBe(true);
+  });
+
+  test('registers without waiting for the verification mail', async () => {
+    // A mail server that never answers
+    mailer.setTransport({ name: 'stalled', send: () => new Promise(() => {}) });
+    try {
+      const abu = await register('abu', 'abu@example.com');
+      expect(abu.email_verified).toBe(false);
+    } finally {
+      mailer.setTransport({ name: 'memory', send: async message => outbox.push(message) });
+    }
+  });
+
+  test('resets a forgotten password once and signs the account out everywhere', async () => {
+    const jafar = await register('jafar', 'jafar@example.com');
+    outbox.length = 0;
+
+    await request(app).post('/api/v1/auth/forgot-password').send({ email: 'jafar@example.com' }).expect(202);
+    const token = tokenIn(await nextMail('jafar@example.com', 0));
+
+    await request(app).post('/api/v1/auth/reset-password').send({ token, password: 'short' }).expect(400);
+    await request(app).post('/api/v1/auth/reset-password').send({ token, password: 'snake-staff-1' }).expect(200);
+
+    const again = await request(app).post('/api/v1/auth/reset-password').send({ token, password: 'snake-staff-2' }).expect(400);
+    expect(again.body.error.code).toBe('INVALID_TOKEN');
+
+    await login('jafar', 'magic-carpet').expect(401);
+    const res = await login('jafar', 'snake-staff-1').expect(200);
+    // Receiving the code proved the address works
+    expect(res.body.user.email_verified).toBe(true);
+
+    await request(app).get('/api/v1/auth/profile').set('Authorization', `Bearer ${jafar.token}`).expect(401);
+  });
+
+  test('does not reveal whether an email has an account', async () => {
+    outbox.length = 0;
+    const res = await request(app).post('/api/v1/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(202);
+    expect(res.body.success).toBe(true);
+    expect(outbox).toEqual([]);
+  });
+
+  test('rejects expired reset tokens', async () => {
+    await register('iago', 'iago@example.com');
+    const sent = outbox.length;
+    await request(app).post('/api/v1/auth/forgot-password').send({ email: 'iago@example.com' }).expect(202);
+    const token = tokenIn(await nextMail('iago@example.com', sent));
+
+    await db.supabase
+      .from('account_tokens')
+      .update({ expires_at: new Date(Date.now() - 1000).toISOString() })
+      .eq('purpose', 'reset_password')
+      .eq('email', 'iago@example.com');
+
+    await request(app).post('/api/v1/auth/reset-password').send({ token, password: 'polly-wants' }).expect(400);
+  });
+
+  test('offers the same recovery through the Disney ID routes', async () => {
+    await register('genie', 'genie@example.com');
+    const sent = outbox.length;
+
+    await request(app).post('/coregames/did/v3/forgot-password').send({ email: 'genie@example.com' }).expect(202);
+    const mail = await nextMail('genie@example.com', sent);
+    expect(mail.subject).toBe('Reset your password');
+
+    await request(app).post('/coregames/did/v3/reset-password').send({ token: tokenIn(mail), password: 'phenomenal-cosmic' }).expect(200);
+    await login('genie', 'phenomenal-cosmic').expect(200);
+  });
+});
@@ -0,0 +1,163 @@
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Logins are persisted through the embedded datastore
+const embeddedDb = createEmbeddedDb('auth-sessions');
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+describe('Refresh token families', () => {
+  let app;
+
+  const bearer = token => `Bearer ${token}`;
+
+  const login = (device = {}) => request(app)
+    .post('/api/v1/auth/login')
+    .set('User-Agent', device.userAgent || 'jest')
+    .send({ username: 'belle', password: 'enchanted-rose', device_id: device.id, device_name: device.name })
+    .expect(200)
+    .then(res => res.body);
+
+  const refresh = token => request(app)
+    .post('/api/v1/auth/refresh')
+    .set('Authorization', bearer(token));
+
+  const profile = token => request(app)
+    .get('/api/v1/auth/profile')
+    .set('Authorization', bearer(token));
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/auth', require('../routes/auth'));
+
+    await request(app)
+      .post('/api/v1/auth/register')
+      .send({ username: 'belle', email: 'belle@example.com', password: 'enchanted-rose' })
+      .expect(201);
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  test('rotates the refresh token on every use', async () => {
+    const first = await login();
+
+    const rotated = await refresh(first.refresh_token).expect(200);
+    expect(rotated.body.refresh_token).not.toBe(first.refresh_token);
+    expect(jwt.decode(rotated.body.token).sid).toBe(jwt.decode(first.token).sid);
+
+    await refresh(rotated.body.refresh_token).expect(200);
+    await profile(rotated.body.token).expect(200);
+  });
+
+  test('revokes the whole login when an old refresh token is replayed', async () => {
+    const first = await login();
+    const rotated = (await refresh(first.refresh_token).expect(200)).body;
+
+    const replay = await refresh(first.refresh_token).expect(401);
+    expect(replay.body.error.code).toBe('UNAUTHORIZED');
+
+    // The legitimate holder is cut off as well
+    await refresh(rotated.refresh_token).expect(401);
+    const res = await profile(rotated.token).expect(401);
+    expect(res.body.error.message).toBe('Session has been revoked');
+
+    const { data: family } = await db.supabase
+      .from('refresh_token_families')
+      .select('revoked_reason, generation')
+      .eq('id', jwt.decode(first.token).sid)
+      .single();
+    expect(family).toEqual({ revoked_reason: 'reuse', generation: 1 });
+  });
+
+  test('logout revokes only the current login', async () => {
+    const phone = await login();
+    const laptop = await login();
+
+    await request(app).post('/api/v1/auth/logout').set('Authorization', bearer(phone.token)).expect(200);
+
+    await profile(phone.token).expect(401);
+    await refresh(phone.refresh_token).expect(401);
+    await profile(laptop.token).expect(200);
+    await refresh(laptop.refresh_token).expect(200);
+  });
+
+  test('sign out everywhere revokes every login', async () => {
+    const phone = await login();
+    const laptop = await login();
+
+    const res = await request(app).post('/api/v1/auth/logout-all').set('Authorization', bearer(phone.token)).expect(200);
+    expect(res.body.revoked_sessions).toBeGreaterThanOrEqual(2);
+
+    await profile(phone.token).expect(401);
+    await profile(laptop.token).expect(401);
+    await refresh(laptop.refresh_token).expect(401);
+  });
+
+  test('lists active logins with their device and synced device record', async () => {
+    const { data: [user] } = await db.supabase.from('users').select('id').eq('username', 'belle');
+    await db.supabase.from('device_sync').insert({ user_id: user.id, device_id: 'wiiu-living-room', device_name: 'Living Room Wii U' });
+
+    const consoleLogin = await login({ id: 'wiiu-living-room', userAgent: 'Mozilla/5.0 (Nintendo WiiU) AppleWebKit/536.28' });
+    const steamLogin = await login({ name: 'Gaming PC', userAgent: 'Valve/Steam HTTP Client 1.0' });
+
+    const res = await request(app).get('/api/v1/auth/sessions').set('Authorization', bearer(steamLogin.token)).expect(200);
+    const sessions = Object.fromEntries(res.body.sessions.map(session => [session.id, session]));
+
+    expect(sessions[jwt.decode(steamLogin.token).sid]).toMatchObject({
+      device: 'Gaming PC',
+      platform: 'pc',
+      current: true,
+      sync_device: null
+    });
+    const wiiu = sessions[jwt.decode(consoleLogin.token).sid];
+    expect(wiiu).toMatchObject({
+      device: 'Living Room Wii U',
+      device_id: 'wiiu-living-room',
+      platform: 'wiiu',
+      current: false,
+      sync_device: { device_id: 'wiiu-living-room', device_name: 'Living Room Wii U' }
+    });
+    expect(wiiu.ip_address).toBeTruthy();
+    expect(wiiu.last_seen).toBeTruthy();
+    expect(res.body.devices).toEqual([expect.objectContaining({ device_id: 'wiiu-living-room' })]);
+  });
+
+  test('revokes a single login from another device', async () => {
+    const consoleLogin = await login({ name: 'Shared Console' });
+    const phone = await login();
+    const consoleSession = jwt.decode(consoleLogin.token).sid;
+
+    await request(app).delete('/api/v1/auth/sessions/not-a-uuid').set('Authorization', bearer(phone.token)).expect(400);
+    await request(app)
+      .delete('/api/v1/auth/sessions/00000000-0000-4000-8000-000000000000')
+      .set('Authorization', bearer(phone.token))
+      .expect(404);
+
+    const res = await request(app)
+      .delete(`/api/v1/auth/sessions/${consoleSession}`)
+      .set('Authorization', bearer(phone.token))
+      .expect(200);
+    expect(res.body).toMatchObject({ revoked_session: consoleSession, current: false });
+
+    await profile(consoleLogin.token).expect(401);
+    await refresh(consoleLogin.refresh_token).expect(401);
+    await profile(phone.token).expect(200);
+
+    await request(app).delete(`/api/v1/auth/sessions/${consoleSession}`).set('Authorization', bearer(phone.token)).expect(404);
+    const list = await request(app).get('/api/v1/auth/sessions').set('Authorization', bearer(phone.token)).expect(200);
+    expect(list.body.sessions.map(session => session.id)).not.toContain(consoleSession);
+  });
+
+  test('refuses refresh tokens as access tokens', async () => {
+    const { refresh_token: refreshToken } = await login();
+    const res = await profile(refreshToken).expect(401);
+    expect(res.body.error.code).toBe('UNAUTHORIZED');
+  });
+});
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createTrafficCapture, redact, REDACTED } = require('../middleware/capture');
+const { loadCapture, diffValues, prepareRequest, replayCapture } = require('../scripts/replay');
+
+describe('Traffic capture and replay', () => {
+  let dir;
+  let app;
+  let routes;
+  let capture;
+  let profile;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-'));
+    profile = { name: 'Sorcerer', level: 3 };
+
+    routes = express.Router();
+    routes.get('/infinity/profile/v1/:platform', (req, res) => {
+      res.json({ status: 0, timestamp: Math.floor(Date.now() / 1000), profile });
+    });
+    routes.post('/infinity/login/v1', (req, res) => {
+      if (req.body.password !== 'hunter2') {
+        return res.status(401).json({ status: 1 });
+      }
+      res.json({ status: 0, access_token: `token-${Date.now()}`, user: req.body.username });
+    });
+    routes.get('/infinity/blob/v1', (req, res) => res.type('application/octet-stream').send(Buffer.alloc(4096, 7)));
+    routes.get('/infinity/inventory/v1', (req, res) => {
+      res.json({ session_token: 'leaky-session', items: Array(200).fill('sorcerer-hat') });
+    });
+    routes.get('/infinity/auth/v1', (req, res) => res.type('application/xml').send('<auth><ticket>xml-ticket</ticket></auth>'));
+    routes.get('/api/v1/health', (req, res) => res.json({ ok: true }));
+
+    capture = createTrafficCapture({ dir, maxBodyBytes: 1024 });
+    app = express();
+    app.use(express.json());
+    app.use(capture);
+    app.use(routes);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('redact', () => {
+    it('replaces secret-looking keys at any depth', () => {
+      expect(redact({ password: 'a', nested: [{ refresh_token: 'b', name: 'c' }], api_key: 'd' })).toEqual({
+        password: REDACTED,
+        nested: [{ refresh_token: REDACTED, name: 'c' }],
+        api_key: REDACTED
+      });
+    });
+  });
+
+  describe('capture', () => {
+    beforeAll(async () => {
+      await request(app).post('/infinity/login/v1')
+        .set('Authorization', 'Bearer secret-jwt')
+        .send({ username: 'mickey', password: 'hunter2' });
+      await request(app).get('/infinity/profile/v1/wiiu?ticket=abc&lang=en');
+      await request(app).get('/infinity/blob/v1');
+      await request(app).get('/infinity/inventory/v1');
+      await request(app).get('/infinity/auth/v1');
+      await request(app).get('/api/v1/health');
+      await capture.flush();
+    });
+
+    it('writes only game routes to the fixture', () => {
+      const entries = loadCapture(capture.file);
+      expect(entries.map(entry => entry.request.url)).toEqual([
+        '/infinity/login/v1',
+        '/infinity/profile/v1/wiiu?ticket=%5Bredacted%5D&lang=en',
+        '/infinity/blob/v1',
+        '/infinity/inventory/v1',
+        '/infinity/auth/v1'
+      ]);
+      expect(entries.map(entry => entry.id)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('redacts credentials in requests and responses', () => {
+      const [login] = loadCapture(capture.file);
+      expect(login.request.headers.authorization).toBe(REDACTED);
+      expect(login.request.body).toEqual({ username: 'mickey', password: REDACTED });
+      expect(login.response).toMatchObject({
+        status: 200,
+        encoding: 'json',
+        body: { status: 0, access_token: REDACTED, user: 'mickey' }
+      });
+      expect(fs.readFileSync(capture.file, 'utf8')).not.toMatch(/hunter2|secret-jwt/);
+    });
+
+    it('stores binary bodies as base64 and marks truncation', () => {
+      const blob = loadCapture(capture.file)[2];
+      expect(blob.response.encoding).toBe('base64');
+      expect(blob.response.truncated).toBe(true);
+      expect(Buffer.from(blob.response.body, 'base64')).toHaveLength(1024);
+    });
+
+    it('keeps only a digest of text bodies it cannot redact', () => {
+      const [, , , inventory, auth] = loadCapture(capture.file);
+      expect(inventory.response).toMatchObject({ encoding: 'sha256', truncated: true });
+      expect(auth.response).toMatchObject({ encoding: 'sha256', truncated: false });
+      expect(auth.response.body).toMatch(/^[0-9a-f]{64}$/);
+      expect(fs.readFileSync(capture.file, 'utf8')).not.toMatch(/leaky-session|xml-ticket/);
+    });
+  });
+
+  describe('replay', () => {
+    let server;
+    let baseUrl;
+
+    // Replay against the same routes without capturing again
+    beforeAll(done => {
+      const target = express();
+      target.use(express.json());
+      target.use(routes);
+      server = target.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    const secrets = { password: 'hunter2', ticket: 'abc' };
+
+    it('matches the recording when responses are unchanged', async () => {
+      const results = await replayCapture({ file: capture.file, target: baseUrl, secrets, maxBodyBytes: 1024 });
+      expect(results).toHaveLength(5);
+      expect(results.filter(result => result.error || result.skipped || result.diffs.length > 0)).toEqual([]);
+    });
+
+    it('fills redacted request values from secrets and skips requests missing one', async () => {
+      const [login, profileEntry] = loadCapture(capture.file);
+      expect(prepareRequest(login.request, secrets)).toEqual({
+        url: '/infinity/login/v1',
+        body: { username: 'mickey', password: 'hunter2' },
+        missing: []
+      });
+      expect(prepareRequest(profileEntry.request, secrets).url).toBe('/infinity/profile/v1/wiiu?ticket=abc&lang=en');
+
+      const results = await replayCapture({ file: capture.file, target: baseUrl, maxBodyBytes: 1024 });
+      expect(results.map(result => result.skipped)).toEqual([['password'], ['ticket'], undefined, undefined, undefined]);
+      expect(results.filter(result => result.error || result.diffs.length > 0)).toEqual([]);
+    });
+
+    it('reports fields that changed', async () => {
+      profile.level = 4;
+      const results = await replayCapture({ file: capture.file, target: baseUrl, secrets, only: '/infinity/profile' });
+      expect(results).toHaveLength(1);
+      expect(results[0].diffs).toEqual([{ path: '$.profile.level', expected: 3, actual: 4 }]);
+
+      const ignored = await replayCapture({ file: capture.file, target: baseUrl, secrets, only: '/infinity/profile', ignore: ['level'] });
+      expect(ignored[0].diffs).toEqual([]);
+    });
+
+    it('reports keys missing from the recording', () => {
+      expect(diffValues({ a: 1 }, { a: 1, b: 2 }, new Set())).toEqual([{ path: '$.b', expected: undefined, actual: 2 }]);
+    });
+  });
+});
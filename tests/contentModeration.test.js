@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Run against the embedded datastore so submissions go through real SQL
+const embeddedDb = createEmbeddedDb('content-moderation');
+const { dataDir } = embeddedDb;
+const filterFile = path.join(dataDir, 'filter.json');
+fs.writeFileSync(filterFile, JSON.stringify({ words: ['villain'], patterns: ['\\d{3}-\\d{4}', '(['] }));
+process.env.MODERATION_FILTER_WORDS = 'darn, Heck';
+process.env.MODERATION_FILTER_FILE = filterFile;
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const contentModerationService = require('../services/contentModerationService');
+
+const MODERATION = '/infinity/moderation/v1';
+
+describe('Content moderation', () => {
+  let app;
+  let player;
+  let playerToken;
+  let moderatorToken;
+
+  const moderate = (id, body, token = moderatorToken) => request(app)
+    .put(`/api/v1/admin/moderation/${id}/status`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data: users } = await db.supabase
+      .from('users')
+      .insert([
+        { username: 'builder', email: 'builder@example.com', password_hash: 'x' },
+        { username: 'warden', email: 'warden@example.com', password_hash: 'x', is_moderator: true }
+      ])
+      .select('id');
+    let moderator;
+    [player, moderator] = users;
+    playerToken = jwt.sign({ userId: player.id, type: 'access' }, process.env.JWT_SECRET);
+    moderatorToken = jwt.sign({ userId: moderator.id, type: 'access' }, process.env.JWT_SECRET);
+
+    app = express();
+    app.use(express.json());
+    app.use('/', require('../routes/wii-stubs'));
+    app.use('/api/v1/admin', require('../routes/admin'));
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  test('the filter matches whole words and patterns, and skips invalid patterns', () => {
+    expect(contentModerationService.checkText('What the HECK')).toEqual(['heck']);
+    expect(contentModerationService.checkText('Checking the hecklers')).toEqual([]);
+    expect(contentModerationService.checkText('Call 555-1234, villain!')).toEqual(['villain', '/\\d{3}-\\d{4}/']);
+  });
+
+  test('clean text waits for a moderator and shows in the review queue', async () => {
+    const submitted = await request(app)
+      .post(MODERATION)
+      .set('Authorization', `Bearer ${playerToken}`)
+      .send({ type: 'toybox_name', name: 'Castle Run', description: 'Race to the top', platform: 'WiiU' })
+      .expect(202);
+    expect(submitted.body).toMatchObject({ approved: false, pending: true, moderation_status: 'pending' });
+
+    const queue = await request(app)
+      .get('/api/v1/admin/reviews/pending')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(200);
+    expect(queue.body.count).toBe(1);
+    expect(queue.body.pending_reviews[0]).toMatchObject({
+      type: 'text',
+      id: submitted.body.moderation_id,
+      content_type: 'toybox_name',
+      content: 'Castle Run\nRace to the top',
+      platform: 'wiiu',
+      creator: { username: 'builder' }
+    });
+  });
+
+  test('the game polls for the moderator decision', async () => {
+    const submitted = await request(app).post(MODERATION).send({ text: 'Hello friends' }).expect(202);
+    const id = submitted.body.moderation_id;
+
+    expect((await request(app).get(`${MODERATION}/${id}`).expect(200)).body).toMatchObject({ pending: true, approved: false });
+
+    await moderate(id, { status: 'approved' }, playerToken).expect(403);
+    await moderate(id, { status: 'maybe' }).expect(400);
+    await moderate(id, { status: 'approved', moderator_notes: 'Fine' }).expect(200);
+    expect((await moderate(id, { status: 'rejected' }).expect(409)).body.error.code).toBe('ALREADY_DECIDED');
+
+    expect((await request(app).get(`${MODERATION}/${id}`).expect(200)).body).toEqual({
+      approved: true,
+      pending: false,
+      moderation_id: id,
+      moderation_status: 'approved'
+    });
+  });
+
+  test('filtered text is rejected without review', async () => {
+    const submitted = await request(app).post(MODERATION).send({ text: 'darn it' }).expect(200);
+    expect(submitted.body).toMatchObject({ approved: false, pending: false, moderation_status: 'rejected' });
+
+    const queue = await request(app)
+      .get('/api/v1/admin/reviews/pending')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(200);
+    expect(queue.body.pending_reviews.map(review => review.id)).not.toContain(submitted.body.moderation_id);
+  });
+
+  test('auto-approve skips the queue for clean text only', async () => {
+    process.env.MODERATION_AUTO_APPROVE = 'true';
+    try {
+      expect((await request(app).post(MODERATION).send({ text: 'Nice build' }).expect(200)).body.approved).toBe(true);
+      expect((await request(app).post(MODERATION).send({ text: 'Nice villain' }).expect(200)).body.approved).toBe(false);
+    } finally {
+      delete process.env.MODERATION_AUTO_APPROVE;
+    }
+  });
+
+  test('rejects empty submissions and unknown ids', async () => {
+    expect((await request(app).post(MODERATION).send({ platform: 'wiiu' }).expect(400)).body.error.code).toBe('INVALID_SUBMISSION');
+    await request(app).get(`${MODERATION}/not-an-id`).expect(404);
+    await request(app).get(`${MODERATION}/00000000-0000-0000-0000-000000000000`).expect(404);
+  });
+});
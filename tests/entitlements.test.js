@@ -0,0 +1,128 @@
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Run against the embedded datastore so grants go through real SQL
+const embeddedDb = createEmbeddedDb('entitlements');
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+describe('Entitlements', () => {
+  let app;
+  let admin;
+  let player;
+  let adminToken;
+  let playerToken;
+
+  const adminRequest = (method, url) => request(app)[method](`/api/v1/admin${url}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  const unlocked = async (platform, token) => {
+    const req = request(app).get(`/infinity/entitlement/v1/${platform}`);
+    const response = await (token ? req.set('Authorization', `Bearer ${token}`) : req).expect(200);
+    return response.body.entitlements.map(entitlement => entitlement.id);
+  };
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data: users } = await db.supabase
+      .from('users')
+      .insert([
+        { username: 'unlocker', email: 'unlocker@example.com', password_hash: 'x', is_admin: true },
+        { username: 'player', email: 'player@example.com', password_hash: 'x' }
+      ])
+      .select('id');
+    [admin, player] = users;
+    adminToken = jwt.sign({ userId: admin.id, type: 'access' }, process.env.JWT_SECRET);
+    playerToken = jwt.sign({ userId: player.id, type: 'access' }, process.env.JWT_SECRET);
+
+    app = express();
+    app.use(express.json());
+    app.use('/', require('../routes/infinity-api'));
+    app.use('/api/v1/admin', require('../routes/admin'));
+
+    for (const entry of [
+      { id: 'playset_marvel', name: 'Marvel Playset', type: 'playset' },
+      { id: 'char_hulk', name: 'Hulk', type: 'character' },
+      { id: 'dlc_event', name: 'Event Pack', type: 'dlc' }
+    ]) {
+      await adminRequest('post', '/entitlements').send(entry).expect(201);
+    }
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  test('nothing is unlocked until granted', async () => {
+    expect(await unlocked('steam', playerToken)).toEqual([]);
+  });
+
+  test('admin endpoints require an admin', async () => {
+    await request(app)
+      .post('/api/v1/admin/entitlements/grants')
+      .set('Authorization', `Bearer ${playerToken}`)
+      .send({ entitlement_id: 'char_hulk', scope: 'server' })
+      .expect(403);
+  });
+
+  test('grants apply server-wide, per platform and per user', async () => {
+    await adminRequest('post', '/entitlements/grants').send({ entitlement_id: 'playset_marvel', scope: 'server' }).expect(201);
+    await adminRequest('post', '/entitlements/grants').send({ entitlement_id: 'char_hulk', scope: 'platform', platform: 'WiiU' }).expect(201);
+    await adminRequest('post', '/entitlements/grants')
+      .send({ entitlement_id: 'dlc_event', scope: 'user', user_id: player.id, reason: 'Tournament winner' })
+      .expect(201);
+
+    expect(await unlocked('steam')).toEqual(['playset_marvel']);
+    expect(await unlocked('wiiu')).toEqual(['char_hulk', 'playset_marvel']);
+    expect(await unlocked('steam', playerToken)).toEqual(['dlc_event', 'playset_marvel']);
+    expect(await unlocked('steam', adminToken)).toEqual(['playset_marvel']);
+
+    const duplicate = await adminRequest('post', '/entitlements/grants')
+      .send({ entitlement_id: 'playset_marvel', scope: 'server' })
+      .expect(409);
+    expect(duplicate.body.error.code).toBe('ALREADY_GRANTED');
+  });
+
+  test('scheduled grants only apply inside their window', async () => {
+    await adminRequest('post', '/entitlements').send({ id: 'dlc_later', name: 'Later' }).expect(201);
+    await adminRequest('post', '/entitlements/grants')
+      .send({ entitlement_id: 'dlc_later', scope: 'server', starts_at: new Date(Date.now() + 3600000).toISOString() })
+      .expect(201);
+
+    expect(await unlocked('steam')).not.toContain('dlc_later');
+  });
+
+  test('revoking a grant removes the unlock and is audited', async () => {
+    const { body } = await adminRequest('get', `/entitlements/grants?user_id=${player.id}`).expect(200);
+    expect(body.grants).toHaveLength(1);
+
+    await adminRequest('delete', `/entitlements/grants/${body.grants[0].id}`).send({ reason: 'Granted by mistake' }).expect(200);
+    await adminRequest('delete', `/entitlements/grants/${body.grants[0].id}`).expect(404);
+    expect(await unlocked('steam', playerToken)).toEqual(['playset_marvel']);
+
+    const audit = await adminRequest('get', `/entitlements/audit?user_id=${player.id}`).expect(200);
+    expect(audit.body.audit.map(entry => [entry.action, entry.details.reason])).toEqual([
+      ['revoke', 'Granted by mistake'],
+      ['grant', 'Tournament winner']
+    ]);
+    expect(audit.body.audit[0].actor_username).toBe('unlocker');
+  });
+
+  test('retired catalogue entries stop being served', async () => {
+    await adminRequest('put', '/entitlements/char_hulk').send({ is_active: false }).expect(200);
+    expect(await unlocked('wiiu')).toEqual(['playset_marvel']);
+
+    const catalogue = await adminRequest('get', '/entitlements').expect(200);
+    expect(catalogue.body.entitlements.find(entry => entry.id === 'char_hulk')).toMatchObject({ is_active: false, live_grants: 1 });
+  });
+
+  test('validates grants', async () => {
+    await adminRequest('post', '/entitlements/grants').send({ entitlement_id: 'char_hulk', scope: 'platform' }).expect(400);
+    await adminRequest('post', '/entitlements/grants').send({ entitlement_id: 'char_hulk', scope: 'galaxy' }).expect(400);
+    await adminRequest('post', '/entitlements/grants').send({ entitlement_id: 'missing', scope: 'server' }).expect(404);
+    await adminRequest('post', '/entitlements').send({ id: 'playset_marvel', name: 'Again' }).expect(409);
+  });
+});
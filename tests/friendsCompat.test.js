@@ -0,0 +1,107 @@
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Run against the embedded datastore so the friends controller runs unchanged
+const embeddedDb = createEmbeddedDb('friends-compat');
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+const FRIENDS = '/coregames/friends/v1/wiiu';
+
+describe('CoreGames friends v1', () => {
+  let app;
+  let mickey;
+  let donald;
+  let tokens;
+
+  const call = (method, url, user) => request(app)[method](`${FRIENDS}${url}`)
+    .set('Authorization', `Bearer ${tokens[user]}`);
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data: users } = await db.supabase
+      .from('users')
+      .insert([
+        { username: 'mickey', email: 'mickey@example.com', password_hash: 'x' },
+        { username: 'donald', email: 'donald@example.com', password_hash: 'x' }
+      ])
+      .select('id');
+    [mickey, donald] = users;
+    tokens = {
+      mickey: jwt.sign({ userId: mickey.id, type: 'access' }, process.env.JWT_SECRET),
+      donald: jwt.sign({ userId: donald.id, type: 'access' }, process.env.JWT_SECRET)
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use('/coregames/friends/v1', require('../routes/friends-compat'));
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  test('requires a signed-in player', async () => {
+    await request(app).get(FRIENDS).expect(401);
+  });
+
+  test('sends a request by username and lists it on both sides', async () => {
+    const sent = await call('post', '/request', 'mickey').send({ username: 'donald' }).expect(201);
+    expect(sent.body.target_user).toEqual({ id: donald.id, username: 'donald' });
+
+    const pending = await call('get', '/requests', 'donald').expect(200);
+    expect(pending.body.pending_requests).toHaveLength(1);
+    expect(pending.body.pending_requests[0].sender.username).toBe('mickey');
+
+    const outgoing = await call('get', '/requests/sent', 'mickey').expect(200);
+    expect(outgoing.body.count).toBe(1);
+
+    await call('post', '/request', 'mickey').send({ username: 'goofy' }).expect(404);
+  });
+
+  test('reports a failed username lookup as a server error', async () => {
+    const from = db.supabase.from.bind(db.supabase);
+    const failingLookup = {
+      select: () => failingLookup,
+      eq: () => failingLookup,
+      maybeSingle: async () => ({ data: null, error: { code: 'EMBEDDED_ERROR', message: 'lookup failed' } })
+    };
+    // The first query is the auth middleware's, the second the username lookup
+    jest.spyOn(db.supabase, 'from').mockImplementationOnce(from).mockImplementationOnce(() => failingLookup);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const res = await call('post', '/request', 'mickey').send({ username: 'donald' }).expect(500);
+      expect(res.body.error.code).toBe('SERVER_ERROR');
+    } finally {
+      db.supabase.from.mockRestore();
+      console.error.mockRestore();
+    }
+  });
+
+  test('accepting adds the friend to both lists', async () => {
+    const pending = await call('get', '/requests', 'donald').expect(200);
+    await call('post', '/accept', 'donald').send({ request_id: pending.body.pending_requests[0].id }).expect(200);
+
+    const list = await call('get', '', 'mickey').expect(200);
+    expect(list.body.friends.map(friend => friend.username)).toEqual(['donald']);
+
+    const other = await call('get', '/list', 'donald').expect(200);
+    expect(other.body.friends.map(friend => friend.username)).toEqual(['mickey']);
+  });
+
+  test('declines by request id', async () => {
+    await call('post', '/decline', 'donald').send({}).expect(400);
+  });
+
+  test('removes a friend', async () => {
+    await call('delete', `/${donald.id}`, 'mickey').expect(200);
+    await call('post', '/remove', 'donald').send({ friend_id: mickey.id }).expect(404);
+
+    const list = await call('get', '', 'mickey').expect(200);
+    expect(list.body.friends).toEqual([]);
+  });
+});
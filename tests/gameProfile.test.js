@@ -0,0 +1,118 @@
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Run against the embedded datastore so profiles go through real SQL
+const embeddedDb = createEmbeddedDb('game-profile');
+process.env.GAME_PROFILE_MAX_BYTES = '2048';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+const PROFILE = '/infinity/profile/v2';
+
+describe('Game profile', () => {
+  let app;
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data } = await db.supabase
+      .from('users')
+      .insert({
+        username: 'gamer',
+        email: 'gamer@example.com',
+        password_hash: 'x',
+        profile_data: { display_name: 'Gamer One', avatar: { character_id: 7, costume: 'hero', accessories: [] } }
+      })
+      .select('id')
+      .single();
+    user = data;
+    token = jwt.sign({ userId: user.id, type: 'access' }, process.env.JWT_SECRET);
+
+    app = express();
+    app.use(express.json());
+    app.use('/', require('../routes/infinity-api'));
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  const put = (platform, body, headers = {}) => request(app)
+    .put(`${PROFILE}/${platform}/`)
+    .set('Authorization', `Bearer ${token}`)
+    .set(headers)
+    .send(body);
+
+  const get = (platform) => request(app)
+    .get(`${PROFILE}/${platform}/`)
+    .set('Authorization', `Bearer ${token}`);
+
+  test('guests get a default profile', async () => {
+    const response = await request(app).get(`${PROFILE}/steam/`).expect(200);
+    expect(response.body.profile).toEqual({ userId: 'guest', username: 'Guest Player', level: 1, experience: 0 });
+  });
+
+  test('a new player sees their web profile with starting progress', async () => {
+    const response = await get('steam').expect(200);
+
+    expect(response.body.profile).toMatchObject({
+      userId: user.id,
+      username: 'gamer',
+      display_name: 'Gamer One',
+      level: 1,
+      experience: 0,
+      avatar: { character_id: 7, costume: 'hero' },
+      version: 0
+    });
+  });
+
+  test('stores the game blob per platform and merges it on read', async () => {
+    const saved = await put('steam', { level: 12, experience: 3400, avatar: { character_id: 42 }, unlocked_hexes: [1, 2] }).expect(200);
+    expect(saved.body).toMatchObject({ status: 0, message: 'Profile updated', version: 1 });
+
+    const response = await get('steam').expect(200);
+    expect(response.headers.etag).toBe('"1"');
+    expect(response.body.profile).toMatchObject({
+      userId: user.id,
+      display_name: 'Gamer One',
+      level: 12,
+      experience: 3400,
+      avatar: { character_id: 42 },
+      unlocked_hexes: [1, 2],
+      version: 1
+    });
+
+    const otherPlatform = await get('ps4').expect(200);
+    expect(otherPlatform.body.profile).toMatchObject({ level: 1, version: 0 });
+  });
+
+  test('accepts a wrapped profile and ignores identity fields', async () => {
+    await put('steam', { profile: { level: 13, experience: 3500, username: 'hacker', userId: 'someone-else' } }).expect(200);
+
+    const response = await get('steam').expect(200);
+    expect(response.body.profile).toMatchObject({ userId: user.id, username: 'gamer', level: 13, version: 2 });
+    expect(response.body.profile.unlocked_hexes).toBeUndefined();
+  });
+
+  test('refuses writes based on an older version', async () => {
+    const conflict = await put('steam', { level: 2 }, { 'If-Match': '"1"' }).expect(409);
+    expect(conflict.body.error.code).toBe('PROFILE_CONFLICT');
+    expect(conflict.body.current.version).toBe(2);
+
+    await put('steam', { level: 14, expected_version: 2 }).expect(200);
+    expect((await get('steam')).body.profile).toMatchObject({ level: 14, version: 3 });
+  });
+
+  test('validates the payload', async () => {
+    expect((await put('steam', { level: 0 }).expect(400)).body.error.code).toBe('INVALID_PROFILE');
+    await put('steam', { experience: -5 }).expect(400);
+    await put('steam', { avatar: 'hulk' }).expect(400);
+    await put('steam', [1, 2, 3]).expect(400);
+    expect((await put('steam', { blob: 'x'.repeat(4096) }).expect(413)).body.error.code).toBe('PROFILE_TOO_LARGE');
+    await request(app).put(`${PROFILE}/steam/`).send({ level: 2 }).expect(401);
+  });
+});
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Embedded datastore for a test file
+ *
+ * Switches the process to LAN mode with an in-memory database and a fresh data
+ * directory, so call it before anything requires config/database.js. Start the
+ * datastore in beforeAll and stop it in afterAll:
+ *
+ *   const embeddedDb = createEmbeddedDb('lan-mode');
+ *   const db = require('../config/database');
+ *
+ *   beforeAll(() => embeddedDb.start(), 60000);
+ *   afterAll(() => embeddedDb.stop());
+ *
+ * @param {string} name - Prefix of the temporary data directory
+ * @returns {Object} { dataDir, start, stop }
+ */
+function createEmbeddedDb(name) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  process.env.LAN_MODE = 'true';
+  process.env.LAN_DATA_DIR = dataDir;
+  process.env.LAN_DATABASE_PATH = 'memory://';
+
+  const db = () => require('../../config/database');
+
+  return {
+    dataDir,
+
+    /**
+     * Open the datastore and run the migrations, with their console output silenced
+     */
+    async start() {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      expect(await db().testConnection()).toBe(true);
+    },
+
+    /**
+     * Close the datastore and remove the data directory
+     */
+    async stop() {
+      await db().close();
+      console.log.mockRestore();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { createEmbeddedDb };
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+const embeddedDb = createEmbeddedDb('lan-mode');
+const { dataDir } = embeddedDb;
+delete process.env.SUPABASE_URL;
+delete process.env.JWT_SECRET;
+delete process.env.STORAGE_BACKEND;
+delete process.env.API_BASE_URL;
+delete process.env.NATNEG_DOMAIN;
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/database');
+const { parseSelect, parseLogic } = require('../config/embedded/restClient');
+
+describe('LAN mode', () => {
+  const { supabase } = db;
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  describe('configuration', () => {
+    test('fills in local storage and a persisted JWT secret', () => {
+      expect(db.isLanMode()).toBe(true);
+      expect(process.env.STORAGE_BACKEND).toBe('local');
+      expect(process.env.STORAGE_LOCAL_PATH).toBe(path.join(dataDir, 'toyboxes'));
+      expect(process.env.JWT_SECRET).toBe(fs.readFileSync(path.join(dataDir, 'jwt-secret'), 'utf8'));
+    });
+
+    test('game config points at the host the client connected to', async () => {
+      const app = express();
+      app.use('/', require('../routes/config'));
+
+      const response = await request(app)
+        .get('/coregames/config/v1/infinity3/steam/')
+        .set('Host', '192.168.1.10:3000')
+        .expect(200);
+
+      expect(response.body.url_inf_ugc).toBe('http://192.168.1.10:3000/infinity/ugc/v2/steam/');
+      expect(response.body.domain_cg_natneg).toBe('192.168.1.10');
+    });
+  });
+
+  describe('query parsing', () => {
+    test('parses embedded relations with aliases and hints', () => {
+      expect(parseSelect('id, creator:users!toyboxes_creator_id_fkey(username), toybox_likes (count)')).toEqual([
+        { type: 'column', alias: null, name: 'id' },
+        {
+          type: 'embed',
+          table: 'users',
+          alias: 'creator',
+          inner: false,
+          hint: 'toyboxes_creator_id_fkey',
+          items: [{ type: 'column', alias: null, name: 'username' }]
+        },
+        {
+          type: 'embed',
+          table: 'toybox_likes',
+          alias: 'toybox_likes',
+          inner: false,
+          hint: null,
+          items: [{ type: 'column', alias: null, name: 'count' }]
+        }
+      ]);
+    });
+
+    test('parses nested or() logic', () => {
+      expect(parseLogic('status.is.null,and(user_id.eq.1,friend_id.not.in.(2,3))')).toEqual([
+        { type: 'condition', column: 'status', operator: 'is', negate: false, value: null },
+        {
+          type: 'and',
+          negate: false,
+          items: [
+            { type: 'condition', column: 'user_id', operator: 'eq', negate: false, value: '1' },
+            { type: 'condition', column: 'friend_id', operator: 'in', negate: true, value: ['2', '3'] }
+          ]
+        }
+      ]);
+    });
+  });
+
+  describe('embedded datastore', () => {
+    let alice;
+    let bob;
+
+    beforeAll(async () => {
+      const { data, error } = await supabase
+        .from('users')
+        .insert([
+          { username: 'alice', email: 'alice@example.com', password_hash: 'x', profile_data: { level: 3 } },
+          { username: 'bob', email: 'bob@example.com', password_hash: 'x' }
+        ])
+        .select('id, username');
+
+      expect(error).toBeNull();
+      [alice, bob] = data;
+    });
+
+    test('insert().select().single() returns the row as JSON', async () => {
+      const { data, error, status } = await supabase
+        .from('game_sessions')
+        .insert({ host_user_id: alice.id, game_mode: 'toybox', region: 'us', max_players: 4 })
+        .select()
+        .single();
+
+      expect(error).toBeNull();
+      expect(status).toBe(201);
+      expect(data).toMatchObject({ host_user_id: alice.id, game_mode: 'toybox', max_players: 4 });
+      expect(typeof data.created_at).toBe('string');
+    });
+
+    test('single() reports PGRST116 when no row matches', async () => {
+      const { data, error } = await supabase.from('users').select('id').eq('username', 'nobody').single();
+
+      expect(data).toBeNull();
+      expect(error.code).toBe('PGRST116');
+    });
+
+    test('filters on JSON paths and or() strings', async () => {
+      const { data } = await supabase
+        .from('users')
+        .select('username, profile_data->>level')
+        .or(`username.eq.bob,profile_data->>level.eq.3`)
+        .order('username');
+
+      expect(data).toEqual([
+        { username: 'alice', level: '3' },
+        { username: 'bob', level: null }
+      ]);
+    });
+
+    test('embeds to-one and to-many relations, with !inner filters and counts', async () => {
+      const { data: toybox } = await supabase
+        .from('toyboxes')
+        .insert({ creator_id: alice.id, title: 'Castle', file_path: 'castle.dat' })
+        .select('id')
+        .single();
+      await supabase.from('toybox_likes').insert({ toybox_id: toybox.id, user_id: bob.id });
+
+      const { data, count, error } = await supabase
+        .from('toyboxes')
+        .select('title, users!inner(username), toybox_likes (count)', { count: 'exact' })
+        .eq('users.username', 'alice')
+        .range(0, 9);
+
+      expect(error).toBeNull();
+      expect(count).toBe(1);
+      expect(data).toEqual([
+        { title: 'Castle', users: { username: 'alice' }, toybox_likes: [{ count: 1 }] }
+      ]);
+
+      const { data: none } = await supabase
+        .from('toyboxes')
+        .select('title, users!inner(username)')
+        .eq('users.username', 'bob');
+      expect(none).toEqual([]);
+    });
+
+    test('upsert() updates on conflict and delete() removes rows', async () => {
+      await supabase
+        .from('player_presence')
+        .upsert({ user_id: bob.id, status: 'online' }, { onConflict: 'user_id' });
+      const { data } = await supabase
+        .from('player_presence')
+        .upsert({ user_id: bob.id, status: 'in_game' }, { onConflict: 'user_id' })
+        .select('status');
+      expect(data).toEqual([{ status: 'in_game' }]);
+
+      await supabase.from('player_presence').delete().eq('user_id', bob.id);
+      const { count } = await supabase
+        .from('player_presence')
+        .select('*', { count: 'exact', head: true });
+      expect(count).toBe(0);
+    });
+
+    test('only accepts null, true, false and unknown after is', async () => {
+      const { data, error } = await supabase
+        .from('users')
+        .select('id')
+        .or('username.is.null OR (SELECT 1/0 FROM users)=1');
+
+      expect(data).toBeNull();
+      expect(error.code).toBe('PGRST100');
+
+      const { data: active } = await supabase.from('users').select('username').is('is_active', true).eq('username', 'alice');
+      expect(active).toEqual([{ username: 'alice' }]);
+    });
+
+    test('quoted or() values stay a single value', async () => {
+      const username = 'x,username.eq.alice';
+      const { data, error } = await supabase
+        .from('users')
+        .select('id')
+        .or(`username.eq.${db.quoteFilterValue(username)},email.eq.${db.quoteFilterValue('alice@example.com')}`);
+
+      expect(error).toBeNull();
+      expect(data).toEqual([{ id: alice.id }]);
+      expect(parseLogic(`username.eq.${db.quoteFilterValue('say "hi", \\o/')}`)[0].value).toBe('say "hi", \\o/');
+    });
+
+    test('SQL errors are returned, not thrown', async () => {
+      const { data, error } = await supabase.from('users').select('no_such_column');
+
+      expect(data).toBeNull();
+      expect(error.code).toBe('42703');
+    });
+
+    test('query() and transaction() share the embedded datastore', async () => {
+      await db.transaction(async (client) => {
+        await client.query('UPDATE users SET is_active = FALSE WHERE id = $1', [bob.id]);
+      });
+
+      const result = await db.query('SELECT is_active FROM users WHERE id = $1', [bob.id]);
+      expect(result.rows).toEqual([{ is_active: false }]);
+    });
+  });
+
+  describe('auth end-to-end', () => {
+    test('registers and logs in without outside services', async () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/v1/auth', require('../routes/auth'));
+
+      await request(app)
+        .post('/api/v1/auth/register')
+        .send({ username: 'carol', email: 'carol@example.com', password: 'Password123!' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ username: 'carol', password: 'Password123!' })
+        .expect(200);
+
+      expect(response.body.user.username).toBe('carol');
+      expect(response.body.token).toEqual(expect.any(String));
+
+      // Filter syntax in the username is matched literally
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ username: 'x,username.eq.carol', password: 'Password123!' })
+        .expect(401);
+    });
+  });
+});
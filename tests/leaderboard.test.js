@@ -0,0 +1,106 @@
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Run against the embedded datastore so rankings go through real SQL
+const embeddedDb = createEmbeddedDb('leaderboard');
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+describe('Game leaderboards', () => {
+  let app;
+  const users = {};
+
+  async function playMatch(gameMode, results) {
+    const session = await db.query(
+      'INSERT INTO game_sessions (host_user_id, game_mode) VALUES ($1, $2) RETURNING id',
+      [users.ann.id, gameMode]
+    );
+    for (const [username, score, platform, completionTime = null] of results) {
+      await db.query(
+        'INSERT INTO game_stats (session_id, player_id, score, platform, completion_time) VALUES ($1, $2, $3, $4, $5)',
+        [session.rows[0].id, users[username].id, score, platform, completionTime]
+      );
+    }
+  }
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    for (const username of ['ann', 'ben', 'cat', 'dan']) {
+      const result = await db.query(
+        'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id',
+        [username, `${username}@example.com`, 'x']
+      );
+      users[username] = { id: result.rows[0].id, token: jwt.sign({ userId: result.rows[0].id, type: 'access' }, process.env.JWT_SECRET) };
+    }
+
+    await playMatch('adventure', [['ann', 500, 'steam', 300], ['ben', 900, 'ps4', 240]]);
+    await playMatch('adventure', [['ann', 700, 'steam', 200], ['cat', 100, 'steam', 600]]);
+    await playMatch('racing', [['ben', 50, 'ps4'], ['cat', 1000, 'steam']]);
+
+    app = express();
+    app.use(express.json());
+    app.use('/', require('../routes/infinity-api'));
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  const board = (query = '', token, platform = 'steam') => {
+    const req = request(app).get(`/infinity/leaderboard/v1/${platform}/${query}`);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  test('ranks the platform in the URL across all modes by default', async () => {
+    const steam = await board().expect(200);
+    expect(steam.body).toMatchObject({ board_id: 'total_score', total: 2 });
+    expect(steam.body.leaderboard.map(e => [e.username, e.score])).toEqual([['ann', 1200], ['cat', 1100]]);
+
+    const ps4 = await board('', undefined, 'ps4').expect(200);
+    expect(ps4.body.leaderboard.map(e => [e.username, e.score])).toEqual([['ben', 950]]);
+  });
+
+  test('ranks every platform together with platform=all', async () => {
+    const response = await board('?platform=all').expect(200);
+
+    expect(response.body).toMatchObject({ status: 0, board_id: 'total_score', total: 3, player: null });
+    expect(response.body.leaderboard).toEqual([
+      { rank: 1, user_id: users.ann.id, username: 'ann', score: 1200, matches: 2 },
+      { rank: 2, user_id: users.cat.id, username: 'cat', score: 1100, matches: 2 },
+      { rank: 3, user_id: users.ben.id, username: 'ben', score: 950, matches: 2 }
+    ]);
+  });
+
+  test('filters by board, game mode and platform', async () => {
+    const highScores = await board('?board=high_score&mode=adventure&platform=all').expect(200);
+    expect(highScores.body.leaderboard.map(e => [e.username, e.score])).toEqual([['ben', 900], ['ann', 700], ['cat', 100]]);
+
+    const steamOnly = await board('?mode=adventure&platform=steam', undefined, 'ps4').expect(200);
+    expect(steamOnly.body.leaderboard.map(e => [e.username, e.score])).toEqual([['ann', 1200], ['cat', 100]]);
+
+    const fastest = await board('?board=fastest_time&platform=all').expect(200);
+    expect(fastest.body.sort).toBe('asc');
+    expect(fastest.body.leaderboard.map(e => [e.username, e.score])).toEqual([['ann', 200], ['ben', 240], ['cat', 600]]);
+  });
+
+  test('pages results and reports the player\'s own rank', async () => {
+    const response = await board('?platform=all&limit=1&offset=1', users.ben.token).expect(200);
+
+    expect(response.body.total).toBe(3);
+    expect(response.body.leaderboard.map(e => e.username)).toEqual(['cat']);
+    expect(response.body.player).toEqual({ rank: 3, score: 950, matches: 2 });
+
+    const unranked = await board('?platform=all', users.dan.token).expect(200);
+    expect(unranked.body.player).toBeNull();
+  });
+
+  test('rejects unknown boards', async () => {
+    const response = await board('?board=nope').expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_BOARD');
+    expect(response.body.error.boards.map(b => b.id)).toContain('high_score');
+  });
+});
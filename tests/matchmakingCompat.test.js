@@ -0,0 +1,84 @@
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Run against the embedded datastore so the matchmaking controller runs unchanged
+const embeddedDb = createEmbeddedDb('matchmaking-compat');
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+const MATCHMAKING = '/coregames/matchmaking/v1';
+
+describe('CoreGames matchmaking v1', () => {
+  let app;
+  let tokens;
+
+  const call = (method, url, user) => request(app)[method](`${MATCHMAKING}${url}`)
+    .set('Authorization', `Bearer ${tokens[user]}`);
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data: users } = await db.supabase
+      .from('users')
+      .insert([
+        { username: 'stitch', email: 'stitch@example.com', password_hash: 'x' },
+        { username: 'lilo', email: 'lilo@example.com', password_hash: 'x' },
+        { username: 'nani', email: 'nani@example.com', password_hash: 'x' }
+      ])
+      .select('id, username');
+    tokens = Object.fromEntries(users.map(user => [
+      user.username,
+      jwt.sign({ userId: user.id, type: 'access' }, process.env.JWT_SECRET)
+    ]));
+
+    app = express();
+    app.use(express.json());
+    app.use(MATCHMAKING, require('../routes/matchmaking-compat'));
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  test('requires a signed-in player', async () => {
+    await request(app).get(`${MATCHMAKING}/status`).expect(401);
+  });
+
+  test('queues a player and reports the wait in the game envelope', async () => {
+    const joined = await call('post', '/join', 'stitch')
+      .send({ game_mode: 'VERSUS', max_players: 2, skill_level: 4 })
+      .expect(200);
+    expect(joined.body).toMatchObject({ status: 0, matchmaking_status: 'queued', game_mode: 'versus', skill_level: 4 });
+    expect(typeof joined.body.timestamp).toBe('number');
+
+    const polled = await call('get', '/status', 'stitch').expect(200);
+    expect(polled.body).toMatchObject({ status: 0, in_queue: true, matchmaking_status: 'waiting', queue_id: joined.body.queue_id });
+  });
+
+  test('matches the next player and tells the waiting player on their next poll', async () => {
+    const joined = await call('post', '/join', 'lilo').send({ game_mode: 'versus', max_players: 2 }).expect(200);
+    expect(joined.body).toMatchObject({ status: 0, matchmaking_status: 'matched', players: 2 });
+
+    const polled = await call('get', '/', 'stitch').expect(200);
+    expect(polled.body).toMatchObject({ status: 0, in_queue: false, matchmaking_status: 'matched', session_id: joined.body.session_id });
+  });
+
+  test('leaves the queue', async () => {
+    await call('post', '/', 'nani').send({ mode: 'toybox' }).expect(200);
+    const left = await call('post', '/leave', 'nani').expect(200);
+    expect(left.body).toMatchObject({ status: 0, matchmaking_status: 'left_queue' });
+
+    const again = await call('delete', '/', 'nani').expect(404);
+    expect(again.body.error.code).toBe('NOT_FOUND');
+
+    const polled = await call('get', '/status', 'nani').expect(200);
+    expect(polled.body.matchmaking_status).toBe('not_queued');
+  });
+
+  test('rejects unknown game modes', async () => {
+    const response = await call('post', '/join', 'nani').send({ game_mode: 'racing' }).expect(400);
+    expect(response.body.error.code).toBe('INVALID_REQUEST');
+  });
+});
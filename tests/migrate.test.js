@@ -0,0 +1,203 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('../config/database', () => ({
+  getClient: jest.fn(() => Promise.resolve(mockClient)),
+  close: jest.fn()
+}));
+
+const {
+  loadMigrations,
+  checksum,
+  getStatus,
+  planUp,
+  planDown,
+  parseArgs,
+  migrateUp,
+  migrateDown
+} = require('../scripts/migrate');
+
+/**
+ * Answer the runner's bookkeeping queries from an in-memory schema_migrations
+ */
+function mockAppliedRows(rows) {
+  mockClient.query.mockImplementation((text) => {
+    if (text.includes('to_regclass')) {
+      return Promise.resolve({ rows: [{ name: rows ? 'schema_migrations' : null }] });
+    }
+    if (text.startsWith('SELECT version')) {
+      return Promise.resolve({ rows: rows || [] });
+    }
+    return Promise.resolve({ rows: [], rowCount: 0 });
+  });
+}
+
+function executedSql() {
+  return mockClient.query.mock.calls.map(call => call[0].trim());
+}
+
+describe('Migration runner', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  describe('loadMigrations', () => {
+    test('loads the bundled migrations in version order with down files', () => {
+      const migrations = loadMigrations();
+
+      expect(migrations.length).toBeGreaterThan(0);
+      expect(migrations[0].version).toBe(1);
+      migrations.forEach((migration, i) => {
+        if (i > 0) {
+          expect(migration.version).toBeGreaterThan(migrations[i - 1].version);
+        }
+        expect(migration.down).toBeTruthy();
+        expect(migration.checksum).toMatch(/^[0-9a-f]{64}$/);
+      });
+    });
+
+    test('rejects two migrations sharing a version', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+      fs.writeFileSync(path.join(dir, '0001_a.up.sql'), 'SELECT 1;');
+      fs.writeFileSync(path.join(dir, '0001_b.up.sql'), 'SELECT 2;');
+
+      expect(() => loadMigrations(dir)).toThrow('used by both');
+      fs.rmSync(dir, { recursive: true });
+    });
+
+    test('rejects a down file without an up file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+      fs.writeFileSync(path.join(dir, '0001_a.down.sql'), 'SELECT 1;');
+
+      expect(() => loadMigrations(dir)).toThrow('has no .up.sql');
+      fs.rmSync(dir, { recursive: true });
+    });
+  });
+
+  test('checksum ignores CRLF line endings', () => {
+    expect(checksum('SELECT 1;\r\nSELECT 2;')).toBe(checksum('SELECT 1;\nSELECT 2;'));
+    expect(checksum('SELECT 1;')).not.toBe(checksum('SELECT 2;'));
+  });
+
+  describe('planning', () => {
+    const migrations = [
+      { version: 1, name: 'one', up: 'A', down: 'a', checksum: checksum('A') },
+      { version: 2, name: 'two', up: 'B', down: 'b', checksum: checksum('B') },
+      { version: 3, name: 'three', up: 'C', down: null, checksum: checksum('C') }
+    ];
+
+    test('getStatus flags pending, changed and missing migrations', () => {
+      const status = getStatus(migrations, [
+        { version: 1, name: 'one', checksum: checksum('A') },
+        { version: 2, name: 'two', checksum: checksum('edited') },
+        { version: 9, name: 'gone', checksum: checksum('Z') }
+      ]);
+
+      expect(status.map(row => [row.version, row.state])).toEqual([
+        [1, 'applied'],
+        [2, 'changed'],
+        [3, 'pending'],
+        [9, 'missing']
+      ]);
+    });
+
+    test('planUp returns pending migrations up to the target version', () => {
+      const applied = [{ version: 1 }];
+
+      expect(planUp(migrations, applied).map(m => m.version)).toEqual([2, 3]);
+      expect(planUp(migrations, applied, { to: 2 }).map(m => m.version)).toEqual([2]);
+    });
+
+    test('planDown reverts newest first and refuses irreversible migrations', () => {
+      const applied = [{ version: 1 }, { version: 2 }];
+
+      expect(planDown(migrations, applied).map(m => m.version)).toEqual([2]);
+      expect(planDown(migrations, applied, { to: 0 }).map(m => m.version)).toEqual([2, 1]);
+      expect(() => planDown(migrations, [...applied, { version: 3 }])).toThrow('no .down.sql');
+    });
+  });
+
+  test('parseArgs reads the command and options', () => {
+    expect(parseArgs(['down', '--steps', '2', '--dry-run'])).toEqual({
+      command: 'down',
+      steps: 2,
+      dryRun: true
+    });
+    expect(() => parseArgs(['up', '--to', 'latest'])).toThrow('expect a number');
+    expect(() => parseArgs(['--force'])).toThrow('Unknown option');
+  });
+
+  describe('migrateUp', () => {
+    test('applies every migration on a fresh database, each in a transaction', async () => {
+      mockAppliedRows(null);
+      const total = loadMigrations().length;
+
+      const applied = await migrateUp();
+
+      expect(applied).toHaveLength(total);
+      const sql = executedSql();
+      expect(sql.filter(text => text === 'BEGIN')).toHaveLength(total);
+      expect(sql.filter(text => text === 'COMMIT')).toHaveLength(total);
+      expect(sql.some(text => text.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations'))).toBe(true);
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    test('dry run prints SQL without executing it', async () => {
+      mockAppliedRows(null);
+
+      await migrateUp({ dryRun: true });
+
+      const sql = executedSql();
+      expect(sql).not.toContain('BEGIN');
+      expect(sql.some(text => text.includes('schema_migrations ('))).toBe(false);
+      expect(logSpy).toHaveBeenCalledWith('-- 0001_core_schema.up.sql');
+    });
+
+    test('refuses to run when an applied migration was edited', async () => {
+      mockAppliedRows([{ version: 1, name: 'core_schema', checksum: checksum('something else') }]);
+
+      await expect(migrateUp()).rejects.toMatchObject({ code: 'MIGRATION_DRIFT' });
+      expect(executedSql()).not.toContain('BEGIN');
+    });
+
+    test('rolls back and stops when a migration fails', async () => {
+      mockAppliedRows(null);
+      const baseImplementation = mockClient.query.getMockImplementation();
+      mockClient.query.mockImplementation((text, params) => {
+        if (text.startsWith('-- Disney Infinity Multiplayer')) {
+          return Promise.reject(new Error('syntax error'));
+        }
+        return baseImplementation(text, params);
+      });
+
+      await expect(migrateUp()).rejects.toThrow('0002_multiplayer (up) failed: syntax error');
+      const sql = executedSql();
+      expect(sql.filter(text => text === 'COMMIT')).toHaveLength(1);
+      expect(sql).toContain('ROLLBACK');
+    });
+  });
+
+  test('migrateDown reverts the latest migration and forgets it', async () => {
+    const migrations = loadMigrations();
+    mockAppliedRows(migrations.map(m => ({ version: m.version, name: m.name, checksum: m.checksum })));
+
+    const reverted = await migrateDown();
+
+    const latest = migrations[migrations.length - 1];
+    expect(reverted.map(m => m.version)).toEqual([latest.version]);
+    expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM schema_migrations WHERE version = $1', [latest.version]);
+  });
+});
@@ -0,0 +1,269 @@
+const dgram = require('dgram');
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Reports are stored through the embedded datastore
+const embeddedDb = createEmbeddedDb('natneg');
+
+const db = require('../config/database');
+const { NatNegServer } = require('../services/natneg');
+const { MAGIC, PACKET_TYPES, parsePacket, buildPacket } = require('../services/natneg/protocol');
+
+const VERSION = 3;
+
+function initPacket(cookie, { clientIndex, portType = 1, useGamePort = false, localIp = '192.168.1.20', localPort = 0 }) {
+  const body = Buffer.alloc(9);
+  body[0] = portType;
+  body[1] = clientIndex;
+  body[2] = useGamePort ? 1 : 0;
+  Buffer.from(localIp.split('.').map(Number)).copy(body, 3);
+  body.writeUInt16BE(localPort, 7);
+  return buildPacket(PACKET_TYPES.INIT, { version: VERSION, cookie }, Buffer.concat([body, Buffer.from('infinity3\0')]));
+}
+
+function reportPacket(cookie, { clientIndex, result, natType }) {
+  const body = Buffer.alloc(61);
+  body[0] = 1;
+  body[1] = clientIndex;
+  body[2] = result;
+  body.writeUInt32BE(natType, 3);
+  body.writeUInt32BE(1, 7);
+  body.write('infinity3', 11, 'latin1');
+  return buildPacket(PACKET_TYPES.REPORT, { version: VERSION, cookie }, body);
+}
+
+/**
+ * A UDP socket that queues the natneg packets it receives
+ */
+async function createClient() {
+  const socket = dgram.createSocket('udp4');
+  const received = [];
+  const waiting = [];
+  socket.on('message', (message, rinfo) => {
+    const packet = parsePacket(message);
+    packet.from = rinfo;
+    const index = waiting.findIndex(w => w.type === packet.type);
+    if (index !== -1) {
+      waiting.splice(index, 1)[0].resolve(packet);
+    } else {
+      received.push(packet);
+    }
+  });
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+  return {
+    port: socket.address().port,
+    send: (packet, port) => socket.send(packet, port, '127.0.0.1'),
+    next: (type, timeoutMs = 2000) => {
+      const index = received.findIndex(packet => packet.type === type);
+      if (index !== -1) {
+        return Promise.resolve(received.splice(index, 1)[0]);
+      }
+      return new Promise((resolve, reject) => {
+        const waiter = { type, resolve };
+        waiting.push(waiter);
+        setTimeout(() => {
+          if (waiting.includes(waiter)) {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            reject(new Error(`No packet of type ${type} within ${timeoutMs}ms`));
+          }
+        }, timeoutMs);
+      });
+    },
+    count: type => received.filter(packet => packet.type === type).length,
+    close: () => new Promise(resolve => socket.close(resolve))
+  };
+}
+
+const connectAddress = packet => ({
+  ip: Array.from(packet.body.subarray(0, 4)).join('.'),
+  port: packet.body.readUInt16BE(4),
+  finished: packet.body[7]
+});
+
+describe('NAT negotiation service', () => {
+  let server;
+  let port;
+  let clients = [];
+  let cookie = 1000;
+
+  const client = async () => {
+    const c = await createClient();
+    clients.push(c);
+    return c;
+  };
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    server = new NatNegServer({ port: 0, host: '127.0.0.1', timeoutMs: 400, resendMs: 50, maxResends: 3 });
+    ({ port } = await server.start());
+  }, 60000);
+
+  afterEach(async () => {
+    await Promise.all(clients.map(c => c.close()));
+    clients = [];
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await embeddedDb.stop();
+  });
+
+  test('ignores packets without the natneg magic', async () => {
+    const probe = await client();
+    probe.send(Buffer.from('hello there, server'), port);
+    probe.send(Buffer.concat([MAGIC, Buffer.from([VERSION])]), port);
+    await expect(probe.next(PACKET_TYPES.INIT_ACK, 200)).rejects.toThrow();
+  });
+
+  test('pairs two clients by cookie and exchanges their public endpoints', async () => {
+    const session = ++cookie;
+    const host = await client();
+    const guest = await client();
+
+    host.send(initPacket(session, { clientIndex: 0 }), port);
+    const ack = await host.next(PACKET_TYPES.INIT_ACK);
+    expect(ack).toMatchObject({ cookie: session, version: VERSION, clientIndex: 0, portType: 1, gameName: 'infinity3' });
+
+    // Nothing to connect to until the partner checks in
+    await expect(host.next(PACKET_TYPES.CONNECT, 100)).rejects.toThrow();
+
+    guest.send(initPacket(session, { clientIndex: 1 }), port);
+    await guest.next(PACKET_TYPES.INIT_ACK);
+
+    expect(connectAddress(await host.next(PACKET_TYPES.CONNECT))).toEqual({ ip: '127.0.0.1', port: guest.port, finished: 0 });
+    expect(connectAddress(await guest.next(PACKET_TYPES.CONNECT))).toEqual({ ip: '127.0.0.1', port: host.port, finished: 0 });
+  });
+
+  test('resends CONNECT until the client acknowledges it', async () => {
+    const session = ++cookie;
+    const host = await client();
+    const guest = await client();
+
+    host.send(initPacket(session, { clientIndex: 0 }), port);
+    guest.send(initPacket(session, { clientIndex: 1 }), port);
+    await host.next(PACKET_TYPES.CONNECT);
+    await guest.next(PACKET_TYPES.CONNECT);
+
+    const ackBody = Buffer.from([1, 0, 0, 0, 0, 0, 0, 0, 0]);
+    host.send(buildPacket(PACKET_TYPES.CONNECT_ACK, { version: VERSION, cookie: session }, ackBody), port);
+    await new Promise(resolve => setTimeout(resolve, 250));
+
+    // The guest never acked: it gets the remaining resends, the host gets at most one in flight
+    expect(guest.count(PACKET_TYPES.CONNECT)).toBe(2);
+    expect(host.count(PACKET_TYPES.CONNECT)).toBeLessThanOrEqual(1);
+  });
+
+  test('connects through the game socket when the client asks for it', async () => {
+    const session = ++cookie;
+    const hostProbe = await client();
+    const hostGame = await client();
+    const guest = await client();
+
+    hostProbe.send(initPacket(session, { clientIndex: 0, portType: 1, useGamePort: true }), port);
+    guest.send(initPacket(session, { clientIndex: 1 }), port);
+    await expect(guest.next(PACKET_TYPES.CONNECT, 150)).rejects.toThrow();
+
+    hostGame.send(initPacket(session, { clientIndex: 0, portType: 0, useGamePort: true }), port);
+    expect(connectAddress(await guest.next(PACKET_TYPES.CONNECT)).port).toBe(hostGame.port);
+    expect(connectAddress(await hostGame.next(PACKET_TYPES.CONNECT)).port).toBe(guest.port);
+  });
+
+  test('tells a client when its partner never arrives', async () => {
+    const session = ++cookie;
+    const lonely = await client();
+
+    lonely.send(initPacket(session, { clientIndex: 0 }), port);
+    const connect = await lonely.next(PACKET_TYPES.CONNECT, 1000);
+    expect(connectAddress(connect)).toEqual({ ip: '0.0.0.0', port: 0, finished: 1 });
+    expect(server.sessions.has(session)).toBe(false);
+  });
+
+  test('answers address checks with the address it saw', async () => {
+    const probe = await client();
+    const body = Buffer.from([1, 0, 0, 0, 0, 0, 0, 0, 0]);
+    probe.send(buildPacket(PACKET_TYPES.ADDRESS_CHECK, { version: VERSION, cookie: 7 }, body), port);
+
+    const reply = await probe.next(PACKET_TYPES.ADDRESS_REPLY);
+    expect(reply).toMatchObject({ cookie: 7, localIp: '127.0.0.1', localPort: probe.port });
+  });
+
+  test('stores no reports from clients it did not pair', async () => {
+    const session = ++cookie;
+    const lonely = await client();
+
+    lonely.send(initPacket(session, { clientIndex: 0 }), port);
+    await lonely.next(PACKET_TYPES.INIT_ACK);
+    lonely.send(reportPacket(session, { clientIndex: 0, result: 1, natType: 1 }), port);
+    lonely.send(reportPacket(99999, { clientIndex: 0, result: 1, natType: 1 }), port);
+
+    // Still acknowledged, so the client stops retrying
+    await lonely.next(PACKET_TYPES.REPORT_ACK);
+    await lonely.next(PACKET_TYPES.REPORT_ACK);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const { data } = await db.supabase.from('network_quality').select('id');
+    expect(data).toEqual([]);
+  });
+
+  test('ignores new cookies once the session limit is reached', async () => {
+    const limited = new NatNegServer({ port: 0, host: '127.0.0.1', timeoutMs: 400, maxSessions: 1 });
+    const { port: limitedPort } = await limited.start();
+    const first = await client();
+    const second = await client();
+
+    try {
+      first.send(initPacket(++cookie, { clientIndex: 0 }), limitedPort);
+      await first.next(PACKET_TYPES.INIT_ACK);
+
+      second.send(initPacket(++cookie, { clientIndex: 0 }), limitedPort);
+      await expect(second.next(PACKET_TYPES.INIT_ACK, 150)).rejects.toThrow();
+      expect(limited.sessions.size).toBe(1);
+    } finally {
+      await limited.stop();
+    }
+  });
+
+  test('acknowledges reports and records each outcome once in network_quality', async () => {
+    const session = ++cookie;
+    const host = await client();
+    const guest = await client();
+
+    host.send(initPacket(session, { clientIndex: 0, localIp: '10.0.0.5' }), port);
+    guest.send(initPacket(session, { clientIndex: 1 }), port);
+    await host.next(PACKET_TYPES.CONNECT);
+
+    // Host connected from behind a port-restricted NAT and retries its report; guest failed
+    host.send(reportPacket(session, { clientIndex: 0, result: 1, natType: 4 }), port);
+    host.send(reportPacket(session, { clientIndex: 0, result: 1, natType: 4 }), port);
+    guest.send(reportPacket(session, { clientIndex: 1, result: 0, natType: 5 }), port);
+
+    expect(await host.next(PACKET_TYPES.REPORT_ACK)).toMatchObject({ cookie: session, clientIndex: 0 });
+    await host.next(PACKET_TYPES.REPORT_ACK);
+    await guest.next(PACKET_TYPES.REPORT_ACK);
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const { data } = await db.supabase
+      .from('network_quality')
+      .select('user_id, connection_type, connection_quality, nat_type, public_ip, local_ip')
+      .order('nat_type');
+    expect(data).toEqual([
+      {
+        user_id: null,
+        connection_type: 'direct',
+        connection_quality: 'excellent',
+        nat_type: 'port-restricted-cone',
+        public_ip: '127.0.0.1',
+        local_ip: '10.0.0.5'
+      },
+      {
+        user_id: null,
+        connection_type: 'failed',
+        connection_quality: 'poor',
+        nat_type: 'symmetric',
+        public_ip: '127.0.0.1',
+        local_ip: '192.168.1.20'
+      }
+    ]);
+  });
+});
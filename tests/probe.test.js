@@ -0,0 +1,213 @@
+const dgram = require('dgram');
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Probe results are stored through the embedded datastore
+const embeddedDb = createEmbeddedDb('probe');
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { ProbeServer, startProbeServer } = require('../services/probe');
+const { PACKET_TYPES, parsePacket, buildPacket } = require('../services/probe/protocol');
+
+/**
+ * A game client socket that echoes probe packets of the given types back to their sender
+ */
+async function createClient({ echo = [PACKET_TYPES.PING, PACKET_TYPES.REACH] } = {}) {
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (message, rinfo) => {
+    const packet = parsePacket(message);
+    if (packet && echo.includes(packet.type)) {
+      socket.send(message, rinfo.port, rinfo.address);
+    }
+  });
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  return {
+    hello: (token, port) => socket.send(buildPacket(PACKET_TYPES.HELLO, token), port, '127.0.0.1'),
+    close: () => new Promise(resolve => socket.close(resolve))
+  };
+}
+
+describe('Connectivity probe service', () => {
+  let server;
+  let clients = [];
+
+  const client = async options => {
+    const c = await createClient(options);
+    clients.push(c);
+    return c;
+  };
+
+  const options = { port: 0, host: '127.0.0.1', packets: 5, intervalMs: 20, replyTimeoutMs: 200, helloTimeoutMs: 300 };
+
+  beforeEach(async () => {
+    server = new ProbeServer({ ...options, reachHost: '127.0.0.2' });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(c => c.close()));
+    clients = [];
+    await server.stop();
+  });
+
+  test('measures round trips and inbound reachability of an echoing client', async () => {
+    const probe = server.createProbe({ userId: 'user-1' });
+    const c = await client();
+    c.hello(probe.token, probe.port);
+
+    const outcome = await server.waitForResult(probe.probeId, 'user-1');
+    expect(outcome.status).toBe('complete');
+    expect(await server.waitForResult(probe.probeId, 'user-2')).toBeNull();
+    expect(outcome.result).toMatchObject({
+      sent: 5,
+      received: 5,
+      packetLossPercent: 0,
+      portReachable: true,
+      reachSource: 'address',
+      observedIp: '127.0.0.1'
+    });
+    expect(outcome.result.rttMs).toBeGreaterThan(0);
+    expect(outcome.result.jitterMs).toBeGreaterThanOrEqual(0);
+    expect(outcome.result.testedPort).toBe(outcome.result.observedPort);
+  });
+
+  test('does not claim reachability from a REACH sent from the probe\'s own address', async () => {
+    const sameAddress = new ProbeServer(options);
+    await sameAddress.start();
+    try {
+      const probe = sameAddress.createProbe({ userId: 'user-1' });
+      const c = await client();
+      c.hello(probe.token, probe.port);
+
+      const { result } = await sameAddress.waitForResult(probe.probeId, 'user-1');
+      expect(result).toMatchObject({ received: 5, portReachable: null, reachSource: 'port' });
+    } finally {
+      await sameAddress.stop();
+    }
+  });
+
+  test('reports a port that drops unsolicited packets as unreachable', async () => {
+    const probe = server.createProbe({ userId: 'user-1' });
+    const c = await client({ echo: [PACKET_TYPES.PING] });
+    c.hello(probe.token, probe.port);
+
+    const { result } = await server.waitForResult(probe.probeId, 'user-1');
+    expect(result).toMatchObject({ received: 5, portReachable: false });
+  });
+
+  test('reports total loss when nothing is echoed', async () => {
+    const probe = server.createProbe({ userId: 'user-1' });
+    const c = await client({ echo: [] });
+    c.hello(probe.token, probe.port);
+
+    const { result } = await server.waitForResult(probe.probeId, 'user-1');
+    expect(result).toMatchObject({ received: 0, packetLossPercent: 100, rttMs: null, jitterMs: null, portReachable: false });
+  });
+
+  test('expires probes whose HELLO never arrives', async () => {
+    const probe = server.createProbe({ userId: 'user-1' });
+    expect(await server.waitForResult(probe.probeId, 'user-1')).toMatchObject({ status: 'expired', result: null });
+    expect(await server.waitForResult(probe.probeId, 'user-1')).toBeNull();
+  });
+});
+
+describe('POST /api/v1/networking/connectivity-test', () => {
+  let app;
+  let prober;
+  let users;
+  let sessionId;
+
+  const as = username => `Bearer ${jwt.sign({ userId: users[username], type: 'access' }, process.env.JWT_SECRET)}`;
+
+  const connectivityTest = (username, body) => request(app)
+    .post('/api/v1/networking/connectivity-test')
+    .set('Authorization', as(username))
+    .send({ targetUserId: users[username === 'ariel' ? 'eric' : 'ariel'], sessionId, ...body });
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data } = await db.supabase
+      .from('users')
+      .insert([
+        { username: 'ariel', email: 'ariel@example.com', password_hash: 'x' },
+        { username: 'eric', email: 'eric@example.com', password_hash: 'x' }
+      ])
+      .select('id, username');
+    users = Object.fromEntries(data.map(user => [user.username, user.id]));
+
+    const { data: session } = await db.supabase
+      .from('game_sessions')
+      .insert({ host_user_id: users.ariel, game_mode: 'VERSUS' })
+      .select('id')
+      .single();
+    sessionId = session.id;
+    await db.supabase.from('session_players').insert([
+      { session_id: sessionId, user_id: users.ariel },
+      { session_id: sessionId, user_id: users.eric }
+    ]);
+
+    prober = await startProbeServer({ port: 0, host: '127.0.0.1', reachHost: '127.0.0.2', packets: 5, intervalMs: 20, replyTimeoutMs: 200 });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/networking', require('../routes/networking'));
+  }, 60000);
+
+  afterAll(async () => {
+    await prober.stop();
+    await embeddedDb.stop();
+  });
+
+  test('runs a probe and stores the measurement with the reported NAT type', async () => {
+    await request(app)
+      .post('/api/v1/networking/nat-type')
+      .set('Authorization', as('ariel'))
+      .send({ natType: 'symmetric', localIp: '192.168.1.20' })
+      .expect(200);
+
+    // First call: the NAT-type guess plus a probe to run
+    const started = await connectivityTest('ariel').expect(200);
+    expect(started.body.connectivity_prediction).toBe('may_require_turn');
+    expect(started.body.measurements).toEqual({ [users.ariel]: null, [users.eric]: null });
+    expect(started.body.probe).toMatchObject({ status: 'waiting', host: '127.0.0.1', port: prober.port, packets: 5 });
+
+    const c = await createClient();
+    c.hello(started.body.probe.token, started.body.probe.port);
+
+    // Second call: collect the probe; polling again does not store it twice
+    const finished = await connectivityTest('ariel', { probeId: started.body.probe.probe_id }).expect(200);
+    await c.close();
+    const again = await connectivityTest('ariel', { probeId: started.body.probe.probe_id }).expect(200);
+    expect(again.body.probe).toMatchObject({ status: 'complete', result: finished.body.probe.result });
+
+    expect(finished.body.probe).toMatchObject({ status: 'complete', result: { received: 5, portReachable: true } });
+    expect(finished.body.measurements[users.ariel]).toMatchObject({
+      port_reachable: true,
+      nat_type: 'symmetric',
+      packet_loss_percent: 0
+    });
+    // A reachable port outweighs the reported symmetric NAT
+    expect(finished.body).toMatchObject({ connectivity_prediction: 'likely_successful', confidence: 'high' });
+
+    const { data: rows } = await db.supabase
+      .from('network_quality')
+      .select('connection_type, nat_type, port_reachable, public_ip, local_ip')
+      .eq('user_id', users.ariel);
+    expect(rows).toEqual([{
+      connection_type: 'probe',
+      nat_type: 'symmetric',
+      port_reachable: true,
+      public_ip: '127.0.0.1',
+      local_ip: '192.168.1.20'
+    }]);
+  });
+
+  test("refuses to collect another player's probe", async () => {
+    const started = await connectivityTest('ariel').expect(200);
+    const res = await connectivityTest('eric', { probeId: started.body.probe.probe_id }).expect(404);
+    expect(res.body.error.code).toBe('PROBE_NOT_FOUND');
+  });
+});
@@ -0,0 +1,236 @@
+const dgram = require('dgram');
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Connection results and sessions go through the embedded datastore
+const embeddedDb = createEmbeddedDb('relay');
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { RelayServer, startRelayServer } = require('../services/relay');
+const { PACKET_TYPES, ERROR_CODES, parsePacket, buildPacket } = require('../services/relay/protocol');
+
+const bindPacket = token => buildPacket(PACKET_TYPES.BIND, Buffer.from(token, 'hex'));
+
+/**
+ * A UDP socket that queues the datagrams it receives
+ */
+async function createClient() {
+  const socket = dgram.createSocket('udp4');
+  const received = [];
+  const waiting = [];
+  socket.on('message', message => {
+    if (waiting.length > 0) {
+      waiting.shift()(message);
+    } else {
+      received.push(message);
+    }
+  });
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+  return {
+    send: (message, port) => socket.send(message, port, '127.0.0.1'),
+    // Next datagram, or null if none arrives in time
+    next: (timeoutMs = 1000) => {
+      if (received.length > 0) {
+        return Promise.resolve(received.shift());
+      }
+      return new Promise(resolve => {
+        const waiter = message => {
+          clearTimeout(timer);
+          resolve(message);
+        };
+        const timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          resolve(null);
+        }, timeoutMs);
+        waiting.push(waiter);
+      });
+    },
+    close: () => new Promise(resolve => socket.close(resolve))
+  };
+}
+
+describe('UDP relay service', () => {
+  let server;
+  let port;
+  let clients = [];
+
+  const client = async () => {
+    const c = await createClient();
+    clients.push(c);
+    return c;
+  };
+
+  beforeEach(async () => {
+    server = new RelayServer({ port: 0, host: '127.0.0.1', idleTimeoutMs: 300, maxBytesPerSecond: 1000, maxAllocations: 2 });
+    ({ port } = await server.start());
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(c => c.close()));
+    clients = [];
+    await server.stop();
+  });
+
+  const bindPair = async () => {
+    const host = server.allocate({ sessionId: 'session-1', userId: 'stitch', peerId: 'lilo' });
+    const guest = server.allocate({ sessionId: 'session-1', userId: 'lilo', peerId: 'stitch' });
+    const a = await client();
+    const b = await client();
+
+    a.send(bindPacket(host.token), port);
+    expect(parsePacket(await a.next())).toEqual({ type: PACKET_TYPES.BIND_ACK, peerReady: false });
+    b.send(bindPacket(guest.token), port);
+    expect(parsePacket(await b.next())).toEqual({ type: PACKET_TYPES.BIND_ACK, peerReady: true });
+    return { host, guest, a, b };
+  };
+
+  test('gives each player of a pair their own token on one allocation', () => {
+    const host = server.allocate({ sessionId: 'session-1', userId: 'stitch', peerId: 'lilo' });
+    const guest = server.allocate({ sessionId: 'session-1', userId: 'lilo', peerId: 'stitch' });
+
+    expect(guest.relayId).toBe(host.relayId);
+    expect(guest.token).not.toBe(host.token);
+    expect(host).toMatchObject({ port, idleTimeoutMs: 300, maxBytesPerSecond: 1000 });
+
+    server.allocate({ sessionId: 'session-2', userId: 'stitch', peerId: 'lilo' });
+    expect(() => server.allocate({ sessionId: 'session-3', userId: 'stitch', peerId: 'lilo' }))
+      .toThrow(expect.objectContaining({ code: 'RELAY_FULL' }));
+  });
+
+  test('forwards datagrams between the bound sockets', async () => {
+    const { a, b } = await bindPair();
+
+    a.send(Buffer.from('hello from stitch'), port);
+    expect((await b.next()).toString()).toBe('hello from stitch');
+    b.send(Buffer.from('hello from lilo'), port);
+    expect((await a.next()).toString()).toBe('hello from lilo');
+  });
+
+  test('rejects unknown tokens and ignores unbound sockets', async () => {
+    const { b } = await bindPair();
+    const stranger = await client();
+
+    stranger.send(bindPacket('00'.repeat(16)), port);
+    expect(parsePacket(await stranger.next())).toEqual({ type: PACKET_TYPES.ERROR, code: ERROR_CODES.UNKNOWN_TOKEN });
+
+    stranger.send(Buffer.from('let me in'), port);
+    expect(await b.next(200)).toBeNull();
+  });
+
+  test('drops traffic over the bandwidth cap', async () => {
+    const { a, b } = await bindPair();
+
+    for (let i = 0; i < 3; i++) {
+      a.send(Buffer.alloc(400, i), port);
+    }
+    expect((await b.next())[0]).toBe(0);
+    expect((await b.next())[0]).toBe(1);
+    expect(await b.next(100)).toBeNull();
+    expect(server.tokens.size).toBe(2);
+    expect([...server.tokens.values()].find(p => p.userId === 'stitch').dropped).toBe(1);
+  });
+
+  test('releases idle allocations', async () => {
+    const { host, a } = await bindPair();
+
+    await new Promise(resolve => setTimeout(resolve, 700));
+    expect(server.allocations.size).toBe(0);
+
+    a.send(bindPacket(host.token), port);
+    expect(parsePacket(await a.next()).type).toBe(PACKET_TYPES.ERROR);
+  });
+});
+
+describe('Relay recommendations', () => {
+  let app;
+  let relay;
+  let users;
+  let sessionId;
+
+  const as = username => `Bearer ${jwt.sign({ userId: users[username], type: 'access' }, process.env.JWT_SECRET)}`;
+
+  const report = (from, to, connectionType) => request(app)
+    .post('/api/v1/networking/connection-result')
+    .set('Authorization', as(from))
+    .send({ targetUserId: users[to], sessionId, connectionType, success: connectionType !== 'failed' })
+    .expect(200);
+
+  const recommendations = username => request(app)
+    .get('/api/v1/networking/recommendations')
+    .set('Authorization', as(username))
+    .expect(200);
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data } = await db.supabase
+      .from('users')
+      .insert([
+        { username: 'mickey', email: 'mickey@example.com', password_hash: 'x' },
+        { username: 'donald', email: 'donald@example.com', password_hash: 'x' },
+        { username: 'goofy', email: 'goofy@example.com', password_hash: 'x' }
+      ])
+      .select('id, username');
+    users = Object.fromEntries(data.map(user => [user.username, user.id]));
+
+    const { data: session } = await db.supabase
+      .from('game_sessions')
+      .insert({ host_user_id: users.mickey, game_mode: 'VERSUS' })
+      .select('id')
+      .single();
+    sessionId = session.id;
+    await db.supabase.from('session_players').insert([
+      { session_id: sessionId, user_id: users.mickey },
+      { session_id: sessionId, user_id: users.donald }
+    ]);
+
+    relay = await startRelayServer({ port: 0, host: '127.0.0.1' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/networking', require('../routes/networking'));
+  }, 60000);
+
+  afterAll(async () => {
+    await relay.stop();
+    await embeddedDb.stop();
+  });
+
+  test('offers no relay while connections succeed', async () => {
+    await report('mickey', 'donald', 'direct');
+    const res = await recommendations('mickey');
+    expect(res.body.relays).toEqual([]);
+  });
+
+  test('points both players of a failing pair at the relay', async () => {
+    await report('mickey', 'donald', 'failed');
+
+    const mickey = (await recommendations('mickey')).body;
+    expect(mickey.relays).toHaveLength(1);
+    expect(mickey.relays[0]).toMatchObject({
+      session_id: sessionId,
+      peer_user_id: users.donald,
+      host: '127.0.0.1',
+      port: relay.port
+    });
+    expect(mickey.recommendations[0]).toMatchObject({ type: 'action', priority: 'high' });
+
+    // The peer did not report anything but is offered the same allocation
+    const donald = (await recommendations('donald')).body;
+    expect(donald.relays[0]).toMatchObject({ relay_id: mickey.relays[0].relay_id, peer_user_id: users.mickey });
+    expect(donald.relays[0].token).not.toBe(mickey.relays[0].token);
+
+    // Playing through the relay keeps the allocation
+    await report('donald', 'mickey', 'relay');
+    expect((await recommendations('mickey')).body.relays[0].relay_id).toBe(mickey.relays[0].relay_id);
+  });
+
+  test('does not relay to players outside the session', async () => {
+    await report('goofy', 'mickey', 'failed');
+    const res = await recommendations('goofy');
+    expect(res.body.relays).toEqual([]);
+  });
+});
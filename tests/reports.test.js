@@ -0,0 +1,147 @@
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Run against the embedded datastore so reports go through real SQL
+const embeddedDb = createEmbeddedDb('reports');
+process.env.MODERATION_ESCALATE_REPORTS = '2';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+const QUEUE = '/gxtools/report/v2/queue';
+
+describe('Player reports', () => {
+  let app;
+  let moderator;
+  let griefer;
+  let reporters;
+  let tokens;
+
+  const tokenFor = user => jwt.sign({ userId: user.id, type: 'access' }, process.env.JWT_SECRET);
+
+  const report = (reporter, body) => request(app)
+    .post(QUEUE)
+    .set('Authorization', `Bearer ${tokens[reporter]}`)
+    .send(body);
+
+  const modRequest = (method, url) => request(app)[method](`/api/v1/admin${url}`)
+    .set('Authorization', `Bearer ${tokens.moderator}`);
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data: users } = await db.supabase
+      .from('users')
+      .insert([
+        { username: 'sheriff', email: 'sheriff@example.com', password_hash: 'x', is_moderator: true },
+        { username: 'griefer', email: 'griefer@example.com', password_hash: 'x' },
+        { username: 'alice', email: 'alice@example.com', password_hash: 'x' },
+        { username: 'bob', email: 'bob@example.com', password_hash: 'x' }
+      ])
+      .select('id');
+    let alice;
+    let bob;
+    [moderator, griefer, alice, bob] = users;
+    reporters = { alice, bob };
+    tokens = {
+      moderator: tokenFor(moderator),
+      griefer: tokenFor(griefer),
+      alice: tokenFor(alice),
+      bob: tokenFor(bob)
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use('/gxtools', require('../routes/gxtools'));
+    app.use('/api/v1/admin', require('../routes/admin'));
+    app.get('/protected', require('../middleware/auth').authenticateToken, (req, res) => res.json({ ok: true }));
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  test('reports from different players about the same thing share a case', async () => {
+    const first = await report('alice', {
+      reported_user_id: griefer.id,
+      reason: 'Cheating',
+      comment: 'Flying through walls',
+      session_id: 'session-1',
+      platform: 'PC',
+      match_mode: 'toybox'
+    }).expect(201);
+    expect(first.body).toMatchObject({ status: 0, duplicate: false });
+
+    const again = await report('alice', { reported_user_id: griefer.id, reason: 'cheating' }).expect(200);
+    expect(again.body).toMatchObject({ duplicate: true, case_id: first.body.case_id, report_id: first.body.report_id });
+
+    const second = await report('bob', { reported_username: 'GRIEFER', reason: 'cheating' }).expect(201);
+    expect(second.body.case_id).toBe(first.body.case_id);
+
+    const other = await report('bob', { reported_username: 'griefer', reason: 'Offensive Name' }).expect(201);
+    expect(other.body.case_id).not.toBe(first.body.case_id);
+
+    const { body } = await modRequest('get', `/cases/${first.body.case_id}`).expect(200);
+    expect(body).toMatchObject({ category: 'cheating', report_count: 2, priority: 'high', status: 'open' });
+    expect(body.reports).toHaveLength(2);
+    expect(body.reports.find(entry => entry.reporter_id === reporters.alice.id)).toMatchObject({
+      comment: 'Flying through walls',
+      session_id: 'session-1',
+      platform: 'pc',
+      context: { match_mode: 'toybox' }
+    });
+  });
+
+  test('rejects bad reports', async () => {
+    expect((await report('alice', { reason: 'cheating' }).expect(400)).body.error.code).toBe('INVALID_REPORT');
+    await report('alice', { reported_username: 'alice', reason: 'cheating' }).expect(400);
+    expect((await report('alice', { reported_username: 'nobody' }).expect(404)).body.error.code).toBe('TARGET_NOT_FOUND');
+    await request(app).post(QUEUE).send({ reported_username: 'griefer' }).expect(401);
+  });
+
+  test('only moderators can work cases', async () => {
+    await request(app).get('/api/v1/admin/cases').set('Authorization', `Bearer ${tokens.alice}`).expect(403);
+
+    const { body } = await modRequest('get', '/cases').expect(200);
+    expect(body.total).toBe(2);
+    expect(body.cases[0]).toMatchObject({ category: 'cheating', priority: 'high' });
+  });
+
+  test('triage, sanction and resolve a case', async () => {
+    const { body: list } = await modRequest('get', '/cases?category=cheating').expect(200);
+    const caseId = list.cases[0].id;
+
+    await modRequest('put', `/cases/${caseId}/triage`).send({ assigned_to: griefer.id }).expect(400);
+    const triaged = await modRequest('put', `/cases/${caseId}/triage`).send({ assigned_to: moderator.id, note: 'Checking replays' }).expect(200);
+    expect(triaged.body).toMatchObject({ status: 'triaged', assigned_to: moderator.id });
+
+    await modRequest('post', `/cases/${caseId}/sanctions`).send({ type: 'suspension' }).expect(400);
+    const ban = await modRequest('post', `/cases/${caseId}/sanctions`).send({ type: 'ban', reason: 'Speed hacks' }).expect(201);
+    expect(ban.body).toMatchObject({ type: 'ban', user_id: griefer.id, expires_at: null });
+
+    const blocked = await request(app).get('/protected').set('Authorization', `Bearer ${tokens.griefer}`).expect(403);
+    expect(blocked.body.error.code).toBe('ACCOUNT_SUSPENDED');
+
+    const resolved = await modRequest('post', `/cases/${caseId}/resolve`).send({ resolution: 'Banned' }).expect(200);
+    expect(resolved.body).toMatchObject({ status: 'resolved', resolved_by: moderator.id });
+    expect((await modRequest('post', `/cases/${caseId}/resolve`).expect(409)).body.error.code).toBe('CASE_CLOSED');
+
+    const { body: detail } = await modRequest('get', `/cases/${caseId}`).expect(200);
+    expect(detail.events.map(event => event.action)).toEqual(['triage', 'sanction', 'resolve']);
+
+    // A new report after resolution opens a fresh case
+    const fresh = await report('alice', { reported_user_id: griefer.id, reason: 'cheating' }).expect(201);
+    expect(fresh.body.case_id).not.toBe(caseId);
+  });
+
+  test('lifting a ban restores access', async () => {
+    const { body } = await modRequest('get', `/users/${griefer.id}/sanctions`).expect(200);
+    expect(body.count).toBe(1);
+
+    await modRequest('delete', `/sanctions/${body.sanctions[0].id}`).send({ reason: 'Appeal upheld' }).expect(200);
+    await modRequest('delete', `/sanctions/${body.sanctions[0].id}`).expect(404);
+
+    await request(app).get('/protected').set('Authorization', `Bearer ${tokens.griefer}`).expect(200);
+  });
+});
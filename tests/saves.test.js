@@ -0,0 +1,154 @@
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Run against the embedded datastore so saves go through real SQL
+const embeddedDb = createEmbeddedDb('cloud-saves');
+process.env.SAVE_MAX_BYTES = '1024';
+process.env.SAVE_MAX_SLOTS = '2';
+process.env.SAVE_MAX_REVISIONS = '3';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+const BASE = '/infinity/save/v1/steam';
+
+describe('Cloud saves', () => {
+  let app;
+  let token;
+  let otherToken;
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data: users } = await db.supabase
+      .from('users')
+      .insert([
+        { username: 'saver', email: 'saver@example.com', password_hash: 'x' },
+        { username: 'other', email: 'other@example.com', password_hash: 'x' }
+      ])
+      .select('id');
+    token = jwt.sign({ userId: users[0].id, type: 'access' }, process.env.JWT_SECRET);
+    otherToken = jwt.sign({ userId: users[1].id, type: 'access' }, process.env.JWT_SECRET);
+
+    app = express();
+    app.use(express.json());
+    app.use('/', require('../routes/infinity-api'));
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  const upload = (slot, data, headers = {}) => request(app)
+    .put(`${BASE}/${slot}`)
+    .set('Authorization', `Bearer ${token}`)
+    .set('Content-Type', 'application/octet-stream')
+    .set(headers)
+    .send(Buffer.from(data));
+
+  test('requires authentication', async () => {
+    await request(app).get(`${BASE}/`).expect(401);
+  });
+
+  test('stores revisions and serves the current one', async () => {
+    const first = await upload('main', 'progress-1').expect(200);
+    expect(first.body).toMatchObject({ status: 0, slot: 'main', revision: 1, size: 10 });
+
+    const second = await upload('main', 'progress-2', { 'If-Match': `"${first.body.revision_token}"` }).expect(200);
+    expect(second.body.revision).toBe(2);
+
+    const download = await request(app)
+      .get(`${BASE}/main`)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(download.body.toString()).toBe('progress-2');
+    expect(download.headers.etag).toBe(`"${second.body.revision_token}"`);
+
+    const list = await request(app).get(`${BASE}/`).set('Authorization', `Bearer ${token}`).expect(200);
+    expect(list.body.saves).toEqual([
+      expect.objectContaining({ slot: 'main', revision: 2, revision_token: second.body.revision_token })
+    ]);
+  });
+
+  test('rejects writes based on a stale revision token', async () => {
+    const stale = await upload('race', 'device-a').expect(200);
+    await upload('race', 'device-b', { 'If-Match': stale.body.revision_token }).expect(200);
+
+    const conflict = await upload('race', 'device-a-again', { 'If-Match': stale.body.revision_token }).expect(409);
+    expect(conflict.body.error.code).toBe('SAVE_CONFLICT');
+    expect(conflict.body.current.revision).toBe(2);
+
+    // Clients that do not send a token keep last-writer-wins behaviour
+    await upload('race', 'legacy-client').expect(200);
+  });
+
+  test('rolls back to an earlier revision and prunes old history', async () => {
+    await request(app).delete(`${BASE}/race`).set('Authorization', `Bearer ${token}`).expect(200);
+    for (const data of ['v1', 'v2', 'v3', 'v4']) {
+      await upload('main', data).expect(200);
+    }
+
+    const revisions = await request(app).get(`${BASE}/main/revisions`).set('Authorization', `Bearer ${token}`).expect(200);
+    expect(revisions.body.revisions.map(r => r.revision)).toEqual([6, 5, 4]);
+
+    const rollback = await request(app)
+      .post(`${BASE}/main/rollback`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ revision: 4 })
+      .expect(200);
+    expect(rollback.body).toMatchObject({ revision: 7, restored_from: 4 });
+
+    const download = await request(app)
+      .get(`${BASE}/main`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(Buffer.from(download.body).toString()).toBe('v2');
+
+    await request(app)
+      .post(`${BASE}/main/rollback`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ revision: 1 })
+      .expect(404);
+  });
+
+  test('enforces size and slot limits', async () => {
+    const tooLarge = await upload('big', 'x'.repeat(2048)).expect(413);
+    expect(tooLarge.body.error.code).toBe('SAVE_TOO_LARGE');
+
+    // Multipart uploads are cut off at the same size instead of being buffered whole
+    const tooLargeFile = await request(app)
+      .put(`${BASE}/big`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('data', Buffer.alloc(2048), 'save.bin')
+      .expect(413);
+    expect(tooLargeFile.body.error.code).toBe('SAVE_TOO_LARGE');
+
+    await upload('second', 'ok').expect(200);
+    const limited = await upload('third', 'ok').expect(403);
+    expect(limited.body.error.code).toBe('SAVE_SLOT_LIMIT');
+
+    const invalid = await upload('bad.slot', 'ok').expect(400);
+    expect(invalid.body.error.code).toBe('INVALID_SLOT');
+  });
+
+  test('accepts base64 JSON saves on the legacy POST route and keeps users apart', async () => {
+    await request(app)
+      .post(`${BASE}/`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ slot: '0', data: Buffer.from('other-progress').toString('base64') })
+      .expect(200);
+
+    const mine = await request(app).get(`${BASE}/0`).set('Authorization', `Bearer ${token}`).expect(404);
+    expect(mine.body.error.code).toBe('SAVE_NOT_FOUND');
+
+    const theirs = await request(app).get(`${BASE}/`).set('Authorization', `Bearer ${otherToken}`).expect(200);
+    expect(theirs.body.saves).toEqual([expect.objectContaining({ slot: '0', size: 14 })]);
+  });
+});
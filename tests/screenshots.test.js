@@ -0,0 +1,210 @@
+const fs = require('fs');
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Uploads go through the embedded datastore and local file storage
+const embeddedDb = createEmbeddedDb('screenshots');
+delete process.env.STORAGE_BACKEND;
+delete process.env.SCREENSHOT_MAX_WIDTH;
+delete process.env.SCREENSHOT_MAX_HEIGHT;
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const db = require('../config/database');
+const screenshotService = require('../services/screenshotService');
+const { crc32 } = require('../services/crc32');
+
+const image = (width, height, format = 'png') => sharp({
+  create: { width, height, channels: 3, background: { r: 30, g: 90, b: 200 } }
+})[format]().toBuffer();
+
+/**
+ * Smallest valid toybox file (one object), see services/toyboxParser.js
+ */
+function toyboxFile(objectId) {
+  const payload = Buffer.alloc(20);
+  payload.write('OBJS', 0, 'latin1');
+  payload.writeUInt32LE(12, 4);
+  payload.writeUInt32LE(8, 8);
+  payload.writeUInt32LE(objectId, 12);
+  payload.writeUInt32LE(1, 16);
+
+  const header = Buffer.alloc(24);
+  header.write('TBOX', 0, 'latin1');
+  header.writeUInt16LE(3, 4);
+  header.writeUInt16LE(1, 6);
+  header.writeUInt32LE(payload.length, 8);
+  header.writeUInt32LE(crc32(payload), 12);
+  return Buffer.concat([header, payload]);
+}
+
+describe('Toybox screenshots', () => {
+  describe('processing', () => {
+    test('detects PNG and JPEG by magic bytes', async () => {
+      expect(screenshotService.detectFormat(await image(4, 4))).toBe('png');
+      expect(screenshotService.detectFormat(await image(4, 4, 'jpeg'))).toBe('jpeg');
+      expect(screenshotService.detectFormat(Buffer.from('GIF89a'))).toBeNull();
+    });
+
+    test('caps the full size and renders smaller sizes as PNG', async () => {
+      const sizes = await screenshotService.process(await image(2400, 1350, 'jpeg'));
+
+      expect(Object.keys(sizes)).toEqual(['full', 'medium', 'thumbnail']);
+      expect(sizes.full).toMatchObject({ width: 1920, height: 1080 });
+      expect(sizes.medium).toMatchObject({ width: 640, height: 360 });
+      expect(sizes.thumbnail).toMatchObject({ width: 320, height: 180 });
+      for (const { data } of Object.values(sizes)) {
+        expect(screenshotService.detectFormat(data)).toBe('png');
+      }
+    });
+
+    test('never enlarges small screenshots', async () => {
+      const sizes = await screenshotService.process(await image(200, 100));
+      expect(sizes.full).toMatchObject({ width: 200, height: 100 });
+      expect(sizes.thumbnail).toMatchObject({ width: 200, height: 100 });
+    });
+
+    test('strips metadata', async () => {
+      const tagged = await sharp(await image(64, 64, 'jpeg'))
+        .withExif({ IFD0: { Copyright: 'someone', Software: 'phone' } })
+        .jpeg()
+        .toBuffer();
+      expect((await sharp(tagged).metadata()).exif).toBeDefined();
+
+      const { full } = await screenshotService.process(tagged);
+      const metadata = await sharp(full.data).metadata();
+      expect(metadata.exif).toBeUndefined();
+      expect(metadata.icc).toBeUndefined();
+    });
+
+    const rejects = async (buffer, message) => {
+      await expect(screenshotService.process(buffer))
+        .rejects.toMatchObject({ code: 'INVALID_SCREENSHOT', message });
+    };
+
+    test('rejects other formats and damaged images', async () => {
+      await rejects(await image(8, 8, 'gif'), 'Screenshot must be a PNG or JPEG image');
+      await rejects(Buffer.from('not an image at all'), 'Screenshot must be a PNG or JPEG image');
+
+      const png = await image(64, 64);
+      await rejects(png.subarray(0, 40), 'Screenshot could not be decoded');
+      await rejects(Buffer.concat([png.subarray(0, 8), await image(8, 8, 'webp')]), 'Screenshot could not be decoded');
+    });
+
+    test('rejects images larger than 8K before decoding them', async () => {
+      const huge = await sharp({ create: { width: 9000, height: 3800, channels: 3, background: '#000' } }).png().toBuffer();
+      await rejects(huge, 'Screenshot is larger than 33177600 pixels');
+    });
+
+    test('reads the requested size', () => {
+      expect(screenshotService.parseSize(undefined)).toBe('full');
+      expect(screenshotService.parseSize('Thumbnail')).toBe('thumbnail');
+      expect(() => screenshotService.parseSize('huge')).toThrow('size must be one of: full, medium, thumbnail');
+    });
+  });
+
+  describe('upload and download', () => {
+    let app;
+    let token;
+    let objectId = 1;
+
+    const storedFiles = () => fs.readdirSync(process.env.STORAGE_LOCAL_PATH);
+
+    const upload = screenshot => request(app)
+      .post('/v1/pc/public/toybox')
+      .set('Authorization', `Bearer ${token}`)
+      .field('contentInfo', JSON.stringify({ name: 'Gallery', version: 3 }))
+      .attach('content', toyboxFile(objectId++), 'gallery.toybox')
+      .attach('screenshot', screenshot, 'shot.png');
+
+    // Binary responses come back as buffers
+    const download = (id, size) => request(app)
+      .get(`/v1/pc/public/toybox/${id}/screenshot${size ? `?size=${size}` : ''}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    const publish = id => db.supabase.from('toyboxes').update({ _status: 4 }).eq('id', id);
+
+    beforeAll(async () => {
+      await embeddedDb.start();
+
+      const { data: user } = await db.supabase
+        .from('users')
+        .insert({ username: 'photographer', email: 'photographer@example.com', password_hash: 'x' })
+        .select('id')
+        .single();
+      token = jwt.sign({ userId: user.id, type: 'access' }, process.env.JWT_SECRET);
+
+      app = express();
+      app.use(express.json());
+      app.use('/', require('../routes/disney-ugc'));
+    }, 60000);
+
+    afterAll(async () => {
+      await embeddedDb.stop();
+    });
+
+    test('stores every size and serves the one asked for', async () => {
+      const response = await upload(await image(1280, 720, 'jpeg')).expect(201);
+      await publish(response.body.id);
+
+      const { data: toybox } = await db.supabase
+        .from('toyboxes')
+        .select('screenshot, screenshot_renditions')
+        .eq('id', response.body.id)
+        .single();
+      expect(toybox.screenshot_renditions).toMatchObject({
+        medium: { width: 640, height: 360 },
+        thumbnail: { width: 320, height: 180 }
+      });
+
+      for (const [size, width] of [[undefined, 1280], ['medium', 640], ['thumbnail', 320]]) {
+        const { body, headers } = await download(response.body.id, size).expect(200);
+        expect(headers['content-type']).toBe('image/png');
+        expect((await sharp(body).metadata()).width).toBe(width);
+      }
+
+      const invalid = await request(app)
+        .get(`/v1/pc/public/toybox/${response.body.id}/screenshot?size=poster`)
+        .expect(400);
+      expect(invalid.body.error).toBe('size must be one of: full, medium, thumbnail');
+    });
+
+    test('serves the original for screenshots stored before renditions', async () => {
+      const response = await upload(await image(400, 225)).expect(201);
+      await publish(response.body.id);
+      await db.supabase.from('toyboxes').update({ screenshot_renditions: {} }).eq('id', response.body.id);
+
+      const { body } = await download(response.body.id, 'thumbnail').expect(200);
+      expect((await sharp(body).metadata()).width).toBe(400);
+    });
+
+    test('rejects a bad screenshot without storing the toybox', async () => {
+      const before = storedFiles();
+
+      const response = await upload(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')).expect(400);
+      expect(response.body.error).toEqual({
+        code: 'INVALID_SCREENSHOT',
+        message: 'Screenshot must be a PNG or JPEG image'
+      });
+      expect(storedFiles()).toEqual(before);
+    });
+
+    test('deleting a toybox removes every size', async () => {
+      const before = storedFiles();
+      const response = await upload(await image(640, 360)).expect(201);
+      expect(storedFiles()).toHaveLength(before.length + 4);
+
+      await request(app)
+        .delete(`/v1/pc/private/toybox/${response.body.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(storedFiles()).toEqual(before);
+    });
+  });
+});
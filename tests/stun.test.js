@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const dgram = require('dgram');
+
+// services/monitoring loads the database module, which needs a backend configured
+process.env.LAN_MODE = 'true';
+process.env.LAN_DATABASE_PATH = 'memory://';
+
+const monitoring = require('../services/monitoring');
+const { StunServer } = require('../services/stun');
+const {
+  MAGIC_COOKIE,
+  METHODS,
+  CLASSES,
+  ATTRIBUTES,
+  parseMessage,
+  buildMessage,
+  readAddress
+} = require('../services/stun/protocol');
+const { getIceServers } = require('../controllers/networking');
+
+const attribute = (message, type) => message.attributes.find(a => a.type === type);
+
+describe('STUN responder', () => {
+  let server;
+  let port;
+  let socket;
+
+  // Send a packet and resolve with the next reply, or null if none arrives
+  const exchange = (packet, timeoutMs = 1000) => new Promise(resolve => {
+    const timer = setTimeout(() => {
+      socket.removeListener('message', onMessage);
+      resolve(null);
+    }, timeoutMs);
+    const onMessage = reply => {
+      clearTimeout(timer);
+      resolve(reply);
+    };
+    socket.once('message', onMessage);
+    socket.send(packet, port, '127.0.0.1');
+  });
+
+  const bindingRequest = (attributes = [], options = {}) =>
+    buildMessage(METHODS.BINDING, CLASSES.REQUEST, crypto.randomBytes(12), attributes, options);
+
+  beforeAll(async () => {
+    server = new StunServer({ port: 0, host: '127.0.0.1' });
+    ({ port } = await server.start());
+    socket = dgram.createSocket('udp4');
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  });
+
+  beforeEach(() => {
+    monitoring.reset();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await new Promise(resolve => socket.close(resolve));
+  });
+
+  test('answers a binding request with the mapped address', async () => {
+    const request = bindingRequest();
+    const reply = parseMessage(await exchange(request));
+
+    expect(reply).toMatchObject({ method: METHODS.BINDING, cls: CLASSES.SUCCESS, hasFingerprint: false });
+    expect(reply.transactionId.equals(request.subarray(8, 20))).toBe(true);
+
+    const expected = { family: 1, address: '127.0.0.1', port: socket.address().port };
+    expect(readAddress(attribute(reply, ATTRIBUTES.XOR_MAPPED_ADDRESS).value, reply.transactionId)).toEqual(expected);
+    expect(readAddress(attribute(reply, ATTRIBUTES.MAPPED_ADDRESS).value)).toEqual(expected);
+
+    // The XOR form really is obfuscated on the wire
+    expect(readAddress(attribute(reply, ATTRIBUTES.XOR_MAPPED_ADDRESS).value)).not.toEqual(expected);
+
+    expect(monitoring.getMetrics().stun).toEqual({ requests: 1, errors: 0 });
+  });
+
+  test('includes a fingerprint when the request has one', async () => {
+    const raw = await exchange(bindingRequest([{ type: ATTRIBUTES.SOFTWARE, value: Buffer.from('test client') }], { fingerprint: true }));
+    const reply = parseMessage(raw);
+
+    expect(reply).toMatchObject({ cls: CLASSES.SUCCESS, hasFingerprint: true });
+
+    // A corrupted fingerprint makes the message invalid
+    const corrupted = Buffer.from(raw);
+    corrupted[corrupted.length - 1] ^= 0xff;
+    expect(parseMessage(corrupted)).toBeNull();
+  });
+
+  test('rejects unknown comprehension-required attributes with a 420', async () => {
+    const reply = parseMessage(await exchange(bindingRequest([
+      { type: 0x0003, value: Buffer.alloc(4) }, // RFC 3489 CHANGE-REQUEST
+      { type: ATTRIBUTES.USERNAME, value: Buffer.from('player') }
+    ])));
+
+    expect(reply).toMatchObject({ method: METHODS.BINDING, cls: CLASSES.ERROR });
+    const errorCode = attribute(reply, ATTRIBUTES.ERROR_CODE).value;
+    expect(errorCode[2] * 100 + errorCode[3]).toBe(420);
+    expect(attribute(reply, ATTRIBUTES.UNKNOWN_ATTRIBUTES).value.readUInt16BE(0)).toBe(0x0003);
+
+    expect(monitoring.getMetrics().stun).toEqual({ requests: 0, errors: 1 });
+  });
+
+  test('rejects other methods with a 400', async () => {
+    const allocate = buildMessage(0x003, CLASSES.REQUEST, crypto.randomBytes(12));
+    const reply = parseMessage(await exchange(allocate));
+
+    expect(reply).toMatchObject({ method: 0x003, cls: CLASSES.ERROR });
+    const errorCode = attribute(reply, ATTRIBUTES.ERROR_CODE).value;
+    expect(errorCode[2] * 100 + errorCode[3]).toBe(400);
+  });
+
+  test('drops malformed packets and indications', async () => {
+    const noCookie = bindingRequest();
+    noCookie.writeUInt32BE(0, 4);
+    const truncated = bindingRequest([{ type: ATTRIBUTES.SOFTWARE, value: Buffer.from('abcd') }]).subarray(0, 26);
+
+    expect(await exchange(Buffer.from('not stun at all, just some bytes'), 200)).toBeNull();
+    expect(await exchange(noCookie, 200)).toBeNull();
+    expect(await exchange(truncated, 200)).toBeNull();
+    expect(await exchange(buildMessage(METHODS.BINDING, CLASSES.INDICATION, crypto.randomBytes(12)), 200)).toBeNull();
+
+    expect(monitoring.getMetrics().stun).toEqual({ requests: 0, errors: 3 });
+  });
+
+  test('encodes the message type and cookie as RFC 5389 specifies', () => {
+    const message = buildMessage(METHODS.BINDING, CLASSES.SUCCESS, Buffer.alloc(12));
+    expect(message.readUInt16BE(0)).toBe(0x0101);
+    expect(message.readUInt32BE(4)).toBe(MAGIC_COOKIE);
+    expect(buildMessage(METHODS.BINDING, CLASSES.ERROR, Buffer.alloc(12)).readUInt16BE(0)).toBe(0x0111);
+  });
+});
+
+describe('ICE server configuration', () => {
+  const env = { ...process.env };
+
+  const iceServers = async (hostname = '192.168.1.10') => {
+    const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+    await getIceServers({ hostname }, res);
+    return res.json.mock.calls[0][0].iceServers;
+  };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('hands out the public STUN servers by default', async () => {
+    delete process.env.STUN_ENABLED;
+    const servers = await iceServers();
+    expect(servers).toHaveLength(5);
+    expect(servers[0].urls).toBe('stun:stun.l.google.com:19302');
+  });
+
+  test('hands out only the bundled responder when it is enabled', async () => {
+    process.env.STUN_ENABLED = 'true';
+    delete process.env.STUN_PORT;
+    delete process.env.STUN_PUBLIC_HOST;
+    expect(await iceServers()).toEqual([{ urls: 'stun:192.168.1.10:3478' }]);
+
+    process.env.STUN_PORT = '3479';
+    process.env.STUN_PUBLIC_HOST = 'stun.example.net';
+    expect(await iceServers()).toEqual([{ urls: 'stun:stun.example.net:3479' }]);
+  });
+});
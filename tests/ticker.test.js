@@ -0,0 +1,138 @@
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Run against the embedded datastore so ticker queries go through real SQL
+const embeddedDb = createEmbeddedDb('news-ticker');
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+describe('News ticker', () => {
+  let app;
+  let adminToken;
+  let playerToken;
+
+  const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+  const createItem = (item) => request(app)
+    .post('/api/v1/admin/ticker')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(item);
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data: users } = await db.supabase
+      .from('users')
+      .insert([
+        { username: 'newsadmin', email: 'admin@example.com', password_hash: 'x', is_admin: true },
+        { username: 'player', email: 'player@example.com', password_hash: 'x' }
+      ])
+      .select('id');
+    adminToken = jwt.sign({ userId: users[0].id, type: 'access' }, process.env.JWT_SECRET);
+    playerToken = jwt.sign({ userId: users[1].id, type: 'access' }, process.env.JWT_SECRET);
+
+    // Same mount order as server.js
+    app = express();
+    app.use(express.json());
+    app.use('/', require('../routes/infinity-api'));
+    app.use('/', require('../routes/wii-stubs'));
+    app.use('/api/v1/admin', require('../routes/admin'));
+  }, 60000);
+
+  afterAll(async () => {
+    await embeddedDb.stop();
+  });
+
+  describe('admin CRUD', () => {
+    test('requires an admin', async () => {
+      await request(app).get('/api/v1/admin/ticker').expect(401);
+      await request(app)
+        .get('/api/v1/admin/ticker')
+        .set('Authorization', `Bearer ${playerToken}`)
+        .expect(403);
+    });
+
+    test('creates, updates and deletes items', async () => {
+      const created = await createItem({ title: 'Draft', message: 'Coming soon', locales: ['en_US'] }).expect(201);
+      expect(created.body).toMatchObject({
+        title: 'Draft',
+        category: 'news',
+        platforms: [],
+        locales: ['en-us'],
+        priority: 0,
+        is_active: true
+      });
+
+      const updated = await request(app)
+        .put(`/api/v1/admin/ticker/${created.body.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: 'Renamed', priority: 5 })
+        .expect(200);
+      expect(updated.body).toMatchObject({ title: 'Renamed', message: 'Coming soon', priority: 5 });
+
+      await request(app)
+        .delete(`/api/v1/admin/ticker/${created.body.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      await request(app)
+        .get(`/api/v1/admin/ticker/${created.body.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    test('rejects invalid items', async () => {
+      const missing = await createItem({ title: 'No message' }).expect(400);
+      expect(missing.body.error.code).toBe('INVALID_REQUEST');
+
+      await createItem({ title: 'Bad', message: 'x', category: 'spam' }).expect(400);
+      await createItem({ title: 'Bad', message: 'x', platforms: 'steam' }).expect(400);
+      await createItem({ title: 'Bad', message: 'x', starts_at: hoursFromNow(2), ends_at: hoursFromNow(1) }).expect(400);
+    });
+  });
+
+  describe('game feeds', () => {
+    beforeAll(async () => {
+      await db.query('DELETE FROM ticker_items');
+      await createItem({ title: 'Everyone', message: 'Welcome back!', priority: 1 }).expect(201);
+      await createItem({ title: 'Maintenance', message: 'Down at midnight', category: 'maintenance', priority: 10, ends_at: hoursFromNow(1) }).expect(201);
+      await createItem({ title: 'Steam only', message: 'PC event', platforms: ['steam'] }).expect(201);
+      await createItem({ title: 'Wii U only', message: 'Wii U event', platforms: ['wiiu'] }).expect(201);
+      await createItem({ title: 'French', message: 'Bonjour', locales: ['fr'] }).expect(201);
+      await createItem({ title: 'Scheduled', message: 'Not yet', starts_at: hoursFromNow(1) }).expect(201);
+      await createItem({ title: 'Expired', message: 'Too late', starts_at: hoursFromNow(-2), ends_at: hoursFromNow(-1) }).expect(201);
+      await createItem({ title: 'Disabled', message: 'Hidden', is_active: false }).expect(201);
+    });
+
+    test('serves live items for the platform in priority order', async () => {
+      const response = await request(app).get('/infinity/ticker/v3/steam/').expect(200);
+
+      expect(response.body.status).toBe(0);
+      expect(response.body.news.map(item => item.title)).toEqual(['Maintenance', 'Everyone', 'Steam only']);
+      expect(response.body.news[0]).toMatchObject({
+        category: 'maintenance',
+        priority: 10,
+        end_time: expect.any(Number)
+      });
+    });
+
+    test('matches locale targets by language', async () => {
+      const response = await request(app)
+        .get('/infinity/ticker/v3/ps4/')
+        .set('Accept-Language', 'fr-CA,fr;q=0.9')
+        .expect(200);
+
+      expect(response.body.news.map(item => item.title)).toEqual(['Maintenance', 'Everyone', 'French']);
+    });
+
+    test('Wii U gets the same items in its own format', async () => {
+      const response = await request(app).get('/infinity/ticker/v1/wiiu/').expect(200);
+
+      expect(response.body.news).toBeUndefined();
+      expect(response.body.ticker_items.map(item => item.headline)).toEqual(['Maintenance', 'Everyone', 'Wii U only']);
+      expect(response.body.ticker_items[0]).toMatchObject({ text: 'Down at midnight', type: 'maintenance' });
+      expect(new Date(response.body.last_updated).getTime()).not.toBeNaN();
+    });
+  });
+});
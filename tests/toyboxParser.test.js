@@ -0,0 +1,254 @@
+const fs = require('fs');
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Uploads go through the embedded datastore and local file storage
+const embeddedDb = createEmbeddedDb('toybox-parser');
+delete process.env.STORAGE_BACKEND;
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const db = require('../config/database');
+const toyboxParser = require('../services/toyboxParser');
+const { crc32 } = require('../services/crc32');
+
+const u32 = values => {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeUInt32LE(value, i * 4));
+  return buffer;
+};
+
+/**
+ * Build a toybox file from { tag: Buffer } sections
+ */
+function buildToybox(sections, { version = 3 } = {}) {
+  const tags = Object.keys(sections);
+  const table = Buffer.alloc(tags.length * 12);
+  let offset = table.length;
+  tags.forEach((tag, i) => {
+    table.write(tag, i * 12, 'latin1');
+    table.writeUInt32LE(offset, i * 12 + 4);
+    table.writeUInt32LE(sections[tag].length, i * 12 + 8);
+    offset += sections[tag].length;
+  });
+
+  const payload = Buffer.concat([table, ...tags.map(tag => sections[tag])]);
+  const header = Buffer.alloc(24);
+  header.write('TBOX', 0, 'latin1');
+  header.writeUInt16LE(version, 4);
+  header.writeUInt16LE(tags.length, 6);
+  header.writeUInt32LE(payload.length, 8);
+  header.writeUInt32LE(crc32(payload), 12);
+  return Buffer.concat([header, payload]);
+}
+
+const castle = () => buildToybox({
+  OBJS: u32([1001, 2, 1002, 1, 1001, 3]),
+  IGPS: u32([7, 9, 7]),
+  ABIL: u32([40]),
+  PLAY: u32([3]),
+  XTRA: Buffer.from('future data!')
+});
+
+describe('Toybox parser', () => {
+  describe('parse', () => {
+    test('reads the object, IGP and ability manifest', () => {
+      expect(toyboxParser.parse(castle())).toEqual({
+        formatVersion: 3,
+        objectCounts: { 1001: 5, 1002: 1 },
+        totalObjects: 6,
+        uniqueObjects: 2,
+        igps: [7, 9],
+        abilities: [40],
+        playsets: [3]
+      });
+    });
+
+    test('maps the manifest onto toybox columns', () => {
+      expect(toyboxParser.toColumns(toyboxParser.parse(castle()))).toEqual({
+        avatars: [7, 9],
+        igps: [7, 9],
+        abilities: [40],
+        playsets: [3],
+        required_playsets_size: 1,
+        total_objects: 6,
+        unique_objects: 2,
+        object_counts: { 1001: 5, 1002: 1 },
+        manifest_source: 'file'
+      });
+    });
+
+    const rejects = (buffer, message) => {
+      expect(() => toyboxParser.parse(buffer)).toThrow(expect.objectContaining({ code: 'INVALID_TOYBOX', message }));
+    };
+
+    test('rejects files that are not toyboxes', () => {
+      rejects(Buffer.from('mock toybox data'), 'File is too short to be a toybox');
+      rejects(Buffer.concat([Buffer.from('PNG!'), castle().subarray(4)]), 'File is not a toybox');
+      rejects(buildToybox({ OBJS: u32([1, 1]) }, { version: 9 }), 'Unsupported toybox format version 9');
+    });
+
+    test('rejects truncated and padded uploads', () => {
+      const file = castle();
+      rejects(file.subarray(0, file.length - 5), expect.stringMatching(/^Toybox is truncated/));
+      rejects(Buffer.concat([file, Buffer.alloc(3)]), 'Toybox has trailing data after the payload');
+    });
+
+    test('rejects corrupted contents', () => {
+      const file = castle();
+      file[file.length - 20] ^= 0xff;
+      rejects(file, 'Toybox checksum does not match its contents');
+    });
+
+    test('rejects malformed sections', () => {
+      rejects(buildToybox({ IGPS: u32([7]) }), 'Toybox has no object section');
+      rejects(buildToybox({ OBJS: Buffer.alloc(6) }), 'Toybox section OBJS has a partial record');
+      rejects(buildToybox({ OBJS: u32([5, 0]) }), 'Object 5 has a count of zero');
+      rejects(buildToybox({ OBJS: u32([0x80000000, 1]) }), 'Toybox section OBJS has an out-of-range id 2147483648');
+
+      // Section pointing past the end, with a valid checksum
+      const file = buildToybox({ OBJS: u32([1, 1]) });
+      file.writeUInt32LE(64, 24 + 8);
+      file.writeUInt32LE(crc32(file.subarray(24)), 12);
+      rejects(file, 'Toybox section OBJS lies outside the file');
+    });
+  });
+
+  describe('upload', () => {
+    let app;
+    let token;
+    let otherToken;
+
+    const upload = (content, name = 'Castle') => request(app)
+      .post('/v1/pc/public/toybox')
+      .set('Authorization', `Bearer ${token}`)
+      .field('contentInfo', JSON.stringify({
+        name,
+        version: 3,
+        genres: [5],
+        // Only used when the file does not parse
+        igps: [99],
+        object_counts: { 1: 500 },
+        total_objects: 500
+      }))
+      .attach('content', content, 'castle.toybox');
+
+    beforeAll(async () => {
+      await embeddedDb.start();
+
+      const { data: users } = await db.supabase
+        .from('users')
+        .insert([
+          { username: 'builder', email: 'builder@example.com', password_hash: 'x' },
+          { username: 'visitor', email: 'visitor@example.com', password_hash: 'x' }
+        ])
+        .select('id, username');
+      const id = name => users.find(user => user.username === name).id;
+      token = jwt.sign({ userId: id('builder'), type: 'access' }, process.env.JWT_SECRET);
+      otherToken = jwt.sign({ userId: id('visitor'), type: 'access' }, process.env.JWT_SECRET);
+
+      app = express();
+      app.use(express.json());
+      app.use('/', require('../routes/disney-ugc'));
+    }, 60000);
+
+    afterAll(async () => {
+      await embeddedDb.stop();
+    });
+
+    test('stores the manifest read from the file', async () => {
+      const response = await upload(castle()).expect(201);
+
+      const { data: toybox } = await db.supabase
+        .from('toyboxes')
+        .select('avatars, igps, abilities, genres, playsets, required_playsets_size, total_objects, unique_objects, object_counts, manifest_source')
+        .eq('id', response.body.id)
+        .single();
+      expect(toybox).toEqual({
+        avatars: [7, 9],
+        igps: [7, 9],
+        abilities: [40],
+        genres: [5],
+        playsets: [3],
+        required_playsets_size: 1,
+        total_objects: 6,
+        unique_objects: 2,
+        object_counts: { 1001: 5, 1002: 1 },
+        manifest_source: 'file'
+      });
+
+      // Unpublished: only the creator can read the counts
+      await request(app)
+        .get(`/v1/pc/public/toybox/${response.body.id}/object_counts`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+      const counts = await request(app)
+        .get(`/v1/pc/public/toybox/${response.body.id}/object_counts`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(counts.body).toEqual({ 1001: 5, 1002: 1 });
+      expect(counts.headers['x-manifest-source']).toBe('file');
+    });
+
+    test('falls back to the contentInfo manifest for files that do not parse', async () => {
+      const warn = jest.spyOn(winston, 'warn').mockImplementation(() => {});
+      const response = await upload(Buffer.from('not a toybox we know'), 'Unknown Format').expect(201);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('using the contentInfo manifest'));
+      warn.mockRestore();
+
+      const { data: toybox } = await db.supabase
+        .from('toyboxes')
+        .select('igps, total_objects, object_counts, manifest_source')
+        .eq('id', response.body.id)
+        .single();
+      expect(toybox).toEqual({ igps: [99], total_objects: 500, object_counts: { 1: 500 }, manifest_source: 'client' });
+    });
+
+    test('keeps the stored manifest when an updated file does not parse and contentInfo has none', async () => {
+      const tower = buildToybox({ OBJS: u32([1001, 2]), IGPS: u32([7]) });
+      const response = await upload(tower, 'Rebuilt').expect(201);
+
+      const warn = jest.spyOn(winston, 'warn').mockImplementation(() => {});
+      await request(app)
+        .put(`/v1/pc/private/toybox/${response.body.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .field('contentInfo', JSON.stringify({ name: 'Rebuilt', total_objects: 7 }))
+        .attach('content', Buffer.from('not a toybox we know'), 'castle.toybox')
+        .expect(200);
+      warn.mockRestore();
+
+      const { data: toybox } = await db.supabase
+        .from('toyboxes')
+        .select('igps, total_objects, object_counts, manifest_source')
+        .eq('id', response.body.id)
+        .single();
+      expect(toybox).toEqual({
+        igps: [7],
+        total_objects: 7,
+        object_counts: { 1001: 2 },
+        manifest_source: 'client'
+      });
+    });
+
+    test('rejects corrupt uploads before storing anything in strict mode', async () => {
+      process.env.TOYBOX_STRICT_VALIDATION = 'true';
+      const file = buildToybox({ OBJS: u32([1, 1]) });
+      const storedBefore = fs.readdirSync(process.env.STORAGE_LOCAL_PATH).length;
+
+      try {
+        const response = await upload(file.subarray(0, file.length - 1), 'Broken').expect(400);
+        expect(response.body.error).toEqual({
+          code: 'INVALID_TOYBOX',
+          message: 'Toybox is truncated (19 of 20 payload bytes)'
+        });
+      } finally {
+        delete process.env.TOYBOX_STRICT_VALIDATION;
+      }
+
+      expect(fs.readdirSync(process.env.STORAGE_LOCAL_PATH)).toHaveLength(storedBefore);
+      const { data } = await db.supabase.from('toyboxes').select('id').eq('title', 'Broken');
+      expect(data).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Sessions are looked up through the embedded datastore
+const embeddedDb = createEmbeddedDb('turn');
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const turnCredentialService = require('../services/turnCredentialService');
+
+const TURN_ENV = ['TURN_SERVERS', 'TURN_URLS', 'TURN_REALM', 'TURN_SECRET', 'TURN_CREDENTIAL_TTL', 'STUN_ENABLED'];
+
+// What coturn computes for a use-auth-secret username
+const expectedCredential = (secret, username) => crypto.createHmac('sha1', secret).update(username).digest('base64');
+
+const configure = env => {
+  for (const name of TURN_ENV) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, env);
+  turnCredentialService.reloadRealms();
+};
+
+describe('TURN credential service', () => {
+  const now = Date.parse('2026-03-01T12:00:00Z');
+
+  afterEach(() => configure({}));
+
+  test('issues nothing when TURN is not configured', () => {
+    configure({});
+    expect(turnCredentialService.issue('user-1')).toEqual({ iceServers: [], expiresAt: null });
+  });
+
+  test('signs usernames the way coturn use-auth-secret checks them', () => {
+    configure({ TURN_URLS: 'turn:turn.lan:3478, turns:turn.lan:5349', TURN_SECRET: 'shared', TURN_CREDENTIAL_TTL: '600' });
+
+    const { iceServers, expiresAt } = turnCredentialService.issue('user-1', null, now);
+    const expiry = now / 1000 + 600;
+    expect(expiresAt).toBe(new Date(expiry * 1000).toISOString());
+    expect(iceServers).toEqual([{
+      urls: ['turn:turn.lan:3478', 'turns:turn.lan:5349'],
+      username: `${expiry}:user-1`,
+      credential: expectedCredential('shared', `${expiry}:user-1`)
+    }]);
+  });
+
+  test('ties expiry to the session lifetime', () => {
+    configure({ TURN_URLS: 'turn:turn.lan:3478', TURN_SECRET: 'shared' });
+
+    const waiting = { id: 'session-1', status: 'waiting', created_at: new Date(now - 10 * 60 * 1000).toISOString() };
+    const { iceServers, expiresAt } = turnCredentialService.issue('user-1', waiting, now);
+    expect(expiresAt).toBe(new Date(now + 50 * 60 * 1000).toISOString());
+    expect(iceServers[0].username).toBe(`${(now + 50 * 60 * 1000) / 1000}:user-1:session-1`);
+
+    const active = { id: 'session-1', status: 'active', created_at: waiting.created_at, started_at: new Date(now).toISOString() };
+    expect(turnCredentialService.issue('user-1', active, now).expiresAt).toBe(new Date(now + 6 * 60 * 60 * 1000).toISOString());
+
+    // A session overdue for cleanup still gets a few usable minutes
+    const overdue = { id: 'session-1', status: 'waiting', created_at: new Date(now - 2 * 60 * 60 * 1000).toISOString() };
+    expect(turnCredentialService.issue('user-1', overdue, now).expiresAt).toBe(new Date(now + 5 * 60 * 1000).toISOString());
+  });
+
+  test('picks the realms of the session region, falling back to global ones', () => {
+    configure({
+      TURN_SECRET: 'fallback',
+      TURN_SERVERS: JSON.stringify([
+        { realm: 'eu', region: 'eu-west', urls: ['turn:eu.turn.example:3478'], secret: 'eu-secret' },
+        { realm: 'us', region: 'us-east', urls: 'turn:us.turn.example:3478' },
+        { realm: 'anywhere', urls: ['turn:turn.example:3478'] },
+        { realm: 'broken', region: 'eu-west' }
+      ])
+    });
+
+    const eu = turnCredentialService.issue('user-1', { id: 's', status: 'waiting', region: 'eu-west', created_at: new Date(now).toISOString() }, now);
+    expect(eu.iceServers).toHaveLength(1);
+    expect(eu.iceServers[0].urls).toEqual(['turn:eu.turn.example:3478']);
+    expect(eu.iceServers[0].credential).toBe(expectedCredential('eu-secret', eu.iceServers[0].username));
+
+    const us = turnCredentialService.issue('user-1', { id: 's', status: 'waiting', region: 'us-east', created_at: new Date(now).toISOString() }, now);
+    expect(us.iceServers[0].credential).toBe(expectedCredential('fallback', us.iceServers[0].username));
+
+    const elsewhere = turnCredentialService.issue('user-1', { id: 's', status: 'waiting', region: 'asia', created_at: new Date(now).toISOString() }, now);
+    expect(elsewhere.iceServers.map(server => server.urls)).toEqual([['turn:turn.example:3478']]);
+  });
+
+  test('ignores an unparseable TURN_SERVERS', () => {
+    configure({ TURN_SERVERS: '[{not json', TURN_SECRET: 'shared' });
+    expect(turnCredentialService.issue('user-1').iceServers).toEqual([]);
+  });
+});
+
+describe('GET /api/v1/networking/ice-servers', () => {
+  let app;
+  let users;
+  let token;
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data } = await db.supabase
+      .from('users')
+      .insert([
+        { username: 'baymax', email: 'baymax@example.com', password_hash: 'x' },
+        { username: 'hiro', email: 'hiro@example.com', password_hash: 'x' }
+      ])
+      .select('id, username');
+    users = Object.fromEntries(data.map(user => [user.username, user.id]));
+    token = userId => jwt.sign({ userId, type: 'access' }, process.env.JWT_SECRET);
+
+    app = express();
+    app.use('/api/v1/networking', require('../routes/networking'));
+  }, 60000);
+
+  beforeEach(() => configure({
+    TURN_SERVERS: JSON.stringify([
+      { realm: 'eu', region: 'eu-west', urls: ['turn:eu.turn.example:3478'] },
+      { realm: 'anywhere', urls: ['turn:turn.example:3478'] }
+    ]),
+    TURN_SECRET: 'shared'
+  }));
+
+  afterAll(async () => {
+    configure({});
+    await embeddedDb.stop();
+  });
+
+  test('gives anonymous callers STUN only', async () => {
+    const res = await request(app).get('/api/v1/networking/ice-servers').expect(200);
+    expect(res.body.iceServers.every(server => server.urls.startsWith('stun:'))).toBe(true);
+    expect(res.body.expiresAt).toBeNull();
+  });
+
+  test('issues credentials for the player and their session', async () => {
+    const outside = await request(app)
+      .get('/api/v1/networking/ice-servers')
+      .set('Authorization', `Bearer ${token(users.hiro)}`)
+      .expect(200);
+    const generic = outside.body.iceServers.find(server => server.username);
+    expect(generic.urls).toEqual(['turn:turn.example:3478']);
+    expect(generic.username).toMatch(new RegExp(`^\\d+:${users.hiro}$`));
+
+    const { data: session } = await db.supabase
+      .from('game_sessions')
+      .insert({ host_user_id: users.baymax, game_mode: 'VERSUS', region: 'eu-west' })
+      .select('id, created_at')
+      .single();
+    await db.supabase.from('session_players').insert({ session_id: session.id, user_id: users.baymax });
+
+    const res = await request(app)
+      .get('/api/v1/networking/ice-servers')
+      .set('Authorization', `Bearer ${token(users.baymax)}`)
+      .expect(200);
+
+    const turn = res.body.iceServers.filter(server => server.username);
+    expect(turn).toHaveLength(1);
+    expect(turn[0].urls).toEqual(['turn:eu.turn.example:3478']);
+    expect(turn[0].username).toBe(`${Date.parse(res.body.expiresAt) / 1000}:${users.baymax}:${session.id}`);
+    expect(turn[0].credential).toBe(expectedCredential('shared', turn[0].username));
+
+    // A waiting session is cleaned up an hour after it was created
+    expect(Date.parse(res.body.expiresAt)).toBe(Math.floor((Date.parse(session.created_at) + 60 * 60 * 1000) / 1000) * 1000);
+  });
+});
@@ -0,0 +1,136 @@
+const { createEmbeddedDb } = require('./helpers/embeddedDb');
+
+// Run against the embedded datastore so recordings go through real SQL
+const embeddedDb = createEmbeddedDb('unmatched');
+process.env.UNMATCHED_SAMPLES_PER_ENDPOINT = '2';
+process.env.UNMATCHED_BODY_BYTES = '32';
+process.env.UNMATCHED_MAX_ENDPOINTS = '4';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const requestRecorder = require('../services/requestRecorder');
+const { detectPlatform } = require('../services/platform');
+const { recordUnmatchedRequests } = require('../middleware/recorder');
+
+const WIIU_AGENT = 'Mozilla/5.0 (Nintendo WiiU) AppleWebKit/536.28';
+const STEAM_AGENT = 'Valve/Steam HTTP Client 1.0 (Windows)';
+
+describe('Unmatched request recorder', () => {
+  let app;
+  let adminToken;
+
+  // Recording runs in the background; wait for it before reading the tables
+  const settle = () => new Promise(resolve => setTimeout(resolve, 200));
+
+  const report = (query = '') => request(app)
+    .get(`/api/v1/admin/unmatched${query}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    await embeddedDb.start();
+
+    const { data: admin } = await db.supabase
+      .from('users')
+      .insert({ username: 'cartographer', email: 'cartographer@example.com', password_hash: 'x', is_admin: true })
+      .select('id')
+      .single();
+    adminToken = jwt.sign({ userId: admin.id, type: 'access' }, process.env.JWT_SECRET);
+
+    app = express();
+    app.use(express.json());
+    app.get('/infinity/known/v1', (req, res) => res.json({ ok: true }));
+    app.use('/api/v1/admin', require('../routes/admin'));
+    app.use(recordUnmatchedRequests);
+    app.use('/api/*', (req, res) => res.status(404).json({ error: { code: 'ENDPOINT_NOT_FOUND' } }));
+  }, 60000);
+
+  afterAll(async () => {
+    delete process.env.RECORD_UNMATCHED_REQUESTS;
+    await embeddedDb.stop();
+  });
+
+  test('templates paths and detects platforms', () => {
+    expect(requestRecorder.templatePath('/infinity/profile/v2/WiiU/1234')).toBe('/infinity/profile/v2/:platform/:id');
+    expect(requestRecorder.templatePath('/ugc/00000000-0000-0000-0000-000000000000/deadbeefdeadbeef01')).toBe('/ugc/:uuid/:hash');
+    expect(detectPlatform(WIIU_AGENT)).toBe('wiiu');
+    expect(detectPlatform(STEAM_AGENT)).toBe('pc');
+    expect(detectPlatform(undefined)).toBe('unknown');
+  });
+
+  test('records nothing unless enabled', async () => {
+    await request(app).get('/infinity/mystery/v1/wiiu').expect(404);
+    await settle();
+    expect((await report().expect(200)).body).toMatchObject({ recording: false, count: 0 });
+  });
+
+  test('counts unknown endpoints per platform and keeps a few redacted samples', async () => {
+    process.env.RECORD_UNMATCHED_REQUESTS = 'true';
+
+    await request(app).get('/infinity/known/v1').expect(200);
+    for (const platform of ['wiiu', 'wiiu', 'wiiu']) {
+      await request(app)
+        .post(`/infinity/mystery/v1/${platform}?build=42&ticket=hunter2`)
+        .set('User-Agent', WIIU_AGENT)
+        .set('Authorization', 'Bearer secret')
+        .send({ password: 'hunter2', payload: 'x'.repeat(100) })
+        .expect(404);
+    }
+    await request(app).post('/infinity/mystery/v1/steam').set('User-Agent', STEAM_AGENT).expect(404);
+    await request(app).get('/api/v1/nothing').expect(404);
+    await settle();
+
+    const { body } = await report().expect(200);
+    expect(body.recording).toBe(true);
+    expect(body.endpoints).toHaveLength(2);
+    expect(body.endpoints[0]).toMatchObject({
+      method: 'POST',
+      path_template: '/infinity/mystery/v1/:platform',
+      hit_count: 4,
+      platforms: { wiiu: 3, pc: 1 }
+    });
+    expect(body.endpoints[1]).toMatchObject({ method: 'GET', path_template: '/api/v1/nothing', hit_count: 1 });
+
+    const wiiOnly = await report('?platform=wiiu').expect(200);
+    expect(wiiOnly.body.endpoints).toHaveLength(1);
+
+    const samples = await request(app)
+      .get('/api/v1/admin/unmatched/samples')
+      .query({ method: 'post', path: '/infinity/mystery/v1/:platform' })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(samples.body.count).toBe(3);
+    const wiiSample = samples.body.samples.find(sample => sample.platform === 'wiiu');
+    expect(wiiSample).toMatchObject({
+      path: '/infinity/mystery/v1/wiiu',
+      query: { build: '42', ticket: '[redacted]' },
+      body_truncated: true
+    });
+    expect(wiiSample.headers.authorization).toBe('[redacted]');
+    expect(wiiSample.body).toMatch(/^\{"password":"\[redacted\]"/);
+    expect(Buffer.byteLength(wiiSample.body)).toBe(32);
+  });
+
+  test('stops adding endpoints at the limit', async () => {
+    // Three endpoint/platform pairs are tracked so far; the limit is four
+    for (const probe of ['/probe-a', '/probe-b', '/probe-c']) {
+      await request(app).get(probe).expect(404);
+      await settle();
+    }
+    const { body } = await report().expect(200);
+    expect(body.endpoints.map(endpoint => endpoint.path_template)).toContain('/probe-a');
+    expect(body.count).toBe(3);
+  });
+
+  test('admins can clear the recordings', async () => {
+    await request(app)
+      .get('/api/v1/admin/unmatched/samples')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    const cleared = await request(app).delete('/api/v1/admin/unmatched').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    expect(cleared.body.removed).toBe(4);
+    await request(app).get('/api/v1/admin/unmatched').expect(401);
+  });
+});